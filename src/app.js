@@ -3,23 +3,89 @@ import express from 'express';
 import cors from 'cors';
 import prisma from './db/prismaClient.js';
 import { generateWeekPlan } from './services/planService.js';
+import { buildShoppingList } from './services/shoppingListService.js';
+import { getSwapCandidates, swapMealRecipe, swapMealWithAI } from './services/mealSwapService.js';
+import { logFood, listFoodLog, deleteFoodLogEntry, getAdherenceReport } from './services/foodLogService.js';
+import { MacroCalculationSchema, calculateMacroTargets } from './services/macroCalculator.js';
+import {
+  logWeight,
+  listWeights,
+  deleteWeight,
+  runCheckIn,
+  createProfileVersion,
+  getProfileHistory,
+} from './services/progressService.js';
+import { explainRecipeViolations, bestPortion, portionMacros } from './services/recipeService.js';
+import { CreateRecipeSchema, createRecipe, ensureSearchIndex } from './services/recipeCatalogService.js';
+import { DIETS, INGREDIENT_CATEGORIES, buildDietRules } from './services/dietRules.js';
+import { getMicronutrientReport } from './services/micronutrientService.js';
+import { registerJobHandler, startJobWorker, stopJobWorker } from './services/jobService.js';
+import {
+  PlanListQuerySchema,
+  UpdateMealPlanSchema,
+  UpdateMealSchema,
+  listMealPlans,
+  updateMealPlan,
+  deleteMealPlan,
+  updateMeal,
+  deleteMeal,
+} from './services/mealPlanService.js';
+import { MEAL_PLAN_JOB, runMealPlanJob } from './services/aiPlanService.js';
+import { loadPlanForExport, resolveMealTimes, buildIcs, buildHtml, buildCsv } from './services/exportService.js';
+import {
+  IdParamsSchema,
+  MealParamsSchema,
+  DateRangeQuerySchema,
+  MacroProfileSchema,
+  PreferencesSchema,
+  CalculateQuerySchema,
+  WeeklyIntentSchema,
+  CreateMealPlanSchema,
+  CreateMealSchema,
+  SwapMealSchema,
+  GenerateWeekSchema,
+  ExportQuerySchema,
+  FoodLogSchema,
+  WeightSchema,
+  CheckInSchema,
+} from './validation/schemas.js';
+import { NotFoundError, ConflictError } from './utils/errors.js';
 
 // Import new routes
+import authRoutes from './routes/auth.js';
 import aiRoutes from './routes/ai.js';
 import recipeRoutes from './routes/recipes.js';
+import jobRoutes from './routes/jobs.js';
+import calendarRoutes from './routes/calendar.js';
+import adminRoutes from './routes/admin.js';
+import { requireAuth } from './middleware/auth.js';
+import { validate } from './middleware/validate.js';
+import { errorHandler, sendError } from './middleware/errorHandler.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Routes accepting larger bodies parse them in their router, after authentication
+const OWN_BODY_PARSER = ['/admin/import', '/api/recipes/import-url'];
+const jsonParser = express.json();
+app.use((req, res, next) => (OWN_BODY_PARSER.includes(req.path) ? next() : jsonParser(req, res, next)));
 
 // Health check endpoint
 app.get('/', (req, res) => {
   res.json({ message: 'DietCoach AI server is running 🚀' });
 });
 
+// Local accounts (public)
+app.use('/auth', authRoutes);
+
+// Subscribable meal calendar (the secret token in the URL authenticates it)
+app.use('/calendar', calendarRoutes);
+
+// Every route below requires an authenticated user
+app.use(requireAuth);
+
 // ==================== NEW API ROUTES ====================
 // AI-powered meal planning
 app.use('/api/ai', aiRoutes);
@@ -27,65 +93,135 @@ app.use('/api/ai', aiRoutes);
 // Recipe search (external API)
 app.use('/api/recipes', recipeRoutes);
 
+// Background jobs (AI plan generation)
+app.use('/api/jobs', jobRoutes);
+
+// Dataset backup and restore (administrators only)
+app.use('/admin', adminRoutes);
+
+// Routes below validate params, query and body with the schemas in
+// validation/schemas.js: invalid input gets 400 { error, details } before
+// reaching the handler. Service errors (NotFoundError, ConflictError...)
+// become responses through sendError.
+
 // ==================== MACRO PROFILE ENDPOINTS ====================
 
-// Get MacroProfile (first one)
+// Get MacroProfile (latest of the current user)
 app.get('/macro-profile', async (req, res) => {
   try {
-    const profile = await prisma.macroProfile.findFirst();
+    const profile = await prisma.macroProfile.findFirst({
+      where: { userId: req.user.id },
+      orderBy: { createdAt: 'desc' }
+    });
     res.json(profile);
   } catch (error) {
-    console.error('Error fetching macro profile:', error);
-    res.status(500).json({ error: 'Failed to fetch macro profile' });
+    sendError(res, error, 'Failed to fetch macro profile');
   }
 });
 
-// Create MacroProfile
-app.post('/macro-profile', async (req, res) => {
+// Create MacroProfile (a new version: earlier versions stay linked to their meal plans;
+// targets left out are inherited from the previous version)
+app.post('/macro-profile', validate({ body: MacroProfileSchema }), async (req, res) => {
   try {
-    const profile = await prisma.macroProfile.create({
-      data: req.body
+    const profile = await createProfileVersion(req.user.id, {
+      ...req.body,
+      changeReason: 'manual'
     });
     res.status(201).json(profile);
   } catch (error) {
-    console.error('Error creating macro profile:', error);
-    res.status(500).json({ error: 'Failed to create macro profile' });
+    sendError(res, error, 'Failed to create macro profile');
+  }
+});
+
+// Calculate a MacroProfile from body data (?preview=true or "preview": true to skip saving)
+app.post('/macro-profile/calculate', validate({ query: CalculateQuerySchema, body: MacroCalculationSchema }), async (req, res) => {
+  try {
+    const input = req.body;
+    const preview = input.preview || req.query.preview === true;
+
+    const calculation = calculateMacroTargets(input);
+
+    if (preview) {
+      return res.json({ preview: true, profile: calculation.profile, calculation });
+    }
+
+    const profile = await createProfileVersion(req.user.id, {
+      ...calculation.profile,
+      ...(input.name && { name: input.name }),
+      goal: input.goal,
+      weeklyRateKg: input.weeklyRateKg ?? null,
+      changeReason: 'calculated'
+    });
+    res.status(201).json({ preview: false, profile, calculation });
+  } catch (error) {
+    sendError(res, error, 'Failed to calculate macro profile');
+  }
+});
+
+// All versions of the MacroProfile, newest first, with how many plans use each
+app.get('/macro-profile/history', async (req, res) => {
+  try {
+    const history = await getProfileHistory(req.user.id);
+    res.json(history);
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch macro profile history');
   }
 });
 
 // ==================== USER PREFERENCES ENDPOINTS ====================
 
-// Get UserPreferences (first one)
+// Get UserPreferences of the current user
 app.get('/preferences', async (req, res) => {
   try {
-    const preferences = await prisma.userPreferences.findFirst();
+    const preferences = await prisma.userPreferences.findUnique({
+      where: { userId: req.user.id }
+    });
     res.json(preferences);
   } catch (error) {
-    console.error('Error fetching preferences:', error);
-    res.status(500).json({ error: 'Failed to fetch preferences' });
+    sendError(res, error, 'Failed to fetch preferences');
   }
 });
 
-// Create or update UserPreferences
-app.post('/preferences', async (req, res) => {
+// Create or update UserPreferences (diets and customRules are validated; mealTimes for calendar exports)
+app.post('/preferences', validate({ body: PreferencesSchema }), async (req, res) => {
   try {
-    const existing = await prisma.userPreferences.findFirst();
+    const data = req.body;
+
+    const existing = await prisma.userPreferences.findUnique({
+      where: { userId: req.user.id }
+    });
 
     if (existing) {
       const updated = await prisma.userPreferences.update({
         where: { id: existing.id },
-        data: req.body
+        data: { ...data, userId: req.user.id }
       });
       res.json(updated);
     } else {
       const created = await prisma.userPreferences.create({
-        data: req.body
+        data: { ...data, userId: req.user.id }
       });
       res.status(201).json(created);
     }
   } catch (error) {
-    console.error('Error saving preferences:', error);
-    res.status(500).json({ error: 'Failed to save preferences' });
+    sendError(res, error, 'Failed to save preferences');
+  }
+});
+
+// Available diets and ingredient categories, plus the rules built from the current preferences
+app.get('/diet-rules', async (req, res) => {
+  try {
+    const preferences = await prisma.userPreferences.findUnique({
+      where: { userId: req.user.id }
+    });
+
+    res.json({
+      diets: Object.entries(DIETS).map(([key, diet]) => ({ key, ...diet })),
+      categories: Object.entries(INGREDIENT_CATEGORIES).map(([key, category]) => ({ key, ...category })),
+      activeRules: buildDietRules(preferences).map(({ entries, ...rule }) => rule)
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch diet rules');
   }
 });
 
@@ -95,142 +231,161 @@ app.post('/preferences', async (req, res) => {
 app.get('/weekly-intent', async (req, res) => {
   try {
     const intent = await prisma.weeklyIntent.findFirst({
+      where: { userId: req.user.id },
       orderBy: { weekStart: 'desc' }
     });
     res.json(intent);
   } catch (error) {
-    console.error('Error fetching weekly intent:', error);
-    res.status(500).json({ error: 'Failed to fetch weekly intent' });
+    sendError(res, error, 'Failed to fetch weekly intent');
   }
 });
 
 // Create WeeklyIntent
-app.post('/weekly-intent', async (req, res) => {
+app.post('/weekly-intent', validate({ body: WeeklyIntentSchema }), async (req, res) => {
   try {
-    const { weekStart, goal, notes } = req.body;
-
-    if (!weekStart || !goal) {
-      return res.status(400).json({ error: 'weekStart and goal are required' });
-    }
+    const { weekStart, goal, notes, micronutrientTargets } = req.body;
 
     const intent = await prisma.weeklyIntent.create({
       data: {
+        userId: req.user.id,
         weekStart: new Date(weekStart),
         goal,
-        notes: notes || null
+        notes: notes || null,
+        micronutrientTargets
       }
     });
     res.status(201).json(intent);
   } catch (error) {
-    console.error('Error creating weekly intent:', error);
-    res.status(500).json({ error: 'Failed to create weekly intent' });
+    sendError(res, error, 'Failed to create weekly intent');
   }
 });
 
 // ==================== RECIPE ENDPOINTS ====================
 
-// Create Recipe
-app.post('/recipes', async (req, res) => {
+// Create Recipe ("ingredients" as an array of lines, or the legacy comma-separated string)
+app.post('/recipes', validate({ body: CreateRecipeSchema }), async (req, res) => {
   try {
-    const recipe = await prisma.recipe.create({
-      data: req.body
-    });
+    const recipe = await createRecipe(req.body);
     res.status(201).json(recipe);
   } catch (error) {
-    console.error('Error creating recipe:', error);
-    res.status(500).json({ error: 'Failed to create recipe' });
+    sendError(res, error, 'Failed to create recipe');
   }
 });
 
-// Get single Recipe by ID
-app.get('/recipes/:id', async (req, res) => {
+// Get single Recipe by ID (soft-deleted recipes too: meals may still use them)
+app.get('/recipes/:id', validate({ params: IdParamsSchema }), async (req, res) => {
   try {
-    const id = parseInt(req.params.id);
     const recipe = await prisma.recipe.findUnique({
-      where: { id }
+      where: { id: req.params.id },
+      include: { recipeIngredients: { orderBy: { position: 'asc' } } }
     });
 
     if (!recipe) {
-      return res.status(404).json({ error: 'Recipe not found' });
+      throw new NotFoundError('Recipe not found');
     }
 
     res.json(recipe);
   } catch (error) {
-    console.error('Error fetching recipe:', error);
-    res.status(500).json({ error: 'Failed to fetch recipe' });
+    sendError(res, error, 'Failed to fetch recipe');
   }
 });
 
-// Get all Recipes
+// Check a Recipe against the diet rules of the current user, explaining each violation
+app.get('/recipes/:id/diet-check', validate({ params: IdParamsSchema }), async (req, res) => {
+  try {
+    const [recipe, preferences] = await Promise.all([
+      prisma.recipe.findUnique({
+        where: { id: req.params.id },
+        include: { recipeIngredients: true }
+      }),
+      prisma.userPreferences.findUnique({
+        where: { userId: req.user.id }
+      })
+    ]);
+
+    if (!recipe) {
+      throw new NotFoundError('Recipe not found');
+    }
+
+    const violations = explainRecipeViolations(recipe, preferences);
+    res.json({ recipeId: recipe.id, title: recipe.title, allowed: violations.length === 0, violations });
+  } catch (error) {
+    sendError(res, error, 'Failed to check recipe');
+  }
+});
+
+// Get all Recipes (deleted ones excluded; search them via GET /api/recipes)
 app.get('/recipes', async (req, res) => {
   try {
     const recipes = await prisma.recipe.findMany({
+      where: { deletedAt: null },
       orderBy: { id: 'asc' }
     });
     res.json(recipes);
   } catch (error) {
-    console.error('Error fetching recipes:', error);
-    res.status(500).json({ error: 'Failed to fetch recipes' });
+    sendError(res, error, 'Failed to fetch recipes');
   }
 });
 
 // ==================== MEAL PLAN ENDPOINTS ====================
 
 // Create MealPlan (empty, just header)
-app.post('/meal-plans', async (req, res) => {
+app.post('/meal-plans', validate({ body: CreateMealPlanSchema }), async (req, res) => {
   try {
-    const { weekStart, weekEnd, goal, weeklyIntentId } = req.body;
+    const { weekStart, weekEnd, goal, weeklyIntentId, locked } = req.body;
+
+    if (weeklyIntentId) {
+      const intent = await prisma.weeklyIntent.findFirst({
+        where: { id: weeklyIntentId, userId: req.user.id }
+      });
 
-    if (!weekStart || !weekEnd || !goal) {
-      return res.status(400).json({ error: 'weekStart, weekEnd, and goal are required' });
+      if (!intent) {
+        throw new NotFoundError('Weekly intent not found');
+      }
     }
 
     const mealPlan = await prisma.mealPlan.create({
       data: {
+        userId: req.user.id,
         weekStart: new Date(weekStart),
         weekEnd: new Date(weekEnd),
         goal,
-        weeklyIntentId: weeklyIntentId || null
+        weeklyIntentId: weeklyIntentId || null,
+        locked
       }
     });
     res.status(201).json(mealPlan);
   } catch (error) {
-    console.error('Error creating meal plan:', error);
-    res.status(500).json({ error: 'Failed to create meal plan' });
+    sendError(res, error, 'Failed to create meal plan');
   }
 });
 
-// Get all MealPlans (with WeeklyIntent)
-app.get('/meal-plans', async (req, res) => {
+// Get MealPlans (with WeeklyIntent), newest first
+// Optional ?from=YYYY-MM-DD&to=YYYY-MM-DD&locked=true|false&limit=20&cursor=<nextCursor>
+app.get('/meal-plans', validate({ query: PlanListQuerySchema }), async (req, res) => {
   try {
-    const plans = await prisma.mealPlan.findMany({
-      take: 10,
-      orderBy: { weekStart: 'desc' },
-      include: {
-        weeklyIntent: true
-      }
-    });
-    res.json(plans);
+    const page = await listMealPlans(req.user.id, req.query);
+    res.json(page);
   } catch (error) {
-    console.error('Error fetching meal plans:', error);
-    res.status(500).json({ error: 'Failed to fetch meal plans' });
+    sendError(res, error, 'Failed to fetch meal plans');
   }
 });
 
 // Get single MealPlan with full details
-app.get('/meal-plans/:id', async (req, res) => {
+app.get('/meal-plans/:id', validate({ params: IdParamsSchema }), async (req, res) => {
   try {
-    const id = parseInt(req.params.id);
-    const plan = await prisma.mealPlan.findUnique({
-      where: { id },
+    const plan = await prisma.mealPlan.findFirst({
+      where: { id: req.params.id, userId: req.user.id },
       include: {
         weeklyIntent: true,
+        macroProfile: true,
         meals: {
           include: {
             recipe: true
           },
           orderBy: [
             { date: 'asc' },
+            { slot: 'asc' },
             { type: 'asc' }
           ]
         }
@@ -238,35 +393,71 @@ app.get('/meal-plans/:id', async (req, res) => {
     });
 
     if (!plan) {
-      return res.status(404).json({ error: 'Meal plan not found' });
+      throw new NotFoundError('Meal plan not found');
     }
 
     res.json(plan);
   } catch (error) {
-    console.error('Error fetching meal plan:', error);
-    res.status(500).json({ error: 'Failed to fetch meal plan' });
+    sendError(res, error, 'Failed to fetch meal plan');
   }
 });
 
-// Add Meal to existing MealPlan
-app.post('/meal-plans/:id/meals', async (req, res) => {
+// Update a MealPlan header (dates, goal, intent) or lock/unlock it
+app.patch('/meal-plans/:id', validate({ params: IdParamsSchema, body: UpdateMealPlanSchema }), async (req, res) => {
   try {
-    const mealPlanId = parseInt(req.params.id);
-    const { date, type, protein, carbs, fat, recipeId, calories } = req.body;
+    const plan = await updateMealPlan(req.params.id, req.user.id, req.body);
+    res.json(plan);
+  } catch (error) {
+    sendError(res, error, 'Failed to update meal plan');
+  }
+});
 
-    if (!date || !type || protein === undefined || carbs === undefined || fat === undefined) {
-      return res.status(400).json({
-        error: 'date, type, protein, carbs, and fat are required'
-      });
-    }
+// Delete a MealPlan and its meals (food log entries are kept)
+app.delete('/meal-plans/:id', validate({ params: IdParamsSchema }), async (req, res) => {
+  try {
+    await deleteMealPlan(req.params.id, req.user.id);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'Failed to delete meal plan');
+  }
+});
+
+// Add Meal to existing MealPlan
+app.post('/meal-plans/:id/meals', validate({ params: IdParamsSchema, body: CreateMealSchema }), async (req, res) => {
+  try {
+    const mealPlanId = req.params.id;
+    const { date, type, protein, carbs, fat, recipeId, calories, portion } = req.body;
 
-    // Verify meal plan exists
-    const mealPlan = await prisma.mealPlan.findUnique({
-      where: { id: mealPlanId }
+    // Verify meal plan exists and belongs to the current user
+    const mealPlan = await prisma.mealPlan.findFirst({
+      where: { id: mealPlanId, userId: req.user.id }
     });
 
     if (!mealPlan) {
-      return res.status(404).json({ error: 'Meal plan not found' });
+      throw new NotFoundError('Meal plan not found');
+    }
+
+    if (mealPlan.locked) {
+      throw new ConflictError('Meal plan is locked');
+    }
+
+    // With a recipe, use the given portion or the one that best fits the targets
+    let portionData = {};
+    if (recipeId) {
+      const recipe = await prisma.recipe.findFirst({ where: { id: recipeId, deletedAt: null } });
+      if (!recipe) {
+        throw new NotFoundError('Recipe not found');
+      }
+
+      const mealPortion = portion ?? bestPortion({ protein, carbs, fat }, recipe).portion;
+      const actual = portionMacros(recipe, mealPortion);
+      portionData = {
+        portion: mealPortion,
+        actualProtein: actual.protein,
+        actualCarbs: actual.carbs,
+        actualFat: actual.fat,
+        actualCalories: actual.calories
+      };
     }
 
     const meal = await prisma.meal.create({
@@ -278,7 +469,8 @@ app.post('/meal-plans/:id/meals', async (req, res) => {
         carbs,
         fat,
         calories: calories || null,
-        recipeId: recipeId || null
+        recipeId: recipeId || null,
+        ...portionData
       },
       include: {
         recipe: true
@@ -287,27 +479,209 @@ app.post('/meal-plans/:id/meals', async (req, res) => {
 
     res.status(201).json(meal);
   } catch (error) {
-    console.error('Error adding meal:', error);
-    res.status(500).json({ error: 'Failed to add meal' });
+    sendError(res, error, 'Failed to add meal');
   }
 });
 
-// ==================== GENERATE WEEK ENDPOINT ====================
+// Update a meal: targets, recipe, portion, or move it to another day/slot
+// (a meal already in the target slot takes the moved meal's old place)
+app.patch('/meal-plans/:id/meals/:mealId', validate({ params: MealParamsSchema, body: UpdateMealSchema }), async (req, res) => {
+  try {
+    const meal = await updateMeal(req.params.id, req.params.mealId, req.user.id, req.body);
+    res.json(meal);
+  } catch (error) {
+    sendError(res, error, 'Failed to update meal');
+  }
+});
 
-// Generate complete weekly meal plan
-app.post('/generate-week', async (req, res) => {
+// Remove a meal from a MealPlan
+app.delete('/meal-plans/:id/meals/:mealId', validate({ params: MealParamsSchema }), async (req, res) => {
+  try {
+    await deleteMeal(req.params.id, req.params.mealId, req.user.id);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'Failed to delete meal');
+  }
+});
+
+// Get aggregated shopping list for a MealPlan
+app.get('/meal-plans/:id/shopping-list', validate({ params: IdParamsSchema }), async (req, res) => {
   try {
-    const { weekStart } = req.body;
+    const shoppingList = await buildShoppingList(req.params.id, req.user.id);
+    res.json(shoppingList);
+  } catch (error) {
+    sendError(res, error, 'Failed to build shopping list');
+  }
+});
 
-    if (!weekStart) {
-      return res.status(400).json({ error: 'weekStart is required (YYYY-MM-DD format)' });
+// Export a MealPlan as an iCalendar file: one event per meal at the preferred meal
+// times (override with ?breakfast=07:30&lunch=12:30&snack=16:00&dinner=19:30&duration=45)
+app.get('/meal-plans/:id/export.ics', validate({ params: IdParamsSchema, query: ExportQuerySchema }), async (req, res) => {
+  try {
+    const { plan, mealTimes } = await loadPlanForExport(req.params.id, req.user.id);
+    const ics = buildIcs([plan], { mealTimes: resolveMealTimes(mealTimes, req.query) });
+
+    res.type('text/calendar; charset=utf-8');
+    res.attachment(`meal-plan-${plan.id}.ics`);
+    res.send(ics);
+  } catch (error) {
+    sendError(res, error, 'Failed to export meal plan');
+  }
+});
+
+// Printable week grid with daily macro totals (print or save as PDF from the browser)
+app.get('/meal-plans/:id/export.html', validate({ params: IdParamsSchema }), async (req, res) => {
+  try {
+    const { plan } = await loadPlanForExport(req.params.id, req.user.id);
+    res.type('html').send(buildHtml(plan));
+  } catch (error) {
+    sendError(res, error, 'Failed to export meal plan');
+  }
+});
+
+// All meals of a MealPlan as CSV, one row per meal
+app.get('/meal-plans/:id/export.csv', validate({ params: IdParamsSchema }), async (req, res) => {
+  try {
+    const { plan } = await loadPlanForExport(req.params.id, req.user.id);
+
+    res.type('text/csv; charset=utf-8');
+    res.attachment(`meal-plan-${plan.id}.csv`);
+    res.send(buildCsv(plan));
+  } catch (error) {
+    sendError(res, error, 'Failed to export meal plan');
+  }
+});
+
+// Swap a single meal: list local candidates, apply one, or ask the AI for a replacement
+app.post('/meal-plans/:id/meals/:mealId/swap', validate({ params: MealParamsSchema, body: SwapMealSchema }), async (req, res) => {
+  try {
+    const { id: mealPlanId, mealId } = req.params;
+    const { mode, recipeId, limit } = req.body;
+
+    if (mode === 'ai') {
+      const meal = await swapMealWithAI(mealPlanId, mealId, req.user.id);
+      return res.json(meal);
+    }
+
+    if (recipeId !== undefined) {
+      const meal = await swapMealRecipe(mealPlanId, mealId, req.user.id, recipeId);
+      return res.json(meal);
     }
 
-    const mealPlan = await generateWeekPlan(weekStart);
+    const candidates = await getSwapCandidates(mealPlanId, mealId, req.user.id, { limit });
+    res.json(candidates);
+  } catch (error) {
+    sendError(res, error, 'Failed to swap meal');
+  }
+});
+
+// Compare logged food against the plan's macro targets
+app.get('/meal-plans/:id/adherence', validate({ params: IdParamsSchema }), async (req, res) => {
+  try {
+    const report = await getAdherenceReport(req.params.id, req.user.id);
+    res.json(report);
+  } catch (error) {
+    sendError(res, error, 'Failed to build adherence report');
+  }
+});
+
+// Daily micronutrient totals against reference intakes and the weekly intent's minimums
+app.get('/meal-plans/:id/micronutrients', validate({ params: IdParamsSchema }), async (req, res) => {
+  try {
+    const report = await getMicronutrientReport(req.params.id, req.user.id);
+    res.json(report);
+  } catch (error) {
+    sendError(res, error, 'Failed to build micronutrient report');
+  }
+});
+
+// ==================== FOOD LOG ENDPOINTS ====================
+
+// Log a planned meal as eaten/skipped/substituted, or an ad-hoc food
+app.post('/food-log', validate({ body: FoodLogSchema }), async (req, res) => {
+  try {
+    const entry = await logFood(req.user.id, req.body);
+    res.status(201).json(entry);
+  } catch (error) {
+    sendError(res, error, 'Failed to log food');
+  }
+});
+
+// List food log entries (optional ?from=YYYY-MM-DD&to=YYYY-MM-DD)
+app.get('/food-log', validate({ query: DateRangeQuerySchema }), async (req, res) => {
+  try {
+    const entries = await listFoodLog(req.user.id, req.query);
+    res.json(entries);
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch food log');
+  }
+});
+
+// Delete a food log entry
+app.delete('/food-log/:id', validate({ params: IdParamsSchema }), async (req, res) => {
+  try {
+    await deleteFoodLogEntry(req.user.id, req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'Failed to delete food log entry');
+  }
+});
+
+// ==================== WEIGHT & CHECK-IN ENDPOINTS ====================
+
+// Log today's weight (or the given date's); one entry per day
+app.post('/weight', validate({ body: WeightSchema }), async (req, res) => {
+  try {
+    const entry = await logWeight(req.user.id, req.body);
+    res.status(201).json(entry);
+  } catch (error) {
+    sendError(res, error, 'Failed to log weight');
+  }
+});
+
+// List weight entries with their 7-day moving average (optional ?from=&to=)
+app.get('/weight', validate({ query: DateRangeQuerySchema }), async (req, res) => {
+  try {
+    const entries = await listWeights(req.user.id, req.query);
+    res.json(entries);
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch weight entries');
+  }
+});
+
+// Delete a weight entry
+app.delete('/weight/:id', validate({ params: IdParamsSchema }), async (req, res) => {
+  try {
+    await deleteWeight(req.user.id, req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'Failed to delete weight entry');
+  }
+});
+
+// Weekly check-in: compare the weight trend with the goal rate and propose
+// new calories; with "apply": true the proposal becomes a new MacroProfile version
+app.post('/check-in', validate({ body: CheckInSchema }), async (req, res) => {
+  try {
+    const result = await runCheckIn(req.user.id, req.body);
+    res.status(result.applied ? 201 : 200).json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to run check-in');
+  }
+});
+
+// ==================== GENERATE WEEK ENDPOINT ====================
+
+// Generate complete weekly meal plan
+// Optional "variety" limits and "portions" serving bounds, see GenerateWeekSchema
+app.post('/generate-week', validate({ body: GenerateWeekSchema }), async (req, res) => {
+  try {
+    const { weekStart, variety, portions } = req.body;
+
+    const mealPlan = await generateWeekPlan(weekStart, req.user.id, { variety, portions });
     res.status(201).json(mealPlan);
   } catch (error) {
-    console.error('Error generating week plan:', error);
-    res.status(500).json({ error: error.message || 'Failed to generate week plan' });
+    sendError(res, error, 'Failed to generate week plan');
   }
 });
 
@@ -315,14 +689,11 @@ app.post('/generate-week', async (req, res) => {
 
 // 404 handler
 app.use((req, res) => {
-  res.status(404).json({ error: 'Endpoint not found' });
+  sendError(res, new NotFoundError('Endpoint not found'));
 });
 
-// Global error handler
-app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err);
-  res.status(500).json({ error: 'Internal server error' });
-});
+// Global error handler (malformed JSON bodies, errors passed to next())
+app.use(errorHandler);
 
 // ==================== SERVER STARTUP ====================
 
@@ -335,16 +706,30 @@ async function startServer() {
       throw new Error('DATABASE_URL environment variable is required');
     }
 
+    if (!process.env.AUTH_SECRET) {
+      throw new Error('AUTH_SECRET environment variable is required');
+    }
+
     // Test database connection
-    await prisma.\();
+    await prisma.$connect();
     console.log('✅ Database connected successfully');
 
+    // Full-text index of the recipe catalog (an expression index, not in the Prisma schema)
+    await ensureSearchIndex().catch((error) => console.error('Failed to create the recipe search index:', error));
+
+    // Background jobs: queued jobs (and those interrupted by a restart) resume here
+    registerJobHandler(MEAL_PLAN_JOB, runMealPlanJob);
+    const worker = startJobWorker();
+    console.log(worker
+      ? `⚙️  Job worker started (concurrency ${worker.concurrency})`
+      : '⚙️  Job worker disabled (JOB_CONCURRENCY=0)');
+
     // Start Express server
     server = app.listen(PORT, () => {
-      console.log(\🚀 DietCoach API listening on port \\);
-      console.log(\📍 Health check: http://localhost:\/\);
-      console.log(\🤖 AI meal plans: http://localhost:\/api/ai/mealplan/generate\);
-      console.log(\🔍 Recipe search: http://localhost:\/api/recipes/search\);
+      console.log(`🚀 DietCoach API listening on port ${PORT}`);
+      console.log(`📍 Health check: http://localhost:${PORT}/`);
+      console.log(`🤖 AI meal plans: http://localhost:${PORT}/api/ai/mealplan/generate`);
+      console.log(`🔍 Recipe search: http://localhost:${PORT}/api/recipes/search`);
     });
   } catch (error) {
     console.error('❌ Failed to start server:', error);
@@ -355,17 +740,20 @@ async function startServer() {
 // ==================== GRACEFUL SHUTDOWN ====================
 
 async function gracefulShutdown(signal) {
-  console.log(\\n\ received, closing server gracefully...\);
+  console.log(`\n${signal} received, closing server gracefully...`);
+
+  // Running jobs go back to the queue and resume after the restart
+  await stopJobWorker().catch((error) => console.error('Failed to release running jobs:', error));
 
   if (server) {
     server.close(async () => {
       console.log('Server closed');
-      await prisma.\();
+      await prisma.$disconnect();
       console.log('Database disconnected');
       process.exit(0);
     });
   } else {
-    await prisma.\();
+    await prisma.$disconnect();
     process.exit(0);
   }
 }
@@ -374,5 +762,5 @@ process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
 process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 
 // Start the server
-startServer();
-
+startServer();
+
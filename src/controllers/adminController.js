@@ -0,0 +1,52 @@
+// src/controllers/adminController.js
+import { z } from 'zod';
+import backupService, { IMPORT_MODES } from '../services/backupService.js';
+import { parseRequestPart } from '../middleware/validate.js';
+import { sendError } from '../middleware/errorHandler.js';
+import { BooleanQuery } from '../validation/schemas.js';
+
+const ImportQuerySchema = z.object({
+  mode: z.enum(IMPORT_MODES).optional().default('merge'),
+  dryRun: BooleanQuery.optional().default('false'),
+});
+
+/**
+ * GET /admin/export
+ * Download profiles, preferences, weekly intents, recipes and meal plans of
+ * every user as a schema-versioned JSON bundle
+ */
+export async function exportBackup(req, res) {
+  try {
+    const bundle = await backupService.exportBackup();
+    const date = bundle.exportedAt.toISOString().slice(0, 10);
+
+    res.attachment(`dietcoach-backup-${date}.json`);
+    res.json(bundle);
+  } catch (error) {
+    sendError(res, error, 'Failed to export backup');
+  }
+}
+
+/**
+ * POST /admin/import
+ * Import a bundle from /admin/export. `mode=merge` adds it to the current
+ * data, reusing matching recipes and skipping records imported before;
+ * `mode=replace` deletes the current data first. With `dryRun=true` nothing
+ * is written and the response lists what would happen and the conflicts.
+ */
+export async function importBackup(req, res) {
+  try {
+    const { mode, dryRun } = parseRequestPart('query', ImportQuerySchema, req.query);
+
+    const report = await backupService.importBackup(req.body, { mode, dryRun, userId: req.user.id });
+
+    res.status(dryRun ? 200 : 201).json(report);
+  } catch (error) {
+    sendError(res, error, 'Failed to import backup');
+  }
+}
+
+export default {
+  exportBackup,
+  importBackup,
+};
@@ -1,58 +1,110 @@
 // src/controllers/aiPlanController.js
 import { z } from 'zod';
-import aiPlanService from '../services/aiPlanService.js';
+import aiPlanService, { REPAIR_STRATEGIES } from '../services/aiPlanService.js';
+import { sendError } from '../middleware/errorHandler.js';
+import { parseRequestPart } from '../middleware/validate.js';
+import { toAppError } from '../utils/errors.js';
 
 const GenerateMealPlanSchema = z.object({
   weekStart: z.string().optional(),
   mealsPerDay: z.number().min(3).max(6).optional().default(4),
+  repairStrategy: z.enum(REPAIR_STRATEGIES).optional().default('reprompt'),
+  tolerance: z.number().min(0.05).max(0.5).optional().default(0.15),
 });
 
 /**
  * POST /api/ai/mealplan/generate
- * Generate a complete AI-powered meal plan
+ * Queue an AI-powered meal plan generation and return 202 with the job ID.
+ * Poll GET /api/jobs/:id for progress; on success its `result.mealPlanId`
+ * points to the plan (with `macroReport`) at GET /api/ai/mealplan/:id.
  */
 export async function generateMealPlan(req, res) {
   try {
     // Validate request body
-    const validatedData = GenerateMealPlanSchema.parse(req.body);
+    const validatedData = parseRequestPart('body', GenerateMealPlanSchema, req.body);
 
-    // Generate meal plan
-    const mealPlan = await aiPlanService.generateMealPlan(validatedData);
+    // Queue the generation for the background worker
+    const job = await aiPlanService.enqueueMealPlanGeneration({
+      ...validatedData,
+      userId: req.user.id,
+    });
 
-    res.status(201).json(mealPlan);
+    res
+      .status(202)
+      .location(`/api/jobs/${job.id}`)
+      .json({
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/api/jobs/${job.id}`,
+      });
   } catch (error) {
-    console.error('Error generating AI meal plan:', error);
+    sendError(res, error, 'Failed to queue meal plan generation');
+  }
+}
 
-    if (error.name === 'ZodError') {
-      return res.status(400).json({ 
-        error: 'Invalid request data', 
-        details: error.errors 
-      });
-    }
+// Comment line sent periodically so proxies do not close an idle stream
+const SSE_KEEP_ALIVE_MS = 15000;
 
-    if (error.message?.includes('Excluded ingredient')) {
-      return res.status(400).json({ 
-        error: error.message,
-        suggestion: 'Try regenerating the meal plan or adjust your exclusions'
+/**
+ * POST /api/ai/mealplan/generate/stream
+ * Generate a meal plan over Server-Sent Events: `day` for each validated day
+ * as the model produces it, `warning` for dropped meals, diet rule violations
+ * and repaired days, `done` with the stored plan, `error` if generation fails.
+ * Errors before the first event are returned as regular JSON responses.
+ * A POST (same body as /generate) so clients read it with fetch() and send
+ * the Authorization header, which EventSource cannot do.
+ */
+export async function streamMealPlan(req, res) {
+  const abort = new AbortController();
+  let keepAlive = null;
+
+  // The client went away before the end: stop the model and skip saving
+  res.on('close', () => {
+    if (!res.writableEnded) abort.abort();
+  });
+
+  const send = (event, data) => {
+    if (res.destroyed || res.writableEnded) return;
+
+    if (!res.headersSent) {
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no',
       });
+      res.flushHeaders();
+      keepAlive = setInterval(() => {
+        if (!res.destroyed) res.write(': keep-alive\n\n');
+      }, SSE_KEEP_ALIVE_MS);
     }
 
-    if (error.message?.includes('MacroProfile')) {
-      return res.status(404).json({ error: error.message });
-    }
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
 
-    if (error.status === 429) {
-      return res.status(503).json({ 
-        error: 'AI service temporarily unavailable due to rate limits',
-        retryAfter: 60
-      });
-    }
+  try {
+    const validatedData = parseRequestPart('body', GenerateMealPlanSchema, req.body);
 
-    res.status(500).json({ 
-      error: 'Failed to generate meal plan',
-      message: error.message 
+    await aiPlanService.streamMealPlan({
+      ...validatedData,
+      userId: req.user.id,
+      onEvent: send,
+      signal: abort.signal,
     });
+  } catch (error) {
+    if (abort.signal.aborted) {
+      console.warn('AI meal plan stream closed by the client');
+    } else if (!res.headersSent) {
+      return sendError(res, error, 'Failed to generate meal plan');
+    } else {
+      console.error('Error streaming AI meal plan:', error);
+      send('error', toAppError(error)?.toResponse() ?? { error: 'Failed to generate meal plan' });
+    }
+  } finally {
+    clearInterval(keepAlive);
   }
+
+  res.end();
 }
 
 /**
@@ -67,24 +119,16 @@ export async function getMealPlan(req, res) {
       return res.status(400).json({ error: 'Invalid meal plan ID' });
     }
 
-    const mealPlan = await aiPlanService.getMealPlan(id);
+    const mealPlan = await aiPlanService.getMealPlan(id, req.user.id);
 
     res.json(mealPlan);
   } catch (error) {
-    console.error('Error fetching meal plan:', error);
-
-    if (error.message === 'Meal plan not found') {
-      return res.status(404).json({ error: error.message });
-    }
-
-    res.status(500).json({ 
-      error: 'Failed to fetch meal plan',
-      message: error.message 
-    });
+    sendError(res, error, 'Failed to fetch meal plan');
   }
 }
 
 export default {
   generateMealPlan,
+  streamMealPlan,
   getMealPlan,
-};
+};
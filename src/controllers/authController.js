@@ -0,0 +1,62 @@
+// src/controllers/authController.js
+import { z } from 'zod';
+import authService from '../services/authService.js';
+import { sendError } from '../middleware/errorHandler.js';
+import { ForbiddenError } from '../utils/errors.js';
+
+const CredentialsSchema = z.object({
+  username: z
+    .string()
+    .min(3)
+    .max(50)
+    .regex(/^[a-zA-Z0-9_.-]+$/, 'Username may only contain letters, numbers, "_", "." and "-"'),
+  password: z.string().min(8).max(200),
+});
+
+/**
+ * POST /auth/register
+ * Create a local account and return a signed token
+ */
+export async function register(req, res) {
+  try {
+    if (process.env.ALLOW_REGISTRATION === 'false') {
+      throw new ForbiddenError('Registration is disabled');
+    }
+
+    const credentials = CredentialsSchema.parse(req.body);
+    const result = await authService.registerUser(credentials);
+
+    res.status(201).json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to register user');
+  }
+}
+
+/**
+ * POST /auth/login
+ * Exchange username/password for a signed token
+ */
+export async function login(req, res) {
+  try {
+    const credentials = CredentialsSchema.parse(req.body);
+    const result = await authService.loginUser(credentials);
+
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to log in');
+  }
+}
+
+/**
+ * GET /auth/me
+ * Return the authenticated user
+ */
+export async function me(req, res) {
+  res.json(req.user);
+}
+
+export default {
+  register,
+  login,
+  me,
+};
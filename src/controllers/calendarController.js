@@ -0,0 +1,57 @@
+// src/controllers/calendarController.js
+import exportService from '../services/exportService.js';
+import { sendError } from '../middleware/errorHandler.js';
+
+/**
+ * POST /calendar/token
+ * Create the secret calendar URL of the current user, replacing (and
+ * disabling) the previous one. The token is only returned here.
+ */
+export async function createToken(req, res) {
+  try {
+    const token = await exportService.createCalendarToken(req.user.id);
+
+    res.status(201).json({
+      token,
+      url: `${req.protocol}://${req.get('host')}/calendar/${token}.ics`,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to create calendar token');
+  }
+}
+
+/**
+ * DELETE /calendar/token
+ * Disable the calendar URL of the current user
+ */
+export async function revokeToken(req, res) {
+  try {
+    await exportService.revokeCalendarToken(req.user.id);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'Failed to revoke calendar token');
+  }
+}
+
+/**
+ * GET /calendar/:token.ics
+ * iCalendar feed with the meals of the current and next week, for calendar
+ * apps to subscribe to. Public: the token in the URL identifies the user.
+ */
+export async function getFeed(req, res) {
+  try {
+    const ics = await exportService.buildCalendarFeed(req.params.token);
+
+    res.type('text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'no-cache');
+    res.send(ics);
+  } catch (error) {
+    sendError(res, error, 'Failed to build calendar');
+  }
+}
+
+export default {
+  createToken,
+  revokeToken,
+  getFeed,
+};
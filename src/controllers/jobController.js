@@ -0,0 +1,29 @@
+// src/controllers/jobController.js
+import jobService from '../services/jobService.js';
+import { sendError } from '../middleware/errorHandler.js';
+
+/**
+ * GET /api/jobs/:id
+ * Status of a background job of the current user: `status`, `progress`
+ * (0-100) with `progressMessage`, `attempts`, the `errors` of every failed
+ * attempt and, once succeeded, its `result`.
+ */
+export async function getJob(req, res) {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(parseInt(id))) {
+      return res.status(400).json({ error: 'Invalid job ID' });
+    }
+
+    const job = await jobService.getJob(id, req.user.id);
+
+    res.json(job);
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch job');
+  }
+}
+
+export default {
+  getJob,
+};
@@ -1,12 +1,104 @@
 // src/controllers/recipeController.js
 import { z } from 'zod';
 import recipeService from '../services/recipeService.js';
+import nutritionService from '../services/nutritionService.js';
+import recipeCatalogService, { RANGE_FILTERS, SEARCH_SORTS, UpdateRecipeSchema } from '../services/recipeCatalogService.js';
+import recipeUrlImportService from '../services/recipeUrlImportService.js';
+import { sendError } from '../middleware/errorHandler.js';
+import { parseRequestPart } from '../middleware/validate.js';
+
+const MEAL_TYPES = ['breakfast', 'lunch', 'snack', 'dinner'];
 
 const SearchQuerySchema = z.object({
   q: z.string().min(1, 'Query parameter is required'),
   limit: z.string().optional().transform((val) => val ? parseInt(val) : 20),
 });
 
+const ImportRecipesSchema = z
+  .object({
+    externalIds: z.array(z.string().min(1)).max(100).optional(),
+    query: z.string().min(1).optional(),
+    queries: z.array(z.string().min(1)).max(20).optional(),
+    limit: z.number().int().min(1).max(100).optional().default(20),
+  })
+  .refine((data) => data.externalIds?.length || data.query || data.queries?.length, {
+    message: 'Provide externalIds, or query/queries to seed from a search',
+  });
+
+const HttpUrl = z
+  .string()
+  .url()
+  .refine((val) => /^https?:\/\//i.test(val), { message: 'Only http and https URLs are supported' });
+
+const ImportUrlSchema = z
+  .object({
+    url: HttpUrl.optional(),
+    html: z.string().min(1).optional(),
+    dryRun: z.boolean().optional().default(false),
+    force: z.boolean().optional().default(false),
+  })
+  .strict()
+  .refine((data) => data.url || data.html, {
+    message: 'Provide url, or html with the page source',
+  });
+
+const RecomputeNutritionSchema = z.object({
+  dryRun: z.boolean().optional().default(false),
+  force: z.boolean().optional().default(false),
+});
+
+// Comma-separated query values: "high_protein,quick" -> ['high_protein', 'quick']
+const CommaListSchema = z.string().transform((val) =>
+  val.split(',').map((item) => item.trim().toLowerCase()).filter(Boolean)
+);
+
+const NonNegativeQueryNumber = z.coerce.number().min(0).optional();
+
+const rangeFields = Object.fromEntries(
+  Object.keys(RANGE_FILTERS).flatMap((name) => [
+    [`min${name}`, NonNegativeQueryNumber],
+    [`max${name}`, NonNegativeQueryNumber],
+  ])
+);
+
+const LocalSearchQuerySchema = z
+  .object({
+    q: z.string().trim().max(200).optional(),
+    mealType: z.enum(MEAL_TYPES).optional(),
+    tags: CommaListSchema.optional(),
+    source: CommaListSchema.optional(),
+    ...rangeFields,
+    sort: z.enum(SEARCH_SORTS).optional(),
+    targetProtein: NonNegativeQueryNumber,
+    targetCarbs: NonNegativeQueryNumber,
+    targetFat: NonNegativeQueryNumber,
+    limit: z.coerce.number().int().min(1).max(100).optional().default(20),
+    offset: z.coerce.number().int().min(0).optional().default(0),
+  })
+  .superRefine((query, ctx) => {
+    const targets = ['targetProtein', 'targetCarbs', 'targetFat'];
+    const given = targets.filter((key) => query[key] !== undefined);
+
+    if (given.length && given.length < targets.length) {
+      ctx.addIssue({ code: 'custom', path: ['targetProtein'], message: 'Provide targetProtein, targetCarbs and targetFat together' });
+    }
+    if (query.sort === 'macro_closeness' && !given.length) {
+      ctx.addIssue({ code: 'custom', path: ['sort'], message: 'macro_closeness needs targetProtein, targetCarbs and targetFat' });
+    }
+    if (query.sort === 'relevance' && !query.q) {
+      ctx.addIssue({ code: 'custom', path: ['sort'], message: 'relevance needs a search query (q)' });
+    }
+    for (const name of Object.keys(RANGE_FILTERS)) {
+      if (query[`min${name}`] > query[`max${name}`]) {
+        ctx.addIssue({ code: 'custom', path: [`min${name}`], message: `min${name} must not exceed max${name}` });
+      }
+    }
+  });
+
+const DeleteRecipeQuerySchema = z.object({
+  strict: z.enum(['true', 'false']).optional().transform((val) => val === 'true'),
+});
+
 /**
  * GET /api/recipes/search?q=<query>&limit=<number>
  * Search for recipes from external Edamam API
@@ -14,7 +106,7 @@ const SearchQuerySchema = z.object({
 export async function searchExternal(req, res) {
   try {
     // Validate query parameters
-    const { q, limit } = SearchQuerySchema.parse(req.query);
+    const { q, limit } = parseRequestPart('query', SearchQuerySchema, req.query);
 
     // Search external recipes
     const recipes = await recipeService.searchExternalRecipes(q, { limit });
@@ -26,22 +118,139 @@ export async function searchExternal(req, res) {
 
     res.json(recipes);
   } catch (error) {
-    console.error('Error searching external recipes:', error);
+    sendError(res, error, 'Failed to search recipes');
+  }
+}
+
+/**
+ * GET /api/recipes?q=<text>&mealType=&tags=&source=&minProtein=&maxCalories=&sort=&limit=&offset=
+ * Search the local catalog: full-text on title and ingredients, filters
+ * on meal type, tags, source and per-serving macro ranges
+ */
+export async function searchLocal(req, res) {
+  try {
+    const query = parseRequestPart('query', LocalSearchQuerySchema, req.query);
+    const page = await recipeCatalogService.searchRecipes(query);
+
+    res.json(page);
+  } catch (error) {
+    sendError(res, error, 'Failed to search recipes');
+  }
+}
+
+/**
+ * POST /api/recipes/import
+ * Import Edamam results into the local catalog by externalId,
+ * or seed the catalog from one or more search queries
+ */
+export async function importRecipes(req, res) {
+  try {
+    const { externalIds, query, queries, limit } = parseRequestPart('body', ImportRecipesSchema, req.body);
+
+    const seedQueries = [...(query ? [query] : []), ...(queries || [])];
+
+    const result = seedQueries.length
+      ? await recipeService.seedRecipesFromQueries(seedQueries, { limit })
+      : await recipeService.importExternalRecipes(externalIds);
+
+    if (externalIds?.length && seedQueries.length) {
+      const byId = await recipeService.importExternalRecipes(externalIds);
+      result.imported.push(...byId.imported);
+      result.existing.push(...byId.existing);
+      result.failed.push(...byId.failed);
+    }
+
+    res.status(result.imported.length ? 201 : 200).json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to import recipes');
+  }
+}
+
+/**
+ * POST /api/recipes/import-url
+ * Import the schema.org Recipe (JSON-LD) of a web page, fetched from `url`
+ * (public hosts only) or sent as `html`, where `url` only resolves relative
+ * links; macros missing from the page are estimated
+ */
+export async function importFromUrl(req, res) {
+  try {
+    const options = parseRequestPart('body', ImportUrlSchema, req.body);
+    const result = await recipeUrlImportService.importRecipeFromUrl(options);
+
+    res.status(result.created ? 201 : 200).json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to import recipe from URL');
+  }
+}
+
+/**
+ * POST /api/recipes/:id/recompute-nutrition
+ * Recompute per-serving macros and micronutrients from the ingredient lines
+ * and the local food composition tables
+ */
+export async function recomputeNutrition(req, res) {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid recipe ID' });
+    }
+
+    const options = parseRequestPart('body', RecomputeNutritionSchema, req.body);
+    const result = await nutritionService.recomputeRecipeNutrition(id, options);
+
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to recompute recipe nutrition');
+  }
+}
+
+/**
+ * PATCH /api/recipes/:id
+ * Edit a recipe; meals in unlocked plans follow its new macros
+ */
+export async function updateRecipe(req, res) {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid recipe ID' });
+    }
+
+    const changes = parseRequestPart('body', UpdateRecipeSchema, req.body);
+    const recipe = await recipeCatalogService.updateRecipe(id, changes);
+
+    res.json(recipe);
+  } catch (error) {
+    sendError(res, error, 'Failed to update recipe');
+  }
+}
 
-    if (error.name === 'ZodError') {
-      return res.status(400).json({ 
-        error: 'Invalid query parameters', 
-        details: error.errors 
-      });
+/**
+ * DELETE /api/recipes/:id?strict=true|false
+ * Delete a recipe; recipes used by meals are soft-deleted,
+ * or refused with 409 when strict=true
+ */
+export async function deleteRecipe(req, res) {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid recipe ID' });
     }
 
-    res.status(500).json({ 
-      error: 'Failed to search recipes',
-      message: error.message 
-    });
+    const { strict } = parseRequestPart('query', DeleteRecipeQuerySchema, req.query);
+    const result = await recipeCatalogService.deleteRecipe(id, { strict });
+
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to delete recipe');
   }
 }
 
 export default {
   searchExternal,
-};
+  searchLocal,
+  importRecipes,
+  importFromUrl,
+  recomputeNutrition,
+  updateRecipe,
+  deleteRecipe,
+};
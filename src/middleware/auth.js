@@ -0,0 +1,42 @@
+// src/middleware/auth.js
+import authService from '../services/authService.js';
+import { ForbiddenError, UnauthorizedError } from '../utils/errors.js';
+import { sendError } from './errorHandler.js';
+
+/**
+ * Richiede un header "Authorization: Bearer <token>" valido e
+ * popola req.user con l'utente autenticato.
+ */
+export async function requireAuth(req, res, next) {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return sendError(res, new UnauthorizedError());
+  }
+
+  try {
+    req.user = await authService.getUserFromToken(token);
+    next();
+  } catch (error) {
+    if (error instanceof UnauthorizedError) {
+      return sendError(res, error);
+    }
+    next(error);
+  }
+}
+
+/**
+ * Dopo requireAuth: lascia passare solo gli amministratori (vedi authService.isAdmin).
+ */
+export async function requireAdmin(req, res, next) {
+  try {
+    if (!(await authService.isAdmin(req.user))) {
+      return sendError(res, new ForbiddenError('Admin access required'));
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+export default requireAuth;
@@ -0,0 +1,35 @@
+// src/middleware/errorHandler.js
+import { toAppError } from '../utils/errors.js';
+
+/**
+ * Risponde con l'errore applicativo (status e campi dell'AppError) oppure,
+ * per gli errori imprevisti, con 500 e `fallbackMessage`; questi ultimi e
+ * gli errori dei servizi esterni vengono registrati nel log.
+ */
+export function sendError(res, error, fallbackMessage = 'Internal server error') {
+  const appError = toAppError(error);
+
+  if (!appError || appError.statusCode >= 500) {
+    console.error(`${fallbackMessage}:`, error);
+  }
+
+  if (!appError) {
+    return res.status(500).json({ error: fallbackMessage });
+  }
+
+  return res.status(appError.statusCode).json(appError.toResponse());
+}
+
+/**
+ * Ultimo middleware di Express: errori passati con next(error), compreso il
+ * body JSON malformato di express.json().
+ */
+export function errorHandler(error, req, res, next) {
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  sendError(res, error);
+}
+
+export default errorHandler;
@@ -0,0 +1,48 @@
+// src/middleware/validate.js
+import { ValidationError } from '../utils/errors.js';
+import { sendError } from './errorHandler.js';
+
+// Messaggio della risposta 400 per ogni parte della richiesta
+const MESSAGES = {
+  params: 'Invalid path parameters',
+  query: 'Invalid query parameters',
+  body: 'Invalid request data',
+};
+
+/**
+ * Valida una parte della richiesta ('params', 'query' o 'body') e ne
+ * restituisce i valori con default e conversioni applicati; se non è
+ * valida lancia una ValidationError con gli issue zod in `details`.
+ */
+export function parseRequestPart(part, schema, value) {
+  const result = schema.safeParse(value ?? {});
+  if (!result.success) {
+    throw ValidationError.fromZod(result.error, MESSAGES[part]);
+  }
+  return result.data;
+}
+
+/**
+ * Middleware di validazione con schemi zod:
+ * validate({ params: IdParamsSchema, body: CreateSchema }).
+ *
+ * I valori validati sostituiscono req.params, req.query e req.body; al
+ * primo errore risponde 400 con { error, details } senza chiamare la route.
+ */
+export function validate(schemas) {
+  return (req, res, next) => {
+    try {
+      for (const part of Object.keys(MESSAGES)) {
+        if (schemas[part]) {
+          req[part] = parseRequestPart(part, schemas[part], req[part]);
+        }
+      }
+    } catch (error) {
+      return sendError(res, error);
+    }
+
+    next();
+  };
+}
+
+export default validate;
@@ -0,0 +1,17 @@
+// src/routes/admin.js
+import express from 'express';
+import adminController from '../controllers/adminController.js';
+import { requireAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+// GET /admin/export - Download the whole dataset as a versioned JSON bundle
+router.get('/export', adminController.exportBackup);
+
+// POST /admin/import - Restore a bundle (?mode=merge|replace&dryRun=true)
+// Backup bundles are much larger than the other request bodies
+router.post('/import', express.json({ limit: process.env.BACKUP_MAX_SIZE || '50mb' }), adminController.importBackup);
+
+export default router;
@@ -7,7 +7,10 @@ const router = express.Router();
 // POST /api/ai/mealplan/generate - Generate AI meal plan
 router.post('/mealplan/generate', aiPlanController.generateMealPlan);
 
+// POST /api/ai/mealplan/generate/stream - Generate AI meal plan over Server-Sent Events
+router.post('/mealplan/generate/stream', aiPlanController.streamMealPlan);
+
 // GET /api/ai/mealplan/:id - Get specific meal plan
 router.get('/mealplan/:id', aiPlanController.getMealPlan);
 
-export default router;
+export default router;
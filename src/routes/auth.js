@@ -0,0 +1,17 @@
+// src/routes/auth.js
+import express from 'express';
+import authController from '../controllers/authController.js';
+import { requireAuth } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// POST /auth/register - Create account
+router.post('/register', authController.register);
+
+// POST /auth/login - Get signed token
+router.post('/login', authController.login);
+
+// GET /auth/me - Current user
+router.get('/me', requireAuth, authController.me);
+
+export default router;
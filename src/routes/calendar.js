@@ -0,0 +1,17 @@
+// src/routes/calendar.js
+import express from 'express';
+import calendarController from '../controllers/calendarController.js';
+import { requireAuth } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// POST /calendar/token - Create or rotate the subscription URL
+router.post('/token', requireAuth, calendarController.createToken);
+
+// DELETE /calendar/token - Disable the subscription URL
+router.delete('/token', requireAuth, calendarController.revokeToken);
+
+// GET /calendar/:token.ics - Current and next week's meals (public, the token authenticates)
+router.get('/:token.ics', calendarController.getFeed);
+
+export default router;
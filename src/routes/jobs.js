@@ -0,0 +1,10 @@
+// src/routes/jobs.js
+import express from 'express';
+import jobController from '../controllers/jobController.js';
+
+const router = express.Router();
+
+// GET /api/jobs/:id - Status, progress and errors of a background job
+router.get('/:id', jobController.getJob);
+
+export default router;
@@ -1,10 +1,32 @@
 // src/routes/recipes.js
 import express from 'express';
 import recipeController from '../controllers/recipeController.js';
+import { requireAdmin } from '../middleware/auth.js';
 
 const router = express.Router();
 
+// GET /api/recipes - Search the local recipe catalog
+router.get('/', recipeController.searchLocal);
+
 // GET /api/recipes/search - Search external recipes
 router.get('/search', recipeController.searchExternal);
 
-export default router;
+// The catalog is shared by all users: only admins add, change or delete its recipes
+
+// POST /api/recipes/import - Import external recipes into the local catalog
+router.post('/import', requireAdmin, recipeController.importRecipes);
+
+// POST /api/recipes/import-url - Import a recipe page (schema.org JSON-LD), by URL or uploaded HTML
+// Recipe pages uploaded as HTML are larger than the other request bodies: parsed only for admins
+router.post('/import-url', requireAdmin, express.json({ limit: process.env.RECIPE_HTML_MAX_SIZE || '5mb' }), recipeController.importFromUrl);
+
+// POST /api/recipes/:id/recompute-nutrition - Recompute nutrition from the local food tables
+router.post('/:id/recompute-nutrition', requireAdmin, recipeController.recomputeNutrition);
+
+// PATCH /api/recipes/:id - Edit a local recipe
+router.patch('/:id', requireAdmin, recipeController.updateRecipe);
+
+// DELETE /api/recipes/:id - Delete a local recipe (soft delete when meals use it)
+router.delete('/:id', requireAdmin, recipeController.deleteRecipe);
+
+export default router;
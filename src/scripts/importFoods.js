@@ -0,0 +1,105 @@
+// src/scripts/importFoods.js
+//
+// Importa una tabella di composizione degli alimenti nella tabella Food,
+// usata per calcolare i nutrienti delle ricette offline.
+//
+// Uso:
+//   npm run foods:import -- ciqual <ciqual.csv> [--encoding latin1] [--dry-run]
+//   npm run foods:import -- usda <cartella export CSV FoodData Central> [--data-types foundation_food,sr_legacy_food] [--dry-run]
+//
+// Per FoodData Central servono food.csv e food_nutrient.csv della cartella
+// scaricata; i prodotti "branded_food" vanno richiesti esplicitamente.
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import prisma from '../db/prismaClient.js';
+import { detectDelimiter, parseCsvLine, toRecord } from '../utils/csv.js';
+import {
+  FOOD_SOURCES,
+  USDA_NUTRIENT_IDS,
+  USDA_DEFAULT_DATA_TYPES,
+  foodsFromCiqual,
+  foodsFromUsda,
+} from '../services/foodComposition.js';
+import { importFoods } from '../services/nutritionService.js';
+
+/**
+ * Legge un CSV riga per riga; `keep(record)` decide quali righe tenere
+ * (food_nutrient.csv di FDC ha milioni di righe).
+ */
+async function _readCsv(file, { encoding = 'utf8', keep = () => true } = {}) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(file, { encoding }),
+    crlfDelay: Infinity,
+  });
+
+  const records = [];
+  let header = null;
+  let delimiter = ',';
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+
+    if (!header) {
+      delimiter = detectDelimiter(line);
+      header = parseCsvLine(line.replace(/^\uFEFF/, ''), delimiter);
+      continue;
+    }
+
+    const record = toRecord(header, parseCsvLine(line, delimiter));
+    if (keep(record)) records.push(record);
+  }
+
+  return records;
+}
+
+async function _loadFoods(source, target, options) {
+  if (source === 'ciqual') {
+    return foodsFromCiqual(await _readCsv(target, { encoding: options.encoding }));
+  }
+
+  const foodRecords = await _readCsv(path.join(target, 'food.csv'), {
+    keep: (record) => options.dataTypes.includes(record.data_type),
+  });
+  const fdcIds = new Set(foodRecords.map((record) => record.fdc_id));
+
+  const nutrientRecords = await _readCsv(path.join(target, 'food_nutrient.csv'), {
+    keep: (record) => fdcIds.has(record.fdc_id) && USDA_NUTRIENT_IDS.has(Number(record.nutrient_id)),
+  });
+
+  return foodsFromUsda(foodRecords, nutrientRecords, { dataTypes: options.dataTypes });
+}
+
+const VALUE_OPTIONS = ['--encoding', '--data-types'];
+
+function _option(name) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+// Argomenti posizionali: tutto tranne le opzioni e i loro valori
+const args = process.argv.slice(2);
+const [source, target] = args.filter((arg, i) => !arg.startsWith('--') && !VALUE_OPTIONS.includes(args[i - 1]));
+const dryRun = args.includes('--dry-run');
+const options = {
+  encoding: _option('--encoding') || 'utf8',
+  dataTypes: (_option('--data-types') || USDA_DEFAULT_DATA_TYPES.join(',')).split(','),
+};
+
+try {
+  if (!FOOD_SOURCES.includes(source) || !target) {
+    throw new Error(`Usage: npm run foods:import -- <${FOOD_SOURCES.join('|')}> <file or folder> [--dry-run]`);
+  }
+
+  const foods = await _loadFoods(source, target, options);
+  const summary = await importFoods(foods, { dryRun });
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Foods read from ${source}: ${foods.length}`);
+  console.log(`Created: ${summary.created}, updated: ${summary.updated}`);
+} catch (error) {
+  console.error('Food import failed:', error.message);
+  process.exitCode = 1;
+} finally {
+  await prisma.$disconnect();
+}
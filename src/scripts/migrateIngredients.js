@@ -0,0 +1,73 @@
+// src/scripts/migrateIngredients.js
+//
+// Crea le RecipeIngredient per le ricette salvate prima degli ingredienti
+// strutturati, interpretando il vecchio testo separato da virgole
+// (o gli ingredienti Edamam salvati in rawData).
+//
+// Uso: npm run ingredients:migrate [-- --dry-run]
+import 'dotenv/config';
+import prisma from '../db/prismaClient.js';
+import { ingredientsFromText, recipeIngredientsCreateInput, ensureIngredients } from '../services/ingredientService.js';
+import { mapEdamamIngredients } from '../services/recipeService.js';
+import { parseIngredientLine } from '../utils/ingredientParser.js';
+
+function _structuredLines(recipe) {
+  if (recipe.source === 'edamam' && recipe.rawData?.recipe) {
+    return mapEdamamIngredients(recipe.rawData);
+  }
+  return ingredientsFromText(recipe.ingredients || '');
+}
+
+async function migrateIngredients({ dryRun }) {
+  const recipes = await prisma.recipe.findMany({
+    where: { recipeIngredients: { none: {} } },
+    orderBy: { id: 'asc' },
+  });
+
+  const summary = { recipes: recipes.length, migrated: 0, lines: 0, unparsed: [] };
+
+  for (const recipe of recipes) {
+    const lines = _structuredLines(recipe);
+    if (!lines.length) continue;
+
+    for (const line of lines) {
+      if (line.quantity === null && !parseIngredientLine(line.raw)) {
+        summary.unparsed.push({ recipeId: recipe.id, text: line.raw });
+      }
+    }
+
+    if (!dryRun) {
+      await ensureIngredients(prisma, lines);
+      await prisma.recipe.update({
+        where: { id: recipe.id },
+        data: { recipeIngredients: recipeIngredientsCreateInput(lines) },
+      });
+    }
+
+    summary.migrated += 1;
+    summary.lines += lines.length;
+  }
+
+  return summary;
+}
+
+const dryRun = process.argv.includes('--dry-run');
+
+try {
+  const summary = await migrateIngredients({ dryRun });
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Recipes without structured ingredients: ${summary.recipes}`);
+  console.log(`Migrated: ${summary.migrated} recipes, ${summary.lines} ingredient lines`);
+
+  if (summary.unparsed.length) {
+    console.log(`Lines kept without quantity (${summary.unparsed.length}):`);
+    for (const { recipeId, text } of summary.unparsed) {
+      console.log(`  recipe ${recipeId}: ${text}`);
+    }
+  }
+} catch (error) {
+  console.error('Ingredient migration failed:', error);
+  process.exitCode = 1;
+} finally {
+  await prisma.$disconnect();
+}
@@ -1,12 +1,48 @@
 // src/services/aiPlanService.js
-import { OpenAI } from 'openai';
 import { z } from 'zod';
 import prisma from '../db/prismaClient.js';
+import { getLLMProvider } from './llm/index.js';
+import { parseJSONContent } from './llm/openaiProvider.js';
+import { createArrayItemStream } from '../utils/jsonStream.js';
+import {
+  DEFAULT_TOLERANCE,
+  dailyTargetsFromProfile,
+  correctPlanCalories,
+  verifyDay,
+  portionScaleFactor,
+  scaleDay,
+  buildMacroReport,
+} from './planVerification.js';
+import { distributeDailyMacros, assignMealsToSlots } from './mealDistribution.js';
+import {
+  buildRecipeIngredients,
+  recipeIngredientsCreateInput,
+  ensureIngredients,
+} from './ingredientService.js';
+import { buildDietRules, checkIngredients, describeRulesForPrompt } from './dietRules.js';
+import { DIFFICULTIES } from './recipeScoring.js';
+import { crossCheckPlanMacros, estimateMicronutrients } from './nutritionService.js';
+import {
+  intentMicronutrientTargets,
+  describeTargetsForPrompt,
+} from './micronutrientService.js';
+import { enqueueJob } from './jobService.js';
+import { assertWeekUnlocked } from './mealPlanService.js';
+import { AppError, NotFoundError, UpstreamError } from '../utils/errors.js';
 
 // ===== SECTION A: CONFIGURATION =====
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+const SYSTEM_PROMPT = 'You are a professional nutritionist. Generate meal plans as valid JSON only. Be precise with macro calculations.';
+
+export const REPAIR_STRATEGIES = ['reprompt', 'scale', 'none'];
+
+// Upper bound on targeted re-prompts per plan; remaining days fall back to scaling
+const MAX_REPROMPT_DAYS = 3;
+
+// Background job type for POST /api/ai/mealplan/generate (see jobService)
+export const MEAL_PLAN_JOB = 'mealplan.generate';
+
+// Network failures of the LLM provider worth another attempt
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT'];
 
 const MealSchema = z.object({
   name: z.string(),
@@ -19,200 +55,623 @@ const MealSchema = z.object({
     protein: z.number(),
     carbs: z.number(),
     fats: z.number(),
+    // Optional details used by the local scorer when the recipe is reused
+    cuisine: z.string().nullish(),
+    prepMinutes: z.number().min(0).nullish(),
+    cookMinutes: z.number().min(0).nullish(),
+    difficulty: z.string().nullish(),
   }),
 });
 
+const DaySchema = z.object({
+  dayNumber: z.number().min(1).max(7),
+  meals: z.array(MealSchema),
+});
+
 const MealPlanSchema = z.object({
-  days: z.array(
-    z.object({
-      dayNumber: z.number().min(1).max(7),
-      meals: z.array(MealSchema),
-    })
-  ),
+  days: z.array(DaySchema),
 });
 
 // ===== SECTION B: MAIN GENERATION LOGIC =====
+
+/**
+ * Generate, verify and store a weekly plan. `onProgress(percent, message)`
+ * is awaited at each step (the job worker records it on the Job row).
+ */
 export async function generateMealPlan(options = {}) {
   try {
-    const { weekStart, mealsPerDay = 4 } = options;
-
-    // 1. Fetch configuration data
-    const [macroProfile, preferences, weeklyIntent] = await Promise.all([
-      prisma.macroProfile.findFirst(),
-      prisma.userPreferences.findFirst(),
-      prisma.weeklyIntent.findFirst({
-        orderBy: { weekStart: 'desc' },
-      }),
-    ]);
-
-    if (!macroProfile) {
-      throw new Error('No MacroProfile found. Create one first with POST /macro-profile');
+    const {
+      weekStart,
+      mealsPerDay = 4,
+      userId,
+      repairStrategy = 'reprompt',
+      tolerance = DEFAULT_TOLERANCE,
+      onProgress = async () => {},
+    } = options;
+
+    await onProgress(5, 'Loading profile and preferences');
+
+    // 1-3. Profile, preferences and intent, date range, meal slots and prompt
+    const {
+      macroProfile,
+      preferences,
+      weeklyIntent,
+      weekStartDate,
+      weekEndDate,
+      slots,
+      prompt,
+    } = await _loadGenerationContext({ userId, weekStart, mealsPerDay });
+
+    // 4. Call the configured LLM provider with retry
+    await onProgress(10, 'Waiting for the AI model');
+    const aiResponse = await _callLLMWithRetry({
+      prompt,
+      task: 'mealPlan',
+      hints: { mealTypes: slots.map((s) => s.mealType), slots },
+    });
+
+    // 5. Validate response
+    const validatedPlan = _parseModelOutput(MealPlanSchema, aiResponse);
+
+    // 6. Verify daily macros against the profile and repair out-of-tolerance days
+    await onProgress(60, 'Verifying macros');
+    const macroReport = await _verifyAndRepairPlan(validatedPlan, {
+      targets: dailyTargetsFromProfile(macroProfile),
+      slots,
+      tolerance,
+      repairStrategy,
+      preferences,
+      weeklyIntent,
+    });
+
+    // 7. Validate diet rules (repaired days included)
+    _validateDietRules(validatedPlan, preferences);
+
+    // 8. Store in database (transaction)
+    await onProgress(90, 'Saving the meal plan');
+    const mealPlan = await _storeMealPlan(userId, weekStartDate, weekEndDate, validatedPlan, {
+      macroProfile,
+      weeklyIntent,
+      slots,
+      macroReport,
+    });
+
+    return mealPlan;
+  } catch (error) {
+    console.error('AI meal plan generation failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Generate a plan from the streamed model output, for clients that show days
+ * as they are produced. `onEvent(event, data)` receives:
+ * - `day`: a completed day whose meals passed MealSchema, with its macro check
+ * - `warning`: dropped meals or days, diet rule violations, repaired days
+ * - `done`: the stored plan
+ * Macro repairs, diet rules and storage run once the stream ends, exactly as
+ * in generateMealPlan; nothing is saved if `signal` aborts before that.
+ */
+export async function streamMealPlan(options = {}) {
+  const {
+    weekStart,
+    mealsPerDay = 4,
+    userId,
+    repairStrategy = 'reprompt',
+    tolerance = DEFAULT_TOLERANCE,
+    onEvent = () => {},
+    signal,
+  } = options;
+
+  const { macroProfile, preferences, weeklyIntent, weekStartDate, weekEndDate, slots, prompt } =
+    await _loadGenerationContext({ userId, weekStart, mealsPerDay });
+
+  const targets = dailyTargetsFromProfile(macroProfile);
+  const rules = buildDietRules(preferences);
+  const days = new Map();
+  const items = createArrayItemStream('days');
+  let text = '';
+
+  const acceptDay = (value) => {
+    const { day, warnings } = validateStreamedDay(value);
+    warnings.forEach((warning) => onEvent('warning', warning));
+    if (!day) return;
+
+    if (days.has(day.dayNumber)) {
+      onEvent('warning', { dayNumber: day.dayNumber, message: `Day ${day.dayNumber} was returned twice, the second one was ignored` });
+      return;
     }
+    days.set(day.dayNumber, day);
 
-    // 2. Calculate date range
-    const weekStartDate = weekStart ? new Date(weekStart) : new Date();
-    weekStartDate.setHours(0, 0, 0, 0);
-    const weekEndDate = new Date(weekStartDate);
-    weekEndDate.setDate(weekEndDate.getDate() + 6);
+    for (const meal of day.meals) {
+      const violations = rules.length ? checkIngredients(meal.recipe.ingredients, rules) : [];
+      if (violations.length) {
+        onEvent('warning', {
+          dayNumber: day.dayNumber,
+          message: `Diet rule violated in recipe "${meal.recipe.title}": ${violations[0].message}`,
+          violations,
+        });
+      }
+    }
 
-    // 3. Build OpenAI prompt
-    const prompt = _buildPrompt(macroProfile, preferences, weeklyIntent, mealsPerDay);
+    // Preview check on a copy: the plan itself is corrected once, after the stream
+    const preview = structuredClone(day);
+    correctPlanCalories({ days: [preview] });
+    onEvent('day', { ...day, check: verifyDay(preview, targets, tolerance) });
+  };
+
+  const provider = getLLMProvider();
+  const stream = provider.streamJSON({
+    system: SYSTEM_PROMPT,
+    prompt,
+    task: 'mealPlan',
+    hints: { mealTypes: slots.map((s) => s.mealType), slots },
+    signal,
+  });
 
-    // 4. Call OpenAI with retry
-    const aiResponse = await _callOpenAIWithRetry(prompt);
+  try {
+    for await (const chunk of stream) {
+      text += chunk;
+      items.push(chunk).forEach((item) => acceptDay(item));
+    }
+  } catch (error) {
+    throw _providerError(provider, error);
+  }
 
-    // 5. Validate response
-    const validatedPlan = MealPlanSchema.parse(aiResponse);
+  // Models that ignored the expected layout: validate the whole response instead
+  if (!days.size) {
+    let content = null;
+    try {
+      content = parseJSONContent(text);
+    } catch {
+      // Not JSON at all: reported below as a response without valid days
+    }
+    _parseModelOutput(MealPlanSchema, content, 'The AI response contained no valid day').days.forEach((day) => acceptDay(day));
+  }
 
-    // 6. Validate exclusions
-    _validateExclusions(validatedPlan, preferences);
+  if (!days.size) {
+    throw new UpstreamError('The AI response contained no valid day', { retryable: true });
+  }
 
-    // 7. Store in database (transaction)
-    const mealPlan = await _storeMealPlan(weekStartDate, weekEndDate, validatedPlan, weeklyIntent);
+  if (signal?.aborted) {
+    throw new Error('Meal plan generation cancelled');
+  }
 
-    return mealPlan;
+  const plan = { days: [...days.values()].sort((a, b) => a.dayNumber - b.dayNumber) };
+
+  const macroReport = await _verifyAndRepairPlan(plan, {
+    targets,
+    slots,
+    tolerance,
+    repairStrategy,
+    preferences,
+    weeklyIntent,
+  });
+
+  for (const day of macroReport.days.filter((d) => d.status !== 'ok')) {
+    onEvent('warning', {
+      dayNumber: day.dayNumber,
+      message: day.status === 'out_of_tolerance'
+        ? `Day ${day.dayNumber} is outside the macro tolerance (${day.outOfTolerance.join(', ')})`
+        : `Day ${day.dayNumber} was outside the macro tolerance and was ${day.status}`,
+      status: day.status,
+      deviation: day.deviation,
+    });
+  }
+
+  _validateDietRules(plan, preferences);
+
+  // The repairs can take a while (re-prompts): the client may have left meanwhile
+  if (signal?.aborted) {
+    throw new Error('Meal plan generation cancelled');
+  }
+
+  const mealPlan = await _storeMealPlan(userId, weekStartDate, weekEndDate, plan, {
+    macroProfile,
+    weeklyIntent,
+    slots,
+    macroReport,
+  });
+
+  onEvent('done', { mealPlanId: mealPlan.id, mealPlan });
+  return mealPlan;
+}
+
+/**
+ * Validate one streamed day: meals failing MealSchema are dropped with a
+ * warning, and a day without a valid dayNumber or without any valid meal
+ * is skipped. `value` is the day's JSON text or the parsed object.
+ */
+export function validateStreamedDay(value) {
+  const warnings = [];
+  let raw = value;
+
+  if (typeof value === 'string') {
+    try {
+      raw = JSON.parse(value);
+    } catch {
+      return { day: null, warnings: [{ message: 'A day could not be parsed and was skipped' }] };
+    }
+  }
+
+  const dayNumber = DaySchema.shape.dayNumber.safeParse(raw?.dayNumber);
+  if (!dayNumber.success) {
+    return { day: null, warnings: [{ message: 'A day without a valid dayNumber was skipped' }] };
+  }
+
+  const meals = [];
+  (Array.isArray(raw.meals) ? raw.meals : []).forEach((meal, index) => {
+    const parsed = MealSchema.safeParse(meal);
+
+    if (parsed.success) {
+      meals.push(parsed.data);
+    } else {
+      warnings.push({
+        dayNumber: dayNumber.data,
+        message: `Meal ${index + 1} of day ${dayNumber.data} is invalid and was dropped`,
+        details: parsed.error.errors,
+      });
+    }
+  });
+
+  if (!meals.length) {
+    warnings.push({ dayNumber: dayNumber.data, message: `Day ${dayNumber.data} has no valid meal and was skipped` });
+    return { day: null, warnings };
+  }
+
+  return { day: { dayNumber: dayNumber.data, meals }, warnings };
+}
+
+/**
+ * Queue a plan generation for the background worker. The MacroProfile is
+ * checked up front so a missing profile is reported to the caller
+ * instead of failing the job.
+ */
+export async function enqueueMealPlanGeneration({ userId, ...options }) {
+  const macroProfile = await prisma.macroProfile.findFirst({
+    where: { userId },
+    select: { id: true },
+  });
+
+  if (!macroProfile) {
+    throw new NotFoundError('No MacroProfile found. Create one first with POST /macro-profile');
+  }
+
+  const { weekStartDate, weekEndDate } = _weekRange(options.weekStart);
+  await assertWeekUnlocked(userId, weekStartDate, weekEndDate);
+
+  return enqueueJob(MEAL_PLAN_JOB, options, { userId });
+}
+
+/**
+ * Job handler for MEAL_PLAN_JOB: the stored payload is the validated
+ * request body. Failures worth another attempt are marked `retryable`.
+ */
+export async function runMealPlanJob(job, { reportProgress }) {
+  try {
+    const mealPlan = await generateMealPlan({
+      ...job.payload,
+      userId: job.userId,
+      onProgress: reportProgress,
+    });
+
+    return { mealPlanId: mealPlan.id };
   } catch (error) {
-    console.error('AI meal plan generation failed:', error);
+    error.retryable = isRetryableGenerationError(error);
     throw error;
   }
 }
 
-export async function getMealPlan(id) {
-  const plan = await prisma.mealPlan.findUnique({
-    where: { id: parseInt(id) },
+/**
+ * A new attempt can succeed when the model broke a diet rule, returned an
+ * invalid plan, or the provider was rate limited or unreachable. A missing
+ * MacroProfile or a database error will not change on retry.
+ */
+export function isRetryableGenerationError(error) {
+  if (error instanceof UpstreamError) return error.retryable;
+  if (error.violations) return true;
+  if (error.name === 'ZodError' || error instanceof SyntaxError) return true;
+  if (error.status === 429 || error.status >= 500) return true;
+  if (error.name?.startsWith('APIConnection')) return true;
+
+  return RETRYABLE_ERROR_CODES.includes(error.code);
+}
+
+export async function getMealPlan(id, userId) {
+  const plan = await prisma.mealPlan.findFirst({
+    where: { id: parseInt(id), userId },
     include: {
       weeklyIntent: true,
+      macroProfile: true,
       meals: {
         include: { recipe: true },
-        orderBy: [{ date: 'asc' }, { type: 'asc' }],
+        orderBy: [{ date: 'asc' }, { slot: 'asc' }, { type: 'asc' }],
       },
     },
   });
 
   if (!plan) {
-    throw new Error('Meal plan not found');
+    throw new NotFoundError('Meal plan not found');
   }
 
   return plan;
 }
 
-// ===== SECTION C: OPENAI INTERACTION =====
-async function _callOpenAIWithRetry(prompt, maxRetries = 3) {
+/**
+ * Ask the model for a single replacement meal with the same macro target,
+ * avoiding the given recipe titles, and store its recipe once its macros
+ * are cross-checked like those of a full plan.
+ * Returns the stored Recipe.
+ */
+export async function generateReplacementMeal({ mealType, macros, preferences, weeklyIntent, avoidTitles = [] }) {
+  try {
+    const prompt = _buildReplacementPrompt({ mealType, macros, preferences, weeklyIntent, avoidTitles });
+
+    const aiResponse = await _callLLMWithRetry({
+      prompt,
+      task: 'meal',
+      hints: { mealType, macros, avoidTitles },
+    });
+
+    // Validate response (the model must keep the requested slot)
+    const meal = _parseModelOutput(MealSchema, { ...aiResponse, mealType }, 'AI returned an invalid meal');
+
+    const lowerAvoid = avoidTitles.map((t) => t.toLowerCase());
+    if (lowerAvoid.includes(meal.recipe.title.toLowerCase())) {
+      throw new UpstreamError(`Replacement recipe "${meal.recipe.title}" is already used this week. Please try again.`, { retryable: true });
+    }
+
+    const single = { days: [{ dayNumber: 1, meals: [meal] }] };
+    _validateDietRules(single, preferences);
+
+    // Same checks as a full plan before storing: food table macros, then calories from 4/4/9
+    await crossCheckPlanMacros(single);
+    correctPlanCalories(single);
+
+    return await prisma.$transaction((tx) => _findOrCreateRecipe(tx, meal));
+  } catch (error) {
+    console.error('AI replacement meal generation failed:', error);
+    throw error;
+  }
+}
+
+// ===== SECTION C: LLM INTERACTION =====
+async function _callLLMWithRetry({ prompt, task, hints }, maxRetries = 3) {
+  const provider = getLLMProvider();
   let lastError;
 
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
-      const response = await openai.chat.completions.create({
-        model: 'gpt-4-turbo-preview',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a professional nutritionist. Generate meal plans as valid JSON only. Be precise with macro calculations.',
-          },
-          {
-            role: 'user',
-            content: prompt,
-          },
-        ],
-        response_format: { type: 'json_object' },
-        temperature: 0.7,
-        timeout: 30000,
+      return await provider.completeJSON({
+        system: SYSTEM_PROMPT,
+        prompt,
+        task,
+        hints,
       });
-
-      const content = response.choices[0].message.content;
-      return JSON.parse(content);
     } catch (error) {
       lastError = error;
       
       // Retry on rate limits or network errors
       if ((error.status === 429 || error.code === 'ECONNRESET') && attempt < maxRetries) {
         const delay = Math.pow(2, attempt) * 1000; // Exponential backoff: 2s, 4s, 8s
-        console.log(\OpenAI API error, retrying in \ms... (attempt \/\)\);
+        console.log(`LLM provider "${provider.name}" error, retrying in ${delay}ms... (attempt ${attempt}/${maxRetries})`);
         await _sleep(delay);
         continue;
       }
       
-      throw error;
+      throw _providerError(provider, error);
     }
   }
 
-  throw lastError;
+  throw _providerError(provider, lastError);
 }
 
-// ===== SECTION D: HELPERS =====
-function _buildPrompt(macroProfile, preferences, weeklyIntent, mealsPerDay) {
-  // Calculate total daily macros
-  const totalCalories = 
-    (macroProfile.breakfastProtein + macroProfile.lunchProtein + 
-     macroProfile.snackProtein + macroProfile.dinnerProtein) * 4 +
-    (macroProfile.breakfastCarbs + macroProfile.lunchCarbs + 
-     macroProfile.snackCarbs + macroProfile.dinnerCarbs) * 4 +
-    (macroProfile.breakfastFat + macroProfile.lunchFat + 
-     macroProfile.snackFat + macroProfile.dinnerFat) * 9;
-
-  const totalProtein = macroProfile.breakfastProtein + macroProfile.lunchProtein + 
-                       macroProfile.snackProtein + macroProfile.dinnerProtein;
-  const totalCarbs = macroProfile.breakfastCarbs + macroProfile.lunchCarbs + 
-                     macroProfile.snackCarbs + macroProfile.dinnerCarbs;
-  const totalFats = macroProfile.breakfastFat + macroProfile.lunchFat + 
-                    macroProfile.snackFat + macroProfile.dinnerFat;
+/**
+ * Provider failures (HTTP errors, network, unparsable JSON) surface as
+ * UpstreamError: 503 with retryAfter when rate limited, 502 otherwise.
+ */
+function _providerError(provider, error) {
+  if (error instanceof AppError) return error;
+
+  const rateLimited = error.status === 429;
+  return new UpstreamError(
+    rateLimited
+      ? 'AI service temporarily unavailable due to rate limits'
+      : `AI provider "${provider.name}" request failed: ${error.message}`,
+    {
+      cause: error,
+      retryable: isRetryableGenerationError(error),
+      ...(rateLimited && { retryAfter: 60 }),
+    }
+  );
+}
 
-  // Parse exclusions and preferences
-  const exclusions = preferences?.excludedIngredients 
-    ? preferences.excludedIngredients.split(',').map(s => s.trim()).join(', ')
-    : 'none';
-  
-  const cuisinePreferences = preferences?.preferredCuisines 
-    ? preferences.preferredCuisines.split(',').map(s => s.trim()).join(', ')
-    : 'any cuisine';
+/**
+ * Validate model output: an invalid response is the provider's fault, not
+ * the client's, so it becomes a retryable UpstreamError with the zod issues.
+ */
+function _parseModelOutput(schema, value, message = 'The AI returned an invalid response') {
+  const result = schema.safeParse(value);
+  if (!result.success) {
+    throw new UpstreamError(message, { details: result.error.errors, retryable: true });
+  }
+  return result.data;
+}
 
-  // Adapt based on weekly intent
-  let intentGuidance = '';
-  if (weeklyIntent?.goal === 'high_satiety_low_ferritin') {
-    intentGuidance = 'Focus on high-fiber, high-protein meals with iron-rich ingredients (spinach, red meat, lentils). Prioritize meals that keep you full longer.';
-  } else if (weeklyIntent?.goal === 'lazy') {
-    intentGuidance = 'Keep recipes simple and quick to prepare. Prefer meals with minimal cooking steps.';
-  } else if (weeklyIntent?.goal === 'gourmet') {
-    intentGuidance = 'Create sophisticated, restaurant-quality meals with complex flavors and techniques.';
+// ===== SECTION D: MACRO VERIFICATION =====
+
+/**
+ * Check every day against the daily targets after fixing the model's calorie
+ * arithmetic. Days outside the tolerance get a targeted re-prompt (at most
+ * MAX_REPROMPT_DAYS per plan) and, if still off, a uniform portion scaling.
+ * Repaired days replace the originals in `plan`; returns the macro report.
+ */
+async function _verifyAndRepairPlan(plan, { targets, slots, tolerance, repairStrategy, preferences, weeklyIntent }) {
+  // Macros the food tables contradict are replaced before any check
+  const nutritionCorrections = await crossCheckPlanMacros(plan);
+  const calorieCorrections = correctPlanCalories(plan);
+  const days = [];
+  let reprompts = 0;
+
+  for (let i = 0; i < plan.days.length; i++) {
+    const original = verifyDay(plan.days[i], targets, tolerance);
+
+    if (original.withinTolerance || repairStrategy === 'none') {
+      days.push({ ...original, status: original.withinTolerance ? 'ok' : 'out_of_tolerance' });
+      continue;
+    }
+
+    let day = plan.days[i];
+    let check = original;
+
+    if (repairStrategy === 'reprompt' && reprompts < MAX_REPROMPT_DAYS) {
+      reprompts++;
+      try {
+        const regenerated = await _regenerateDay(day, { targets, slots, check, preferences, weeklyIntent });
+        nutritionCorrections.push(...(await crossCheckPlanMacros({ days: [regenerated] })));
+        calorieCorrections.push(...correctPlanCalories({ days: [regenerated] }));
+        _validateDietRules({ days: [regenerated] }, preferences);
+
+        const regeneratedCheck = verifyDay(regenerated, targets, tolerance);
+        if (regeneratedCheck.withinTolerance) {
+          plan.days[i] = regenerated;
+          days.push({ ...regeneratedCheck, status: 'reprompted', original: _summary(original) });
+          continue;
+        }
+
+        // Keep the regenerated day only if it is closer to the targets
+        if (_maxDeviation(regeneratedCheck) < _maxDeviation(check)) {
+          day = regenerated;
+          check = regeneratedCheck;
+        }
+      } catch (error) {
+        console.warn(`Day ${day.dayNumber} re-prompt failed, falling back to portion scaling:`, error.message);
+      }
+    }
+
+    const scaleFactor = portionScaleFactor(check.totals, targets);
+    const scaled = scaleDay(day, scaleFactor);
+    const scaledCheck = verifyDay(scaled, targets, tolerance);
+
+    plan.days[i] = scaled;
+    days.push({
+      ...scaledCheck,
+      status: scaledCheck.withinTolerance ? 'scaled' : 'out_of_tolerance',
+      scaleFactor,
+      original: _summary(original),
+    });
   }
 
-  // Determine meal types based on meals per day
-  let mealTypes;
-  if (mealsPerDay === 3) {
-    mealTypes = ['breakfast', 'lunch', 'dinner'];
-  } else if (mealsPerDay === 4) {
-    mealTypes = ['breakfast', 'lunch', 'snack', 'dinner'];
-  } else if (mealsPerDay === 5) {
-    mealTypes = ['breakfast', 'snack', 'lunch', 'snack', 'dinner'];
-  } else {
-    mealTypes = ['breakfast', 'snack', 'lunch', 'snack', 'dinner', 'snack'];
+  return buildMacroReport({ targets, tolerance, repairStrategy, calorieCorrections, nutritionCorrections, days });
+}
+
+async function _regenerateDay(day, { targets, slots, check, preferences, weeklyIntent }) {
+  const mealTypes = slots.map((s) => s.mealType);
+
+  const aiResponse = await _callLLMWithRetry({
+    prompt: _buildDayRepairPrompt({ day, slots, targets, check, preferences, weeklyIntent }),
+    task: 'day',
+    hints: { dayNumber: day.dayNumber, mealTypes, slots },
+  });
+
+  const regenerated = _parseModelOutput(DaySchema, { ...aiResponse, dayNumber: day.dayNumber });
+  if (regenerated.meals.map((m) => m.mealType).join() !== mealTypes.join()) {
+    throw new UpstreamError(`Regenerated day ${day.dayNumber} does not keep the requested meal slots`, { retryable: true });
   }
+  return regenerated;
+}
+
+function _summary(check) {
+  return { totals: check.totals, deviation: check.deviation, outOfTolerance: check.outOfTolerance };
+}
+
+function _maxDeviation(check) {
+  return Math.max(...Object.values(check.deviation).map(Math.abs));
+}
+
+// ===== SECTION E: HELPERS =====
 
-  return \Generate a complete 7-day meal plan with \ meals per day.
+function _weekRange(weekStart) {
+  const weekStartDate = weekStart ? new Date(weekStart) : new Date();
+  weekStartDate.setHours(0, 0, 0, 0);
+  const weekEndDate = new Date(weekStartDate);
+  weekEndDate.setDate(weekEndDate.getDate() + 6);
+
+  return { weekStartDate, weekEndDate };
+}
+
+/**
+ * Everything a generation needs before calling the model: the user's latest
+ * MacroProfile (required), preferences and intent, the week's date range,
+ * the per-meal slots and the prompt.
+ */
+async function _loadGenerationContext({ userId, weekStart, mealsPerDay }) {
+  // 1. Fetch configuration data of the requesting user
+  const [macroProfile, preferences, weeklyIntent] = await Promise.all([
+    prisma.macroProfile.findFirst({
+      where: { userId },
+      orderBy: { createdAt: 'desc' },
+    }),
+    prisma.userPreferences.findUnique({
+      where: { userId },
+    }),
+    prisma.weeklyIntent.findFirst({
+      where: { userId },
+      orderBy: { weekStart: 'desc' },
+    }),
+  ]);
+
+  if (!macroProfile) {
+    throw new NotFoundError('No MacroProfile found. Create one first with POST /macro-profile');
+  }
+
+  // 2. Calculate date range; a locked plan keeps its week
+  const { weekStartDate, weekEndDate } = _weekRange(weekStart);
+  await assertWeekUnlocked(userId, weekStartDate, weekEndDate);
+
+  // 3. Split the daily macros across the requested meal slots and build the prompt
+  const slots = distributeDailyMacros(macroProfile, mealsPerDay);
+  const prompt = _buildPrompt(macroProfile, preferences, weeklyIntent, slots);
+
+  return { macroProfile, preferences, weeklyIntent, weekStartDate, weekEndDate, slots, prompt };
+}
+function _buildPrompt(macroProfile, preferences, weeklyIntent, slots) {
+  // Calculate total daily macros
+  const targets = dailyTargetsFromProfile(macroProfile);
+
+  // Parse exclusions and preferences
+  const { diets, exclusions, cuisinePreferences } = _describePreferences(preferences);
+
+  // Adapt based on weekly intent
+  const intentGuidance = _intentGuidance(weeklyIntent);
+
+  return `Generate a complete 7-day meal plan with ${slots.length} meals per day.
 
 TARGET MACROS PER DAY:
-- Calories: \ kcal
-- Protein: \g
-- Carbohydrates: \g
-- Fats: \g
+- Calories: ${targets.calories} kcal
+- Protein: ${targets.protein}g
+- Carbohydrates: ${targets.carbs}g
+- Fats: ${targets.fat}g
 
-MEAL DISTRIBUTION:
-\
+MEAL DISTRIBUTION (in this order, with per-meal targets):
+${_describeSlots(slots)}
 
 DIETARY REQUIREMENTS:
-- EXCLUDED ingredients (MUST NOT use): \
-- Preferred cuisines: \
-- Cooking effort: \
+- Diets (MUST be respected): ${diets}
+- EXCLUDED ingredients (MUST NOT use): ${exclusions}
+- Preferred cuisines: ${cuisinePreferences}
+- Cooking effort: ${preferences?.cookingEffort || 'normal'}
 
 SPECIAL INSTRUCTIONS:
-\
+${intentGuidance || 'None'}
 
 IMPORTANT RULES:
 1. Each meal MUST include exact ingredient quantities
 2. Calculate macros accurately for each recipe
-3. Daily totals should be within ±15% of target macros
-4. Never use excluded ingredients
-5. Provide clear, step-by-step cooking instructions
+3. Daily totals should be within ±15% of target macros (calories = protein*4 + carbs*4 + fats*9)
+4. Each meal should be close to its own target in the meal distribution
+5. Never use excluded ingredients
+6. Provide clear, step-by-step cooking instructions
 
 Return ONLY valid JSON with this EXACT structure (no additional text):
 {
@@ -230,24 +689,182 @@ Return ONLY valid JSON with this EXACT structure (no additional text):
             "calories": 500,
             "protein": 30,
             "carbs": 50,
-            "fats": 15
+            "fats": 15,
+            "cuisine": "italian",
+            "prepMinutes": 10,
+            "cookMinutes": 20,
+            "difficulty": "easy"
           }
         }
       ]
     }
   ]
-}\;
+}`;
+}
+
+function _describeSlots(slots) {
+  return slots
+    .map((s) => `${s.slot}. ${s.mealType}: ${s.calories} kcal (protein ${s.protein}g, carbs ${s.carbs}g, fats ${s.fat}g)`)
+    .join('\n');
 }
 
-async function _storeMealPlan(weekStart, weekEnd, validatedPlan, weeklyIntent) {
-  return await prisma.\(async (tx) => {
+function _buildDayRepairPrompt({ day, slots, targets, check, preferences, weeklyIntent }) {
+  const { diets, exclusions, cuisinePreferences } = _describePreferences(preferences);
+  const intentGuidance = _intentGuidance(weeklyIntent);
+  const issues = check.outOfTolerance
+    .map((macro) => `${macro}: ${check.totals[macro]} (${check.deviation[macro] > 0 ? '+' : ''}${check.deviation[macro]}%)`)
+    .join(', ');
+
+  return `Day ${day.dayNumber} of a weekly meal plan misses its daily macro targets. Rewrite this day.
+
+TARGET MACROS FOR THE DAY:
+- Calories: ${targets.calories} kcal
+- Protein: ${targets.protein}g
+- Carbohydrates: ${targets.carbs}g
+- Fats: ${targets.fat}g
+
+CURRENT DAY (OUT OF TARGET: ${issues}):
+${day.meals.map((m) => `- ${m.mealType}: ${m.recipe.title} (P ${m.recipe.protein}g, C ${m.recipe.carbs}g, F ${m.recipe.fats}g)`).join('\n')}
+
+MEAL DISTRIBUTION (keep this exact order, with per-meal targets):
+${_describeSlots(slots)}
+
+DIETARY REQUIREMENTS:
+- Diets (MUST be respected): ${diets}
+- EXCLUDED ingredients (MUST NOT use): ${exclusions}
+- Preferred cuisines: ${cuisinePreferences}
+- Cooking effort: ${preferences?.cookingEffort || 'normal'}
+
+SPECIAL INSTRUCTIONS:
+${intentGuidance || 'None'}
+
+IMPORTANT RULES:
+1. Adjust portions or swap recipes so daily totals are within ±10% of every target
+2. Calories MUST equal protein*4 + carbs*4 + fats*9
+3. Each meal MUST include exact ingredient quantities
+4. Never use excluded ingredients
+
+Return ONLY valid JSON with this EXACT structure (no additional text):
+{
+  "dayNumber": ${day.dayNumber},
+  "meals": [
+    {
+      "name": "Meal name",
+      "mealType": "${slots[0].mealType}",
+      "recipe": {
+        "title": "Recipe Name",
+        "ingredients": ["200g ingredient 1", "100g ingredient 2"],
+        "instructions": "Step 1: Do this. Step 2: Do that.",
+        "calories": 500,
+        "protein": 30,
+        "carbs": 50,
+        "fats": 15,
+        "cuisine": "italian",
+        "prepMinutes": 10,
+        "cookMinutes": 20,
+        "difficulty": "easy"
+      }
+    }
+  ]
+}`;
+}
+
+function _buildReplacementPrompt({ mealType, macros, preferences, weeklyIntent, avoidTitles }) {
+  const calories = macros.protein * 4 + macros.carbs * 4 + macros.fat * 9;
+  const { diets, exclusions, cuisinePreferences } = _describePreferences(preferences);
+  const intentGuidance = _intentGuidance(weeklyIntent);
+
+  return `Generate ONE replacement ${mealType} for an existing weekly meal plan.
+
+TARGET MACROS FOR THIS MEAL:
+- Calories: ${calories} kcal
+- Protein: ${macros.protein}g
+- Carbohydrates: ${macros.carbs}g
+- Fats: ${macros.fat}g
+
+DIETARY REQUIREMENTS:
+- Diets (MUST be respected): ${diets}
+- EXCLUDED ingredients (MUST NOT use): ${exclusions}
+- Preferred cuisines: ${cuisinePreferences}
+- Cooking effort: ${preferences?.cookingEffort || 'normal'}
+
+ALREADY IN THIS WEEK (MUST be a different recipe): ${avoidTitles.length ? avoidTitles.join(', ') : 'none'}
+
+SPECIAL INSTRUCTIONS:
+${intentGuidance || 'None'}
+
+IMPORTANT RULES:
+1. The meal MUST include exact ingredient quantities
+2. Macros should be within ±10% of the target
+3. Never use excluded ingredients
+4. Provide clear, step-by-step cooking instructions
+
+Return ONLY valid JSON with this EXACT structure (no additional text):
+{
+  "name": "Meal name",
+  "mealType": "${mealType}",
+  "recipe": {
+    "title": "Recipe Name",
+    "ingredients": ["200g ingredient 1", "100g ingredient 2"],
+    "instructions": "Step 1: Do this. Step 2: Do that.",
+    "calories": 500,
+    "protein": 30,
+    "carbs": 50,
+    "fats": 15,
+    "cuisine": "italian",
+    "prepMinutes": 10,
+    "cookMinutes": 20,
+    "difficulty": "easy"
+  }
+}`;
+}
+
+function _describePreferences(preferences) {
+  // Diets and exclusions are spelled out with their categories and aliases
+  const { diets, exclusions } = describeRulesForPrompt(buildDietRules(preferences));
+
+  const cuisinePreferences = preferences?.preferredCuisines 
+    ? preferences.preferredCuisines.split(',').map(s => s.trim()).join(', ')
+    : 'any cuisine';
+
+  return { diets, exclusions, cuisinePreferences };
+}
+
+function _intentGuidance(weeklyIntent) {
+  const guidance = [];
+
+  if (weeklyIntent?.goal === 'high_satiety_low_ferritin') {
+    guidance.push('Focus on high-fiber, high-protein meals with iron-rich ingredients (spinach, red meat, lentils). Prioritize meals that keep you full longer.');
+  } else if (weeklyIntent?.goal === 'lazy') {
+    guidance.push('Keep recipes simple and quick to prepare. Prefer meals with minimal cooking steps.');
+  } else if (weeklyIntent?.goal === 'gourmet') {
+    guidance.push('Create sophisticated, restaurant-quality meals with complex flavors and techniques.');
+  }
+
+  const targets = intentMicronutrientTargets(weeklyIntent);
+  if (Object.keys(targets).length) {
+    guidance.push(`Each day should provide ${describeTargetsForPrompt(targets)}.`);
+  }
+
+  return guidance.join('\n');
+}
+
+/**
+ * Persist the plan. Meals matched to a distribution slot get that slot's
+ * targets; unmatched meals fall back to their recipe macros.
+ */
+async function _storeMealPlan(userId, weekStart, weekEnd, validatedPlan, { macroProfile, weeklyIntent, slots = [], macroReport = null } = {}) {
+  return await prisma.$transaction(async (tx) => {
     // Create meal plan header
     const mealPlan = await tx.mealPlan.create({
       data: {
+        userId,
         weekStart,
         weekEnd,
         goal: weeklyIntent?.goal || 'normal',
         weeklyIntentId: weeklyIntent?.id ?? null,
+        macroProfileId: macroProfile?.id ?? null,
+        macroReport,
       },
     });
 
@@ -256,46 +873,30 @@ async function _storeMealPlan(weekStart, weekEnd, validatedPlan, weeklyIntent) {
       const currentDate = new Date(weekStart);
       currentDate.setDate(currentDate.getDate() + (day.dayNumber - 1));
 
-      for (const meal of day.meals) {
-        // Check if recipe exists (case-insensitive title match)
-        let recipe = await tx.recipe.findFirst({
-          where: { 
-            title: {
-              equals: meal.recipe.title,
-              mode: 'insensitive',
-            }
-          },
-        });
+      const daySlots = assignMealsToSlots(day.meals, slots);
 
-        // Create recipe if doesn't exist
-        if (!recipe) {
-          recipe = await tx.recipe.create({
-            data: {
-              title: meal.recipe.title,
-              ingredients: meal.recipe.ingredients.join(', '),
-              instructions: meal.recipe.instructions,
-              caloriesPerServing: meal.recipe.calories,
-              proteinPerServing: meal.recipe.protein,
-              carbsPerServing: meal.recipe.carbs,
-              fatPerServing: meal.recipe.fats,
-              mealType: meal.mealType,
-              source: 'openai',
-              servings: 1,
-            },
-          });
-        }
+      for (const [index, meal] of day.meals.entries()) {
+        const recipe = await _findOrCreateRecipe(tx, meal);
+        const slot = daySlots[index];
 
-        // Create meal entry
+        // Create meal entry with the slot targets
         await tx.meal.create({
           data: {
             mealPlanId: mealPlan.id,
             date: currentDate,
             type: meal.mealType,
-            protein: meal.recipe.protein,
-            carbs: meal.recipe.carbs,
-            fat: meal.recipe.fats,
-            calories: meal.recipe.calories,
+            slot: slot?.slot ?? null,
+            protein: slot ? slot.protein : Math.round(meal.recipe.protein),
+            carbs: slot ? slot.carbs : Math.round(meal.recipe.carbs),
+            fat: slot ? slot.fat : Math.round(meal.recipe.fats),
+            calories: slot ? slot.calories : meal.recipe.calories,
             recipeId: recipe.id,
+            // AI recipes are written for the meal, so one serving is the portion
+            portion: 1,
+            actualProtein: meal.recipe.protein,
+            actualCarbs: meal.recipe.carbs,
+            actualFat: meal.recipe.fats,
+            actualCalories: Math.round(meal.recipe.calories),
           },
         });
       }
@@ -306,35 +907,86 @@ async function _storeMealPlan(weekStart, weekEnd, validatedPlan, weeklyIntent) {
       where: { id: mealPlan.id },
       include: {
         weeklyIntent: true,
+        macroProfile: true,
         meals: {
           include: { recipe: true },
-          orderBy: [{ date: 'asc' }, { type: 'asc' }],
+          orderBy: [{ date: 'asc' }, { slot: 'asc' }, { type: 'asc' }],
         },
       },
     });
   });
 }
 
-function _validateExclusions(plan, preferences) {
-  if (!preferences?.excludedIngredients) return;
+async function _findOrCreateRecipe(tx, meal) {
+  // Reuse a recipe only with the same title and per-serving macros: the model
+  // repeats titles, and repaired or cross-checked macros must not be lost
+  // (deleted recipes excluded)
+  const existing = await tx.recipe.findFirst({
+    where: {
+      title: {
+        equals: meal.recipe.title,
+        mode: 'insensitive',
+      },
+      caloriesPerServing: meal.recipe.calories,
+      proteinPerServing: meal.recipe.protein,
+      carbsPerServing: meal.recipe.carbs,
+      fatPerServing: meal.recipe.fats,
+      deletedAt: null,
+    },
+  });
 
-  const excluded = preferences.excludedIngredients
-    .split(',')
-    .map(s => s.trim().toLowerCase())
-    .filter(Boolean);
+  if (existing) return existing;
+
+  // Create recipe if doesn't exist, with one structured row per ingredient line
+  const items = buildRecipeIngredients(meal.recipe.ingredients);
+  const computed = meal.recipe.micronutrients ?? null; // Set by the food table cross-check
+  const micronutrients = computed ?? await estimateMicronutrients({ recipeIngredients: items, servings: 1 });
+
+  await ensureIngredients(tx, items);
+  return await tx.recipe.create({
+    data: {
+      title: meal.recipe.title,
+      ingredients: meal.recipe.ingredients.join('\n'),
+      recipeIngredients: recipeIngredientsCreateInput(items),
+      instructions: meal.recipe.instructions,
+      caloriesPerServing: meal.recipe.calories,
+      proteinPerServing: meal.recipe.protein,
+      carbsPerServing: meal.recipe.carbs,
+      fatPerServing: meal.recipe.fats,
+      mealType: meal.mealType,
+      source: 'openai',
+      servings: 1,
+      cuisine: meal.recipe.cuisine?.toLowerCase() || null,
+      prepMinutes: meal.recipe.prepMinutes != null ? Math.round(meal.recipe.prepMinutes) : null,
+      cookMinutes: meal.recipe.cookMinutes != null ? Math.round(meal.recipe.cookMinutes) : null,
+      difficulty: DIFFICULTIES.includes(meal.recipe.difficulty?.toLowerCase()) ? meal.recipe.difficulty.toLowerCase() : null,
+      micronutrients: micronutrients ?? undefined,
+      micronutrientSource: computed ? 'computed' : micronutrients ? 'estimated' : null,
+    },
+  });
+}
 
-  if (excluded.length === 0) return;
+/**
+ * Check every recipe against the user's diet rules (diets, exclusions,
+ * custom categories and aliases). The error carries all violations so
+ * callers can explain which rule was broken.
+ */
+function _validateDietRules(plan, preferences) {
+  const rules = buildDietRules(preferences);
+  if (rules.length === 0) return;
 
   for (const day of plan.days) {
     for (const meal of day.meals) {
-      const ingredients = meal.recipe.ingredients.join(' ').toLowerCase();
-      
-      for (const excludedItem of excluded) {
-        if (ingredients.includes(excludedItem)) {
-          throw new Error(
-            \Excluded ingredient "\" found in recipe "\". Please regenerate the meal plan.\
-          );
-        }
+      const violations = checkIngredients(meal.recipe.ingredients, rules);
+
+      if (violations.length) {
+        throw new UpstreamError(
+          `Diet rule violated in recipe "${meal.recipe.title}": ${violations[0].message}. Please regenerate the meal plan.`,
+          {
+            violations: violations.map((v) => ({ ...v, recipe: meal.recipe.title, dayNumber: day.dayNumber })),
+            retryable: true,
+          }
+        );
       }
     }
   }
@@ -346,6 +998,12 @@ function _sleep(ms) {
 
 export default {
   generateMealPlan,
+  streamMealPlan,
+  validateStreamedDay,
+  enqueueMealPlanGeneration,
+  runMealPlanJob,
+  isRetryableGenerationError,
+  generateReplacementMeal,
   getMealPlan,
-};
-
+};
+
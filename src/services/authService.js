@@ -0,0 +1,110 @@
+// src/services/authService.js
+import prisma from '../db/prismaClient.js';
+import { ConflictError, UnauthorizedError, isUniqueViolation } from '../utils/errors.js';
+import { hashPassword, verifyPassword, signToken, verifyToken } from '../utils/security.js';
+
+// ===== SECTION A: ACCOUNTS =====
+export async function registerUser({ username, password }) {
+  const existing = await prisma.user.findUnique({ where: { username } });
+  if (existing) {
+    throw new ConflictError('Username already taken');
+  }
+
+  const passwordHash = await hashPassword(password);
+
+  let user;
+  try {
+    user = await prisma.$transaction(async (tx) => {
+      const isFirstUser = (await tx.user.count()) === 0;
+      const created = await tx.user.create({
+        data: { username, passwordHash },
+      });
+
+      // Il primo account eredita i dati creati prima dell'introduzione degli utenti
+      if (isFirstUser) {
+        await _adoptOrphanData(tx, created.id);
+      }
+
+      return created;
+    });
+  } catch (error) {
+    // Due registrazioni concorrenti superano entrambe il controllo: decide il vincolo unique
+    if (isUniqueViolation(error)) {
+      throw new ConflictError('Username already taken');
+    }
+    throw error;
+  }
+
+  return { user: _publicUser(user), token: signToken({ sub: user.id }) };
+}
+
+export async function loginUser({ username, password }) {
+  const user = await prisma.user.findUnique({ where: { username } });
+
+  if (!user || !(await verifyPassword(password, user.passwordHash))) {
+    throw new UnauthorizedError('Invalid username or password');
+  }
+
+  return { user: _publicUser(user), token: signToken({ sub: user.id }) };
+}
+
+export async function getUserFromToken(token) {
+  const payload = verifyToken(token);
+  const user = await prisma.user.findUnique({ where: { id: payload.sub } });
+
+  if (!user) {
+    throw new UnauthorizedError('Invalid token');
+  }
+
+  return _publicUser(user);
+}
+
+async function _adoptOrphanData(tx, userId) {
+  await tx.macroProfile.updateMany({ where: { userId: null }, data: { userId } });
+  await tx.weeklyIntent.updateMany({ where: { userId: null }, data: { userId } });
+  await tx.mealPlan.updateMany({ where: { userId: null }, data: { userId } });
+
+  // UserPreferences è una per utente: si adotta solo la più recente
+  const preferences = await tx.userPreferences.findFirst({
+    where: { userId: null },
+    orderBy: { createdAt: 'desc' },
+  });
+  if (preferences) {
+    await tx.userPreferences.update({ where: { id: preferences.id }, data: { userId } });
+  }
+}
+
+function _publicUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    createdAt: user.createdAt,
+  };
+}
+
+// ===== SECTION B: ADMINISTRATORS =====
+
+/**
+ * Amministratori: gli username in ADMIN_USERNAMES (separati da virgola)
+ * oppure, se la variabile non è impostata, il primo account creato.
+ */
+export async function isAdmin(user) {
+  const admins = (process.env.ADMIN_USERNAMES || '')
+    .split(',')
+    .map((name) => name.trim())
+    .filter(Boolean);
+
+  if (admins.length) {
+    return admins.includes(user.username);
+  }
+
+  const firstUser = await prisma.user.findFirst({ orderBy: { id: 'asc' }, select: { id: true } });
+  return firstUser?.id === user.id;
+}
+
+export default {
+  registerUser,
+  loginUser,
+  getUserFromToken,
+  isAdmin,
+};
@@ -0,0 +1,583 @@
+// src/services/backupService.js
+import { z } from 'zod';
+import prisma from '../db/prismaClient.js';
+import { ValidationError } from '../utils/errors.js';
+import { recipeIngredientsCreateInput, ensureIngredients } from './ingredientService.js';
+import { MACRO_FIELDS } from './progressService.js';
+
+// ===== SECTION A: BUNDLE FORMAT =====
+
+export const BACKUP_FORMAT = 'dietcoach-backup';
+
+/**
+ * Versione dello schema del bundle. Va incrementata quando cambia la forma
+ * dei record esportati; l'import rifiuta le versioni che non conosce.
+ */
+export const BACKUP_SCHEMA_VERSION = 1;
+
+export const IMPORT_MODES = ['merge', 'replace'];
+
+const Id = z.number().int().positive();
+const DateValue = z.coerce.date();
+const JsonValue = z.any();
+
+// Campo facoltativo e annullabile: i valori mancanti diventano null
+const opt = (schema) => schema.nullable().optional().transform((value) => value ?? null);
+
+const UserRecord = z.object({
+  id: Id,
+  username: z.string().min(1),
+});
+
+const MacroProfileRecord = z.object({
+  id: Id,
+  userId: opt(Id),
+  name: z.string().default('default'),
+  ...Object.fromEntries(MACRO_FIELDS.map((field) => [field, z.number().int()])),
+  goal: opt(z.string()),
+  weeklyRateKg: opt(z.number()),
+  version: z.number().int().default(1),
+  previousVersionId: opt(Id),
+  changeReason: opt(z.string()),
+  createdAt: DateValue,
+});
+
+const UserPreferencesRecord = z.object({
+  id: Id,
+  userId: opt(Id),
+  name: z.string().default('default'),
+  excludedIngredients: opt(z.string()),
+  preferredCuisines: opt(z.string()),
+  diets: opt(z.string()),
+  customRules: opt(JsonValue),
+  cookingEffort: z.string().default('normal'),
+  satietyLevel: z.string().default('normal'),
+  mealTimes: opt(JsonValue),
+  createdAt: DateValue,
+});
+
+const WeeklyIntentRecord = z.object({
+  id: Id,
+  userId: opt(Id),
+  weekStart: DateValue,
+  goal: z.string(),
+  notes: opt(z.string()),
+  micronutrientTargets: opt(JsonValue),
+  createdAt: DateValue,
+});
+
+const RecipeIngredientRecord = z.object({
+  position: z.number().int(),
+  raw: z.string(),
+  quantity: opt(z.number()),
+  unit: opt(z.string()),
+  name: z.string(),
+  note: opt(z.string()),
+  externalFoodId: opt(z.string()),
+  foodCategory: opt(z.string()),
+});
+
+const RecipeRecord = z.object({
+  id: Id,
+  externalId: opt(z.string()),
+  source: opt(z.string()),
+  title: z.string().min(1),
+  imageUrl: opt(z.string()),
+  sourceUrl: opt(z.string()),
+  servings: opt(z.number().int()),
+  caloriesPerServing: opt(z.number().int()),
+  proteinPerServing: opt(z.number()),
+  carbsPerServing: opt(z.number()),
+  fatPerServing: opt(z.number()),
+  nutritionSource: opt(z.string()),
+  instructions: opt(z.string()),
+  rawData: opt(JsonValue),
+  mealType: opt(z.string()),
+  ingredients: opt(z.string()),
+  tags: opt(z.string()),
+  cuisine: opt(z.string()),
+  prepMinutes: opt(z.number().int()),
+  cookMinutes: opt(z.number().int()),
+  difficulty: opt(z.string()),
+  micronutrients: opt(JsonValue),
+  micronutrientSource: opt(z.string()),
+  createdAt: DateValue,
+  deletedAt: opt(DateValue),
+  recipeIngredients: z.array(RecipeIngredientRecord).default([]),
+});
+
+const MealRecord = z.object({
+  id: Id,
+  recipeId: opt(Id),
+  date: DateValue,
+  type: z.string(),
+  slot: opt(z.number().int()),
+  protein: z.number().int(),
+  carbs: z.number().int(),
+  fat: z.number().int(),
+  calories: opt(z.number().int()),
+  portion: z.number().default(1),
+  actualProtein: opt(z.number()),
+  actualCarbs: opt(z.number()),
+  actualFat: opt(z.number()),
+  actualCalories: opt(z.number().int()),
+  createdAt: DateValue,
+});
+
+const MealPlanRecord = z.object({
+  id: Id,
+  userId: opt(Id),
+  weekStart: DateValue,
+  weekEnd: DateValue,
+  goal: z.string(),
+  weeklyIntentId: opt(Id),
+  macroProfileId: opt(Id),
+  macroReport: opt(JsonValue),
+  varietyReport: opt(JsonValue),
+  locked: z.boolean().default(false),
+  createdAt: DateValue,
+  meals: z.array(MealRecord).default([]),
+});
+
+const BundleEnvelopeSchema = z.object({
+  format: z.literal(BACKUP_FORMAT),
+  schemaVersion: z.number().int().positive(),
+});
+
+/**
+ * Bundle JSON prodotto da exportBackup. Gli id sono quelli dell'istanza di
+ * origine e servono solo a collegare i record tra loro: l'import li rimappa.
+ */
+export const BackupBundleSchema = BundleEnvelopeSchema.extend({
+  exportedAt: DateValue.optional(),
+  users: z.array(UserRecord).default([]),
+  macroProfiles: z.array(MacroProfileRecord).default([]),
+  userPreferences: z.array(UserPreferencesRecord).default([]),
+  weeklyIntents: z.array(WeeklyIntentRecord).default([]),
+  recipes: z.array(RecipeRecord).default([]),
+  mealPlans: z.array(MealPlanRecord).default([]),
+});
+
+/**
+ * Valida un bundle: formato e versione prima (errore chiaro per un file
+ * sbagliato o di una versione più recente), poi i record.
+ */
+export function parseBundle(input) {
+  const envelope = BundleEnvelopeSchema.safeParse(input);
+  if (!envelope.success) {
+    throw ValidationError.fromZod(envelope.error, `Not a ${BACKUP_FORMAT} bundle`);
+  }
+
+  if (envelope.data.schemaVersion !== BACKUP_SCHEMA_VERSION) {
+    throw new ValidationError(`Unsupported backup schemaVersion ${envelope.data.schemaVersion}`, {
+      supportedVersions: [BACKUP_SCHEMA_VERSION],
+    });
+  }
+
+  const bundle = BackupBundleSchema.safeParse(input);
+  if (!bundle.success) {
+    throw ValidationError.fromZod(bundle.error, 'Invalid backup bundle');
+  }
+  return bundle.data;
+}
+
+// ===== SECTION B: EXPORT =====
+
+function _withoutKeys(record, keys) {
+  return Object.fromEntries(Object.entries(record).filter(([key]) => !keys.includes(key)));
+}
+
+/**
+ * Esporta l'intero dataset (tutti gli utenti) in un bundle versionato:
+ * profili macro, preferenze, intenti settimanali, ricette (con gli
+ * ingredienti strutturati) e piani con i loro pasti. Degli utenti si
+ * esportano solo id e username, per riassegnare i dati all'import.
+ */
+export async function exportBackup() {
+  const [users, macroProfiles, userPreferences, weeklyIntents, recipes, mealPlans] = await Promise.all([
+    prisma.user.findMany({ select: { id: true, username: true }, orderBy: { id: 'asc' } }),
+    prisma.macroProfile.findMany({ orderBy: { id: 'asc' } }),
+    prisma.userPreferences.findMany({ orderBy: { id: 'asc' } }),
+    prisma.weeklyIntent.findMany({ orderBy: { id: 'asc' } }),
+    prisma.recipe.findMany({
+      orderBy: { id: 'asc' },
+      include: {
+        recipeIngredients: {
+          orderBy: { position: 'asc' },
+          include: { ingredient: { select: { externalFoodId: true, foodCategory: true } } },
+        },
+      },
+    }),
+    prisma.mealPlan.findMany({
+      orderBy: { id: 'asc' },
+      include: { meals: { orderBy: [{ date: 'asc' }, { slot: 'asc' }, { id: 'asc' }] } },
+    }),
+  ]);
+
+  return {
+    format: BACKUP_FORMAT,
+    schemaVersion: BACKUP_SCHEMA_VERSION,
+    exportedAt: new Date(),
+    users,
+    macroProfiles,
+    userPreferences,
+    weeklyIntents,
+    recipes: recipes.map((recipe) => ({
+      ...recipe,
+      recipeIngredients: recipe.recipeIngredients.map(({ ingredient, ...line }) => ({
+        ..._withoutKeys(line, ['id', 'recipeId', 'ingredientId']),
+        externalFoodId: ingredient?.externalFoodId ?? null,
+        foodCategory: ingredient?.foodCategory ?? null,
+      })),
+    })),
+    mealPlans: mealPlans.map((plan) => ({
+      ...plan,
+      meals: plan.meals.map((meal) => _withoutKeys(meal, ['mealPlanId'])),
+    })),
+  };
+}
+
+// ===== SECTION C: IMPORT PLAN =====
+
+function _titleKey(title) {
+  return title.trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function _sourceKey(recipe) {
+  return recipe.source && recipe.externalId ? `${recipe.source}|${recipe.externalId}` : null;
+}
+
+// Un record dello stesso utente con lo stesso createdAt è lo stesso record (import già fatto)
+function _recordKey(userId, createdAt) {
+  return `${userId ?? 'none'}|${new Date(createdAt).toISOString()}`;
+}
+
+function _byRecordKey(rows) {
+  return new Map(rows.map((row) => [_recordKey(row.userId, row.createdAt), row.id]));
+}
+
+/**
+ * Decide cosa fare di ogni record del bundle, senza scrivere nulla:
+ * è il risultato del dry-run e il piano eseguito dall'import.
+ *
+ * - utenti: associati per username; quelli sconosciuti a `userId` (chi importa)
+ * - merge: una ricetta che coincide su source+externalId o sul titolo riusa
+ *   quella esistente; profili, intenti e piani con lo stesso utente e
+ *   createdAt sono già presenti e vengono saltati; le preferenze esistenti
+ *   di un utente restano
+ * - replace: i dati esistenti vengono cancellati, si crea tutto il bundle
+ *
+ * `existing` contiene { users, recipes, macroProfiles, userPreferences,
+ * weeklyIntents, mealPlans } con i soli campi usati per il confronto.
+ */
+export function planImport(bundle, existing, { mode = 'merge', userId }) {
+  const conflicts = [];
+  const warnings = [];
+  const merge = mode === 'merge';
+
+  // Utenti
+  const usersByName = new Map(existing.users.map((user) => [user.username, user.id]));
+  const users = bundle.users.map((user) => ({
+    id: user.id,
+    username: user.username,
+    userId: usersByName.get(user.username) ?? userId,
+    matched: usersByName.has(user.username),
+  }));
+  const userIds = new Map(users.map((user) => [user.id, user.userId]));
+
+  for (const user of users.filter((u) => !u.matched)) {
+    warnings.push(`User "${user.username}" does not exist here: their data is assigned to the importing user`);
+  }
+
+  const mapUser = (record, type) => {
+    if (record.userId === null) return null;
+    if (!userIds.has(record.userId)) {
+      warnings.push(`${type} ${record.id} belongs to unknown user ${record.userId}: assigned to the importing user`);
+      return userId;
+    }
+    return userIds.get(record.userId);
+  };
+
+  // Ricette
+  const bySource = new Map();
+  const byTitle = new Map();
+  if (merge) {
+    // A parità di titolo si preferisce una ricetta non eliminata
+    for (const recipe of [...existing.recipes].sort((a, b) => Number(Boolean(a.deletedAt)) - Number(Boolean(b.deletedAt)))) {
+      const sourceKey = _sourceKey(recipe);
+      if (sourceKey && !bySource.has(sourceKey)) bySource.set(sourceKey, recipe.id);
+      if (!byTitle.has(_titleKey(recipe.title))) byTitle.set(_titleKey(recipe.title), recipe.id);
+    }
+  }
+
+  const recipes = bundle.recipes.map((record) => {
+    const sourceMatch = bySource.get(_sourceKey(record));
+    const titleMatch = byTitle.get(_titleKey(record.title));
+    const existingId = sourceMatch ?? titleMatch;
+
+    if (existingId === undefined) return { record, action: 'create' };
+
+    const match = sourceMatch !== undefined ? 'source' : 'title';
+    conflicts.push({ type: 'recipe', id: record.id, title: record.title, match, existingId, resolution: 'reuse' });
+    return { record, action: 'reuse', existingId };
+  });
+  const recipeIds = new Set(bundle.recipes.map((recipe) => recipe.id));
+
+  // Profili, intenti e piani: saltati se già importati
+  const dedupe = (records, type, existingRows) => {
+    const existingKeys = merge ? _byRecordKey(existingRows) : new Map();
+
+    return records.map((record) => {
+      const owner = mapUser(record, type);
+      const existingId = existingKeys.get(_recordKey(owner, record.createdAt));
+
+      if (existingId === undefined) return { record, userId: owner, action: 'create' };
+
+      conflicts.push({ type, id: record.id, match: 'createdAt', existingId, resolution: 'skip' });
+      return { record, userId: owner, action: 'skip', existingId };
+    });
+  };
+
+  const macroProfiles = dedupe(bundle.macroProfiles, 'macroProfile', existing.macroProfiles);
+  const weeklyIntents = dedupe(bundle.weeklyIntents, 'weeklyIntent', existing.weeklyIntents);
+  const mealPlans = dedupe(bundle.mealPlans, 'mealPlan', existing.mealPlans);
+
+  const profileIds = new Set(bundle.macroProfiles.map((profile) => profile.id));
+  const intentIds = new Set(bundle.weeklyIntents.map((intent) => intent.id));
+
+  for (const { record } of mealPlans) {
+    if (record.macroProfileId !== null && !profileIds.has(record.macroProfileId)) {
+      warnings.push(`Meal plan ${record.id} references missing macro profile ${record.macroProfileId}: link dropped`);
+    }
+    if (record.weeklyIntentId !== null && !intentIds.has(record.weeklyIntentId)) {
+      warnings.push(`Meal plan ${record.id} references missing weekly intent ${record.weeklyIntentId}: link dropped`);
+    }
+    for (const meal of record.meals) {
+      if (meal.recipeId !== null && !recipeIds.has(meal.recipeId)) {
+        warnings.push(`Meal ${meal.id} references missing recipe ${meal.recipeId}: recipe dropped`);
+      }
+    }
+  }
+
+  // Preferenze: una per utente
+  const existingPreferences = new Map(merge ? existing.userPreferences.map((p) => [p.userId, p.id]) : []);
+  const importedOwners = new Set();
+  const userPreferences = bundle.userPreferences.map((record) => {
+    const owner = mapUser(record, 'userPreferences');
+
+    if (owner !== null && existingPreferences.has(owner)) {
+      const existingId = existingPreferences.get(owner);
+      conflicts.push({ type: 'userPreferences', id: record.id, match: 'userId', existingId, resolution: 'keep_existing' });
+      return { record, userId: owner, action: 'skip', existingId };
+    }
+
+    // Più utenti del bundle assegnati a chi importa: vale la prima preferenza
+    if (owner !== null && importedOwners.has(owner)) {
+      warnings.push(`Preferences ${record.id} skipped: other preferences in the bundle are imported for the same user`);
+      return { record, userId: owner, action: 'skip' };
+    }
+
+    if (owner !== null) importedOwners.add(owner);
+    return { record, userId: owner, action: 'create' };
+  });
+
+  return { mode, users, recipes, macroProfiles, userPreferences, weeklyIntents, mealPlans, conflicts, warnings };
+}
+
+function _countActions(entries) {
+  return entries.reduce((counts, { action }) => ({ ...counts, [action]: (counts[action] ?? 0) + 1 }), {});
+}
+
+/**
+ * Riepilogo del piano restituito al client (dry-run o import eseguito).
+ */
+export function summarizePlan(plan, deleted = null) {
+  return {
+    mode: plan.mode,
+    users: plan.users.map(({ username, userId, matched }) => ({ username, userId, matched })),
+    recipes: _countActions(plan.recipes),
+    macroProfiles: _countActions(plan.macroProfiles),
+    userPreferences: _countActions(plan.userPreferences),
+    weeklyIntents: _countActions(plan.weeklyIntents),
+    mealPlans: _countActions(plan.mealPlans),
+    meals: plan.mealPlans.filter((p) => p.action === 'create').reduce((sum, p) => sum + p.record.meals.length, 0),
+    ...(deleted && { deleted }),
+    conflicts: plan.conflicts,
+    warnings: plan.warnings,
+  };
+}
+
+// ===== SECTION D: IMPORT =====
+
+// Dati esistenti per il confronto con il bundle
+async function _loadExisting(mode) {
+  const users = await prisma.user.findMany({ select: { id: true, username: true } });
+  if (mode === 'replace') {
+    return { users, recipes: [], macroProfiles: [], userPreferences: [], weeklyIntents: [], mealPlans: [] };
+  }
+
+  const byUser = { select: { id: true, userId: true, createdAt: true } };
+  const [recipes, macroProfiles, userPreferences, weeklyIntents, mealPlans] = await Promise.all([
+    prisma.recipe.findMany({ select: { id: true, source: true, externalId: true, title: true, deletedAt: true } }),
+    prisma.macroProfile.findMany(byUser),
+    prisma.userPreferences.findMany({ select: { id: true, userId: true } }),
+    prisma.weeklyIntent.findMany(byUser),
+    prisma.mealPlan.findMany(byUser),
+  ]);
+
+  return { users, recipes, macroProfiles, userPreferences, weeklyIntents, mealPlans };
+}
+
+async function _countExisting(client = prisma) {
+  const [recipes, macroProfiles, userPreferences, weeklyIntents, mealPlans, meals] = await Promise.all([
+    client.recipe.count(),
+    client.macroProfile.count(),
+    client.userPreferences.count(),
+    client.weeklyIntent.count(),
+    client.mealPlan.count(),
+    client.meal.count(),
+  ]);
+  return { recipes, macroProfiles, userPreferences, weeklyIntents, mealPlans, meals };
+}
+
+// I campi Json null vanno omessi in create (Prisma non accetta null)
+function _data(record, omit) {
+  return Object.fromEntries(Object.entries(_withoutKeys(record, ['id', ...omit])).filter(([, value]) => value !== null));
+}
+
+/**
+ * Cancella i dati coperti dal backup di tutti gli utenti. I pasti seguono i
+ * piani, gli ingredienti le ricette; le voci del food log restano senza pasto.
+ */
+async function _deleteDataset(tx) {
+  await tx.mealPlan.deleteMany({});
+  await tx.weeklyIntent.deleteMany({});
+  await tx.userPreferences.deleteMany({});
+  await tx.macroProfile.deleteMany({});
+  await tx.recipe.deleteMany({});
+}
+
+async function _applyPlan(tx, plan) {
+  const ids = { recipes: new Map(), macroProfiles: new Map(), weeklyIntents: new Map() };
+  const remember = (map, entry, id) => map.set(entry.record.id, id);
+
+  for (const entry of plan.recipes) {
+    if (entry.action === 'reuse') {
+      remember(ids.recipes, entry, entry.existingId);
+      continue;
+    }
+    const { recipeIngredients, ...record } = entry.record;
+    await ensureIngredients(tx, recipeIngredients);
+    const recipe = await tx.recipe.create({
+      data: {
+        ..._data(record, []),
+        recipeIngredients: recipeIngredientsCreateInput(recipeIngredients),
+      },
+      select: { id: true },
+    });
+    remember(ids.recipes, entry, recipe.id);
+  }
+
+  // Le versioni precedenti si collegano dopo aver creato tutti i profili
+  const profiles = [...plan.macroProfiles].sort((a, b) => a.record.id - b.record.id);
+  for (const entry of profiles) {
+    if (entry.action === 'skip') {
+      remember(ids.macroProfiles, entry, entry.existingId);
+      continue;
+    }
+    const profile = await tx.macroProfile.create({
+      data: { ..._data(entry.record, ['userId', 'previousVersionId']), userId: entry.userId },
+      select: { id: true },
+    });
+    remember(ids.macroProfiles, entry, profile.id);
+  }
+  for (const entry of profiles) {
+    const previousId = ids.macroProfiles.get(entry.record.previousVersionId);
+    if (entry.action === 'create' && previousId !== undefined) {
+      await tx.macroProfile.update({
+        where: { id: ids.macroProfiles.get(entry.record.id) },
+        data: { previousVersionId: previousId },
+      });
+    }
+  }
+
+  for (const entry of plan.userPreferences.filter((p) => p.action === 'create')) {
+    await tx.userPreferences.create({ data: { ..._data(entry.record, ['userId']), userId: entry.userId } });
+  }
+
+  for (const entry of plan.weeklyIntents) {
+    if (entry.action === 'skip') {
+      remember(ids.weeklyIntents, entry, entry.existingId);
+      continue;
+    }
+    const intent = await tx.weeklyIntent.create({
+      data: { ..._data(entry.record, ['userId']), userId: entry.userId },
+      select: { id: true },
+    });
+    remember(ids.weeklyIntents, entry, intent.id);
+  }
+
+  for (const entry of plan.mealPlans.filter((p) => p.action === 'create')) {
+    const { meals, ...record } = entry.record;
+    await tx.mealPlan.create({
+      data: {
+        ..._data(record, ['userId', 'weeklyIntentId', 'macroProfileId']),
+        userId: entry.userId,
+        weeklyIntentId: ids.weeklyIntents.get(record.weeklyIntentId) ?? null,
+        macroProfileId: ids.macroProfiles.get(record.macroProfileId) ?? null,
+        meals: {
+          create: meals.map((meal) => ({
+            ..._data(meal, ['recipeId']),
+            recipeId: ids.recipes.get(meal.recipeId) ?? null,
+          })),
+        },
+      },
+    });
+  }
+}
+
+/**
+ * Importa un bundle di exportBackup.
+ * - mode 'merge' (default): aggiunge il bundle ai dati esistenti
+ * - mode 'replace': cancella profili, preferenze, intenti, ricette e piani
+ *   di tutti gli utenti e li sostituisce con quelli del bundle
+ * - dryRun: valida e restituisce il riepilogo con i conflitti senza scrivere
+ *
+ * Gli id del bundle vengono rimappati sui nuovi record; l'import avviene in
+ * una sola transazione.
+ */
+export async function importBackup(input, { mode = 'merge', dryRun = false, userId }) {
+  const bundle = parseBundle(input);
+  const plan = planImport(bundle, await _loadExisting(mode), { mode, userId });
+
+  if (dryRun) {
+    return { dryRun: true, ...summarizePlan(plan, mode === 'replace' ? await _countExisting() : null) };
+  }
+
+  const deleted = await prisma.$transaction(
+    async (tx) => {
+      let counts = null;
+      if (mode === 'replace') {
+        counts = await _countExisting(tx);
+        await _deleteDataset(tx);
+      }
+      await _applyPlan(tx, plan);
+      return counts;
+    },
+    { maxWait: 10000, timeout: 120000 }
+  );
+
+  return { dryRun: false, ...summarizePlan(plan, deleted) };
+}
+
+export default {
+  BACKUP_FORMAT,
+  BACKUP_SCHEMA_VERSION,
+  IMPORT_MODES,
+  BackupBundleSchema,
+  parseBundle,
+  exportBackup,
+  planImport,
+  summarizePlan,
+  importBackup,
+};
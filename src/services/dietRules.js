@@ -0,0 +1,490 @@
+// src/services/dietRules.js
+import { z } from 'zod';
+import { parseExclusions, recipeIngredientsOf, nameWords, containsWords } from './ingredientService.js';
+import { normalizeItemName } from '../utils/ingredientParser.js';
+
+// ===== SECTION A: DICTIONARIES =====
+
+/**
+ * Categorie di ingredienti. `includes` aggiunge altre categorie (ognuna con
+ * le proprie eccezioni); `exceptions` sono nomi che contengono un termine
+ * ma non appartengono alla categoria ("peanut butter" non è burro).
+ */
+export const INGREDIENT_CATEGORIES = {
+  meat: {
+    label: 'meat',
+    includes: ['pork', 'beef', 'poultry', 'offal'],
+    terms: [
+      'meat', 'lamb', 'mutton', 'veal', 'venison', 'rabbit', 'goat', 'steak', 'mince',
+      'meatball', 'burger', 'hot dog', 'jerky',
+    ],
+    exceptions: ['plant based', 'vegan', 'veggie', 'vegetarian', 'meatless', 'meat free', 'coconut meat'],
+  },
+  pork: {
+    label: 'pork',
+    terms: [
+      'pork', 'bacon', 'ham', 'prosciutto', 'pancetta', 'guanciale', 'speck', 'salami',
+      'chorizo', 'lard', 'sausage', 'pepperoni', 'mortadella', 'nduja', 'porchetta', 'coppa',
+    ],
+    exceptions: ['turkey bacon', 'turkey ham', 'chicken sausage', 'turkey sausage', 'vegan', 'vegetarian'],
+  },
+  beef: {
+    label: 'beef',
+    terms: ['beef', 'veal', 'bresaola', 'brisket', 'sirloin', 'oxtail'],
+  },
+  poultry: {
+    label: 'poultry',
+    terms: ['chicken', 'turkey', 'duck', 'goose', 'quail'],
+    exceptions: ['vegan', 'vegetarian'],
+  },
+  offal: {
+    label: 'offal',
+    terms: ['offal', 'liver', 'kidney', 'tripe', 'sweetbread', 'tongue', 'foie gras', 'gizzard'],
+  },
+  fish: {
+    label: 'fish',
+    terms: [
+      'fish', 'salmon', 'tuna', 'cod', 'anchovy', 'sardine', 'mackerel', 'trout', 'sea bass',
+      'halibut', 'haddock', 'tilapia', 'swordfish', 'herring', 'branzino', 'sea bream',
+      'worcestershire sauce', 'caviar', 'roe', 'bottarga',
+    ],
+  },
+  shellfish: {
+    label: 'shellfish',
+    terms: [
+      'shellfish', 'shrimp', 'prawn', 'crab', 'lobster', 'crayfish', 'langoustine', 'scampi',
+      'mussel', 'clam', 'oyster', 'scallop', 'squid', 'calamari', 'octopus', 'cuttlefish',
+    ],
+  },
+  seafood: {
+    label: 'seafood',
+    includes: ['fish', 'shellfish'],
+    terms: ['seafood'],
+  },
+  dairy: {
+    label: 'dairy',
+    includes: ['lactose'],
+    terms: [
+      'dairy', 'milk', 'cheese', 'butter', 'cream', 'yogurt', 'parmesan', 'parmigiano', 'pecorino',
+      'grana padano', 'feta', 'gorgonzola', 'cheddar', 'halloumi', 'ghee', 'casein', 'whey',
+    ],
+    exceptions: [
+      'dairy free', 'vegan', 'coconut milk', 'almond milk', 'oat milk', 'soy milk', 'rice milk',
+      'coconut cream', 'coconut yogurt', 'soy yogurt', 'peanut butter', 'almond butter',
+      'nut butter', 'cocoa butter', 'butter bean', 'cream of tartar',
+    ],
+  },
+  lactose: {
+    label: 'lactose',
+    terms: [
+      'lactose', 'milk', 'cream', 'yogurt', 'yoghurt', 'kefir', 'ricotta', 'mozzarella', 'mascarpone',
+      'burrata', 'stracchino', 'cottage cheese', 'cream cheese', 'ice cream', 'buttermilk', 'whey',
+    ],
+    exceptions: [
+      'lactose free', 'dairy free', 'vegan', 'coconut milk', 'almond milk', 'oat milk', 'soy milk',
+      'rice milk', 'coconut cream', 'coconut yogurt', 'soy yogurt', 'cream of tartar',
+    ],
+  },
+  egg: {
+    label: 'eggs',
+    terms: ['egg', 'mayonnaise', 'meringue', 'aioli'],
+    exceptions: ['egg free', 'vegan'],
+  },
+  gluten: {
+    label: 'gluten',
+    terms: [
+      'gluten', 'wheat', 'flour', 'bread', 'breadcrumb', 'panko', 'pasta', 'spaghetti', 'penne',
+      'fusilli', 'lasagna', 'orzo', 'noodle', 'gnocchi', 'couscous', 'bulgur', 'barley', 'rye',
+      'spelt', 'farro', 'semolina', 'seitan', 'cracker', 'pita', 'bagel', 'croissant', 'pizza',
+      'tortilla', 'beer', 'soy sauce',
+    ],
+    exceptions: [
+      'gluten free', 'rice flour', 'almond flour', 'coconut flour', 'corn flour', 'chickpea flour',
+      'buckwheat flour', 'rice noodle', 'rice pasta', 'lentil pasta', 'chickpea pasta', 'corn tortilla',
+    ],
+  },
+  nut: {
+    label: 'nuts',
+    includes: ['tree_nut', 'peanut'],
+    terms: ['nut'],
+    exceptions: ['nut free'],
+  },
+  tree_nut: {
+    label: 'tree nuts',
+    terms: [
+      'almond', 'walnut', 'hazelnut', 'cashew', 'pistachio', 'pecan', 'macadamia', 'brazil nut',
+      'pine nut', 'praline', 'marzipan', 'nutella', 'pesto',
+    ],
+    exceptions: ['nut free'],
+  },
+  peanut: {
+    label: 'peanuts',
+    terms: ['peanut', 'groundnut', 'satay'],
+  },
+  legume: {
+    label: 'legumes',
+    terms: ['legume', 'bean', 'lentil', 'chickpea', 'pea', 'fava', 'borlotti', 'cannellini', 'hummus'],
+    exceptions: ['coffee bean', 'vanilla bean', 'green bean', 'snap pea', 'snow pea', 'jelly bean'],
+  },
+  soy: {
+    label: 'soy',
+    terms: ['soy', 'soya', 'tofu', 'tempeh', 'edamame', 'miso', 'tamari'],
+  },
+  honey: {
+    label: 'honey',
+    terms: ['honey'],
+  },
+  gelatin: {
+    label: 'gelatin',
+    terms: ['gelatin', 'gelatine'],
+  },
+};
+
+// Nomi alternativi di una categoria (anche in italiano) -> chiave
+export const CATEGORY_ALIASES = {
+  'frutta secca': 'tree_nut',
+  arachidi: 'peanut',
+  carne: 'meat',
+  maiale: 'pork',
+  manzo: 'beef',
+  pollame: 'poultry',
+  frattaglie: 'offal',
+  pesce: 'fish',
+  'frutti di mare': 'shellfish',
+  crostacei: 'shellfish',
+  latticini: 'dairy',
+  lattosio: 'lactose',
+  uova: 'egg',
+  uovo: 'egg',
+  glutine: 'gluten',
+};
+
+// Sinonimi di un singolo ingrediente (valgono in entrambe le direzioni)
+export const SYNONYMS = [
+  ['shrimp', 'prawn'],
+  ['zucchini', 'courgette'],
+  ['eggplant', 'aubergine'],
+  ['chickpea', 'garbanzo'],
+  ['cilantro', 'coriander'],
+  ['scallion', 'spring onion', 'green onion'],
+  ['bell pepper', 'capsicum'],
+  ['liver', 'fegato'],
+  ['tomato', 'pomodoro'],
+  ['mushroom', 'fungo'],
+];
+
+// Diete: categorie vietate
+export const DIETS = {
+  vegetarian: { label: 'Vegetarian', excludes: ['meat', 'fish', 'shellfish', 'gelatin'] },
+  pescatarian: { label: 'Pescatarian', excludes: ['meat', 'gelatin'] },
+  vegan: { label: 'Vegan', excludes: ['meat', 'fish', 'shellfish', 'dairy', 'egg', 'honey', 'gelatin'] },
+  gluten_free: { label: 'Gluten-free', excludes: ['gluten'] },
+  lactose_free: { label: 'Lactose-free', excludes: ['lactose'] },
+};
+
+// ===== SECTION B: PREFERENCES =====
+
+/**
+ * Regole aggiunte dall'utente (UserPreferences.customRules):
+ * - categories: nuove categorie o termini in più per quelle esistenti
+ *   ({ "nightshade": ["tomato", "eggplant", "potato"] })
+ * - aliases: nome alternativo -> ingrediente o categoria
+ *   ({ "guanciale": "pork", "pomodoro": "tomato" })
+ */
+export const CustomRulesSchema = z
+  .object({
+    categories: z.record(z.string().min(1), z.array(z.string().min(1)).min(1)).optional(),
+    aliases: z.record(z.string().min(1), z.string().min(1)).optional(),
+  })
+  .strict();
+
+/**
+ * Chiavi di dieta normalizzate da una stringa separata da virgole o da un array
+ * ("Gluten-Free, vegan" -> ["gluten_free", "vegan"]).
+ */
+export function parseDiets(diets) {
+  const list = Array.isArray(diets) ? diets : (diets || '').split(',');
+
+  return [
+    ...new Set(
+      list
+        .map((d) => String(d).trim().toLowerCase().replace(/[\s-]+/g, '_'))
+        .filter(Boolean)
+    ),
+  ];
+}
+
+export const COOKING_EFFORTS = ['easy', 'normal', 'gourmet'];
+export const SATIETY_LEVELS = ['normal', 'high'];
+
+// Campi lista salvati come stringa separata da virgole: accettano anche un array
+const CommaListField = z
+  .union([z.string(), z.array(z.string())])
+  .transform((value) => (Array.isArray(value) ? value.map((item) => item.trim()).filter(Boolean).join(',') : value));
+
+/**
+ * Body di POST /preferences: campi sconosciuti (id, userId, createdAt...) rifiutati.
+ * `diets` viene salvato come stringa separata da virgole, come gli altri campi lista.
+ */
+export const DietPreferencesSchema = z
+  .object({
+    diets: z
+      .union([z.string(), z.array(z.string())])
+      .transform(parseDiets)
+      .refine((diets) => diets.every((d) => DIETS[d]), {
+        message: `diets must be among: ${Object.keys(DIETS).join(', ')}`,
+      })
+      .transform((diets) => diets.join(','))
+      .optional(),
+    customRules: CustomRulesSchema.optional(),
+    name: z.string().trim().min(1).optional(),
+    excludedIngredients: CommaListField.nullable().optional(),
+    preferredCuisines: CommaListField.nullable().optional(),
+    cookingEffort: z.enum(COOKING_EFFORTS).optional(),
+    satietyLevel: z.enum(SATIETY_LEVELS).optional(),
+  })
+  .strict();
+
+// ===== SECTION C: RULES =====
+
+function _categoryKey(name) {
+  return normalizeItemName(name).replace(/\s+/g, '_');
+}
+
+/**
+ * Dizionari effettivi per un utente: quelli predefiniti più le regole custom.
+ */
+function _dictionaries(customRules) {
+  const categories = { ...INGREDIENT_CATEGORIES };
+  const categoryAliases = { ...CATEGORY_ALIASES };
+  const synonyms = SYNONYMS.map((group) => [...group]);
+
+  for (const [name, terms] of Object.entries(customRules?.categories || {})) {
+    const key = categoryAliases[normalizeItemName(name)] || _categoryKey(name);
+    const existing = categories[key];
+    categories[key] = {
+      ...(existing || { label: name.trim().toLowerCase() }),
+      terms: [...(existing?.terms || []), ...terms],
+    };
+  }
+
+  for (const [alias, target] of Object.entries(customRules?.aliases || {})) {
+    const name = normalizeItemName(alias);
+    const targetName = normalizeItemName(target);
+    const categoryKey = categoryAliases[targetName] || _categoryKey(target);
+
+    if (categories[categoryKey]) {
+      categoryAliases[name] = categoryKey;
+    } else {
+      const group = synonyms.find((g) => g.includes(targetName));
+      if (group) group.push(name);
+      else synonyms.push([targetName, name]);
+    }
+  }
+
+  return { categories, categoryAliases, synonyms };
+}
+
+function _expandSynonyms(term, synonyms) {
+  return synonyms.find((group) => group.includes(term)) || [term];
+}
+
+/**
+ * Termini da cercare per una categoria, ognuno con la categoria da cui viene
+ * e le sue eccezioni: [{ term, words, category, exceptions }].
+ */
+function _categoryEntries(key, dictionaries, seen = new Set()) {
+  const category = dictionaries.categories[key];
+  if (!category || seen.has(key)) return [];
+  seen.add(key);
+
+  const exceptions = (category.exceptions || []).map(nameWords);
+  const entries = category.terms.flatMap((term) =>
+    _expandSynonyms(normalizeItemName(term), dictionaries.synonyms).map((t) => ({
+      term: t,
+      words: nameWords(t),
+      category: category.label,
+      exceptions,
+    }))
+  );
+
+  for (const included of category.includes || []) {
+    entries.push(..._categoryEntries(included, dictionaries, seen));
+  }
+  return entries;
+}
+
+/**
+ * Regola per un ingrediente escluso: una categoria (anche tramite alias,
+ * es. "shellfish", "lattosio") o un singolo ingrediente con i suoi sinonimi.
+ */
+function _exclusionRule(exclusion, dictionaries) {
+  const key = dictionaries.categoryAliases[exclusion] || _categoryKey(exclusion);
+  const rule = {
+    id: `exclusion:${exclusion}`,
+    source: 'exclusion',
+    exclusion,
+    label: `Excluded ingredient "${exclusion}"`,
+  };
+
+  if (dictionaries.categories[key]) {
+    return { ...rule, category: key, entries: _categoryEntries(key, dictionaries) };
+  }
+
+  return {
+    ...rule,
+    category: null,
+    entries: _expandSynonyms(exclusion, dictionaries.synonyms).map((term) => ({
+      term,
+      words: nameWords(term),
+      category: null,
+      exceptions: [],
+    })),
+  };
+}
+
+/**
+ * Costruisce le regole di un utente da UserPreferences:
+ * una per ogni categoria vietata dalle diete (`diets`) e una per ogni
+ * ingrediente escluso (`excludedIngredients`), con le regole custom applicate.
+ */
+export function buildDietRules(preferences) {
+  if (!preferences) return [];
+
+  const dictionaries = _dictionaries(preferences.customRules);
+  const rules = [];
+
+  for (const diet of parseDiets(preferences.diets)) {
+    const definition = DIETS[diet];
+    if (!definition) continue;
+
+    for (const key of definition.excludes) {
+      const categoryLabel = dictionaries.categories[key].label;
+      rules.push({
+        id: `diet:${diet}:${key}`,
+        source: 'diet',
+        diet,
+        label: `${definition.label} diet (no ${categoryLabel})`,
+        category: key,
+        categoryLabel,
+        entries: _categoryEntries(key, dictionaries),
+      });
+    }
+  }
+
+  for (const exclusion of parseExclusions(preferences.excludedIngredients)) {
+    rules.push(_exclusionRule(exclusion, dictionaries));
+  }
+
+  return rules;
+}
+
+// ===== SECTION D: CHECKS =====
+
+function _matchEntry(item, entries) {
+  const names = [item.name, item.ingredient?.name].filter(Boolean).map(nameWords);
+  // Le eccezioni valgono anche sul testo originale ("bread (gluten-free)")
+  const text = [...names, nameWords((item.raw || '').replace(/[()]/g, ' '))];
+
+  return entries.find(
+    (entry) =>
+      names.some((words) => containsWords(words, entry.words)) &&
+      !entry.exceptions.some((exception) => text.some((words) => containsWords(words, exception)))
+  );
+}
+
+/**
+ * Ingredienti che violano le regole, con la spiegazione:
+ * [{ rule, source, label, ingredient, matched, category, message }].
+ * Accetta righe strutturate ({ raw, name, ingredient? }) o righe di testo.
+ */
+export function checkIngredients(ingredients, rules) {
+  if (!rules.length || !ingredients?.length) return [];
+
+  const items = ingredients.map((line) =>
+    typeof line === 'string' ? { raw: line, name: normalizeItemName(line) } : line
+  );
+  const violations = [];
+
+  for (const rule of rules) {
+    for (const item of items) {
+      const entry = _matchEntry(item, rule.entries);
+      if (!entry) continue;
+
+      const ingredient = item.raw || item.name;
+      violations.push({
+        rule: rule.id,
+        source: rule.source,
+        label: rule.label,
+        ingredient,
+        matched: entry.term,
+        category: entry.category,
+        message: `${rule.label}: "${ingredient}" contains ${entry.term}${entry.category ? ` (${entry.category})` : ''}`,
+      });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Categorie (tra `keys`, nell'ordine dato) di cui la ricetta contiene
+ * almeno un ingrediente, es. ["poultry", "dairy"].
+ */
+export function matchingCategories(recipe, keys) {
+  const dictionaries = _dictionaries(null);
+  const items = recipeIngredientsOf(recipe);
+
+  return keys.filter((key) => {
+    const entries = _categoryEntries(key, dictionaries);
+    return items.some((item) => _matchEntry(item, entries));
+  });
+}
+
+/**
+ * Violazioni di una ricetta letta dal DB (righe strutturate o testo legacy).
+ */
+export function checkRecipe(recipe, rules) {
+  return checkIngredients(recipeIngredientsOf(recipe), rules);
+}
+
+/**
+ * Descrizione delle regole per il prompt dell'AI:
+ * { diets: "Vegetarian, Gluten-free", exclusions: "pork (bacon, ham, ...), cilantro" }.
+ */
+export function describeRulesForPrompt(rules, maxExamples = 8) {
+  const dietRules = rules.filter((r) => r.source === 'diet');
+  const diets = [...new Set(dietRules.map((r) => DIETS[r.diet].label))];
+  const categories = [...new Set(dietRules.map((r) => r.categoryLabel))];
+
+  const exclusions = rules
+    .filter((r) => r.source === 'exclusion')
+    .map((r) => {
+      const others = [...new Set(r.entries.map((e) => e.term))].filter((t) => t !== r.exclusion);
+      if (!others.length) return r.exclusion;
+      const more = others.length > maxExamples ? ', ...' : '';
+      return `${r.exclusion} (including ${others.slice(0, maxExamples).join(', ')}${more})`;
+    });
+
+  return {
+    diets: diets.length ? `${diets.join(', ')} (no ${categories.join(', ')})` : 'none',
+    exclusions: exclusions.length ? exclusions.join('; ') : 'none',
+  };
+}
+
+export default {
+  INGREDIENT_CATEGORIES,
+  CATEGORY_ALIASES,
+  SYNONYMS,
+  DIETS,
+  CustomRulesSchema,
+  COOKING_EFFORTS,
+  SATIETY_LEVELS,
+  DietPreferencesSchema,
+  parseDiets,
+  buildDietRules,
+  checkIngredients,
+  checkRecipe,
+  matchingCategories,
+  describeRulesForPrompt,
+};
@@ -0,0 +1,511 @@
+// src/services/exportService.js
+import crypto from 'node:crypto';
+import { z } from 'zod';
+import prisma from '../db/prismaClient.js';
+import { NotFoundError } from '../utils/errors.js';
+import { formatCsvLine } from '../utils/csv.js';
+import { dayKey } from './foodLogService.js';
+import { caloriesFromMacros } from './planVerification.js';
+
+const MEAL_TYPES = ['breakfast', 'lunch', 'snack', 'dinner'];
+const MEAL_LABELS = { breakfast: 'Breakfast', lunch: 'Lunch', snack: 'Snack', dinner: 'Dinner' };
+
+// ===== SECTION A: MEAL TIMES =====
+
+/**
+ * Orari dei pasti negli eventi del calendario ("HH:MM", ora locale)
+ * e durata di ogni evento in minuti.
+ */
+export const DEFAULT_MEAL_TIMES = {
+  breakfast: '08:00',
+  lunch: '13:00',
+  snack: '16:30',
+  dinner: '20:00',
+  duration: 30,
+};
+
+const TimeString = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'Expected a time as HH:MM');
+
+/**
+ * Orari salvati in UserPreferences.mealTimes o passati in query agli export:
+ * ogni campo è facoltativo e sostituisce quello predefinito.
+ */
+export const MealTimesSchema = z
+  .object({
+    breakfast: TimeString.optional(),
+    lunch: TimeString.optional(),
+    snack: TimeString.optional(),
+    dinner: TimeString.optional(),
+    duration: z.coerce.number().int().min(5).max(240).optional(),
+  })
+  .strict();
+
+/**
+ * Orari effettivi: i predefiniti, poi quelli delle preferenze, poi quelli della richiesta.
+ */
+export function resolveMealTimes(...overrides) {
+  return Object.assign({}, DEFAULT_MEAL_TIMES, ...overrides.filter(Boolean));
+}
+
+function _minutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Minuto di inizio di ogni pasto della giornata (già ordinata).
+ * Uno spuntino usa l'orario configurato se cade tra il pasto principale
+ * precedente e il successivo, altrimenti si mette a metà tra i due
+ * (es. lo spuntino di metà mattina con 5 pasti) o 2 ore dopo l'ultimo.
+ */
+export function mealStartMinutes(dayMeals, mealTimes = DEFAULT_MEAL_TIMES) {
+  const mainTimes = dayMeals.map((meal) => (meal.type === 'snack' ? null : _minutes(mealTimes[meal.type])));
+  const snackTime = _minutes(mealTimes.snack);
+
+  return dayMeals.map((meal, i) => {
+    if (mainTimes[i] !== null) return mainTimes[i];
+
+    const previous = mainTimes.slice(0, i).filter((t) => t !== null).pop() ?? _minutes(mealTimes.breakfast);
+    const next = mainTimes.slice(i + 1).find((t) => t !== null);
+
+    if (snackTime > previous && (next === undefined || snackTime < next)) return snackTime;
+    if (next !== undefined) return Math.round((previous + next) / 2 / 15) * 15;
+    return Math.min(previous + 120, 23 * 60);
+  });
+}
+
+// ===== SECTION B: PLAN DATA =====
+
+/**
+ * Pasti di un giorno nell'ordine della giornata: per `slot`, poi per tipo.
+ */
+function _sortDayMeals(meals) {
+  return [...meals].sort((a, b) =>
+    (a.slot ?? Infinity) - (b.slot ?? Infinity) || MEAL_TYPES.indexOf(a.type) - MEAL_TYPES.indexOf(b.type) || a.id - b.id
+  );
+}
+
+/**
+ * Macro di un pasto: quelli effettivi della ricetta alla porzione scelta,
+ * altrimenti i target.
+ */
+export function mealMacros(meal) {
+  const protein = meal.actualProtein ?? meal.protein;
+  const carbs = meal.actualCarbs ?? meal.carbs;
+  const fat = meal.actualFat ?? meal.fat;
+  const calories = meal.actualCalories ?? meal.calories ?? caloriesFromMacros({ protein, carbs, fat });
+
+  return { protein: _round(protein), carbs: _round(carbs), fat: _round(fat), calories: Math.round(calories) };
+}
+
+function _round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function _mealTitle(meal) {
+  return meal.recipe?.title ?? `${MEAL_LABELS[meal.type] ?? meal.type} (no recipe)`;
+}
+
+/**
+ * Giorni di un piano da weekStart a weekEnd: [{ key, date, meals }],
+ * con i pasti di ogni giorno ordinati.
+ */
+export function groupMealsByDay(plan) {
+  const days = [];
+  const cursor = new Date(plan.weekStart);
+  cursor.setHours(0, 0, 0, 0);
+
+  while (dayKey(cursor) <= dayKey(plan.weekEnd)) {
+    const key = dayKey(cursor);
+    days.push({
+      key,
+      date: new Date(cursor),
+      meals: _sortDayMeals(plan.meals.filter((meal) => dayKey(meal.date) === key)),
+    });
+    cursor.setDate(cursor.getDate() + 1);
+  }
+
+  return days;
+}
+
+/**
+ * Piano dell'utente con pasti, ricette e orari dei pasti delle preferenze.
+ */
+export async function loadPlanForExport(mealPlanId, userId) {
+  const [plan, preferences] = await Promise.all([
+    prisma.mealPlan.findFirst({
+      where: { id: parseInt(mealPlanId), userId },
+      include: { meals: { include: { recipe: true } } },
+    }),
+    prisma.userPreferences.findUnique({ where: { userId } }),
+  ]);
+
+  if (!plan) {
+    throw new NotFoundError('Meal plan not found');
+  }
+
+  return { plan, mealTimes: preferences?.mealTimes ?? null };
+}
+
+// ===== SECTION C: ICALENDAR =====
+
+const ICS_PRODID = '-//DietCoach//Meal Plan//EN';
+
+function _escapeIcsText(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Spezza le righe oltre i 75 byte come richiesto da RFC 5545
+ * (continuazione con uno spazio iniziale), senza tagliare i caratteri UTF-8.
+ */
+function _foldIcsLine(line) {
+  const parts = [];
+  let current = '';
+  let bytes = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (bytes + size > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += char;
+    bytes += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+// Data e ora "floating" (senza fuso): il calendario la mostra nell'ora locale del telefono
+function _icsLocalDateTime(date, minutes) {
+  const d = new Date(date);
+  d.setHours(0, minutes, 0, 0);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}T${pad(d.getHours())}${pad(d.getMinutes())}00`;
+}
+
+function _icsUtcDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function _mealEvent(meal, startMinutes, mealTimes, now) {
+  const macros = mealMacros(meal);
+  const description = [
+    `Protein ${macros.protein} g · Carbs ${macros.carbs} g · Fat ${macros.fat} g · ${macros.calories} kcal`,
+    meal.recipe && meal.portion !== 1 ? `Portion: ${meal.portion} serving(s)` : null,
+    meal.recipe?.sourceUrl ?? null,
+  ].filter(Boolean);
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:meal-${meal.id}@dietcoach`,
+    `DTSTAMP:${_icsUtcDateTime(now)}`,
+    `DTSTART:${_icsLocalDateTime(meal.date, startMinutes)}`,
+    `DTEND:${_icsLocalDateTime(meal.date, startMinutes + mealTimes.duration)}`,
+    `SUMMARY:${_escapeIcsText(`${MEAL_LABELS[meal.type] ?? meal.type}: ${_mealTitle(meal)}`)}`,
+    `DESCRIPTION:${_escapeIcsText(description.join('\n'))}`,
+    `CATEGORIES:${_escapeIcsText(meal.type)}`,
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT',
+  ];
+}
+
+/**
+ * Calendario iCalendar (RFC 5545) con un evento per pasto dei piani dati,
+ * agli orari `mealTimes`. Ogni evento ha un UID stabile (id del pasto), così
+ * un calendario sottoscritto aggiorna i pasti modificati invece di duplicarli.
+ */
+export function buildIcs(plans, { mealTimes = DEFAULT_MEAL_TIMES, name = 'DietCoach meal plan', now = new Date() } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${ICS_PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${_escapeIcsText(name)}`,
+  ];
+
+  for (const plan of plans) {
+    for (const day of groupMealsByDay(plan)) {
+      const starts = mealStartMinutes(day.meals, mealTimes);
+      day.meals.forEach((meal, i) => lines.push(..._mealEvent(meal, starts[i], mealTimes, now)));
+    }
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(_foldIcsLine).join('\r\n') + '\r\n';
+}
+
+// ===== SECTION D: PRINTABLE HTML =====
+
+function _escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function _dayLabel(date) {
+  return date.toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short' });
+}
+
+/**
+ * Righe della griglia: una per pasto della giornata ("snack" compare più
+ * volte con 5-6 pasti), nell'ordine dei giorni con più pasti.
+ */
+function _gridRows(days) {
+  const rows = new Map();
+  const keysByDay = new Map();
+
+  for (const day of days) {
+    const seen = {};
+    keysByDay.set(day.key, day.meals.map((meal) => {
+      seen[meal.type] = (seen[meal.type] ?? 0) + 1;
+      const key = `${meal.type}#${seen[meal.type]}`;
+      const row = rows.get(key) ?? { key, type: meal.type, cells: {} };
+      row.cells[day.key] = meal;
+      rows.set(key, row);
+      return key;
+    }));
+  }
+
+  const order = [];
+  for (const day of [...days].sort((a, b) => b.meals.length - a.meals.length)) {
+    for (const key of keysByDay.get(day.key)) {
+      if (!order.includes(key)) order.push(key);
+    }
+  }
+
+  return order.map((key) => rows.get(key));
+}
+
+function _macroLine({ protein, carbs, fat, calories }) {
+  return `P ${protein} · C ${carbs} · F ${fat} g<br>${calories} kcal`;
+}
+
+function _mealCell(meal) {
+  if (!meal) return '<td class="empty">–</td>';
+
+  const portion = meal.recipe && meal.portion !== 1 ? ` <span class="portion">×${meal.portion}</span>` : '';
+  return `<td><div class="title">${_escapeHtml(_mealTitle(meal))}${portion}</div>` +
+    `<div class="macros">${_macroLine(mealMacros(meal))}</div></td>`;
+}
+
+/**
+ * Totali giornalieri di proteine, carboidrati, grassi e calorie.
+ */
+export function dayTotals(meals) {
+  const totals = meals.map(mealMacros).reduce(
+    (sum, m) => ({
+      protein: sum.protein + m.protein,
+      carbs: sum.carbs + m.carbs,
+      fat: sum.fat + m.fat,
+      calories: sum.calories + m.calories,
+    }),
+    { protein: 0, carbs: 0, fat: 0, calories: 0 }
+  );
+
+  return { protein: _round(totals.protein), carbs: _round(totals.carbs), fat: _round(totals.fat), calories: totals.calories };
+}
+
+const PRINT_CSS = `
+  @page { size: A4 landscape; margin: 10mm; }
+  body { font-family: system-ui, sans-serif; font-size: 11px; color: #222; margin: 0; }
+  h1 { font-size: 16px; margin: 0 0 8px; }
+  table { width: 100%; border-collapse: collapse; table-layout: fixed; }
+  th, td { border: 1px solid #999; padding: 4px; vertical-align: top; text-align: left; }
+  thead th { background: #eee; }
+  th.meal { width: 70px; }
+  .title { font-weight: 600; }
+  .portion { font-weight: normal; color: #555; }
+  .macros { color: #555; margin-top: 2px; }
+  .empty { color: #aaa; text-align: center; }
+  tfoot td { background: #f6f6f6; font-weight: 600; }
+`;
+
+/**
+ * Pagina HTML autonoma con la griglia della settimana (giorni in colonna,
+ * pasti in riga) e i totali macro di ogni giorno, pronta da stampare o
+ * salvare in PDF dal browser.
+ */
+export function buildHtml(plan) {
+  const days = groupMealsByDay(plan);
+  const rows = _gridRows(days);
+  const title = `Meal plan ${_dayLabel(days[0].date)} – ${_dayLabel(days[days.length - 1].date)}`;
+
+  const header = days.map((day) => `<th>${_escapeHtml(_dayLabel(day.date))}</th>`).join('');
+  const body = rows
+    .map((row) => `<tr><th class="meal">${MEAL_LABELS[row.type] ?? _escapeHtml(row.type)}</th>${days.map((day) => _mealCell(row.cells[day.key])).join('')}</tr>`)
+    .join('\n');
+  const totals = days.map((day) => `<td>${_macroLine(dayTotals(day.meals))}</td>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${_escapeHtml(title)}</title>
+<style>${PRINT_CSS}</style>
+</head>
+<body>
+<h1>${_escapeHtml(title)} · ${_escapeHtml(plan.goal)}${plan.locked ? ' · locked' : ''}</h1>
+<table>
+<thead><tr><th class="meal"></th>${header}</tr></thead>
+<tbody>
+${body}
+</tbody>
+<tfoot><tr><th class="meal">Total</th>${totals}</tr></tfoot>
+</table>
+</body>
+</html>
+`;
+}
+
+// ===== SECTION E: CSV =====
+
+export const CSV_COLUMNS = [
+  'mealId', 'date', 'type', 'slot', 'recipeId', 'recipe', 'portion',
+  'protein', 'carbs', 'fat', 'calories',
+  'targetProtein', 'targetCarbs', 'targetFat', 'targetCalories',
+];
+
+/**
+ * CSV con un pasto per riga nell'ordine della settimana: macro effettivi
+ * (come in mealMacros) e target del pasto.
+ */
+export function buildCsv(plan) {
+  const lines = [formatCsvLine(CSV_COLUMNS)];
+
+  for (const day of groupMealsByDay(plan)) {
+    for (const meal of day.meals) {
+      const macros = mealMacros(meal);
+      lines.push(formatCsvLine([
+        meal.id, day.key, meal.type, meal.slot, meal.recipeId, meal.recipe?.title, meal.recipe ? meal.portion : null,
+        macros.protein, macros.carbs, macros.fat, macros.calories,
+        meal.protein, meal.carbs, meal.fat, meal.calories,
+      ]));
+    }
+  }
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+// ===== SECTION F: CALENDAR SUBSCRIPTION =====
+
+// Il token non viene salvato: nel database c'è solo il suo hash
+function _hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Crea (o sostituisce, invalidando l'URL precedente) il token segreto del
+ * calendario sottoscrivibile dell'utente. Il token è mostrato solo ora.
+ */
+export async function createCalendarToken(userId) {
+  const token = crypto.randomBytes(24).toString('base64url');
+
+  await prisma.user.update({
+    where: { id: userId },
+    data: { calendarTokenHash: _hashToken(token) },
+  });
+
+  return token;
+}
+
+export async function revokeCalendarToken(userId) {
+  await prisma.user.update({
+    where: { id: userId },
+    data: { calendarTokenHash: null },
+  });
+}
+
+/**
+ * Lunedì della settimana corrente e domenica della successiva (ora locale).
+ */
+export function calendarRange(now = new Date()) {
+  const from = new Date(now);
+  from.setHours(0, 0, 0, 0);
+  from.setDate(from.getDate() - ((from.getDay() + 6) % 7));
+
+  const to = new Date(from);
+  to.setDate(to.getDate() + 13);
+
+  return { from, to };
+}
+
+/**
+ * Piani da mostrare in [from, to]: ogni giorno prende i pasti di un solo
+ * piano, il bloccato se c'è, altrimenti il più recente; i giorni fuori
+ * dall'intervallo vengono scartati.
+ */
+export function selectCalendarPlans(plans, { from, to }) {
+  const ordered = [...plans].sort((a, b) => Number(b.locked) - Number(a.locked) || b.createdAt - a.createdAt || b.id - a.id);
+  const coveredDays = new Set();
+
+  return ordered
+    .map((plan) => {
+      const days = groupMealsByDay(plan).filter(
+        (day) => day.key >= dayKey(from) && day.key <= dayKey(to) && !coveredDays.has(day.key)
+      );
+      days.forEach((day) => coveredDays.add(day.key));
+
+      const keys = new Set(days.map((day) => day.key));
+      return { ...plan, meals: plan.meals.filter((meal) => keys.has(dayKey(meal.date))) };
+    })
+    .filter((plan) => plan.meals.length > 0);
+}
+
+/**
+ * Feed .ics del calendario sottoscritto: i pasti della settimana corrente e
+ * della successiva, ricalcolati a ogni richiesta agli orari delle preferenze.
+ */
+export async function buildCalendarFeed(token, now = new Date()) {
+  const user = await prisma.user.findUnique({
+    where: { calendarTokenHash: _hashToken(token) },
+    include: { preferences: true },
+  });
+
+  if (!user) {
+    throw new NotFoundError('Calendar not found');
+  }
+
+  const range = calendarRange(now);
+  const plans = await prisma.mealPlan.findMany({
+    where: {
+      userId: user.id,
+      weekStart: { lte: range.to },
+      weekEnd: { gte: range.from },
+    },
+    include: { meals: { include: { recipe: true } } },
+  });
+
+  return buildIcs(selectCalendarPlans(plans, range), {
+    mealTimes: resolveMealTimes(user.preferences?.mealTimes),
+    name: `DietCoach – ${user.username}`,
+    now,
+  });
+}
+
+export default {
+  DEFAULT_MEAL_TIMES,
+  MealTimesSchema,
+  CSV_COLUMNS,
+  resolveMealTimes,
+  mealStartMinutes,
+  mealMacros,
+  groupMealsByDay,
+  dayTotals,
+  loadPlanForExport,
+  buildIcs,
+  buildHtml,
+  buildCsv,
+  createCalendarToken,
+  revokeCalendarToken,
+  calendarRange,
+  selectCalendarPlans,
+  buildCalendarFeed,
+};
@@ -0,0 +1,376 @@
+// src/services/foodComposition.js
+import { nameWords, containsWords } from './ingredientService.js';
+import { MICRONUTRIENT_KEYS } from './micronutrientService.js';
+
+// ===== SECTION A: CONFIGURATION =====
+
+export const FOOD_SOURCES = ['ciqual', 'usda'];
+
+export const MACRO_KEYS = ['calories', 'protein', 'carbs', 'fat'];
+
+/**
+ * Colonne della tabella CIQUAL (export CSV, intestazioni inglesi o francesi),
+ * riconosciute dall'inizio del nome.
+ */
+const CIQUAL_COLUMNS = {
+  calories: /^(energy|energie),? (regulation|r[eè]glement).*kcal/i,
+  protein: /^(protein|prot[ée]ines)/i,
+  carbs: /^(carbohydrate|glucides)/i,
+  fat: /^(fat|lipides)\s*\(/i,
+  fiber: /^fib/i,
+  iron: /^(iron|fer)\s*\(/i,
+  sodium: /^sodium/i,
+  calcium: /^calcium/i,
+  potassium: /^potassium/i,
+  magnesium: /^magn[eé]sium/i,
+  zinc: /^zinc/i,
+  vitaminC: /^vitamine? c\s*\(/i,
+  vitaminD: /^vitamine? d\s*\(/i,
+  vitaminB12: /^vitamine? b12/i,
+  folate: /^(folate|folates)/i,
+};
+
+/**
+ * ID dei nutrienti di FoodData Central (nutrient.csv), in ordine di
+ * preferenza: il primo presente vince (es. folati DFE, poi totali).
+ */
+const USDA_NUTRIENTS = {
+  calories: [1008, 2047, 2048],
+  protein: [1003],
+  carbs: [1005],
+  fat: [1004],
+  fiber: [1079],
+  iron: [1089],
+  sodium: [1093],
+  calcium: [1087],
+  potassium: [1092],
+  magnesium: [1090],
+  zinc: [1095],
+  vitaminC: [1162],
+  vitaminD: [1114],
+  vitaminB12: [1178],
+  folate: [1190, 1177],
+};
+
+export const USDA_NUTRIENT_IDS = new Set(Object.values(USDA_NUTRIENTS).flat());
+
+// Tipi di alimento FDC importati di default (i "branded" sono milioni di prodotti)
+export const USDA_DEFAULT_DATA_TYPES = ['foundation_food', 'sr_legacy_food'];
+
+// Parole che non rendono un alimento "diverso" dall'ingrediente cercato
+const NEUTRAL_WORDS = new Set(['raw', 'fresh', 'cru', 'crue', 'frais', 'fraîche', 'plain', 'whole', 'all', 'purpose']);
+
+// Quota minima di righe quantificate riconosciute per fidarsi del calcolo
+export const MIN_COVERAGE = 0.8;
+
+/**
+ * Pesi per convertire in grammi le righe senza g/ml (il database alimenti
+ * è per 100 g), cercati per nome ingrediente:
+ * - unitGrams: peso di un'unità senza misura ("2 eggs") o di una misura
+ *   a pezzi ("1 can", "2 slices")
+ * - gramsPerMl: densità per le misure a volume (default 1, l'acqua)
+ */
+const UNIT_WEIGHTS = [
+  { terms: ['spinach', 'spinaci'], unitGrams: { handful: 30 } },
+  { terms: ['broccoli'], unitGrams: { default: 150 } },
+  { terms: ['tomato', 'pomodoro'], unitGrams: { default: 120, can: 400 } },
+  { terms: ['carrot', 'carota'], unitGrams: { default: 60 } },
+  { terms: ['onion', 'cipolla'], unitGrams: { default: 110 } },
+  { terms: ['garlic', 'aglio'], unitGrams: { clove: 4 } },
+  { terms: ['sweet potato'], unitGrams: { default: 130 } },
+  { terms: ['potato', 'patata'], unitGrams: { default: 170 } },
+  { terms: ['bell pepper', 'peperone'], unitGrams: { default: 120 } },
+  { terms: ['zucchini', 'courgette', 'zucchina'], unitGrams: { default: 200 } },
+  // Verdura, non legume: "green beans" non deve finire sotto "bean"
+  { terms: ['green bean', 'string bean', 'fagiolino'], unitGrams: { handful: 40 }, gramsPerMl: 0.45 },
+  { terms: ['banana'], unitGrams: { default: 120 } },
+  { terms: ['apple', 'mela'], unitGrams: { default: 180 } },
+  { terms: ['orange', 'arancia'], unitGrams: { default: 130 } },
+  { terms: ['blueberry', 'mirtillo'], gramsPerMl: 0.6 },
+  { terms: ['strawberry', 'fragola'], gramsPerMl: 0.6 },
+  { terms: ['avocado'], unitGrams: { default: 150 } },
+  // Legumi cotti (in scatola o lessati)
+  { terms: ['lentil', 'lenticchia'], unitGrams: { can: 240 }, gramsPerMl: 0.8 },
+  { terms: ['chickpea', 'cece', 'garbanzo'], unitGrams: { can: 240 }, gramsPerMl: 0.7 },
+  { terms: ['bean', 'fagiolo'], unitGrams: { can: 240 }, gramsPerMl: 0.7 },
+  // Cereali a crudo
+  { terms: ['oat', 'oatmeal', 'avena'], gramsPerMl: 0.4 },
+  { terms: ['rice', 'riso'], gramsPerMl: 0.85 },
+  { terms: ['quinoa'], gramsPerMl: 0.75 },
+  { terms: ['flour', 'farina'], gramsPerMl: 0.53 },
+  { terms: ['bread', 'pane'], unitGrams: { slice: 30, default: 30 } },
+  // Latticini e uova
+  { terms: ['egg', 'uovo'], unitGrams: { default: 50 } },
+  { terms: ['almond milk', 'soy milk', 'oat milk'], gramsPerMl: 1.01 },
+  { terms: ['milk', 'latte'], gramsPerMl: 1.03 },
+  { terms: ['yogurt', 'yoghurt'], gramsPerMl: 1.05 },
+  { terms: ['parmesan', 'parmigiano'], gramsPerMl: 0.4 },
+  { terms: ['cheese', 'formaggio'], unitGrams: { slice: 20 } },
+  { terms: ['butter', 'burro'], gramsPerMl: 0.96 },
+  // Carne e pesce (i brodi prima, così "chicken broth" non pesa come un filetto)
+  { terms: ['broth', 'stock', 'brodo'], gramsPerMl: 1 },
+  { terms: ['chicken', 'pollo'], unitGrams: { fillet: 150 } },
+  { terms: ['turkey', 'tacchino'], unitGrams: { slice: 20 } },
+  { terms: ['salmon', 'salmone'], unitGrams: { fillet: 150 } },
+  { terms: ['tuna', 'tonno'], unitGrams: { can: 120 } },
+  { terms: ['cod', 'merluzzo'], unitGrams: { fillet: 150 } },
+  // Frutta secca, semi, condimenti
+  { terms: ['peanut butter'], gramsPerMl: 1.07 },
+  { terms: ['almond', 'mandorla'], gramsPerMl: 0.6, unitGrams: { handful: 30 } },
+  { terms: ['walnut', 'noce'], gramsPerMl: 0.5, unitGrams: { handful: 30 } },
+  { terms: ['chia seed', 'chia'], gramsPerMl: 0.8 },
+  { terms: ['pumpkin seed'], gramsPerMl: 0.55 },
+  { terms: ['olive oil', 'oil', 'olio'], gramsPerMl: 0.92 },
+  { terms: ['soy sauce', 'salsa di soia'], gramsPerMl: 1.15 },
+  { terms: ['salt', 'sale'], gramsPerMl: 1.2, unitGrams: { pinch: 0.4 } },
+];
+
+// Termini più lunghi prima, così "peanut butter" vince su "butter"
+const UNIT_WEIGHT_TERMS = UNIT_WEIGHTS
+  .flatMap((weights) => weights.terms.map((term) => ({ words: nameWords(term), weights })))
+  .sort((a, b) => b.words.length - a.words.length);
+
+function _round(value, decimals = 1) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+// ===== SECTION B: DATASET PARSING =====
+
+/**
+ * Valore numerico di una cella: virgola decimale ammessa, "traces"
+ * e valori sotto il limite di rilevazione ("< 0,5") valgono 0,
+ * celle vuote o "-" restano null.
+ */
+export function parseNutrientValue(cell) {
+  const value = (cell ?? '').trim().toLowerCase();
+  if (!value || value === '-') return null;
+  if (value.startsWith('trace') || value.startsWith('<')) return 0;
+
+  const number = parseFloat(value.replace(',', '.'));
+  return Number.isFinite(number) ? number : null;
+}
+
+function _food({ source, externalId, name, foodGroup, values }) {
+  const micronutrients = Object.fromEntries(
+    MICRONUTRIENT_KEYS.filter((key) => values[key] !== null && values[key] !== undefined).map((key) => [key, values[key]])
+  );
+
+  return {
+    source,
+    externalId: String(externalId),
+    name,
+    foodGroup: foodGroup || null,
+    calories: values.calories ?? null,
+    protein: values.protein ?? null,
+    carbs: values.carbs ?? null,
+    fat: values.fat ?? null,
+    micronutrients: Object.keys(micronutrients).length ? micronutrients : null,
+  };
+}
+
+/**
+ * Alimenti dalle righe della tabella CIQUAL ({ colonna: valore }).
+ * Il nome inglese è preferito se presente; le righe senza codice o
+ * senza nessun macronutriente vengono scartate.
+ */
+export function foodsFromCiqual(records) {
+  if (!records.length) return [];
+
+  const columns = Object.keys(records[0]);
+  const columnFor = Object.fromEntries(
+    Object.entries(CIQUAL_COLUMNS).map(([key, pattern]) => [key, columns.find((c) => pattern.test(c))])
+  );
+
+  return records
+    .filter((record) => record.alim_code)
+    .map((record) => {
+      const values = Object.fromEntries(
+        Object.entries(columnFor).map(([key, column]) => [key, column ? parseNutrientValue(record[column]) : null])
+      );
+
+      return _food({
+        source: 'ciqual',
+        externalId: record.alim_code,
+        name: record.alim_nom_eng || record.alim_nom_fr,
+        foodGroup: record.alim_grp_nom_eng || record.alim_grp_nom_fr,
+        values,
+      });
+    })
+    .filter((food) => food.name && MACRO_KEYS.some((key) => food[key] !== null));
+}
+
+/**
+ * Alimenti dall'export CSV di FoodData Central: righe di food.csv
+ * ({ fdc_id, data_type, description }) e di food_nutrient.csv
+ * ({ fdc_id, nutrient_id, amount }), già filtrate o no.
+ */
+export function foodsFromUsda(foodRecords, nutrientRecords, { dataTypes = USDA_DEFAULT_DATA_TYPES } = {}) {
+  const amounts = new Map();
+
+  for (const row of nutrientRecords) {
+    const nutrientId = Number(row.nutrient_id);
+    if (!USDA_NUTRIENT_IDS.has(nutrientId)) continue;
+
+    if (!amounts.has(row.fdc_id)) amounts.set(row.fdc_id, new Map());
+    amounts.get(row.fdc_id).set(nutrientId, parseNutrientValue(row.amount));
+  }
+
+  return foodRecords
+    .filter((row) => !dataTypes || dataTypes.includes(row.data_type))
+    .filter((row) => amounts.has(row.fdc_id))
+    .map((row) => {
+      const byId = amounts.get(row.fdc_id);
+      const values = Object.fromEntries(
+        Object.entries(USDA_NUTRIENTS).map(([key, ids]) => [
+          key,
+          ids.map((id) => byId.get(id)).find((v) => v !== null && v !== undefined) ?? null,
+        ])
+      );
+
+      return _food({ source: 'usda', externalId: row.fdc_id, name: row.description, values });
+    })
+    .filter((food) => food.name && MACRO_KEYS.some((key) => food[key] !== null));
+}
+
+// ===== SECTION C: MATCHING =====
+
+/**
+ * Parola principale di un nome ingrediente (l'ultima, "chicken breast" -> "breast"),
+ * usata per cercare i candidati nel DB.
+ */
+export function headWord(name) {
+  const words = nameWords(name || '');
+  return words[words.length - 1] || null;
+}
+
+/**
+ * Alimento della tabella più vicino a un nome ingrediente. Il candidato deve
+ * contenere la parola principale; vince chi condivide più parole e ne ha meno
+ * di estranee, con una preferenza per gli alimenti crudi e i nomi corti.
+ */
+export function matchFood(name, foods) {
+  const words = nameWords(name || '');
+  const head = words[words.length - 1];
+  if (!head) return null;
+
+  let best = null;
+  let bestScore = -Infinity;
+
+  for (const food of foods) {
+    const foodWords = nameWords(food.name);
+    if (!foodWords.includes(head)) continue;
+
+    const shared = words.filter((w) => foodWords.includes(w)).length;
+    const extra = foodWords.filter((w) => !words.includes(w) && !NEUTRAL_WORDS.has(w)).length;
+    const raw = foodWords.some((w) => w === 'raw' || w === 'cru' || w === 'crue') ? 3 : 0;
+    const score = shared * 10 - extra + raw + (foodWords[0] === words[0] ? 2 : 0);
+
+    if (score > bestScore || (score === bestScore && food.name.length < best.name.length)) {
+      best = food;
+      bestScore = score;
+    }
+  }
+
+  return best;
+}
+
+// ===== SECTION D: NUTRITION =====
+
+function _unitWeights(name) {
+  const words = nameWords(name || '');
+  return UNIT_WEIGHT_TERMS.find((entry) => containsWords(words, entry.words))?.weights ?? null;
+}
+
+/**
+ * Peso in grammi di una riga strutturata: diretto per g, con la densità
+ * di UNIT_WEIGHTS per ml (acqua se sconosciuta), con il peso unitario
+ * per le unità a pezzi. Null se non convertibile.
+ */
+export function ingredientGrams(item) {
+  if (item.quantity === null || item.quantity === undefined) return null;
+  if (item.unit === 'g') return item.quantity;
+
+  const weights = _unitWeights(item.name) || _unitWeights(item.ingredient?.name);
+  if (item.unit === 'ml') return item.quantity * (weights?.gramsPerMl ?? 1);
+
+  const unitGrams = weights?.unitGrams?.[item.unit ?? 'default'];
+  return unitGrams ? item.quantity * unitGrams : null;
+}
+
+/**
+ * Nutrienti per porzione di righe strutturate ({ raw, name, quantity, unit }).
+ * `foodFor(item)` restituisce l'alimento (valori per 100 g) o null.
+ *
+ * Le righe senza quantità ("salt to taste") sono ignorate; quelle non
+ * riconosciute o non convertibili in grammi finiscono in `unmatched` e
+ * abbassano `coverage` (quota delle righe quantificate riconosciute).
+ */
+export function calculateNutrition(items, foodFor, { servings = 1 } = {}) {
+  const totals = Object.fromEntries([...MACRO_KEYS, ...MICRONUTRIENT_KEYS].map((key) => [key, 0]));
+  const lines = [];
+  const unmatched = [];
+  let quantified = 0;
+
+  for (const item of items) {
+    if (item.quantity === null || item.quantity === undefined) continue;
+    quantified += 1;
+
+    const food = foodFor(item);
+    const grams = food ? ingredientGrams(item) : null;
+
+    if (!food || grams === null) {
+      unmatched.push({ raw: item.raw || item.name, reason: food ? 'unknown weight' : 'unknown food' });
+      continue;
+    }
+
+    const factor = grams / 100;
+    for (const key of MACRO_KEYS) totals[key] += (food[key] ?? 0) * factor;
+    for (const key of MICRONUTRIENT_KEYS) totals[key] += (food.micronutrients?.[key] ?? 0) * factor;
+
+    lines.push({ raw: item.raw || item.name, grams: _round(grams), food: { id: food.id ?? null, source: food.source, name: food.name } });
+  }
+
+  const perServing = (value) => value / (servings || 1);
+
+  return {
+    perServing: {
+      calories: Math.round(perServing(totals.calories)),
+      protein: _round(perServing(totals.protein)),
+      carbs: _round(perServing(totals.carbs)),
+      fat: _round(perServing(totals.fat)),
+    },
+    micronutrients: lines.length
+      ? Object.fromEntries(MICRONUTRIENT_KEYS.map((key) => [key, _round(perServing(totals[key]))]))
+      : null,
+    coverage: quantified ? _round(lines.length / quantified, 2) : 0,
+    lines,
+    unmatched,
+  };
+}
+
+/**
+ * Scarto relativo massimo tra macro dichiarate e calcolate ({ protein, carbs, fat }),
+ * con un minimo di 5 g al denominatore per non gonfiare gli scarti sulle quantità piccole.
+ */
+export function macroDeviation(stated, computed) {
+  return Math.max(
+    ...['protein', 'carbs', 'fat'].map((key) => Math.abs((stated[key] ?? 0) - computed[key]) / Math.max(computed[key], 5))
+  );
+}
+
+export default {
+  FOOD_SOURCES,
+  MACRO_KEYS,
+  MIN_COVERAGE,
+  USDA_NUTRIENT_IDS,
+  USDA_DEFAULT_DATA_TYPES,
+  parseNutrientValue,
+  foodsFromCiqual,
+  foodsFromUsda,
+  headWord,
+  matchFood,
+  ingredientGrams,
+  calculateNutrition,
+  macroDeviation,
+};
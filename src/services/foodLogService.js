@@ -0,0 +1,344 @@
+// src/services/foodLogService.js
+import prisma from '../db/prismaClient.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+
+export const LOG_STATUSES = ['eaten', 'skipped', 'substituted', 'adhoc'];
+const MEAL_TYPES = ['breakfast', 'lunch', 'snack', 'dinner'];
+
+// ===== SECTION A: HELPERS =====
+
+/**
+ * Chiave giorno "YYYY-MM-DD" in ora locale, coerente con parseDate di planService.
+ */
+export function dayKey(date) {
+  const d = new Date(date);
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return d.getFullYear() + '-' + month + '-' + day;
+}
+
+function startOfDay(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+function _round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function _emptyTotals() {
+  return { protein: 0, carbs: 0, fat: 0, calories: 0 };
+}
+
+function _addTotals(totals, item) {
+  totals.protein += item.protein ?? 0;
+  totals.carbs += item.carbs ?? 0;
+  totals.fat += item.fat ?? 0;
+  totals.calories += item.calories ?? 0;
+}
+
+/**
+ * Macro effettive di un pasto pianificato: quelle registrate alla porzione
+ * del pasto, altrimenti quelle della ricetta (una porzione) se presenti,
+ * altrimenti il target del pasto.
+ */
+function _plannedMealMacros(meal) {
+  if (meal.actualProtein !== null && meal.actualProtein !== undefined) {
+    return {
+      protein: meal.actualProtein,
+      carbs: meal.actualCarbs ?? 0,
+      fat: meal.actualFat ?? 0,
+      calories: meal.actualCalories ?? 0,
+    };
+  }
+
+  const recipe = meal.recipe;
+  const hasRecipeMacros = recipe && recipe.proteinPerServing !== null && recipe.proteinPerServing !== undefined;
+
+  const protein = hasRecipeMacros ? recipe.proteinPerServing : meal.protein;
+  const carbs = hasRecipeMacros ? recipe.carbsPerServing ?? 0 : meal.carbs;
+  const fat = hasRecipeMacros ? recipe.fatPerServing ?? 0 : meal.fat;
+  const calories =
+    (hasRecipeMacros ? recipe.caloriesPerServing : meal.calories) ??
+    Math.round(protein * 4 + carbs * 4 + fat * 9);
+
+  return { protein, carbs, fat, calories };
+}
+
+// ===== SECTION B: LOGGING =====
+
+/**
+ * Registra cosa è stato mangiato.
+ * - Con mealId: segna il pasto pianificato come eaten / skipped / substituted
+ *   (un solo entry per pasto: un nuovo log sostituisce il precedente).
+ * - Senza mealId: cibo ad-hoc con macro esplicite.
+ */
+export async function logFood(userId, entry) {
+  const { mealId, status, portion = 1, description, notes } = entry;
+
+  if (!LOG_STATUSES.includes(status)) {
+    throw ValidationError.forField('status', 'Invalid status. Use one of: ' + LOG_STATUSES.join(', '));
+  }
+
+  if (mealId) {
+    const meal = await prisma.meal.findFirst({
+      where: { id: parseInt(mealId), mealPlan: { userId } },
+      include: { recipe: true },
+    });
+
+    if (!meal) {
+      throw new NotFoundError('Meal not found');
+    }
+
+    if (status === 'adhoc') {
+      throw ValidationError.forField('mealId', 'Ad-hoc entries cannot reference a planned meal');
+    }
+
+    let macros;
+    if (status === 'eaten') {
+      const planned = _plannedMealMacros(meal);
+      macros = {
+        protein: _round(planned.protein * portion),
+        carbs: _round(planned.carbs * portion),
+        fat: _round(planned.fat * portion),
+        calories: Math.round(planned.calories * portion),
+      };
+    } else if (status === 'skipped') {
+      macros = _emptyTotals();
+    } else {
+      macros = _requireMacros(entry);
+    }
+
+    const data = {
+      userId,
+      mealId: meal.id,
+      date: startOfDay(meal.date),
+      type: meal.type,
+      status,
+      portion: status === 'eaten' ? portion : 1,
+      description: description || null,
+      notes: notes || null,
+      ...macros,
+    };
+
+    const existing = await prisma.foodLogEntry.findFirst({
+      where: { userId, mealId: meal.id },
+    });
+
+    if (existing) {
+      return await prisma.foodLogEntry.update({ where: { id: existing.id }, data });
+    }
+    return await prisma.foodLogEntry.create({ data });
+  }
+
+  if (status !== 'adhoc') {
+    throw ValidationError.forField('mealId', 'mealId is required unless status is "adhoc"');
+  }
+
+  if (!entry.date || !entry.description) {
+    throw ValidationError.forField(entry.date ? 'description' : 'date', 'date and description are required for ad-hoc entries');
+  }
+
+  if (entry.type && !MEAL_TYPES.includes(entry.type)) {
+    throw ValidationError.forField('type', 'Invalid type. Use one of: ' + MEAL_TYPES.join(', '));
+  }
+
+  return await prisma.foodLogEntry.create({
+    data: {
+      userId,
+      date: startOfDay(entry.date),
+      type: entry.type || 'snack',
+      status,
+      description,
+      notes: notes || null,
+      ..._requireMacros(entry),
+    },
+  });
+}
+
+function _requireMacros(entry) {
+  const { protein, carbs, fat } = entry;
+
+  if ([protein, carbs, fat].some((v) => typeof v !== 'number' || v < 0)) {
+    throw ValidationError.forField('protein', 'protein, carbs and fat are required for substituted and ad-hoc entries');
+  }
+
+  return {
+    protein,
+    carbs,
+    fat,
+    calories: entry.calories ?? Math.round(protein * 4 + carbs * 4 + fat * 9),
+  };
+}
+
+export async function listFoodLog(userId, { from, to } = {}) {
+  const where = { userId };
+
+  if (from || to) {
+    where.date = {};
+    if (from) where.date.gte = startOfDay(from);
+    if (to) where.date.lte = startOfDay(to);
+  }
+
+  return await prisma.foodLogEntry.findMany({
+    where,
+    orderBy: [{ date: 'asc' }, { type: 'asc' }, { id: 'asc' }],
+    include: { meal: { include: { recipe: true } } },
+  });
+}
+
+export async function deleteFoodLogEntry(userId, id) {
+  const entry = await prisma.foodLogEntry.findFirst({
+    where: { id: parseInt(id), userId },
+  });
+
+  if (!entry) {
+    throw new NotFoundError('Food log entry not found');
+  }
+
+  await prisma.foodLogEntry.delete({ where: { id: entry.id } });
+}
+
+// ===== SECTION C: ADHERENCE =====
+
+/**
+ * Confronta le macro registrate con i target dei pasti pianificati,
+ * per giorno e per tipo di pasto.
+ *
+ * `meals` sono i Meal del piano, `entries` i FoodLogEntry dell'utente
+ * nell'intervallo del piano (sia legati ai pasti sia ad-hoc).
+ */
+export function computeAdherence(meals, entries) {
+  const days = new Map();
+
+  const getDay = (key) => {
+    if (!days.has(key)) {
+      days.set(key, {
+        date: key,
+        planned: _emptyTotals(),
+        logged: _emptyTotals(),
+        byMealType: {},
+      });
+    }
+    return days.get(key);
+  };
+
+  const getSlot = (day, type) => {
+    if (!day.byMealType[type]) {
+      day.byMealType[type] = { planned: _emptyTotals(), logged: _emptyTotals() };
+    }
+    return day.byMealType[type];
+  };
+
+  const mealStatus = { eaten: 0, skipped: 0, substituted: 0, unlogged: 0 };
+  const loggedMealIds = new Set(entries.filter((e) => e.mealId).map((e) => e.mealId));
+
+  for (const meal of meals) {
+    const day = getDay(dayKey(meal.date));
+    const target = {
+      protein: meal.protein,
+      carbs: meal.carbs,
+      fat: meal.fat,
+      calories: meal.calories ?? meal.protein * 4 + meal.carbs * 4 + meal.fat * 9,
+    };
+    _addTotals(day.planned, target);
+    _addTotals(getSlot(day, meal.type).planned, target);
+
+    if (!loggedMealIds.has(meal.id)) {
+      mealStatus.unlogged += 1;
+    }
+  }
+
+  let adhocEntries = 0;
+  for (const entry of entries) {
+    const day = getDay(dayKey(entry.date));
+    _addTotals(day.logged, entry);
+    _addTotals(getSlot(day, entry.type).logged, entry);
+
+    if (entry.status === 'adhoc') {
+      adhocEntries += 1;
+    } else if (mealStatus[entry.status] !== undefined) {
+      mealStatus[entry.status] += 1;
+    }
+  }
+
+  const withDelta = (block) => {
+    const delta = {};
+    const percent = {};
+    for (const macro of Object.keys(block.planned)) {
+      block.planned[macro] = _round(block.planned[macro]);
+      block.logged[macro] = _round(block.logged[macro]);
+      delta[macro] = _round(block.logged[macro] - block.planned[macro]);
+      percent[macro] = block.planned[macro]
+        ? Math.round((block.logged[macro] / block.planned[macro]) * 100)
+        : null;
+    }
+    return { ...block, delta, percentOfTarget: percent };
+  };
+
+  const dailyReports = [...days.values()]
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map((day) => {
+      const byMealType = {};
+      for (const [type, slot] of Object.entries(day.byMealType)) {
+        byMealType[type] = withDelta(slot);
+      }
+      return { ...withDelta(day), byMealType };
+    });
+
+  const totals = { planned: _emptyTotals(), logged: _emptyTotals() };
+  for (const day of dailyReports) {
+    _addTotals(totals.planned, day.planned);
+    _addTotals(totals.logged, day.logged);
+  }
+
+  return {
+    days: dailyReports,
+    totals: withDelta(totals),
+    meals: { ...mealStatus, total: meals.length },
+    adhocEntries,
+  };
+}
+
+/**
+ * Report di aderenza per un MealPlan dell'utente.
+ */
+export async function getAdherenceReport(mealPlanId, userId) {
+  const plan = await prisma.mealPlan.findFirst({
+    where: { id: parseInt(mealPlanId), userId },
+    include: { meals: true },
+  });
+
+  if (!plan) {
+    throw new NotFoundError('Meal plan not found');
+  }
+
+  const weekEnd = new Date(plan.weekEnd);
+  weekEnd.setHours(23, 59, 59, 999);
+
+  const entries = await prisma.foodLogEntry.findMany({
+    where: {
+      userId,
+      OR: [
+        { mealId: { in: plan.meals.map((m) => m.id) } },
+        { mealId: null, date: { gte: startOfDay(plan.weekStart), lte: weekEnd } },
+      ],
+    },
+  });
+
+  return {
+    mealPlanId: plan.id,
+    weekStart: plan.weekStart,
+    weekEnd: plan.weekEnd,
+    ...computeAdherence(plan.meals, entries),
+  };
+}
+
+export default {
+  logFood,
+  listFoodLog,
+  deleteFoodLogEntry,
+  getAdherenceReport,
+  computeAdherence,
+};
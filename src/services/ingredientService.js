@@ -0,0 +1,212 @@
+// src/services/ingredientService.js
+import { splitIngredientList, parseIngredientLine, normalizeItemName } from '../utils/ingredientParser.js';
+
+// ===== SECTION A: STRUCTURED LINES =====
+
+/**
+ * Dimensione di un'unità canonica (g -> mass, ml -> volume, altre o
+ * nessuna unità -> count), come `dimension` di parseIngredientLine.
+ */
+export function dimensionOf(unit) {
+  if (unit === 'g') return 'mass';
+  if (unit === 'ml') return 'volume';
+  return 'count';
+}
+
+/**
+ * Converte righe di ingredienti ("200g chicken breast", "1 tbsp oil, extra virgin")
+ * nei campi di RecipeIngredient: { position, raw, quantity, unit, name, note }.
+ * Le righe non interpretabili restano con quantity null e il nome normalizzato.
+ */
+export function buildRecipeIngredients(lines) {
+  return lines
+    .map((line) => (typeof line === 'string' ? line.trim() : ''))
+    .filter(Boolean)
+    .map((raw, position) => {
+      const parsed = parseIngredientLine(raw);
+
+      if (!parsed) {
+        return { position, raw, quantity: null, unit: null, name: normalizeItemName(raw) || raw, note: null };
+      }
+
+      return {
+        position,
+        raw,
+        quantity: parsed.quantity,
+        unit: parsed.unit,
+        name: parsed.item,
+        note: parsed.note,
+      };
+    });
+}
+
+/**
+ * Righe strutturate da una stringa legacy o da un array di righe.
+ */
+export function ingredientsFromText(ingredients) {
+  const lines = Array.isArray(ingredients) ? ingredients : splitIngredientList(ingredients);
+  return buildRecipeIngredients(lines);
+}
+
+/**
+ * Converte gli ingredienti strutturati di Edamam
+ * ({ text, quantity, measure, food, weight, foodCategory, foodId }).
+ * Il nome viene dal campo `food`; se il testo non è interpretabile
+ * si usa il peso in grammi calcolato da Edamam.
+ */
+export function fromEdamamIngredients(ingredients = []) {
+  return ingredients
+    .filter((ing) => ing?.text)
+    .map((ing, position) => {
+      const parsed = parseIngredientLine(ing.text);
+      const name = normalizeItemName(ing.food || '') || parsed?.item || normalizeItemName(ing.text);
+
+      let quantity = parsed?.quantity ?? null;
+      let unit = parsed?.unit ?? null;
+      if (quantity === null && ing.weight > 0) {
+        quantity = Math.round(ing.weight * 10) / 10;
+        unit = 'g';
+      }
+
+      return {
+        position,
+        raw: ing.text,
+        quantity,
+        unit,
+        name,
+        note: parsed?.note ?? null,
+        externalFoodId: ing.foodId ?? null,
+        foodCategory: ing.foodCategory ?? null,
+      };
+    });
+}
+
+/**
+ * Input Prisma per creare le RecipeIngredient di una ricetta, collegando
+ * ognuna all'Ingredient canonico con lo stesso nome (creato se manca).
+ */
+export function recipeIngredientsCreateInput(items) {
+  return {
+    create: items.map(({ externalFoodId, foodCategory, ...item }) => ({
+      ...item,
+      ingredient: {
+        connectOrCreate: {
+          where: { name: item.name },
+          create: {
+            name: item.name,
+            externalFoodId: externalFoodId ?? null,
+            foodCategory: foodCategory ?? null,
+          },
+        },
+      },
+    })),
+  };
+}
+
+/**
+ * Crea gli Ingredient canonici che mancano prima di salvare una ricetta.
+ * connectOrCreate cerca e poi inserisce: due ricette salvate insieme con
+ * lo stesso ingrediente nuovo fallirebbero sul vincolo unique di `name` (P2002).
+ * Con skipDuplicates decide il database e connectOrCreate trova sempre la riga.
+ * `client` è prisma o la transazione in corso.
+ */
+export async function ensureIngredients(client, items) {
+  const byName = new Map();
+  for (const { name, externalFoodId, foodCategory } of items) {
+    if (!byName.has(name)) {
+      byName.set(name, { name, externalFoodId: externalFoodId ?? null, foodCategory: foodCategory ?? null });
+    }
+  }
+  if (!byName.size) return;
+
+  await client.ingredient.createMany({ data: [...byName.values()], skipDuplicates: true });
+}
+
+/**
+ * Righe strutturate di una ricetta letta dal DB: quelle salvate se incluse,
+ * altrimenti ricavate dal testo legacy.
+ */
+export function recipeIngredientsOf(recipe) {
+  if (recipe?.recipeIngredients?.length) {
+    return [...recipe.recipeIngredients].sort((a, b) => a.position - b.position);
+  }
+  return recipe?.ingredients ? ingredientsFromText(recipe.ingredients) : [];
+}
+
+// ===== SECTION B: EXCLUSIONS =====
+
+/**
+ * Lista di esclusioni normalizzate (stesso formato dei nomi ingrediente).
+ */
+export function parseExclusions(excludedIngredients) {
+  const list = Array.isArray(excludedIngredients)
+    ? excludedIngredients
+    : (excludedIngredients || '').split(/[,;\n]/);
+
+  return [...new Set(list.map((s) => normalizeItemName(s.trim())).filter(Boolean))];
+}
+
+/**
+ * Parole di un nome ingrediente, ognuna al singolare
+ * ("lactose-free milk" -> ["lactose", "free", "milk"]).
+ */
+export function nameWords(name) {
+  return normalizeItemName(name)
+    .split(/[\s-]+/)
+    .filter(Boolean)
+    .map((word) => normalizeItemName(word) || word);
+}
+
+/**
+ * Vero se `target` compare in `words` come sequenza di parole intere.
+ */
+export function containsWords(words, target) {
+  for (let i = 0; i + target.length <= words.length; i++) {
+    if (target.every((word, j) => words[i + j] === word)) return true;
+  }
+  return false;
+}
+
+/**
+ * Vero se il nome contiene l'esclusione come parole intere
+ * ("pork" esclude "pork loin", "egg" non esclude "eggplant").
+ */
+export function matchesExclusion(name, exclusion) {
+  return containsWords(nameWords(name), nameWords(exclusion));
+}
+
+/**
+ * Ingredienti che violano le esclusioni: [{ ingredient, exclusion }].
+ * Accetta righe strutturate ({ name, ingredient? }) o righe di testo.
+ */
+export function findExcludedIngredients(ingredients, exclusions) {
+  if (!exclusions.length) return [];
+
+  const items = typeof ingredients[0] === 'string' ? buildRecipeIngredients(ingredients) : ingredients;
+  const violations = [];
+
+  for (const item of items) {
+    const names = [item.name, item.ingredient?.name].filter(Boolean);
+    const exclusion = exclusions.find((ex) => names.some((name) => matchesExclusion(name, ex)));
+    if (exclusion) {
+      violations.push({ ingredient: item.raw || item.name, exclusion });
+    }
+  }
+
+  return violations;
+}
+
+export default {
+  dimensionOf,
+  buildRecipeIngredients,
+  ingredientsFromText,
+  fromEdamamIngredients,
+  recipeIngredientsCreateInput,
+  ensureIngredients,
+  recipeIngredientsOf,
+  parseExclusions,
+  nameWords,
+  containsWords,
+  matchesExclusion,
+  findExcludedIngredients,
+};
@@ -0,0 +1,311 @@
+// src/services/jobService.js
+import os from 'os';
+import prisma from '../db/prismaClient.js';
+import { NotFoundError } from '../utils/errors.js';
+
+// ===== SECTION A: CONFIGURATION =====
+
+export const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed'];
+
+export const DEFAULT_MAX_ATTEMPTS = 3;
+
+// Attesa prima del secondo tentativo; raddoppia a ogni tentativo successivo
+const RETRY_BASE_DELAY_MS = 5000;
+const RETRY_MAX_DELAY_MS = 5 * 60 * 1000;
+
+function _nonNegativeInt(value, fallback) {
+  const number = parseInt(value);
+  return Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+/**
+ * Opzioni del worker dalle variabili d'ambiente:
+ * JOB_CONCURRENCY (job eseguiti in parallelo, 0 = nessun worker in questo processo),
+ * JOB_POLL_INTERVAL_MS e JOB_LOCK_TIMEOUT_MS (dopo quanto un job "running"
+ * senza heartbeat viene considerato abbandonato).
+ */
+export function workerOptionsFromEnv(env = process.env) {
+  return {
+    concurrency: _nonNegativeInt(env.JOB_CONCURRENCY, 1),
+    pollIntervalMs: _nonNegativeInt(env.JOB_POLL_INTERVAL_MS, 0) || 2000,
+    lockTimeoutMs: _nonNegativeInt(env.JOB_LOCK_TIMEOUT_MS, 0) || 60000,
+  };
+}
+
+/**
+ * Attesa prima di rimettere in coda un job fallito al tentativo `attempt`:
+ * 5s, 10s, 20s... fino a 5 minuti.
+ */
+export function retryDelayMs(attempt) {
+  return Math.min(RETRY_BASE_DELAY_MS * Math.pow(2, Math.max(attempt, 1) - 1), RETRY_MAX_DELAY_MS);
+}
+
+// ===== SECTION B: QUEUE =====
+
+/**
+ * Mette in coda un job; verrà eseguito dal primo worker libero
+ * con un handler registrato per `type`.
+ */
+export async function enqueueJob(type, payload, { userId, maxAttempts = DEFAULT_MAX_ATTEMPTS } = {}) {
+  return prisma.job.create({
+    data: { type, payload, userId, maxAttempts },
+  });
+}
+
+export async function getJob(id, userId) {
+  const job = await prisma.job.findFirst({
+    where: { id: parseInt(id), userId },
+  });
+
+  if (!job) {
+    throw new NotFoundError('Job not found');
+  }
+
+  return serializeJob(job);
+}
+
+/**
+ * Vista pubblica di un job: senza i campi di lock del worker, con
+ * l'ultimo errore in evidenza e `nextAttemptAt` per i job in attesa di retry.
+ */
+export function serializeJob(job) {
+  const errors = Array.isArray(job.errors) ? job.errors : [];
+
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    progress: job.progress,
+    progressMessage: job.progressMessage,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    payload: job.payload,
+    result: job.result,
+    error: job.status === 'failed' ? errors[errors.length - 1]?.message ?? null : null,
+    errors,
+    nextAttemptAt: job.status === 'queued' && job.attempts > 0 ? job.runAt : null,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+  };
+}
+
+/**
+ * Prende in carico il prossimo job eseguibile. FOR UPDATE SKIP LOCKED
+ * evita che due worker (anche in processi diversi) prendano lo stesso job.
+ */
+async function _claimNextJob(workerId, types) {
+  const [claimed] = await prisma.$queryRaw`
+    UPDATE "Job"
+    SET "status" = 'running',
+        "lockedBy" = ${workerId},
+        "lockedAt" = NOW(),
+        "startedAt" = COALESCE("startedAt", NOW()),
+        "attempts" = "attempts" + 1
+    WHERE "id" = (
+      SELECT "id" FROM "Job"
+      WHERE "status" = 'queued' AND "runAt" <= NOW() AND "type" = ANY(${types})
+      ORDER BY "runAt", "id"
+      LIMIT 1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING "id"`;
+
+  return claimed ? prisma.job.findUnique({ where: { id: claimed.id } }) : null;
+}
+
+/**
+ * Registra il tentativo fallito: il job torna in coda con backoff se
+ * l'errore è ritentabile e restano tentativi, altrimenti fallisce.
+ * `where` limita l'aggiornamento al lock ancora valido.
+ */
+async function _recordFailure(job, error, { retryable, where = {} }) {
+  const retrying = retryable && job.attempts < job.maxAttempts;
+  const errors = [
+    ...(Array.isArray(job.errors) ? job.errors : []),
+    {
+      attempt: job.attempts,
+      message: error.message,
+      ...(error.violations && { violations: error.violations }),
+      retrying,
+      at: new Date().toISOString(),
+    },
+  ];
+
+  const data = retrying
+    ? {
+        status: 'queued',
+        runAt: new Date(Date.now() + retryDelayMs(job.attempts)),
+        progress: 0,
+        progressMessage: 'Waiting to retry',
+      }
+    : { status: 'failed', finishedAt: new Date() };
+
+  await prisma.job.updateMany({
+    where: { id: job.id, status: 'running', lockedBy: job.lockedBy, ...where },
+    data: { ...data, errors, lockedBy: null, lockedAt: null },
+  });
+}
+
+/**
+ * Job rimasti "running" senza heartbeat da più di `lockTimeoutMs`
+ * (processo terminato o riavviato): contano come tentativo fallito e
+ * tornano in coda se restano tentativi.
+ */
+async function _recoverStaleJobs(lockTimeoutMs) {
+  const staleBefore = new Date(Date.now() - lockTimeoutMs);
+  const stale = await prisma.job.findMany({
+    where: { status: 'running', lockedAt: { lt: staleBefore } },
+  });
+
+  for (const job of stale) {
+    console.warn(`Job ${job.id} (${job.type}) lost its worker ${job.lockedBy}, recovering`);
+    await _recordFailure(job, new Error('Worker stopped while the job was running'), {
+      retryable: true,
+      where: { lockedAt: { lt: staleBefore } },
+    });
+  }
+}
+
+// ===== SECTION C: WORKER =====
+
+const handlers = new Map();
+let worker = null;
+
+/**
+ * Registra la funzione che esegue i job di un tipo:
+ * `handler(job, { reportProgress })` restituisce il `result` da salvare.
+ * Gli errori con `retryable = true` rimettono in coda il job.
+ */
+export function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+async function _runJob(job, { workerId, lockTimeoutMs }) {
+  const owned = { id: job.id, status: 'running', lockedBy: workerId };
+
+  // Heartbeat: tiene vivo il lock anche durante le chiamate LLM lunghe
+  const heartbeat = setInterval(() => {
+    prisma.job
+      .updateMany({ where: owned, data: { lockedAt: new Date() } })
+      .catch((error) => console.warn(`Job ${job.id} heartbeat failed:`, error.message));
+  }, Math.max(Math.floor(lockTimeoutMs / 3), 1000));
+  heartbeat.unref();
+
+  const reportProgress = async (progress, message) => {
+    try {
+      await prisma.job.updateMany({
+        where: owned,
+        data: { progress, progressMessage: message, lockedAt: new Date() },
+      });
+    } catch (error) {
+      console.warn(`Job ${job.id} progress update failed:`, error.message);
+    }
+  };
+
+  try {
+    const result = await handlers.get(job.type)(job, { reportProgress });
+
+    await prisma.job.updateMany({
+      where: owned,
+      data: {
+        status: 'succeeded',
+        result: result ?? undefined,
+        progress: 100,
+        progressMessage: 'Done',
+        finishedAt: new Date(),
+        lockedBy: null,
+        lockedAt: null,
+      },
+    });
+  } catch (error) {
+    console.error(`Job ${job.id} (${job.type}) attempt ${job.attempts}/${job.maxAttempts} failed:`, error.message);
+    await _recordFailure(job, error, { retryable: error.retryable === true });
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+/**
+ * Avvia il worker del processo: ogni `pollIntervalMs` recupera i job
+ * abbandonati e prende in carico job in coda fino a `concurrency` in parallelo.
+ * Con concurrency 0 non parte (i job restano a un altro processo).
+ */
+export function startJobWorker(options = {}) {
+  if (worker) return worker;
+
+  const { concurrency, pollIntervalMs, lockTimeoutMs } = { ...workerOptionsFromEnv(), ...options };
+  if (!concurrency) return null;
+
+  const state = {
+    id: `${os.hostname()}:${process.pid}`,
+    concurrency,
+    running: new Set(),
+    timer: null,
+    stopped: false,
+  };
+
+  const poll = async () => {
+    try {
+      await _recoverStaleJobs(lockTimeoutMs);
+
+      while (!state.stopped && state.running.size < concurrency) {
+        const job = await _claimNextJob(state.id, [...handlers.keys()]);
+        if (!job) break;
+
+        const run = _runJob(job, { workerId: state.id, lockTimeoutMs }).finally(() => state.running.delete(run));
+        state.running.add(run);
+      }
+    } catch (error) {
+      console.error('Job worker poll failed:', error.message);
+    } finally {
+      if (!state.stopped) {
+        state.timer = setTimeout(poll, pollIntervalMs);
+      }
+    }
+  };
+
+  worker = state;
+  poll();
+
+  return worker;
+}
+
+/**
+ * Ferma il worker e rimette subito in coda i job in corso, senza
+ * consumare il tentativo, così un altro processo (o il riavvio) li riprende.
+ */
+export async function stopJobWorker() {
+  if (!worker) return;
+
+  const { id, timer } = worker;
+  worker.stopped = true;
+  clearTimeout(timer);
+  worker = null;
+
+  await prisma.job.updateMany({
+    where: { status: 'running', lockedBy: id },
+    data: {
+      status: 'queued',
+      attempts: { decrement: 1 },
+      runAt: new Date(),
+      progress: 0,
+      progressMessage: 'Interrupted by shutdown',
+      lockedBy: null,
+      lockedAt: null,
+    },
+  });
+}
+
+export default {
+  JOB_STATUSES,
+  DEFAULT_MAX_ATTEMPTS,
+  workerOptionsFromEnv,
+  retryDelayMs,
+  enqueueJob,
+  getJob,
+  serializeJob,
+  registerJobHandler,
+  startJobWorker,
+  stopJobWorker,
+};
@@ -0,0 +1,190 @@
+// src/services/llm/fixtureProvider.js
+import fs from 'node:fs';
+
+/**
+ * Provider deterministico, senza rete: restituisce sempre le stesse
+ * risposte per la stessa richiesta. Utile per test, demo e per usare
+ * l'app offline senza un modello locale.
+ *
+ * Con LLM_FIXTURE_PATH si può indicare un file JSON del tipo
+ * { "mealPlan": {...}, "day": {...}, "meal": {...} } da restituire al posto
+ * delle risposte generate.
+ */
+
+const FIXTURE_RECIPES = {
+  breakfast: [
+    {
+      title: 'Greek Yogurt Oat Bowl',
+      ingredients: ['200g greek yogurt', '50g rolled oats', '100g blueberries', '10g honey'],
+      instructions: 'Step 1: Add the oats to the yogurt. Step 2: Top with blueberries and honey.',
+      calories: 455, protein: 30, carbs: 60, fats: 10,
+    },
+    {
+      title: 'Spinach Egg Scramble on Toast',
+      ingredients: ['3 eggs', '60g wholegrain bread', '50g spinach', '5ml olive oil'],
+      instructions: 'Step 1: Wilt the spinach in the oil. Step 2: Scramble the eggs with it. Step 3: Serve on toast.',
+      calories: 440, protein: 27, carbs: 33, fats: 22,
+    },
+  ],
+  lunch: [
+    {
+      title: 'Chicken Quinoa Salad',
+      ingredients: ['150g chicken breast', '70g quinoa', '100g cherry tomatoes', '50g cucumber', '10ml olive oil'],
+      instructions: 'Step 1: Cook the quinoa. Step 2: Grill the chicken. Step 3: Toss everything with the oil.',
+      calories: 620, protein: 48, carbs: 55, fats: 20,
+    },
+    {
+      title: 'Lentil and Vegetable Soup',
+      ingredients: ['100g red lentils', '100g carrots', '80g onion', '200g canned tomatoes', '10ml olive oil'],
+      instructions: 'Step 1: Soften onion and carrots in the oil. Step 2: Add lentils, tomatoes and water. Step 3: Simmer 25 minutes.',
+      calories: 540, protein: 29, carbs: 80, fats: 12,
+    },
+  ],
+  snack: [
+    {
+      title: 'Apple with Almond Butter',
+      ingredients: ['1 apple', '20g almond butter'],
+      instructions: 'Step 1: Slice the apple. Step 2: Serve with almond butter.',
+      calories: 215, protein: 5, carbs: 27, fats: 11,
+    },
+    {
+      title: 'Cottage Cheese and Pear',
+      ingredients: ['150g cottage cheese', '1 pear'],
+      instructions: 'Step 1: Dice the pear. Step 2: Mix with the cottage cheese.',
+      calories: 250, protein: 19, carbs: 30, fats: 6,
+    },
+  ],
+  dinner: [
+    {
+      title: 'Baked Salmon with Potatoes',
+      ingredients: ['150g salmon fillet', '250g potatoes', '150g green beans', '5ml olive oil'],
+      instructions: 'Step 1: Roast the potatoes 20 minutes. Step 2: Add salmon and beans and bake 15 minutes more.',
+      calories: 610, protein: 38, carbs: 50, fats: 28,
+    },
+    {
+      title: 'Beef and Broccoli Rice Bowl',
+      ingredients: ['130g lean beef', '70g basmati rice', '150g broccoli', '15ml soy sauce', '5ml sesame oil'],
+      instructions: 'Step 1: Cook the rice. Step 2: Stir-fry beef and broccoli. Step 3: Season with soy sauce and sesame oil.',
+      calories: 590, protein: 42, carbs: 60, fats: 18,
+    },
+  ],
+};
+
+const DEFAULT_MEAL_TYPES = ['breakfast', 'lunch', 'snack', 'dinner'];
+
+// Lunghezza dei pezzi di testo restituiti da streamJSON
+const STREAM_CHUNK_SIZE = 64;
+
+function _clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function _toMeal(mealType, recipe) {
+  return {
+    name: recipe.title,
+    mealType,
+    recipe: _clone(recipe),
+  };
+}
+
+/**
+ * Sostituisce le macro della ricetta con quelle richieste (target del pasto).
+ */
+function _withMacros(meal, { protein, carbs, fat }) {
+  Object.assign(meal.recipe, {
+    protein,
+    carbs,
+    fats: fat,
+    calories: Math.round(protein * 4 + carbs * 4 + fat * 9),
+  });
+  return meal;
+}
+
+/**
+ * Pasti di un giorno: con `slots` (distribuzione per pasto) le macro
+ * seguono i target di ogni posizione.
+ */
+function _buildDayMeals(hints, offset) {
+  const mealTypes = hints.mealTypes || DEFAULT_MEAL_TYPES;
+
+  return mealTypes.map((mealType, slotIndex) => {
+    const options = FIXTURE_RECIPES[mealType];
+    const meal = _toMeal(mealType, options[(offset + slotIndex) % options.length]);
+    const slot = hints.slots?.[slotIndex];
+    return slot ? _withMacros(meal, slot) : meal;
+  });
+}
+
+/**
+ * Piano di 7 giorni che alterna le ricette fisse per ogni tipo di pasto.
+ */
+export function buildFixtureMealPlan(hints = {}) {
+  const days = [];
+
+  for (let dayNumber = 1; dayNumber <= 7; dayNumber++) {
+    days.push({ dayNumber, meals: _buildDayMeals(hints, dayNumber) });
+  }
+
+  return { days };
+}
+
+/**
+ * Giorno rigenerato: stesse portate, ricette della rotazione successiva.
+ */
+export function buildFixtureDay(hints = {}) {
+  const dayNumber = hints.dayNumber || 1;
+  return { dayNumber, meals: _buildDayMeals(hints, dayNumber + 1) };
+}
+
+/**
+ * Singolo pasto sostitutivo: prima ricetta fissa non già usata,
+ * con le macro richieste quando indicate.
+ */
+export function buildFixtureMeal(hints = {}) {
+  const mealType = hints.mealType || 'lunch';
+  const avoid = (hints.avoidTitles || []).map((t) => t.toLowerCase());
+  const options = FIXTURE_RECIPES[mealType];
+  const recipe = options.find((r) => !avoid.includes(r.title.toLowerCase())) || options[0];
+  const meal = _toMeal(mealType, recipe);
+
+  return hints.macros ? _withMacros(meal, hints.macros) : meal;
+}
+
+export function createFixtureProvider(config = {}) {
+  const fileFixtures = config.fixturePath
+    ? JSON.parse(fs.readFileSync(config.fixturePath, 'utf8'))
+    : {};
+
+  async function completeJSON({ task, hints }) {
+    if (fileFixtures[task]) {
+      return _clone(fileFixtures[task]);
+    }
+
+    if (task === 'mealPlan') return buildFixtureMealPlan(hints);
+    if (task === 'day') return buildFixtureDay(hints);
+    if (task === 'meal') return buildFixtureMeal(hints);
+
+    throw new Error(`Fixture provider has no response for task "${task}"`);
+  }
+
+  /**
+   * La stessa risposta di completeJSON, serializzata e restituita a pezzi
+   * come farebbe un modello in streaming.
+   */
+  async function* streamJSON(request) {
+    const text = JSON.stringify(await completeJSON(request));
+
+    for (let i = 0; i < text.length; i += STREAM_CHUNK_SIZE) {
+      yield text.slice(i, i + STREAM_CHUNK_SIZE);
+    }
+  }
+
+  return {
+    name: 'fixture',
+    model: 'fixture',
+    completeJSON,
+    streamJSON,
+  };
+}
+
+export default createFixtureProvider;
@@ -0,0 +1,106 @@
+// src/services/llm/index.js
+import { createOpenAIProvider } from './openaiProvider.js';
+import { createFixtureProvider } from './fixtureProvider.js';
+
+/**
+ * LLM provider layer.
+ *
+ * Every provider exposes the same interface:
+ *   completeJSON({ system, prompt, task, hints }) -> Promise<object>
+ *   streamJSON({ system, prompt, task, hints, signal }) -> AsyncIterable<string> (raw JSON text chunks)
+ *
+ * `task` ("mealPlan" | "meal") and `hints` are only used by providers that
+ * do not actually run a model (the fixture provider).
+ *
+ * The provider is selected with LLM_PROVIDER:
+ * - "openai"            OpenAI API (default)
+ * - "openai-compatible" any OpenAI-compatible server (llama.cpp, Ollama, LM Studio...)
+ * - "fixture"           deterministic offline responses, for tests and demos
+ */
+
+export const PROVIDERS = ['openai', 'openai-compatible', 'fixture'];
+
+function _number(value, fallback) {
+  const parsed = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(parsed) ? parsed : fallback;
+}
+
+/**
+ * Legge la configurazione del provider dalle variabili d'ambiente.
+ * Ogni provider ha modello, temperatura e timeout propri.
+ */
+export function loadLLMConfig(env = process.env) {
+  const provider = env.LLM_PROVIDER || 'openai';
+
+  if (!PROVIDERS.includes(provider)) {
+    throw new Error(`Unknown LLM_PROVIDER "${provider}". Use one of: ${PROVIDERS.join(', ')}`);
+  }
+
+  if (provider === 'openai') {
+    return {
+      provider,
+      apiKey: env.OPENAI_API_KEY,
+      baseURL: undefined,
+      model: env.OPENAI_MODEL || 'gpt-4-turbo-preview',
+      temperature: _number(env.OPENAI_TEMPERATURE, 0.7),
+      timeoutMs: _number(env.OPENAI_TIMEOUT_MS, 30000),
+      jsonMode: true,
+    };
+  }
+
+  if (provider === 'openai-compatible') {
+    if (!env.LLM_BASE_URL || !env.LLM_MODEL) {
+      throw new Error('LLM_BASE_URL and LLM_MODEL are required for the openai-compatible provider');
+    }
+
+    return {
+      provider,
+      // Most local servers ignore the key, but the client requires one
+      apiKey: env.LLM_API_KEY || 'not-needed',
+      baseURL: env.LLM_BASE_URL,
+      model: env.LLM_MODEL,
+      temperature: _number(env.LLM_TEMPERATURE, 0.7),
+      // Local models on a Pi are slow: default to 5 minutes
+      timeoutMs: _number(env.LLM_TIMEOUT_MS, 300000),
+      jsonMode: env.LLM_JSON_MODE !== 'false',
+    };
+  }
+
+  return {
+    provider,
+    fixturePath: env.LLM_FIXTURE_PATH || null,
+  };
+}
+
+export function createLLMProvider(config) {
+  if (config.provider === 'fixture') {
+    return createFixtureProvider(config);
+  }
+  return createOpenAIProvider(config);
+}
+
+let cachedProvider = null;
+
+/**
+ * Provider configurato per il processo (creato alla prima richiesta).
+ */
+export function getLLMProvider() {
+  if (!cachedProvider) {
+    cachedProvider = createLLMProvider(loadLLMConfig());
+  }
+  return cachedProvider;
+}
+
+/**
+ * Sostituisce il provider del processo (utile nei test); null per ripristinare.
+ */
+export function setLLMProvider(provider) {
+  cachedProvider = provider;
+}
+
+export default {
+  getLLMProvider,
+  setLLMProvider,
+  createLLMProvider,
+  loadLLMConfig,
+};
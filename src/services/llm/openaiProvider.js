@@ -0,0 +1,88 @@
+// src/services/llm/openaiProvider.js
+import { OpenAI } from 'openai';
+
+/**
+ * Provider per l'API OpenAI o per qualunque server compatibile
+ * (llama.cpp, Ollama, LM Studio) indicato tramite baseURL.
+ */
+export function createOpenAIProvider(config) {
+  const { provider, apiKey, baseURL, model, temperature, timeoutMs, jsonMode } = config;
+
+  if (!apiKey) {
+    throw new Error('OPENAI_API_KEY environment variable is required for the openai provider');
+  }
+
+  const client = new OpenAI({
+    apiKey,
+    baseURL,
+    timeout: timeoutMs,
+    maxRetries: 0, // Retries are handled by the caller
+  });
+
+  async function completeJSON({ system, prompt }) {
+    const response = await client.chat.completions.create(
+      {
+        model,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: prompt },
+        ],
+        ...(jsonMode ? { response_format: { type: 'json_object' } } : {}),
+        temperature,
+      },
+      { timeout: timeoutMs }
+    );
+
+    return parseJSONContent(response.choices[0].message.content);
+  }
+
+  /**
+   * Stessa richiesta in streaming: restituisce i pezzi di testo
+   * man mano che il modello li produce. `signal` interrompe la richiesta.
+   */
+  async function* streamJSON({ system, prompt, signal }) {
+    const stream = await client.chat.completions.create(
+      {
+        model,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: prompt },
+        ],
+        ...(jsonMode ? { response_format: { type: 'json_object' } } : {}),
+        temperature,
+        stream: true,
+      },
+      { timeout: timeoutMs, signal }
+    );
+
+    for await (const chunk of stream) {
+      const text = chunk.choices[0]?.delta?.content;
+      if (text) yield text;
+    }
+  }
+
+  return {
+    name: provider,
+    model,
+    completeJSON,
+    streamJSON,
+  };
+}
+
+/**
+ * Estrae il JSON dalla risposta. I modelli locali senza JSON mode
+ * spesso lo racchiudono in un blocco ```json ... ``` o aggiungono testo.
+ */
+export function parseJSONContent(content) {
+  const text = (content || '').trim();
+
+  try {
+    return JSON.parse(text);
+  } catch {
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+    const candidate = fenced ? fenced[1] : text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1);
+    return JSON.parse(candidate);
+  }
+}
+
+export default createOpenAIProvider;
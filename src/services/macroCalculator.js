@@ -0,0 +1,139 @@
+// src/services/macroCalculator.js
+import { z } from 'zod';
+import { roundPreservingTotal } from './mealDistribution.js';
+
+// ===== SECTION A: CONFIGURATION =====
+
+// Moltiplicatori del metabolismo basale per livello di attività
+export const ACTIVITY_FACTORS = {
+  sedentary: 1.2,
+  light: 1.375,
+  moderate: 1.55,
+  active: 1.725,
+  very_active: 1.9,
+};
+
+// Variazione calorica sul TDEE e proteine (g per kg di peso) per obiettivo
+export const GOALS = {
+  cut: { calorieAdjustment: -0.2, proteinPerKg: 2.2 },
+  maintain: { calorieAdjustment: 0, proteinPerKg: 1.8 },
+  bulk: { calorieAdjustment: 0.1, proteinPerKg: 2.0 },
+};
+
+// Percentuale delle calorie giornaliere per pasto
+export const DEFAULT_SPLIT = { breakfast: 25, lunch: 35, snack: 10, dinner: 30 };
+
+const DEFAULT_FAT_PERCENT = 25;
+const MIN_FAT_PER_KG = 0.6;
+const MIN_CALORIES = { male: 1500, female: 1200 };
+
+const MEAL_TYPES = ['breakfast', 'lunch', 'snack', 'dinner'];
+
+export const MacroCalculationSchema = z.object({
+  sex: z.enum(['male', 'female']),
+  age: z.number().int().min(15).max(100),
+  heightCm: z.number().min(120).max(230),
+  weightKg: z.number().min(35).max(300),
+  activityLevel: z.enum(Object.keys(ACTIVITY_FACTORS)),
+  goal: z.enum(Object.keys(GOALS)),
+  proteinPerKg: z.number().min(0.8).max(3.5).optional(),
+  fatPercent: z.number().min(15).max(45).optional(),
+  split: z
+    .object({
+      breakfast: z.number().min(0),
+      lunch: z.number().min(0),
+      snack: z.number().min(0),
+      dinner: z.number().min(0),
+    })
+    .refine((s) => Math.abs(s.breakfast + s.lunch + s.snack + s.dinner - 100) < 0.5, {
+      message: 'split percentages must add up to 100',
+    })
+    .optional(),
+  weeklyRateKg: z.number().min(-1.5).max(1).optional(),
+  name: z.string().min(1).optional(),
+  preview: z.boolean().optional().default(false),
+});
+
+// ===== SECTION B: CALCULATION =====
+
+/**
+ * Metabolismo basale con l'equazione di Mifflin-St Jeor (kcal/giorno).
+ */
+export function basalMetabolicRate({ sex, age, heightCm, weightKg }) {
+  const base = 10 * weightKg + 6.25 * heightCm - 5 * age;
+  return Math.round(sex === 'male' ? base + 5 : base - 161);
+}
+
+export function totalDailyEnergyExpenditure(bmr, activityLevel) {
+  return Math.round(bmr * ACTIVITY_FACTORS[activityLevel]);
+}
+
+/**
+ * Calcola i target giornalieri e li divide sui quattro pasti del MacroProfile.
+ * - proteine: g/kg secondo l'obiettivo (o `proteinPerKg`)
+ * - grassi: `fatPercent` delle calorie, mai sotto 0.6 g/kg
+ * - carboidrati: le calorie rimanenti
+ * Ogni pasto riceve la stessa percentuale di ciascun macro (`split`),
+ * arrotondata in modo che i pasti sommino esattamente i totali giornalieri.
+ */
+export function calculateMacroTargets(input) {
+  const { sex, weightKg, activityLevel, goal } = input;
+  const split = input.split || DEFAULT_SPLIT;
+  const warnings = [];
+
+  const bmr = basalMetabolicRate(input);
+  const tdee = totalDailyEnergyExpenditure(bmr, activityLevel);
+
+  let targetCalories = Math.round(tdee * (1 + GOALS[goal].calorieAdjustment));
+  if (targetCalories < MIN_CALORIES[sex]) {
+    warnings.push(`Target raised from ${targetCalories} to the ${MIN_CALORIES[sex]} kcal minimum`);
+    targetCalories = MIN_CALORIES[sex];
+  }
+
+  const proteinPerKg = input.proteinPerKg ?? GOALS[goal].proteinPerKg;
+  const fatPercent = input.fatPercent ?? DEFAULT_FAT_PERCENT;
+
+  const protein = Math.round(weightKg * proteinPerKg);
+  const fat = Math.round(Math.max((targetCalories * fatPercent) / 100 / 9, weightKg * MIN_FAT_PER_KG));
+  let carbs = Math.round((targetCalories - protein * 4 - fat * 9) / 4);
+
+  if (carbs < 0) {
+    warnings.push('Protein and fat exceed the calorie target; carbs set to 0');
+    carbs = 0;
+  }
+
+  const profile = {};
+  for (const [macro, grams] of [['Protein', protein], ['Carbs', carbs], ['Fat', fat]]) {
+    const perMeal = roundPreservingTotal(MEAL_TYPES.map((mealType) => (grams * split[mealType]) / 100));
+    MEAL_TYPES.forEach((mealType, i) => {
+      profile[mealType + macro] = perMeal[i];
+    });
+  }
+
+  return {
+    bmr,
+    tdee,
+    targetCalories,
+    proteinPerKg,
+    fatPercent,
+    split,
+    daily: {
+      protein,
+      carbs,
+      fat,
+      calories: protein * 4 + carbs * 4 + fat * 9,
+    },
+    profile,
+    warnings,
+  };
+}
+
+export default {
+  ACTIVITY_FACTORS,
+  GOALS,
+  DEFAULT_SPLIT,
+  MacroCalculationSchema,
+  basalMetabolicRate,
+  totalDailyEnergyExpenditure,
+  calculateMacroTargets,
+};
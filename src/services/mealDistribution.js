@@ -0,0 +1,140 @@
+// src/services/mealDistribution.js
+
+/**
+ * Sequenza dei pasti nella giornata per numero di pasti.
+ * Con 4 pasti corrisponde al MacroProfile, tranne quando il profilo non
+ * ha budget per lo spuntino: allora viene ricavato come con 5 o 6 pasti.
+ */
+export const MEAL_LAYOUTS = {
+  3: ['breakfast', 'lunch', 'dinner'],
+  4: ['breakfast', 'lunch', 'snack', 'dinner'],
+  5: ['breakfast', 'snack', 'lunch', 'snack', 'dinner'],
+  6: ['breakfast', 'snack', 'lunch', 'snack', 'dinner', 'snack'],
+};
+
+const MAIN_MEALS = ['breakfast', 'lunch', 'dinner'];
+const MACROS = ['protein', 'carbs', 'fat'];
+
+// Quota giornaliera di ogni spuntino quando il profilo non ne prevede
+const CARVED_SNACK_SHARE = 0.1;
+
+export function mealTypesFor(mealsPerDay) {
+  return MEAL_LAYOUTS[mealsPerDay] || MEAL_LAYOUTS[6];
+}
+
+/**
+ * Arrotonda a grammi interi mantenendo esatto il totale
+ * (metodo del resto maggiore).
+ */
+export function roundPreservingTotal(values) {
+  const total = Math.round(values.reduce((sum, v) => sum + v, 0));
+  const floors = values.map(Math.floor);
+  let remainder = total - floors.reduce((sum, v) => sum + v, 0);
+
+  const order = values
+    .map((v, i) => ({ i, fraction: v - Math.floor(v) }))
+    .sort((a, b) => b.fraction - a.fraction);
+
+  for (const { i } of order) {
+    if (remainder <= 0) break;
+    floors[i] += 1;
+    remainder -= 1;
+  }
+  return floors;
+}
+
+/**
+ * Quote di un singolo macro per ogni posizione della giornata.
+ * - senza spuntini: il budget dello spuntino va ai pasti principali,
+ *   in proporzione a quanto ciascuno ha già;
+ * - con più spuntini: il budget dello spuntino viene diviso tra loro;
+ * - spuntini richiesti ma budget nullo (anche con 4 pasti): ogni spuntino
+ *   prende il 10% del giorno, sottratto in proporzione ai pasti principali.
+ */
+function _distributeMacro(base, layout, carveSnacks) {
+  const snackCount = layout.filter((type) => type === 'snack').length;
+  const mainTotal = MAIN_MEALS.reduce((sum, type) => sum + base[type], 0);
+  const dailyTotal = mainTotal + base.snack;
+
+  const mainShare = (type) => (mainTotal ? base[type] / mainTotal : 1 / MAIN_MEALS.length);
+
+  let perMain;
+  let perSnack;
+
+  if (snackCount === 0) {
+    perMain = (type) => base[type] + base.snack * mainShare(type);
+    perSnack = 0;
+  } else if (!carveSnacks) {
+    perMain = (type) => base[type];
+    perSnack = base.snack / snackCount;
+  } else {
+    const carved = dailyTotal * CARVED_SNACK_SHARE * snackCount;
+    perMain = (type) => base[type] - carved * mainShare(type);
+    perSnack = carved / snackCount;
+  }
+
+  return roundPreservingTotal(layout.map((type) => (type === 'snack' ? perSnack : perMain(type))));
+}
+
+/**
+ * Divide i macro giornalieri del MacroProfile (4 pasti) sulle posizioni
+ * della giornata per 3, 4, 5 o 6 pasti, conservando i totali.
+ * Restituisce [{ slot, mealType, protein, carbs, fat, calories }].
+ */
+export function distributeDailyMacros(profile, mealsPerDay = 4) {
+  const layout = mealTypesFor(mealsPerDay);
+  const perMacro = {};
+  const carveSnacks = !profile.snackProtein && !profile.snackCarbs && !profile.snackFat;
+
+  for (const macro of MACROS) {
+    const suffix = macro.charAt(0).toUpperCase() + macro.slice(1);
+    const base = {
+      breakfast: profile['breakfast' + suffix],
+      lunch: profile['lunch' + suffix],
+      snack: profile['snack' + suffix],
+      dinner: profile['dinner' + suffix],
+    };
+    perMacro[macro] = _distributeMacro(base, layout, carveSnacks);
+  }
+
+  return layout.map((mealType, i) => {
+    const protein = perMacro.protein[i];
+    const carbs = perMacro.carbs[i];
+    const fat = perMacro.fat[i];
+
+    return {
+      slot: i + 1,
+      mealType,
+      protein,
+      carbs,
+      fat,
+      calories: protein * 4 + carbs * 4 + fat * 9,
+    };
+  });
+}
+
+/**
+ * Abbina i pasti generati alle posizioni della giornata: stesso indice se
+ * il tipo coincide, altrimenti la prima posizione libera dello stesso tipo.
+ * Restituisce, per ogni pasto, la posizione o null.
+ */
+export function assignMealsToSlots(meals, slots) {
+  const used = new Set();
+
+  return meals.map((meal, i) => {
+    let slot = slots[i]?.mealType === meal.mealType && !used.has(i) ? slots[i] : null;
+    if (!slot) {
+      slot = slots.find((s, j) => !used.has(j) && s.mealType === meal.mealType) || null;
+    }
+    if (slot) used.add(slot.slot - 1);
+    return slot;
+  });
+}
+
+export default {
+  MEAL_LAYOUTS,
+  mealTypesFor,
+  roundPreservingTotal,
+  distributeDailyMacros,
+  assignMealsToSlots,
+};
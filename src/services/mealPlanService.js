@@ -0,0 +1,297 @@
+// src/services/mealPlanService.js
+import { z } from 'zod';
+import prisma from '../db/prismaClient.js';
+import { bestPortion, portionMacros } from './recipeService.js';
+import { caloriesFromMacros } from './planVerification.js';
+import { dayKey } from './foodLogService.js';
+import { ConflictError, NotFoundError, ValidationError } from '../utils/errors.js';
+
+const MEAL_TYPES = ['breakfast', 'lunch', 'snack', 'dinner'];
+
+// ===== SECTION A: VALIDATION =====
+
+const DateString = z.string().refine((value) => !isNaN(Date.parse(value)), 'Invalid date');
+
+export const DEFAULT_PAGE_SIZE = 20;
+
+/**
+ * Query di GET /meal-plans: pagina dopo `cursor` (id dell'ultimo piano
+ * ricevuto), piani che toccano l'intervallo from-to, filtro `locked`.
+ */
+export const PlanListQuerySchema = z.object({
+  cursor: z.coerce.number().int().positive().optional(),
+  limit: z.coerce.number().int().min(1).max(100).optional().default(DEFAULT_PAGE_SIZE),
+  from: DateString.optional(),
+  to: DateString.optional(),
+  locked: z.enum(['true', 'false']).transform((value) => value === 'true').optional(),
+});
+
+export const UpdateMealPlanSchema = z
+  .object({
+    weekStart: DateString.optional(),
+    weekEnd: DateString.optional(),
+    goal: z.string().min(1).optional(),
+    weeklyIntentId: z.number().int().positive().nullable().optional(),
+    locked: z.boolean().optional(),
+  })
+  .strict()
+  .refine((changes) => Object.keys(changes).length > 0, 'Nothing to update');
+
+export const UpdateMealSchema = z
+  .object({
+    date: DateString.optional(),
+    type: z.enum(MEAL_TYPES).optional(),
+    slot: z.number().int().min(1).nullable().optional(),
+    protein: z.number().int().min(0).optional(),
+    carbs: z.number().int().min(0).optional(),
+    fat: z.number().int().min(0).optional(),
+    calories: z.number().int().min(0).nullable().optional(),
+    recipeId: z.number().int().positive().nullable().optional(),
+    portion: z.number().positive().optional(),
+  })
+  .strict()
+  .refine((changes) => Object.keys(changes).length > 0, 'Nothing to update');
+
+function _startOfDay(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+// ===== SECTION B: LOCKING =====
+
+/**
+ * Un piano bloccato (settimana definitiva) non si modifica: niente modifiche
+ * ai pasti, swap o eliminazione; si può solo sbloccare.
+ */
+export function assertPlanUnlocked(plan) {
+  if (plan.locked) {
+    throw new ConflictError('Meal plan is locked');
+  }
+}
+
+/**
+ * Le generazioni (locali o AI) non creano un altro piano per una
+ * settimana già coperta da un piano bloccato dell'utente.
+ */
+export async function assertWeekUnlocked(userId, weekStart, weekEnd) {
+  const locked = await prisma.mealPlan.findFirst({
+    where: {
+      userId,
+      locked: true,
+      weekStart: { lte: weekEnd },
+      weekEnd: { gte: weekStart },
+    },
+    select: { id: true },
+  });
+
+  if (locked) {
+    throw new ConflictError('A locked meal plan already covers this week', { mealPlanId: locked.id });
+  }
+}
+
+// ===== SECTION C: PLANS =====
+
+/**
+ * Piani dell'utente dal più recente, a pagine: restituisce
+ * { mealPlans, nextCursor } (nextCursor null sull'ultima pagina).
+ */
+export async function listMealPlans(userId, { cursor, limit = DEFAULT_PAGE_SIZE, from, to, locked } = {}) {
+  const where = { userId };
+  if (from) where.weekEnd = { gte: _startOfDay(from) };
+  if (to) where.weekStart = { lte: _startOfDay(to) };
+  if (locked !== undefined) where.locked = locked;
+
+  const plans = await prisma.mealPlan.findMany({
+    where,
+    take: limit + 1,
+    ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+    orderBy: [{ weekStart: 'desc' }, { id: 'desc' }],
+    include: { weeklyIntent: true },
+  });
+
+  const mealPlans = plans.slice(0, limit);
+  return {
+    mealPlans,
+    nextCursor: plans.length > limit ? mealPlans[mealPlans.length - 1].id : null,
+  };
+}
+
+async function _loadPlan(id, userId) {
+  const plan = await prisma.mealPlan.findFirst({
+    where: { id: parseInt(id), userId },
+    include: { meals: true },
+  });
+
+  if (!plan) {
+    throw new NotFoundError('Meal plan not found');
+  }
+
+  return plan;
+}
+
+/**
+ * Modifica la testata di un piano. Su un piano bloccato è ammesso solo
+ * `locked`; le nuove date devono contenere tutti i pasti del piano.
+ */
+export async function updateMealPlan(id, userId, changes) {
+  const plan = await _loadPlan(id, userId);
+
+  if (Object.keys(changes).some((key) => key !== 'locked')) {
+    assertPlanUnlocked(plan);
+  }
+
+  if (changes.weeklyIntentId) {
+    const intent = await prisma.weeklyIntent.findFirst({
+      where: { id: changes.weeklyIntentId, userId },
+    });
+
+    if (!intent) {
+      throw new NotFoundError('Weekly intent not found');
+    }
+  }
+
+  const weekStart = changes.weekStart ? _startOfDay(changes.weekStart) : plan.weekStart;
+  const weekEnd = changes.weekEnd ? _startOfDay(changes.weekEnd) : plan.weekEnd;
+
+  if (weekEnd < weekStart) {
+    throw ValidationError.forField('weekEnd', 'weekEnd must not be before weekStart');
+  }
+
+  const outside = plan.meals.filter((meal) => dayKey(meal.date) < dayKey(weekStart) || dayKey(meal.date) > dayKey(weekEnd));
+  if (outside.length) {
+    throw ValidationError.forField('weekStart', `${outside.length} meal(s) would fall outside the new week; move or delete them first`);
+  }
+
+  return await prisma.mealPlan.update({
+    where: { id: plan.id },
+    data: {
+      ...changes,
+      ...(changes.weekStart && { weekStart }),
+      ...(changes.weekEnd && { weekEnd }),
+    },
+    include: { weeklyIntent: true },
+  });
+}
+
+/**
+ * Elimina un piano non bloccato con i suoi pasti; le voci del diario
+ * restano, scollegate dal pasto.
+ */
+export async function deleteMealPlan(id, userId) {
+  const plan = await _loadPlan(id, userId);
+  assertPlanUnlocked(plan);
+
+  await prisma.mealPlan.delete({ where: { id: plan.id } });
+}
+
+// ===== SECTION D: MEALS =====
+
+async function _loadPlanMeal(planId, mealId, userId) {
+  const plan = await _loadPlan(planId, userId);
+
+  const meal = plan.meals.find((m) => m.id === parseInt(mealId));
+  if (!meal) {
+    throw new NotFoundError('Meal not found');
+  }
+
+  assertPlanUnlocked(plan);
+  return { plan, meal };
+}
+
+/**
+ * Modifica un pasto: target, ricetta, porzione o posizione (giorno, tipo, slot).
+ *
+ * - La data deve restare nella settimana del piano.
+ * - Se lo slot di destinazione è occupato, i due pasti si scambiano di posto.
+ * - Cambiando target o ricetta senza `portion` si usa la porzione migliore;
+ *   le calorie target seguono le macro se non indicate.
+ */
+export async function updateMeal(planId, mealId, userId, changes) {
+  const { plan, meal } = await _loadPlanMeal(planId, mealId, userId);
+
+  const date = changes.date ? _startOfDay(changes.date) : meal.date;
+  if (dayKey(date) < dayKey(plan.weekStart) || dayKey(date) > dayKey(plan.weekEnd)) {
+    throw ValidationError.forField('date', 'Meal date must be within the plan week');
+  }
+
+  const targets = {
+    protein: changes.protein ?? meal.protein,
+    carbs: changes.carbs ?? meal.carbs,
+    fat: changes.fat ?? meal.fat,
+  };
+  const targetsChanged = ['protein', 'carbs', 'fat'].some((key) => changes[key] !== undefined);
+
+  const data = { ...changes, date };
+  if (targetsChanged && changes.calories === undefined) {
+    data.calories = caloriesFromMacros(targets);
+  }
+
+  // Ricetta e porzione: i valori "actual" seguono sempre la porzione salvata
+  const recipeId = changes.recipeId !== undefined ? changes.recipeId : meal.recipeId;
+  if (recipeId === null) {
+    Object.assign(data, { portion: 1, actualProtein: null, actualCarbs: null, actualFat: null, actualCalories: null });
+  } else if (changes.recipeId !== undefined || changes.portion !== undefined || targetsChanged) {
+    // Una ricetta eliminata resta sui pasti che la usano ma non si assegna di nuovo
+    const recipe = changes.recipeId !== undefined
+      ? await prisma.recipe.findFirst({ where: { id: recipeId, deletedAt: null } })
+      : await prisma.recipe.findUnique({ where: { id: recipeId } });
+    if (!recipe) {
+      throw new NotFoundError('Recipe not found');
+    }
+
+    const portion = changes.portion ?? (changes.recipeId !== undefined || targetsChanged
+      ? bestPortion(targets, recipe).portion
+      : meal.portion);
+    const actual = portionMacros(recipe, portion);
+
+    Object.assign(data, {
+      portion,
+      actualProtein: actual.protein,
+      actualCarbs: actual.carbs,
+      actualFat: actual.fat,
+      actualCalories: actual.calories,
+    });
+  }
+
+  // Spostamento su uno slot occupato: l'altro pasto prende il posto lasciato libero
+  const slot = changes.slot !== undefined ? changes.slot : meal.slot;
+  const moved = changes.date !== undefined || changes.slot !== undefined;
+  const occupant = moved && slot !== null
+    ? plan.meals.find((m) => m.id !== meal.id && m.slot === slot && dayKey(m.date) === dayKey(date))
+    : null;
+
+  return await prisma.$transaction(async (tx) => {
+    if (occupant) {
+      await tx.meal.update({
+        where: { id: occupant.id },
+        data: { date: meal.date, slot: meal.slot },
+      });
+    }
+
+    return await tx.meal.update({
+      where: { id: meal.id },
+      data,
+      include: { recipe: true },
+    });
+  });
+}
+
+export async function deleteMeal(planId, mealId, userId) {
+  const { meal } = await _loadPlanMeal(planId, mealId, userId);
+
+  await prisma.meal.delete({ where: { id: meal.id } });
+}
+
+export default {
+  PlanListQuerySchema,
+  UpdateMealPlanSchema,
+  UpdateMealSchema,
+  assertPlanUnlocked,
+  assertWeekUnlocked,
+  listMealPlans,
+  updateMealPlan,
+  deleteMealPlan,
+  updateMeal,
+  deleteMeal,
+};
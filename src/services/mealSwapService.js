@@ -0,0 +1,152 @@
+// src/services/mealSwapService.js
+import prisma from '../db/prismaClient.js';
+import { rankRecipesForMeal, explainRecipeViolations, bestPortion, portionMacros } from './recipeService.js';
+import { generateReplacementMeal } from './aiPlanService.js';
+import { assertPlanUnlocked } from './mealPlanService.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+
+const DEFAULT_CANDIDATES = 5;
+
+/**
+ * Carica il pasto da sostituire insieme al suo piano (dell'utente),
+ * alle preferenze e alle ricette già usate nella settimana.
+ */
+async function _loadSwapContext(mealPlanId, mealId, userId) {
+  const plan = await prisma.mealPlan.findFirst({
+    where: { id: parseInt(mealPlanId), userId },
+    include: {
+      weeklyIntent: true,
+      meals: { include: { recipe: true } },
+    },
+  });
+
+  if (!plan) {
+    throw new NotFoundError('Meal plan not found');
+  }
+
+  const meal = plan.meals.find((m) => m.id === parseInt(mealId));
+  if (!meal) {
+    throw new NotFoundError('Meal not found');
+  }
+
+  const preferences = await prisma.userPreferences.findUnique({
+    where: { userId },
+  });
+
+  const usedRecipes = plan.meals.map((m) => m.recipe).filter(Boolean);
+
+  return {
+    plan,
+    meal,
+    preferences,
+    usedRecipeIds: [...new Set(usedRecipes.map((r) => r.id))],
+    usedTitles: [...new Set(usedRecipes.map((r) => r.title))],
+    macros: { protein: meal.protein, carbs: meal.carbs, fat: meal.fat },
+  };
+}
+
+/**
+ * Restituisce le migliori ricette locali alternative per un pasto,
+ * ordinate per distanza macro ed escludendo quelle già usate nella settimana.
+ */
+export async function getSwapCandidates(mealPlanId, mealId, userId, options = {}) {
+  const { limit = DEFAULT_CANDIDATES } = options;
+  const { plan, meal, preferences, usedRecipeIds, macros } = await _loadSwapContext(mealPlanId, mealId, userId);
+
+  const ranked = await rankRecipesForMeal({
+    mealType: meal.type,
+    macros,
+    preferences,
+    weeklyIntent: plan.weeklyIntent,
+    excludeRecipeIds: usedRecipeIds,
+    limit,
+  });
+
+  return {
+    mealId: meal.id,
+    type: meal.type,
+    date: meal.date,
+    target: macros,
+    currentRecipe: meal.recipe,
+    candidates: ranked.map(({ recipe, portion, distance, score, reasons }) => ({ recipe, portion, distance, score, reasons })),
+  };
+}
+
+/**
+ * Sostituisce la ricetta di un pasto con una ricetta locale scelta,
+ * mantenendo i target macro del pasto e scegliendo la porzione che
+ * meglio li rispetta. Come per i candidati, la ricetta deve essere adatta
+ * al tipo di pasto (o senza tipo), non già usata in un altro pasto della
+ * settimana e conforme alle regole di dieta dell'utente.
+ */
+export async function swapMealRecipe(mealPlanId, mealId, userId, recipeId) {
+  const { plan, meal, preferences, macros } = await _loadSwapContext(mealPlanId, mealId, userId);
+  assertPlanUnlocked(plan);
+
+  const recipe = await prisma.recipe.findFirst({
+    where: { id: parseInt(recipeId), deletedAt: null },
+    include: { recipeIngredients: true },
+  });
+
+  if (!recipe) {
+    throw new NotFoundError('Recipe not found');
+  }
+
+  if (recipe.mealType && recipe.mealType !== meal.type) {
+    throw ValidationError.forField('recipeId', `Recipe "${recipe.title}" is for ${recipe.mealType}, not ${meal.type}`);
+  }
+
+  if (plan.meals.some((m) => m.id !== meal.id && m.recipeId === recipe.id)) {
+    throw ValidationError.forField('recipeId', `Recipe "${recipe.title}" is already used this week`);
+  }
+
+  const violations = explainRecipeViolations(recipe, preferences);
+  if (violations.length) {
+    throw new ValidationError(`Diet rule violated in recipe "${recipe.title}": ${violations[0].message}`, { violations });
+  }
+
+  const { portion } = bestPortion(macros, recipe);
+  return await _applyRecipe(meal, recipe, portion);
+}
+
+/**
+ * Chiede all'AI un nuovo pasto con lo stesso target macro, diverso
+ * dalle ricette della settimana, e lo salva al posto di quello attuale.
+ */
+export async function swapMealWithAI(mealPlanId, mealId, userId) {
+  const { plan, meal, preferences, usedTitles, macros } = await _loadSwapContext(mealPlanId, mealId, userId);
+  assertPlanUnlocked(plan);
+
+  const recipe = await generateReplacementMeal({
+    mealType: meal.type,
+    macros,
+    preferences,
+    weeklyIntent: plan.weeklyIntent,
+    avoidTitles: usedTitles,
+  });
+
+  return await _applyRecipe(meal, recipe);
+}
+
+async function _applyRecipe(meal, recipe, portion = 1) {
+  const actual = portionMacros(recipe, portion);
+
+  return await prisma.meal.update({
+    where: { id: meal.id },
+    data: {
+      recipeId: recipe.id,
+      portion,
+      actualProtein: actual.protein,
+      actualCarbs: actual.carbs,
+      actualFat: actual.fat,
+      actualCalories: actual.calories,
+    },
+    include: { recipe: true },
+  });
+}
+
+export default {
+  getSwapCandidates,
+  swapMealRecipe,
+  swapMealWithAI,
+};
@@ -0,0 +1,242 @@
+// src/services/micronutrientService.js
+import { z } from 'zod';
+import prisma from '../db/prismaClient.js';
+import { NotFoundError } from '../utils/errors.js';
+import { dayKey } from './foodLogService.js';
+
+// ===== SECTION A: CONFIGURATION =====
+
+/**
+ * Micronutrienti tracciati, per porzione:
+ * - edamam: codice in totalNutrients
+ * - reference: assunzione giornaliera di riferimento (Daily Value FDA per adulti)
+ * - kind: "min" da raggiungere, "max" da non superare (sodio)
+ */
+export const MICRONUTRIENTS = {
+  fiber: { label: 'Fiber', unit: 'g', edamam: 'FIBTG', reference: 28, kind: 'min' },
+  iron: { label: 'Iron', unit: 'mg', edamam: 'FE', reference: 18, kind: 'min' },
+  sodium: { label: 'Sodium', unit: 'mg', edamam: 'NA', reference: 2300, kind: 'max' },
+  calcium: { label: 'Calcium', unit: 'mg', edamam: 'CA', reference: 1300, kind: 'min' },
+  potassium: { label: 'Potassium', unit: 'mg', edamam: 'K', reference: 4700, kind: 'min' },
+  magnesium: { label: 'Magnesium', unit: 'mg', edamam: 'MG', reference: 420, kind: 'min' },
+  zinc: { label: 'Zinc', unit: 'mg', edamam: 'ZN', reference: 11, kind: 'min' },
+  vitaminC: { label: 'Vitamin C', unit: 'mg', edamam: 'VITC', reference: 90, kind: 'min' },
+  vitaminD: { label: 'Vitamin D', unit: 'µg', edamam: 'VITD', reference: 20, kind: 'min' },
+  vitaminB12: { label: 'Vitamin B12', unit: 'µg', edamam: 'VITB12', reference: 2.4, kind: 'min' },
+  folate: { label: 'Folate', unit: 'µg', edamam: 'FOLDFE', reference: 400, kind: 'min' },
+};
+
+export const MICRONUTRIENT_KEYS = Object.keys(MICRONUTRIENTS);
+
+/**
+ * Minimi giornalieri di default per intento settimanale,
+ * sovrascrivibili con WeeklyIntent.micronutrientTargets.
+ */
+export const INTENT_MICRONUTRIENT_TARGETS = {
+  high_satiety_low_ferritin: { iron: 18, fiber: 30 },
+};
+
+const _knownMicronutrients = [
+  (values) => Object.keys(values).every((key) => MICRONUTRIENTS[key]),
+  { message: 'Unknown micronutrient. Supported: ' + MICRONUTRIENT_KEYS.join(', ') },
+];
+
+// Minimi giornalieri ({ iron: 18 }) e valori per porzione inseriti a mano
+export const MicronutrientTargetsSchema = z.record(z.number().positive()).refine(..._knownMicronutrients);
+export const MicronutrientValuesSchema = z.record(z.number().nonnegative()).refine(..._knownMicronutrients);
+
+function _round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// ===== SECTION B: RECIPE VALUES =====
+
+/**
+ * Micronutrienti per porzione da totalNutrients di Edamam
+ * (i totali sono per l'intera ricetta). I nutrienti assenti restano fuori.
+ */
+export function micronutrientsFromEdamam(totalNutrients, servings = 1) {
+  const values = {};
+  for (const [key, { edamam }] of Object.entries(MICRONUTRIENTS)) {
+    const quantity = totalNutrients?.[edamam]?.quantity;
+    if (typeof quantity === 'number') {
+      values[key] = _round(quantity / (servings || 1));
+    }
+  }
+  return Object.keys(values).length ? values : null;
+}
+
+/**
+ * Micronutrienti per porzione di una ricetta e loro provenienza:
+ * quelli salvati sulla ricetta, poi quelli Edamam in rawData (ricette
+ * importate prima del campo). Le stime dal database alimenti vengono
+ * salvate sulla ricetta (vedi nutritionService.estimateMicronutrients).
+ *
+ * Restituisce { values, source } con source "edamam" | "computed" | "estimated" | "manual" | null.
+ */
+export function micronutrientsOf(recipe) {
+  if (!recipe) return { values: null, source: null };
+
+  if (recipe.micronutrients && typeof recipe.micronutrients === 'object') {
+    return { values: recipe.micronutrients, source: recipe.micronutrientSource || 'manual' };
+  }
+
+  const edamam = recipe.rawData?.recipe;
+  if (edamam?.totalNutrients) {
+    const values = micronutrientsFromEdamam(edamam.totalNutrients, edamam.yield || recipe.servings);
+    if (values) return { values, source: 'edamam' };
+  }
+
+  return { values: null, source: null };
+}
+
+/**
+ * Micronutrienti di una ricetta scalati alla porzione del pasto.
+ */
+export function portionMicronutrients(values, portion = 1) {
+  if (!values) return null;
+  return Object.fromEntries(
+    Object.entries(values).map(([key, value]) => [key, _round(value * portion)])
+  );
+}
+
+// ===== SECTION C: TARGETS =====
+
+/**
+ * Minimi giornalieri dell'intento: i default del goal più quelli
+ * salvati su WeeklyIntent.micronutrientTargets.
+ */
+export function intentMicronutrientTargets(weeklyIntent) {
+  return {
+    ...(INTENT_MICRONUTRIENT_TARGETS[weeklyIntent?.goal] || {}),
+    ...(weeklyIntent?.micronutrientTargets || {}),
+  };
+}
+
+/**
+ * Descrizione dei minimi per il prompt AI ("iron at least 18 mg, fiber at least 30 g").
+ */
+export function describeTargetsForPrompt(targets) {
+  return Object.entries(targets)
+    .map(([key, value]) => `${MICRONUTRIENTS[key].label.toLowerCase()} at least ${value} ${MICRONUTRIENTS[key].unit}`)
+    .join(', ');
+}
+
+// ===== SECTION D: PLAN REPORT =====
+
+/**
+ * Totali giornalieri di micronutrienti dei pasti di un piano, confrontati
+ * con le assunzioni di riferimento e con i minimi dell'intento.
+ *
+ * `meals` sono i Meal del piano con la ricetta inclusa; i pasti senza
+ * ricetta o senza dati sono contati in `mealsWithoutData`.
+ */
+export function computeMicronutrientReport(meals, targets = {}) {
+  const days = new Map();
+  const sources = {};
+  let mealsWithoutData = 0;
+
+  for (const meal of meals) {
+    const key = dayKey(meal.date);
+    if (!days.has(key)) {
+      days.set(key, { date: key, totals: Object.fromEntries(MICRONUTRIENT_KEYS.map((k) => [k, 0])), meals: 0 });
+    }
+    const day = days.get(key);
+    day.meals += 1;
+
+    const { values, source } = micronutrientsOf(meal.recipe);
+    if (!values) {
+      mealsWithoutData += 1;
+      continue;
+    }
+
+    sources[source] = (sources[source] || 0) + 1;
+    for (const [nutrient, value] of Object.entries(portionMicronutrients(values, meal.portion ?? 1))) {
+      if (day.totals[nutrient] !== undefined) day.totals[nutrient] += value;
+    }
+  }
+
+  const describe = (totals) =>
+    Object.fromEntries(
+      MICRONUTRIENT_KEYS.map((key) => {
+        const { unit, reference, kind } = MICRONUTRIENTS[key];
+        const amount = _round(totals[key]);
+        const target = targets[key] ?? null;
+
+        return [key, {
+          amount,
+          unit,
+          reference,
+          kind,
+          percentOfReference: Math.round((amount / reference) * 100),
+          withinReference: kind === 'max' ? amount <= reference : amount >= reference,
+          target,
+          meetsTarget: target === null ? null : amount >= target,
+        }];
+      })
+    );
+
+  const dailyReports = [...days.values()]
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map((day) => ({ date: day.date, meals: day.meals, micronutrients: describe(day.totals) }));
+
+  const average = Object.fromEntries(MICRONUTRIENT_KEYS.map((key) => [key, 0]));
+  for (const day of days.values()) {
+    for (const key of MICRONUTRIENT_KEYS) {
+      average[key] += day.totals[key] / days.size;
+    }
+  }
+
+  return {
+    targets,
+    days: dailyReports,
+    dailyAverage: describe(average),
+    daysMeetingTargets: dailyReports.filter((day) =>
+      Object.keys(targets).every((key) => day.micronutrients[key]?.meetsTarget)
+    ).length,
+    meals: { total: meals.length, withoutData: mealsWithoutData, bySource: sources },
+  };
+}
+
+/**
+ * Report micronutrienti per un MealPlan dell'utente, con i minimi
+ * dell'intento settimanale del piano.
+ */
+export async function getMicronutrientReport(mealPlanId, userId) {
+  const plan = await prisma.mealPlan.findFirst({
+    where: { id: parseInt(mealPlanId), userId },
+    include: {
+      weeklyIntent: true,
+      meals: { include: { recipe: { include: { recipeIngredients: true } } } },
+    },
+  });
+
+  if (!plan) {
+    throw new NotFoundError('Meal plan not found');
+  }
+
+  const targets = intentMicronutrientTargets(plan.weeklyIntent ?? { goal: plan.goal });
+
+  return {
+    mealPlanId: plan.id,
+    weekStart: plan.weekStart,
+    weekEnd: plan.weekEnd,
+    goal: plan.goal,
+    ...computeMicronutrientReport(plan.meals, targets),
+  };
+}
+
+export default {
+  MICRONUTRIENTS,
+  MICRONUTRIENT_KEYS,
+  INTENT_MICRONUTRIENT_TARGETS,
+  MicronutrientTargetsSchema,
+  MicronutrientValuesSchema,
+  micronutrientsFromEdamam,
+  micronutrientsOf,
+  portionMicronutrients,
+  intentMicronutrientTargets,
+  describeTargetsForPrompt,
+  computeMicronutrientReport,
+  getMicronutrientReport,
+};
@@ -0,0 +1,279 @@
+// src/services/nutritionService.js
+import { Prisma } from '@prisma/client';
+import prisma from '../db/prismaClient.js';
+import { NotFoundError } from '../utils/errors.js';
+import { buildRecipeIngredients, recipeIngredientsOf } from './ingredientService.js';
+import { caloriesFromMacros } from './planVerification.js';
+import {
+  MIN_COVERAGE,
+  headWord,
+  matchFood,
+  calculateNutrition,
+  macroDeviation,
+} from './foodComposition.js';
+
+// ===== SECTION A: CONFIGURATION =====
+
+// Scarto relativo oltre il quale le macro di una ricetta AI vengono sostituite
+const AI_MACRO_MISMATCH = 0.2;
+
+// Candidati letti dal DB per ogni parola principale
+const MAX_CANDIDATES = 300;
+
+// Alimenti salvati per transazione da importFoods
+const IMPORT_BATCH_SIZE = 500;
+
+// ===== SECTION B: FOOD DATABASE =====
+
+function _foodKey(food) {
+  return `${food.source}:${food.externalId}`;
+}
+
+function _foodData(food) {
+  // Un Json nullable si azzera con DbNull
+  return { ...food, micronutrients: food.micronutrients ?? Prisma.DbNull };
+}
+
+/**
+ * Salva gli alimenti importati (vedi foodsFromCiqual / foodsFromUsda),
+ * aggiornando quelli già presenti con stesso source + externalId.
+ * Lavora a blocchi di IMPORT_BATCH_SIZE, una transazione per blocco:
+ * i nuovi con un solo createMany, gli esistenti aggiornati uno per uno.
+ *
+ * Restituisce { created, updated }.
+ */
+export async function importFoods(foods, { dryRun = false } = {}) {
+  const result = { created: 0, updated: 0 };
+
+  for (let start = 0; start < foods.length; start += IMPORT_BATCH_SIZE) {
+    // Un alimento ripetuto nel blocco conta una volta, con i valori dell'ultima riga
+    const batch = [...new Map(foods.slice(start, start + IMPORT_BATCH_SIZE).map((food) => [_foodKey(food), food])).values()];
+
+    const idsBySource = new Map();
+    for (const food of batch) {
+      idsBySource.set(food.source, [...(idsBySource.get(food.source) || []), food.externalId]);
+    }
+
+    const existing = await prisma.food.findMany({
+      where: { OR: [...idsBySource].map(([source, ids]) => ({ source, externalId: { in: ids } })) },
+      select: { source: true, externalId: true },
+    });
+    const known = new Set(existing.map(_foodKey));
+
+    const created = batch.filter((food) => !known.has(_foodKey(food)));
+    const updated = batch.filter((food) => known.has(_foodKey(food)));
+
+    if (!dryRun) {
+      await prisma.$transaction([
+        prisma.food.createMany({ data: created.map(_foodData), skipDuplicates: true }),
+        ...updated.map((food) => prisma.food.update({
+          where: { source_externalId: { source: food.source, externalId: food.externalId } },
+          data: _foodData(food),
+        })),
+      ]);
+    }
+
+    result.created += created.length;
+    result.updated += updated.length;
+  }
+
+  return result;
+}
+
+/**
+ * Alimento del DB per ogni nome ingrediente: quello già collegato
+ * all'Ingredient canonico, altrimenti il migliore tra i candidati che
+ * contengono la parola principale del nome.
+ *
+ * Restituisce una Map nome -> Food (o null).
+ */
+export async function findFoodsForNames(names) {
+  const unique = [...new Set(names.filter(Boolean))];
+  const result = new Map();
+  if (!unique.length) return result;
+
+  const linked = await prisma.ingredient.findMany({
+    where: { name: { in: unique }, foodId: { not: null } },
+    include: { food: true },
+  });
+  for (const ingredient of linked) {
+    result.set(ingredient.name, ingredient.food);
+  }
+
+  const candidatesByHead = new Map();
+  for (const name of unique.filter((n) => !result.has(n))) {
+    const head = headWord(name);
+    if (!head) {
+      result.set(name, null);
+      continue;
+    }
+
+    if (!candidatesByHead.has(head)) {
+      // Prefisso del termine, così "blueberry" trova anche "Blueberries, raw"
+      candidatesByHead.set(head, await prisma.food.findMany({
+        where: { name: { contains: head.slice(0, Math.max(4, head.length - 2)), mode: 'insensitive' } },
+        take: MAX_CANDIDATES,
+      }));
+    }
+
+    result.set(name, matchFood(name, candidatesByHead.get(head)));
+  }
+
+  return result;
+}
+
+// ===== SECTION C: RECIPE NUTRITION =====
+
+/**
+ * Calcola i nutrienti per porzione di una ricetta dalle righe strutturate
+ * e dal database alimenti locale (vedi calculateNutrition).
+ */
+export async function computeRecipeNutrition(recipe) {
+  const items = recipeIngredientsOf(recipe);
+  const foods = await findFoodsForNames(items.flatMap((item) => [item.name, item.ingredient?.name]));
+  const foodFor = (item) => foods.get(item.name) || foods.get(item.ingredient?.name) || null;
+
+  return calculateNutrition(items, foodFor, { servings: recipe.servings || 1 });
+}
+
+/**
+ * Stima i micronutrienti per porzione di una ricetta senza valori propri
+ * (manuali, AI, pagine web) dal database alimenti. Basta un ingrediente
+ * riconosciuto: sotto MIN_COVERAGE i valori sono comunque una stima per
+ * difetto. Null se nessun ingrediente è riconosciuto o il database è vuoto.
+ */
+export async function estimateMicronutrients(recipe) {
+  const { micronutrients } = await computeRecipeNutrition(recipe);
+  return micronutrients;
+}
+
+/**
+ * Ricalcola macro e micronutrienti di una ricetta salvata.
+ * I valori vengono scritti solo se la copertura è almeno MIN_COVERAGE
+ * (o con `force`), e mai con `dryRun`; le Ingredient riconosciute
+ * vengono collegate al loro alimento per i calcoli successivi.
+ *
+ * Restituisce { recipeId, applied, reason?, previous, computed, micronutrients, coverage, lines, unmatched }.
+ */
+export async function recomputeRecipeNutrition(recipeId, { dryRun = false, force = false } = {}) {
+  const recipe = await prisma.recipe.findUnique({
+    where: { id: parseInt(recipeId) },
+    include: { recipeIngredients: { include: { ingredient: true } } },
+  });
+
+  if (!recipe) {
+    throw new NotFoundError('Recipe not found');
+  }
+
+  const nutrition = await computeRecipeNutrition(recipe);
+  const result = {
+    recipeId: recipe.id,
+    applied: false,
+    previous: {
+      calories: recipe.caloriesPerServing,
+      protein: recipe.proteinPerServing,
+      carbs: recipe.carbsPerServing,
+      fat: recipe.fatPerServing,
+    },
+    computed: nutrition.perServing,
+    micronutrients: nutrition.micronutrients,
+    coverage: nutrition.coverage,
+    lines: nutrition.lines,
+    unmatched: nutrition.unmatched,
+  };
+
+  if (!nutrition.lines.length) {
+    return { ...result, reason: 'No ingredient matched the food database' };
+  }
+  if (nutrition.coverage < MIN_COVERAGE && !force) {
+    return { ...result, reason: `Only ${Math.round(nutrition.coverage * 100)}% of the ingredients matched (minimum ${MIN_COVERAGE * 100}%)` };
+  }
+  if (dryRun) {
+    return { ...result, reason: 'Dry run' };
+  }
+
+  await prisma.$transaction(async (tx) => {
+    await tx.recipe.update({
+      where: { id: recipe.id },
+      data: {
+        caloriesPerServing: nutrition.perServing.calories,
+        proteinPerServing: nutrition.perServing.protein,
+        carbsPerServing: nutrition.perServing.carbs,
+        fatPerServing: nutrition.perServing.fat,
+        nutritionSource: 'computed',
+        micronutrients: nutrition.micronutrients,
+        micronutrientSource: 'computed',
+      },
+    });
+
+    const linked = new Set();
+    for (const line of nutrition.lines) {
+      const ingredient = recipe.recipeIngredients.find((ri) => ri.raw === line.raw)?.ingredient;
+      if (!ingredient || ingredient.foodId || linked.has(ingredient.id) || !line.food.id) continue;
+
+      linked.add(ingredient.id);
+      await tx.ingredient.update({ where: { id: ingredient.id }, data: { foodId: line.food.id } });
+    }
+  });
+
+  return { ...result, applied: true };
+}
+
+// ===== SECTION D: AI CROSS-CHECK =====
+
+/**
+ * Confronta le macro dichiarate dal modello per ogni ricetta del piano con
+ * quelle calcolate dal database alimenti. Se la copertura basta e lo scarto
+ * supera AI_MACRO_MISMATCH le macro vengono corrette in place (calorie da
+ * 4/4/9); i micronutrienti calcolati restano sulla ricetta per il salvataggio.
+ * Senza alimenti importati non fa nulla.
+ *
+ * Restituisce le correzioni: [{ dayNumber, mealType, title, stated, computed, coverage }].
+ */
+export async function crossCheckPlanMacros(plan) {
+  const corrections = [];
+  if ((await prisma.food.count()) === 0) return corrections;
+
+  const meals = plan.days.flatMap((day) => day.meals.map((meal) => ({ day, meal })));
+  const itemsByMeal = meals.map(({ meal }) => buildRecipeIngredients(meal.recipe.ingredients));
+
+  const foods = await findFoodsForNames(itemsByMeal.flat().map((item) => item.name));
+  const foodFor = (item) => foods.get(item.name) || null;
+
+  meals.forEach(({ day, meal }, index) => {
+    const { recipe } = meal;
+    const nutrition = calculateNutrition(itemsByMeal[index], foodFor);
+    if (!nutrition.lines.length || nutrition.coverage < MIN_COVERAGE) return;
+
+    recipe.micronutrients = nutrition.micronutrients;
+
+    const stated = { protein: recipe.protein, carbs: recipe.carbs, fat: recipe.fats };
+    if (macroDeviation(stated, nutrition.perServing) <= AI_MACRO_MISMATCH) return;
+
+    const { protein, carbs, fat } = nutrition.perServing;
+    corrections.push({
+      dayNumber: day.dayNumber,
+      mealType: meal.mealType,
+      title: recipe.title,
+      stated: { ...stated, calories: recipe.calories },
+      computed: { protein, carbs, fat, calories: caloriesFromMacros({ protein, carbs, fat }) },
+      coverage: nutrition.coverage,
+    });
+
+    recipe.protein = protein;
+    recipe.carbs = carbs;
+    recipe.fats = fat;
+    recipe.calories = caloriesFromMacros({ protein, carbs, fat });
+  });
+
+  return corrections;
+}
+
+export default {
+  importFoods,
+  findFoodsForNames,
+  computeRecipeNutrition,
+  estimateMicronutrients,
+  recomputeRecipeNutrition,
+  crossCheckPlanMacros,
+};
@@ -1,6 +1,12 @@
 // src/services/planService.js
 import prisma from '../db/prismaClient.js';
-import { findRecipeForMeal } from './recipeService.js';
+import { rankRecipesForMeal, portionMacros, MAX_DISTANCE, PORTION_BOUNDS } from './recipeService.js';
+import { DEFAULT_VARIETY, toCandidates, optimizeWeek } from './weekOptimizer.js';
+import { assertWeekUnlocked } from './mealPlanService.js';
+import { NotFoundError } from '../utils/errors.js';
+
+// Candidati valutati per ogni tipo di pasto (i più vicini ai target)
+const CANDIDATES_PER_MEAL = 25;
 
 /**
  * Converte una stringa YYYY-MM-DD in Date (mezzanotte locale)
@@ -46,26 +52,40 @@ function buildMacrosMap(profile) {
 
 /**
  * Genera il piano settimanale completo (7 giorni x 4 pasti)
- * a partire dal giorno di inizio settimana (YYYY-MM-DD).
+ * a partire dal giorno di inizio settimana (YYYY-MM-DD),
+ * per l'utente indicato.
+ *
+ * Le ricette sono scelte insieme per tutta la settimana (vedi optimizeWeek):
+ * errore macro totale minimo rispettando i vincoli di varietà (`variety`).
+ * Ogni ricetta è valutata alla porzione migliore entro `portions`.
  */
-export async function generateWeekPlan(weekStartStr) {
+export async function generateWeekPlan(weekStartStr, userId, { variety = DEFAULT_VARIETY, portions = PORTION_BOUNDS } = {}) {
   // 1) Parse date e calcola weekEnd
   const weekStart = parseDate(weekStartStr);
   const weekEnd = new Date(weekStart);
   weekEnd.setDate(weekEnd.getDate() + 6);
 
+  // Una settimana con un piano bloccato non si rigenera
+  await assertWeekUnlocked(userId, weekStart, weekEnd);
+
   // 2) Carica MacroProfile
-  const macroProfile = await prisma.macroProfile.findFirst();
+  const macroProfile = await prisma.macroProfile.findFirst({
+    where: { userId },
+    orderBy: { createdAt: 'desc' },
+  });
   if (!macroProfile) {
-    throw new Error('No MacroProfile found. Create one first with POST /macro-profile');
+    throw new NotFoundError('No MacroProfile found. Create one first with POST /macro-profile');
   }
 
   // 3) Carica UserPreferences (se esistono)
-  const preferences = await prisma.userPreferences.findFirst();
+  const preferences = await prisma.userPreferences.findUnique({
+    where: { userId },
+  });
 
   // 4) Carica WeeklyIntent (se esiste, per ora prendiamo il più recente <= weekStart)
   const weeklyIntent = await prisma.weeklyIntent.findFirst({
     where: {
+      userId,
       weekStart: {
         lte: weekStart,
       },
@@ -75,72 +95,91 @@ export async function generateWeekPlan(weekStartStr) {
     },
   });
 
-  // 5) Crea la “testata” del MealPlan
+  const macrosMap = buildMacrosMap(macroProfile);
+  const MEAL_TYPES = ['breakfast', 'lunch', 'snack', 'dinner'];
+
+  // 5) Candidati per tipo di pasto: i target sono gli stessi ogni giorno,
+  //    quindi basta una classifica per tipo (entro MAX_DISTANCE). Lo score
+  //    tiene conto di preferenze e intento, così settimane con intenti
+  //    diversi ottengono ricette diverse
+  const candidatesByType = {};
+  for (const mealType of MEAL_TYPES) {
+    const target = macrosMap[mealType];
+    const ranked = await rankRecipesForMeal({
+      mealType,
+      macros: { protein: target.protein, carbs: target.carbs, fat: target.fat },
+      preferences: preferences || null,
+      weeklyIntent: weeklyIntent || null,
+      limit: CANDIDATES_PER_MEAL,
+      portions,
+    });
+    candidatesByType[mealType] = toCandidates(ranked.filter((r) => r.distance <= MAX_DISTANCE));
+  }
+
+  // 6) Sceglie le ricette di tutta la settimana insieme
+  const slots = [];
+  for (let day = 1; day <= 7; day++) {
+    for (const mealType of MEAL_TYPES) {
+      slots.push({ day, mealType });
+    }
+  }
+  const { assignments, report } = optimizeWeek(slots, candidatesByType, variety);
+
+  // 7) Crea la “testata” del MealPlan
   const mealPlan = await prisma.mealPlan.create({
     data: {
+      userId,
       weekStart,
       weekEnd,
       goal: weeklyIntent?.goal || 'normal',
       weeklyIntentId: weeklyIntent?.id ?? null,
+      macroProfileId: macroProfile.id,
+      varietyReport: report,
     },
   });
 
-  const macrosMap = buildMacrosMap(macroProfile);
-
-  const mealsToCreate = [];
-  const MEAL_TYPES = ['breakfast', 'lunch', 'snack', 'dinner'];
-
-  // 6) Per ogni giorno della settimana e per ogni pasto
-  for (let dayOffset = 0; dayOffset < 7; dayOffset++) {
+  const mealsToCreate = assignments.map(({ day, mealType, candidate }) => {
     const currentDate = new Date(weekStart);
-    currentDate.setDate(currentDate.getDate() + dayOffset);
-
-    for (const mealType of MEAL_TYPES) {
-      const target = macrosMap[mealType];
-
-      // Chiede a recipeService la ricetta migliore
-      const recipe = await findRecipeForMeal({
-        mealType,
-        macros: {
-          protein: target.protein,
-          carbs: target.carbs,
-          fat: target.fat,
-        },
-        preferences: preferences || null,
-        weeklyIntent: weeklyIntent || null,
-      });
-
-      // Se abbiamo una ricetta, usiamo le sue calorie, altrimenti calcolate dai macro
-      const calories =
-        recipe?.caloriesPerServing ??
-        (target.protein * 4 + target.carbs * 4 + target.fat * 9);
-
-      mealsToCreate.push({
-        mealPlanId: mealPlan.id,
-        date: currentDate,
-        type: mealType,
-        protein: target.protein,
-        carbs: target.carbs,
-        fat: target.fat,
-        calories,
-        recipeId: recipe?.id ?? null,
-      });
-    }
-  }
+    currentDate.setDate(currentDate.getDate() + (day - 1));
+
+    const target = macrosMap[mealType];
+    const recipe = candidate?.recipe;
+
+    // Target del pasto accanto ai macro reali della ricetta alla porzione scelta
+    const actual = recipe ? portionMacros(recipe, candidate.portion) : null;
+
+    return {
+      mealPlanId: mealPlan.id,
+      date: currentDate,
+      type: mealType,
+      slot: MEAL_TYPES.indexOf(mealType) + 1,
+      protein: target.protein,
+      carbs: target.carbs,
+      fat: target.fat,
+      calories: target.protein * 4 + target.carbs * 4 + target.fat * 9,
+      recipeId: recipe?.id ?? null,
+      portion: candidate?.portion ?? 1,
+      actualProtein: actual?.protein ?? null,
+      actualCarbs: actual?.carbs ?? null,
+      actualFat: actual?.fat ?? null,
+      actualCalories: actual?.calories ?? null,
+    };
+  });
 
-  // 7) Inserimento batch di tutti i pasti
+  // 8) Inserimento batch di tutti i pasti
   await prisma.meal.createMany({
     data: mealsToCreate,
   });
 
-  // 8) Ricarica il MealPlan completo con relazioni
+  // 9) Ricarica il MealPlan completo con relazioni
   const completePlan = await prisma.mealPlan.findUnique({
     where: { id: mealPlan.id },
     include: {
       weeklyIntent: true,
+      macroProfile: true,
       meals: {
         include: { recipe: true },
-        orderBy: [{ date: 'asc' }, { type: 'asc' }],
+        orderBy: [{ date: 'asc' }, { slot: 'asc' }, { type: 'asc' }],
       },
     },
   });
@@ -0,0 +1,206 @@
+// src/services/planVerification.js
+import { scaleIngredientLine } from '../utils/ingredientParser.js';
+
+export const DEFAULT_TOLERANCE = 0.15;
+
+// Scarto oltre il quale le calorie dichiarate dal modello vengono segnalate
+const CALORIE_MISMATCH = 0.05;
+
+// Limiti del fattore di porzione: oltre, il pasto non è più "lo stesso pasto"
+const MIN_SCALE = 0.5;
+const MAX_SCALE = 1.5;
+
+const MACROS = ['protein', 'carbs', 'fat', 'calories'];
+
+// ===== SECTION A: TARGETS =====
+
+export function caloriesFromMacros({ protein, carbs, fat }) {
+  return Math.round(protein * 4 + carbs * 4 + fat * 9);
+}
+
+/**
+ * Target giornalieri dal MacroProfile (somma dei quattro pasti).
+ */
+export function dailyTargetsFromProfile(profile) {
+  const protein = profile.breakfastProtein + profile.lunchProtein + profile.snackProtein + profile.dinnerProtein;
+  const carbs = profile.breakfastCarbs + profile.lunchCarbs + profile.snackCarbs + profile.dinnerCarbs;
+  const fat = profile.breakfastFat + profile.lunchFat + profile.snackFat + profile.dinnerFat;
+
+  return { protein, carbs, fat, calories: caloriesFromMacros({ protein, carbs, fat }) };
+}
+
+// ===== SECTION B: VERIFICATION =====
+
+function _round(value, decimals = 1) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Ricalcola le calorie di ogni ricetta da proteine/carboidrati/grassi
+ * (4/4/9 kcal per grammo) e corregge il piano in place.
+ * Restituisce le correzioni significative (scarto > 5%).
+ */
+export function correctPlanCalories(plan) {
+  const corrections = [];
+
+  for (const day of plan.days) {
+    for (const meal of day.meals) {
+      const { recipe } = meal;
+      const computed = caloriesFromMacros({ protein: recipe.protein, carbs: recipe.carbs, fat: recipe.fats });
+
+      if (computed > 0 && Math.abs(recipe.calories - computed) / computed > CALORIE_MISMATCH) {
+        corrections.push({
+          dayNumber: day.dayNumber,
+          mealType: meal.mealType,
+          title: recipe.title,
+          stated: recipe.calories,
+          computed,
+        });
+      }
+
+      recipe.calories = computed;
+    }
+  }
+
+  return corrections;
+}
+
+export function dayTotals(day) {
+  const totals = { protein: 0, carbs: 0, fat: 0, calories: 0 };
+
+  for (const meal of day.meals) {
+    totals.protein += meal.recipe.protein;
+    totals.carbs += meal.recipe.carbs;
+    totals.fat += meal.recipe.fats;
+    totals.calories += meal.recipe.calories;
+  }
+
+  for (const macro of MACROS) {
+    totals[macro] = _round(totals[macro]);
+  }
+  return totals;
+}
+
+/**
+ * Confronta i totali di un giorno con i target.
+ * `deviation` è in percentuale (+12.5 = 12.5% sopra il target).
+ */
+export function verifyDay(day, targets, tolerance = DEFAULT_TOLERANCE) {
+  const totals = dayTotals(day);
+  const deviation = {};
+  const outOfTolerance = [];
+
+  for (const macro of MACROS) {
+    const target = targets[macro];
+    const relative = target ? (totals[macro] - target) / target : 0;
+    deviation[macro] = _round(relative * 100);
+
+    if (Math.abs(relative) > tolerance) {
+      outOfTolerance.push(macro);
+    }
+  }
+
+  return {
+    dayNumber: day.dayNumber,
+    totals,
+    deviation,
+    outOfTolerance,
+    withinTolerance: outOfTolerance.length === 0,
+  };
+}
+
+// ===== SECTION C: PORTION SCALING =====
+
+/**
+ * Fattore unico da applicare a tutte le porzioni del giorno: minimizza
+ * lo scarto relativo su proteine, carboidrati e grassi (minimi quadrati),
+ * limitato tra 0.5 e 1.5.
+ */
+export function portionScaleFactor(totals, targets) {
+  let numerator = 0;
+  let denominator = 0;
+
+  for (const macro of ['protein', 'carbs', 'fat']) {
+    if (!targets[macro]) continue;
+    const ratio = totals[macro] / targets[macro];
+    numerator += ratio;
+    denominator += ratio * ratio;
+  }
+
+  if (!denominator) return 1;
+
+  const factor = numerator / denominator;
+  return _round(Math.min(MAX_SCALE, Math.max(MIN_SCALE, factor)), 2);
+}
+
+/**
+ * Restituisce una copia del giorno con porzioni, ingredienti e macro
+ * scalati dello stesso fattore.
+ */
+export function scaleDay(day, factor) {
+  return {
+    ...day,
+    meals: day.meals.map((meal) => {
+      const protein = _round(meal.recipe.protein * factor);
+      const carbs = _round(meal.recipe.carbs * factor);
+      const fats = _round(meal.recipe.fats * factor);
+
+      return {
+        ...meal,
+        recipe: {
+          ...meal.recipe,
+          ingredients: meal.recipe.ingredients.map((line) => scaleIngredientLine(line, factor)),
+          protein,
+          carbs,
+          fats,
+          calories: caloriesFromMacros({ protein, carbs, fat: fats }),
+          // Presenti solo se calcolati dalle tabelle alimenti
+          ...(meal.recipe.micronutrients && {
+            micronutrients: Object.fromEntries(
+              Object.entries(meal.recipe.micronutrients).map(([key, value]) => [key, _round(value * factor)])
+            ),
+          }),
+        },
+      };
+    }),
+  };
+}
+
+// ===== SECTION D: REPORT =====
+
+/**
+ * Riassunto finale per la risposta: un elemento per giorno con lo
+ * stato della verifica ('ok', 'reprompted', 'scaled', 'out_of_tolerance'),
+ * più le correzioni di calorie e quelle delle macro smentite dalle tabelle alimenti.
+ */
+export function buildMacroReport({ targets, tolerance, repairStrategy, calorieCorrections, nutritionCorrections = [], days }) {
+  const count = (status) => days.filter((d) => d.status === status).length;
+
+  return {
+    targets,
+    tolerance,
+    repairStrategy,
+    calorieCorrections,
+    nutritionCorrections,
+    days,
+    summary: {
+      days: days.length,
+      ok: count('ok'),
+      reprompted: count('reprompted'),
+      scaled: count('scaled'),
+      outOfTolerance: count('out_of_tolerance'),
+    },
+  };
+}
+
+export default {
+  caloriesFromMacros,
+  dailyTargetsFromProfile,
+  correctPlanCalories,
+  dayTotals,
+  verifyDay,
+  portionScaleFactor,
+  scaleDay,
+  buildMacroReport,
+};
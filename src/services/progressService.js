@@ -0,0 +1,303 @@
+// src/services/progressService.js
+import prisma from '../db/prismaClient.js';
+import { dayKey } from './foodLogService.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+
+// ===== SECTION A: CONFIGURATION =====
+
+const MOVING_AVERAGE_DAYS = 7;
+const MIN_ENTRIES_PER_WINDOW = 3;
+
+// Energia di 1 kg di peso corporeo (stima classica)
+const KCAL_PER_KG = 7700;
+
+// Scarto dal ritmo obiettivo sotto il quale non si cambia nulla (kg/settimana)
+const ON_TRACK_MARGIN_KG = 0.1;
+
+// Variazione massima delle calorie giornaliere per singolo check-in
+const MAX_DAILY_ADJUSTMENT = 250;
+
+// Ritmo di default per obiettivo, in % del peso corporeo a settimana
+const DEFAULT_WEEKLY_RATE_PERCENT = { cut: -0.5, maintain: 0, bulk: 0.25 };
+
+const MEAL_TYPES = ['breakfast', 'lunch', 'snack', 'dinner'];
+export const MACRO_FIELDS = MEAL_TYPES.flatMap((t) => [t + 'Protein', t + 'Carbs', t + 'Fat']);
+
+function startOfDay(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+function _round(value, decimals = 2) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+function _daysBetween(a, b) {
+  return Math.round((startOfDay(b) - startOfDay(a)) / 86400000);
+}
+
+function _mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+// ===== SECTION B: WEIGHT ENTRIES =====
+
+/**
+ * Registra il peso del giorno (una sola misura per giorno:
+ * una nuova misura sostituisce la precedente).
+ */
+export async function logWeight(userId, { date, weightKg, notes }) {
+  if (typeof weightKg !== 'number' || weightKg < 20 || weightKg > 400) {
+    throw ValidationError.forField('weightKg', 'weightKg must be a number between 20 and 400');
+  }
+
+  const day = startOfDay(date || new Date());
+  if (isNaN(day.getTime())) {
+    throw ValidationError.forField('date', 'Invalid date');
+  }
+
+  return await prisma.weightEntry.upsert({
+    where: { userId_date: { userId, date: day } },
+    update: { weightKg, notes: notes || null },
+    create: { userId, date: day, weightKg, notes: notes || null },
+  });
+}
+
+/**
+ * Media mobile sugli ultimi 7 giorni di calendario (inclusi) per ogni misura.
+ * `entries` deve essere ordinato per data crescente.
+ */
+export function withMovingAverage(entries) {
+  return entries.map((entry, i) => {
+    const window = entries
+      .slice(0, i + 1)
+      .filter((e) => _daysBetween(e.date, entry.date) < MOVING_AVERAGE_DAYS);
+
+    return { ...entry, movingAverage: _round(_mean(window.map((e) => e.weightKg))) };
+  });
+}
+
+export async function listWeights(userId, { from, to } = {}) {
+  const where = { userId };
+
+  if (from || to) {
+    where.date = {};
+    if (from) where.date.gte = startOfDay(from);
+    if (to) where.date.lte = startOfDay(to);
+  }
+
+  const entries = await prisma.weightEntry.findMany({
+    where,
+    orderBy: { date: 'asc' },
+  });
+
+  return withMovingAverage(entries);
+}
+
+export async function deleteWeight(userId, id) {
+  const entry = await prisma.weightEntry.findFirst({
+    where: { id: parseInt(id), userId },
+  });
+
+  if (!entry) {
+    throw new NotFoundError('Weight entry not found');
+  }
+
+  await prisma.weightEntry.delete({ where: { id: entry.id } });
+}
+
+// ===== SECTION C: CHECK-IN =====
+
+/**
+ * Ritmo obiettivo in kg/settimana: quello esplicito, quello salvato sul
+ * profilo, oppure il default dell'obiettivo in % del peso attuale.
+ */
+export function resolveWeeklyRate({ weeklyRateKg, profile, currentWeight }) {
+  if (typeof weeklyRateKg === 'number') return weeklyRateKg;
+  if (typeof profile?.weeklyRateKg === 'number') return profile.weeklyRateKg;
+
+  const percent = DEFAULT_WEEKLY_RATE_PERCENT[profile?.goal || 'maintain'] ?? 0;
+  return _round((currentWeight * percent) / 100);
+}
+
+/**
+ * Applica una variazione di calorie giornaliere al profilo agendo solo
+ * su carboidrati e grassi (le proteine restano fisse), in proporzione
+ * alle calorie che ciascun pasto ne riceve già.
+ */
+export function adjustProfileCalories(profile, dailyAdjustment) {
+  const adjusted = {};
+  let carbFatCalories = 0;
+
+  for (const type of MEAL_TYPES) {
+    carbFatCalories += profile[type + 'Carbs'] * 4 + profile[type + 'Fat'] * 9;
+  }
+
+  const factor = carbFatCalories ? Math.max(0, (carbFatCalories + dailyAdjustment) / carbFatCalories) : 1;
+
+  for (const type of MEAL_TYPES) {
+    adjusted[type + 'Protein'] = profile[type + 'Protein'];
+    adjusted[type + 'Carbs'] = Math.round(profile[type + 'Carbs'] * factor);
+    adjusted[type + 'Fat'] = Math.round(profile[type + 'Fat'] * factor);
+  }
+
+  return adjusted;
+}
+
+/**
+ * Confronta l'andamento del peso con il ritmo obiettivo.
+ * Usa la media delle misure degli ultimi 7 giorni e dei 7 precedenti
+ * (almeno 3 misure ciascuno): la differenza è il ritmo reale in kg/settimana.
+ *
+ * Restituisce status 'insufficient_data', 'on_track' o 'adjust', con la
+ * variazione di calorie giornaliere proposta (max ±250 kcal).
+ */
+export function computeCheckIn(entries, { profile, weeklyRateKg } = {}) {
+  if (!entries.length) {
+    return { status: 'insufficient_data', message: 'No weight entries yet' };
+  }
+
+  const sorted = [...entries].sort((a, b) => new Date(a.date) - new Date(b.date));
+  const latest = sorted[sorted.length - 1].date;
+
+  const current = sorted.filter((e) => _daysBetween(e.date, latest) < MOVING_AVERAGE_DAYS);
+  const previous = sorted.filter((e) => {
+    const age = _daysBetween(e.date, latest);
+    return age >= MOVING_AVERAGE_DAYS && age < MOVING_AVERAGE_DAYS * 2;
+  });
+
+  if (current.length < MIN_ENTRIES_PER_WINDOW || previous.length < MIN_ENTRIES_PER_WINDOW) {
+    return {
+      status: 'insufficient_data',
+      message: `Need at least ${MIN_ENTRIES_PER_WINDOW} weigh-ins in each of the last two weeks`,
+      entries: { currentWeek: current.length, previousWeek: previous.length },
+    };
+  }
+
+  const currentAverage = _mean(current.map((e) => e.weightKg));
+  const previousAverage = _mean(previous.map((e) => e.weightKg));
+  const actualRate = currentAverage - previousAverage;
+  const goalRate = resolveWeeklyRate({ weeklyRateKg, profile, currentWeight: currentAverage });
+  const gap = actualRate - goalRate;
+
+  const trend = {
+    from: dayKey(sorted[0].date),
+    to: dayKey(latest),
+    currentAverage: _round(currentAverage),
+    previousAverage: _round(previousAverage),
+    actualRateKgPerWeek: _round(actualRate),
+    goalRateKgPerWeek: goalRate,
+    gapKgPerWeek: _round(gap),
+  };
+
+  if (Math.abs(gap) < ON_TRACK_MARGIN_KG) {
+    return { status: 'on_track', trend, dailyCalorieAdjustment: 0 };
+  }
+
+  // Troppo veloce verso l'alto -> meno calorie, e viceversa
+  const raw = (-gap * KCAL_PER_KG) / 7;
+  const dailyCalorieAdjustment = Math.round(Math.max(-MAX_DAILY_ADJUSTMENT, Math.min(MAX_DAILY_ADJUSTMENT, raw)));
+
+  return {
+    status: 'adjust',
+    trend,
+    dailyCalorieAdjustment,
+    proposedProfile: profile ? adjustProfileCalories(profile, dailyCalorieAdjustment) : null,
+  };
+}
+
+/**
+ * Check-in settimanale dell'utente sul profilo attivo.
+ * Con `apply` la proposta viene salvata come nuova versione del profilo.
+ */
+export async function runCheckIn(userId, { weeklyRateKg, apply = false } = {}) {
+  const profile = await getActiveProfile(userId);
+  if (!profile) {
+    throw new NotFoundError('No MacroProfile found. Create one first with POST /macro-profile');
+  }
+
+  const since = startOfDay(new Date());
+  since.setDate(since.getDate() - MOVING_AVERAGE_DAYS * 4);
+
+  const entries = await prisma.weightEntry.findMany({
+    where: { userId, date: { gte: since } },
+    orderBy: { date: 'asc' },
+  });
+
+  const checkIn = computeCheckIn(entries, { profile, weeklyRateKg });
+
+  let newProfile = null;
+  if (apply && checkIn.status === 'adjust') {
+    const sign = checkIn.dailyCalorieAdjustment > 0 ? '+' : '';
+    newProfile = await createProfileVersion(userId, {
+      ...checkIn.proposedProfile,
+      changeReason: `check-in: ${sign}${checkIn.dailyCalorieAdjustment} kcal/day`,
+    });
+  }
+
+  return { profileId: profile.id, version: profile.version, ...checkIn, applied: Boolean(newProfile), newProfile };
+}
+
+// ===== SECTION D: PROFILE VERSIONS =====
+
+export async function getActiveProfile(userId) {
+  return await prisma.macroProfile.findFirst({
+    where: { userId },
+    orderBy: { createdAt: 'desc' },
+  });
+}
+
+/**
+ * Crea una nuova versione del MacroProfile collegata alla precedente.
+ * I campi non indicati (macro, nome, obiettivo) vengono ereditati.
+ * I MealPlan esistenti restano legati alla versione con cui sono nati.
+ */
+export async function createProfileVersion(userId, data) {
+  const previous = await getActiveProfile(userId);
+  const inherited = {};
+
+  if (previous) {
+    for (const field of [...MACRO_FIELDS, 'name', 'goal', 'weeklyRateKg']) {
+      inherited[field] = previous[field];
+    }
+  }
+
+  // Il primo profilo non ha da chi ereditare: servono tutti i target macro
+  const missing = MACRO_FIELDS.filter((field) => (data[field] ?? inherited[field]) === undefined);
+  if (missing.length) {
+    throw new ValidationError('Invalid request data', {
+      details: missing.map((field) => ({ code: 'custom', path: [field], message: 'Required for the first MacroProfile' })),
+    });
+  }
+
+  return await prisma.macroProfile.create({
+    data: {
+      ...inherited,
+      ...data,
+      userId,
+      version: previous ? previous.version + 1 : 1,
+      previousVersionId: previous?.id ?? null,
+    },
+  });
+}
+
+export async function getProfileHistory(userId) {
+  return await prisma.macroProfile.findMany({
+    where: { userId },
+    orderBy: { createdAt: 'desc' },
+    include: { _count: { select: { mealPlans: true } } },
+  });
+}
+
+export default {
+  logWeight,
+  listWeights,
+  deleteWeight,
+  computeCheckIn,
+  runCheckIn,
+  getActiveProfile,
+  createProfileVersion,
+  getProfileHistory,
+};
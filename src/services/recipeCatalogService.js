@@ -0,0 +1,384 @@
+// src/services/recipeCatalogService.js
+import { Prisma } from '@prisma/client';
+import { z } from 'zod';
+import prisma from '../db/prismaClient.js';
+import { ingredientsFromText, recipeIngredientsCreateInput, ensureIngredients } from './ingredientService.js';
+import { MicronutrientValuesSchema } from './micronutrientService.js';
+import { estimateMicronutrients } from './nutritionService.js';
+import { bestPortion, portionMacros, portionSteps } from './recipeService.js';
+import { DIFFICULTIES } from './recipeScoring.js';
+import { ConflictError, NotFoundError } from '../utils/errors.js';
+
+const MEAL_TYPES = ['breakfast', 'lunch', 'snack', 'dinner'];
+
+// ===== SECTION A: INPUT AND CREATION =====
+
+// Righe di ingredienti (o la vecchia stringa separata da virgole) e tag (array o stringa)
+const LinesField = z.union([z.array(z.string().min(1)), z.string()]);
+
+/**
+ * Campi modificabili di una ricetta, per POST /recipes e PATCH /api/recipes/:id.
+ * Id, date, rawData e stato di eliminazione non si impostano dal client.
+ */
+export const RecipeFieldsSchema = z.object({
+  title: z.string().trim().min(1),
+  ingredients: LinesField.optional(),
+  instructions: z.string().nullable().optional(),
+  tags: LinesField.nullable().optional(),
+  mealType: z.enum(MEAL_TYPES).nullable().optional(),
+  cuisine: z.string().nullable().optional(),
+  difficulty: z.enum(DIFFICULTIES).nullable().optional(),
+  prepMinutes: z.number().int().min(0).nullable().optional(),
+  cookMinutes: z.number().int().min(0).nullable().optional(),
+  servings: z.number().int().min(1).nullable().optional(),
+  caloriesPerServing: z.number().int().min(0).nullable().optional(),
+  proteinPerServing: z.number().min(0).nullable().optional(),
+  carbsPerServing: z.number().min(0).nullable().optional(),
+  fatPerServing: z.number().min(0).nullable().optional(),
+  micronutrients: MicronutrientValuesSchema.nullable().optional(),
+  imageUrl: z.string().url().nullable().optional(),
+  sourceUrl: z.string().url().nullable().optional(),
+});
+
+export const CreateRecipeSchema = RecipeFieldsSchema.extend({
+  source: z.string().trim().min(1).optional().default('manual'),
+  externalId: z.string().min(1).nullable().optional(),
+}).strict();
+
+export const UpdateRecipeSchema = RecipeFieldsSchema.partial()
+  .strict()
+  .refine((changes) => Object.keys(changes).length > 0, 'Nothing to update');
+
+function _tagsValue(tags) {
+  return Array.isArray(tags) ? tags.join(',') : tags;
+}
+
+/**
+ * Crea una ricetta locale. Gli ingredienti diventano ingredienti strutturati;
+ * senza micronutrienti espliciti vengono stimati dagli ingredienti.
+ */
+export async function createRecipe(input) {
+  const { ingredients, tags, micronutrients, ...data } = input;
+  const items = ingredientsFromText(ingredients || []);
+
+  // I valori espliciti vincono; altrimenti si stimano dagli ingredienti
+  const estimated = micronutrients ? null : await estimateMicronutrients({ recipeIngredients: items, servings: data.servings });
+
+  await ensureIngredients(prisma, items);
+  return await prisma.recipe.create({
+    data: {
+      ...data,
+      ingredients: Array.isArray(ingredients) ? ingredients.join('\n') : ingredients,
+      tags: _tagsValue(tags),
+      micronutrients: micronutrients ?? estimated ?? undefined,
+      micronutrientSource: micronutrients ? 'manual' : estimated ? 'estimated' : null,
+      nutritionSource: data.proteinPerServing != null || data.caloriesPerServing != null ? 'manual' : null,
+      recipeIngredients: recipeIngredientsCreateInput(items),
+    },
+    include: { recipeIngredients: { orderBy: { position: 'asc' } } },
+  });
+}
+
+// ===== SECTION B: SEARCH =====
+
+export const SEARCH_SORTS = ['relevance', 'protein_density', 'macro_closeness', 'newest', 'title'];
+
+// Filtri per intervallo: parametro di query -> campo della ricetta
+export const RANGE_FILTERS = {
+  Protein: 'proteinPerServing',
+  Carbs: 'carbsPerServing',
+  Fat: 'fatPerServing',
+  Calories: 'caloriesPerServing',
+};
+
+/**
+ * Converte il testo cercato in una tsquery Postgres: ogni parola (lettere e
+ * cifre, anche accentate) diventa un prefisso e devono esserci tutte.
+ * "pollo riso" -> "pollo:* & riso:*". Null se non resta nessuna parola.
+ */
+export function buildTsQuery(text) {
+  const words = (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return words.length ? words.map((word) => `${word}:*`).join(' & ') : null;
+}
+
+/**
+ * Grammi di proteine ogni 100 kcal di una porzione
+ * (null se la ricetta non ha calorie).
+ */
+export function proteinDensity(recipe) {
+  const { protein, calories } = portionMacros(recipe, 1);
+  return calories > 0 ? Math.round((protein / calories) * 1000) / 10 : null;
+}
+
+/**
+ * Tag della ricetta, salvati come stringa separata da virgole.
+ */
+export function recipeTags(recipe) {
+  return (recipe.tags || '')
+    .split(',')
+    .map((tag) => tag.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// Documento full-text di una ricetta: titolo (peso A) e ingredienti (peso B).
+// L'indice GIN di ensureSearchIndex usa la stessa espressione.
+const SEARCH_DOCUMENT = Prisma.sql`(setweight(to_tsvector('simple', "title"), 'A') || setweight(to_tsvector('simple', coalesce("ingredients", '')), 'B'))`;
+
+// Calorie per porzione, dai macro se mancano (come portionMacros)
+const CALORIES = Prisma.sql`coalesce("caloriesPerServing", coalesce("proteinPerServing", 0) * 4 + coalesce("carbsPerServing", 0) * 4 + coalesce("fatPerServing", 0) * 9)`;
+
+// proteinDensity calcolata dal database, con gli stessi arrotondamenti
+const PROTEIN_DENSITY = Prisma.sql`CASE WHEN round(${CALORIES}::numeric) > 0
+  THEN round(round(coalesce("proteinPerServing", 0)::numeric, 1) * 100 / round(${CALORIES}::numeric), 1) END`;
+
+const SEARCH_ORDER = {
+  relevance: Prisma.sql`"rank" DESC`,
+  protein_density: Prisma.sql`"proteinDensity" DESC NULLS LAST`,
+  macro_closeness: Prisma.sql`"distance" ASC`,
+  newest: Prisma.sql`"createdAt" DESC`,
+  title: Prisma.sql`"title" ASC`,
+};
+
+/**
+ * Crea (se manca) l'indice GIN della ricerca full-text. Lo schema Prisma non
+ * descrive indici su espressioni, quindi viene creato all'avvio del server.
+ */
+export async function ensureSearchIndex() {
+  await prisma.$executeRaw`CREATE INDEX IF NOT EXISTS "Recipe_search_idx" ON "Recipe" USING GIN (${SEARCH_DOCUMENT})`;
+}
+
+/**
+ * Distanza macro della porzione migliore (vedi bestPortion), arrotondata
+ * come bestPortion: la porzione 1 e tutti i passi tra i limiti.
+ */
+function _distanceSql(target) {
+  const portions = [1, ...portionSteps()].map((portion) => Prisma.sql`(${portion}::float8)`);
+
+  return Prisma.sql`(
+    SELECT round(min(
+      abs(coalesce("proteinPerServing", 0) * "portion" - ${target.protein}::float8) +
+      abs(coalesce("carbsPerServing", 0) * "portion" - ${target.carbs}::float8) +
+      abs(coalesce("fatPerServing", 0) * "portion" - ${target.fat}::float8)
+    )::numeric, 1)
+    FROM (VALUES ${Prisma.join(portions)}) AS "portions"("portion")
+  )`;
+}
+
+/**
+ * Condizioni WHERE della ricerca: ricette attive più i filtri richiesti.
+ */
+function _searchConditions(query, tsQuery) {
+  const { mealType, tags, source } = query;
+  const conditions = [Prisma.sql`"deletedAt" IS NULL`];
+
+  if (tsQuery) conditions.push(Prisma.sql`${SEARCH_DOCUMENT} @@ to_tsquery('simple', ${tsQuery})`);
+  if (mealType) conditions.push(Prisma.sql`"mealType" = ${mealType}`);
+  if (source?.length) conditions.push(Prisma.sql`"source" = ANY(${source}::text[])`);
+
+  // Tag salvati come stringa separata da virgole (vedi recipeTags): servono tutti
+  if (tags?.length) {
+    conditions.push(Prisma.sql`${tags}::text[] <@ ARRAY(
+      SELECT lower(btrim("tag")) FROM unnest(string_to_array(coalesce("tags", ''), ',')) AS "tag"
+    )`);
+  }
+
+  for (const [name, field] of Object.entries(RANGE_FILTERS)) {
+    const column = Prisma.raw(`"${field}"`);
+    const min = query[`min${name}`];
+    const max = query[`max${name}`];
+    if (min !== undefined) conditions.push(Prisma.sql`${column} >= ${min}`);
+    if (max !== undefined) conditions.push(Prisma.sql`${column} <= ${max}`);
+  }
+
+  return Prisma.join(conditions, ' AND ');
+}
+
+/**
+ * Cerca nel catalogo locale (ricette non eliminate). Filtri, ordinamento e
+ * paginazione avvengono nel database: vengono caricate solo le ricette della pagina.
+ *
+ * - `q`: ricerca full-text su titolo e ingredienti
+ * - `mealType`, `tags` (tutti richiesti), `source` (uno qualsiasi)
+ * - `min/maxProtein|Carbs|Fat|Calories`: intervalli per porzione
+ * - `sort`: relevance (default con `q`), protein_density, macro_closeness
+ *   (porzione migliore verso `targetProtein/Carbs/Fat`), newest (default), title
+ *
+ * A parità vince l'id più recente, così le pagine sono stabili.
+ *
+ * Restituisce { total, limit, offset, results: [{ recipe, rank, proteinDensity, portion, distance }] }.
+ */
+export async function searchRecipes(query) {
+  const { q, limit, offset } = query;
+  const sort = query.sort || (q ? 'relevance' : 'newest');
+
+  const tsQuery = q ? buildTsQuery(q) : null;
+  if (q && !tsQuery) {
+    return { total: 0, limit, offset, results: [] };
+  }
+
+  const target = query.targetProtein !== undefined
+    ? { protein: query.targetProtein, carbs: query.targetCarbs, fat: query.targetFat }
+    : null;
+
+  const where = _searchConditions(query, tsQuery);
+  const rank = tsQuery ? Prisma.sql`ts_rank(${SEARCH_DOCUMENT}, to_tsquery('simple', ${tsQuery}))` : Prisma.sql`NULL::real`;
+  const distance = target ? _distanceSql(target) : Prisma.sql`NULL::numeric`;
+
+  const [rows, [{ total }]] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT "id", ${rank} AS "rank", ${PROTEIN_DENSITY} AS "proteinDensity", ${distance} AS "distance"
+      FROM "Recipe"
+      WHERE ${where}
+      ORDER BY ${SEARCH_ORDER[sort]}, "id" DESC
+      LIMIT ${limit} OFFSET ${offset}`,
+    prisma.$queryRaw`SELECT count(*) AS "total" FROM "Recipe" WHERE ${where}`,
+  ]);
+
+  const recipes = await prisma.recipe.findMany({ where: { id: { in: rows.map((row) => row.id) } } });
+  const byId = new Map(recipes.map((recipe) => [recipe.id, recipe]));
+
+  const results = rows
+    .filter((row) => byId.has(row.id))
+    .map((row) => {
+      const recipe = byId.get(row.id);
+      return {
+        recipe,
+        rank: tsQuery ? Number(row.rank) : null,
+        proteinDensity: proteinDensity(recipe),
+        ...(target ? bestPortion(target, recipe) : { portion: null, distance: null }),
+      };
+    });
+
+  return { total: Number(total), limit, offset, results };
+}
+
+// ===== SECTION C: EDITING =====
+
+async function _loadActiveRecipe(id) {
+  const recipe = await prisma.recipe.findFirst({
+    where: { id: parseInt(id), deletedAt: null },
+  });
+
+  if (!recipe) {
+    throw new NotFoundError('Recipe not found');
+  }
+
+  return recipe;
+}
+
+/**
+ * Modifica una ricetta del catalogo.
+ *
+ * - Nuovi ingredienti ricostruiscono gli ingredienti strutturati.
+ * - I micronutrienti indicati diventano "manual"; altrimenti, se cambiano
+ *   gli ingredienti, vengono ristimati (tranne i valori manuali).
+ * - Se cambiano le macro, i pasti che la usano nei piani non bloccati
+ *   aggiornano i valori "actual" alla loro porzione.
+ */
+export async function updateRecipe(id, changes) {
+  const recipe = await _loadActiveRecipe(id);
+  const { ingredients, tags, micronutrients, ...data } = changes;
+
+  if (tags !== undefined) {
+    data.tags = _tagsValue(tags);
+  }
+
+  let items = null;
+  if (ingredients !== undefined) {
+    items = ingredientsFromText(ingredients);
+    data.ingredients = Array.isArray(ingredients) ? ingredients.join('\n') : ingredients;
+    data.recipeIngredients = { deleteMany: {}, ...recipeIngredientsCreateInput(items) };
+    await ensureIngredients(prisma, items);
+  }
+
+  if (micronutrients !== undefined) {
+    data.micronutrients = micronutrients ?? Prisma.DbNull;
+    data.micronutrientSource = micronutrients ? 'manual' : null;
+  } else if (items && recipe.micronutrientSource !== 'manual') {
+    const estimated = await estimateMicronutrients({
+      recipeIngredients: items,
+      servings: data.servings !== undefined ? data.servings : recipe.servings,
+    });
+
+    data.micronutrients = estimated ?? Prisma.DbNull;
+    data.micronutrientSource = estimated ? 'estimated' : null;
+  }
+
+  const macrosChanged = ['caloriesPerServing', 'proteinPerServing', 'carbsPerServing', 'fatPerServing']
+    .some((field) => data[field] !== undefined);
+  if (macrosChanged) {
+    data.nutritionSource = 'manual';
+  }
+
+  return await prisma.$transaction(async (tx) => {
+    const updated = await tx.recipe.update({
+      where: { id: recipe.id },
+      data,
+      include: { recipeIngredients: { orderBy: { position: 'asc' } } },
+    });
+
+    if (macrosChanged) {
+      const meals = await tx.meal.findMany({
+        where: { recipeId: recipe.id, mealPlan: { locked: false } },
+      });
+
+      for (const meal of meals) {
+        const actual = portionMacros(updated, meal.portion);
+        await tx.meal.update({
+          where: { id: meal.id },
+          data: {
+            actualProtein: actual.protein,
+            actualCarbs: actual.carbs,
+            actualFat: actual.fat,
+            actualCalories: actual.calories,
+          },
+        });
+      }
+    }
+
+    return updated;
+  });
+}
+
+/**
+ * Elimina una ricetta. Se nessun pasto la usa viene cancellata; altrimenti
+ * viene nascosta (soft delete) così i piani esistenti restano intatti.
+ * Con `strict` una ricetta in uso non viene toccata: errore con `mealCount`.
+ *
+ * Restituisce { id, deleted: 'hard' | 'soft', mealCount }.
+ */
+export async function deleteRecipe(id, { strict = false } = {}) {
+  const recipe = await _loadActiveRecipe(id);
+  const mealCount = await prisma.meal.count({ where: { recipeId: recipe.id } });
+
+  if (mealCount && strict) {
+    throw new ConflictError('Recipe is used by meal plans', { mealCount });
+  }
+
+  if (mealCount) {
+    await prisma.recipe.update({
+      where: { id: recipe.id },
+      data: { deletedAt: new Date() },
+    });
+  } else {
+    await prisma.recipe.delete({ where: { id: recipe.id } });
+  }
+
+  return { id: recipe.id, deleted: mealCount ? 'soft' : 'hard', mealCount };
+}
+
+export default {
+  RecipeFieldsSchema,
+  CreateRecipeSchema,
+  UpdateRecipeSchema,
+  createRecipe,
+  SEARCH_SORTS,
+  RANGE_FILTERS,
+  buildTsQuery,
+  proteinDensity,
+  recipeTags,
+  ensureSearchIndex,
+  searchRecipes,
+  updateRecipe,
+  deleteRecipe,
+};
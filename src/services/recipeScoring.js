@@ -0,0 +1,185 @@
+// src/services/recipeScoring.js
+import { recipeIngredientsOf } from './ingredientService.js';
+import { MICRONUTRIENTS, micronutrientsOf, intentMicronutrientTargets } from './micronutrientService.js';
+
+// ===== SECTION A: CONFIGURATION =====
+
+export const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+/**
+ * Quanto pesa tempo e difficoltà per ogni livello di impegno in cucina
+ * (cookingEffort) e per gli intenti settimanali che lo modificano.
+ * - maxMinutes: oltre questo tempo totale ogni 3 minuti costano 1 punto (max 15)
+ * - difficulty: punti per livello di difficoltà (negativi = bonus)
+ */
+export const EFFORT_PROFILES = {
+  easy: { maxMinutes: 30, difficulty: { easy: 0, medium: 6, hard: 15 } },
+  normal: { maxMinutes: 60, difficulty: { easy: 0, medium: 0, hard: 6 } },
+  gourmet: { maxMinutes: null, difficulty: { easy: 6, medium: 0, hard: -4 } },
+  // WeeklyIntent.goal
+  lazy: { maxMinutes: 20, difficulty: { easy: 0, medium: 10, hard: 20 } },
+};
+
+const MAX_TIME_PENALTY = 15;
+const PREFERRED_CUISINE_BONUS = -8;
+const OTHER_CUISINE_PENALTY = 4;
+const SATIETY_PENALTY = 10;
+const INTENT_TAG_BONUS = -8;
+
+// Quota del minimo giornaliero di un micronutriente che un singolo pasto
+// dovrebbe coprire, e punti per chi la raggiunge (o no)
+const MEAL_SHARE_OF_TARGET = 0.25;
+const MICRONUTRIENT_BONUS = -4;
+
+// ===== SECTION B: RECIPE ATTRIBUTES =====
+
+/**
+ * Cucina di una ricetta: il campo `cuisine` o, per le ricette Edamam
+ * salvate prima del campo, il cuisineType in rawData.
+ */
+export function cuisineOf(recipe) {
+  const cuisine = recipe.cuisine ?? recipe.rawData?.recipe?.cuisineType?.[0];
+  return cuisine ? cuisine.toLowerCase() : null;
+}
+
+/**
+ * Tempo totale in minuti (preparazione + cottura), null se non noto.
+ */
+export function totalMinutesOf(recipe) {
+  if (recipe.prepMinutes == null && recipe.cookMinutes == null) {
+    const total = recipe.rawData?.recipe?.totalTime;
+    return total > 0 ? Math.round(total) : null;
+  }
+  return (recipe.prepMinutes ?? 0) + (recipe.cookMinutes ?? 0);
+}
+
+/**
+ * Difficoltà stimata da tempo totale e numero di ingredienti:
+ * fino a 30 minuti e 8 ingredienti "easy", fino a 60 e 12 "medium", oltre "hard".
+ */
+export function inferDifficulty({ totalMinutes, ingredientCount }) {
+  if (totalMinutes == null) return null;
+  if (totalMinutes <= 30 && ingredientCount <= 8) return 'easy';
+  if (totalMinutes <= 60 && ingredientCount <= 12) return 'medium';
+  return 'hard';
+}
+
+/**
+ * Difficoltà di una ricetta: il campo `difficulty` o una stima.
+ */
+export function difficultyOf(recipe) {
+  if (DIFFICULTIES.includes(recipe.difficulty)) return recipe.difficulty;
+  return inferDifficulty({
+    totalMinutes: totalMinutesOf(recipe),
+    ingredientCount: recipeIngredientsOf(recipe).length,
+  });
+}
+
+// ===== SECTION C: PREFERENCE SCORE =====
+
+function _tags(recipe) {
+  return (recipe.tags || '').split(',').map((t) => t.trim().toLowerCase()).filter(Boolean);
+}
+
+function _effortPoints(recipe, profile, factor) {
+  const reasons = [];
+  const minutes = totalMinutesOf(recipe);
+  const difficulty = difficultyOf(recipe);
+
+  if (profile.maxMinutes !== null && minutes !== null && minutes > profile.maxMinutes) {
+    const points = Math.min(MAX_TIME_PENALTY, Math.round((minutes - profile.maxMinutes) / 3));
+    if (points) reasons.push({ factor, points, detail: `${minutes} min (over ${profile.maxMinutes})` });
+  }
+
+  const points = difficulty ? profile.difficulty[difficulty] : 0;
+  if (points) reasons.push({ factor, points, detail: `${difficulty} difficulty` });
+
+  return reasons;
+}
+
+/**
+ * Punti da aggiungere alla distanza macro di una ricetta (negativi = bonus)
+ * in base a preferenze e intento della settimana:
+ * - cookingEffort: tempo totale e difficoltà
+ * - preferredCuisines: bonus per le cucine preferite, piccola penalità per le altre
+ * - satietyLevel "high": penalità se la ricetta non è high_satiety
+ * - WeeklyIntent.goal: "lazy" (ricette veloci), "gourmet" (elaborate),
+ *   "high_satiety_low_ferritin" (high_satiety e iron_rich)
+ * - minimi di micronutrienti dell'intento: bonus se la porzione copre
+ *   almeno un quarto del minimo giornaliero, penalità altrimenti
+ *
+ * Restituisce { points, reasons: [{ factor, points, detail }] }.
+ */
+export function preferenceScore(recipe, { preferences, weeklyIntent } = {}) {
+  const reasons = [];
+
+  const effort = EFFORT_PROFILES[preferences?.cookingEffort] ? preferences.cookingEffort : 'normal';
+  reasons.push(..._effortPoints(recipe, EFFORT_PROFILES[effort], 'cookingEffort'));
+
+  const preferredCuisines = (preferences?.preferredCuisines || '')
+    .split(',')
+    .map((c) => c.trim().toLowerCase())
+    .filter(Boolean);
+  const cuisine = cuisineOf(recipe);
+  if (preferredCuisines.length && cuisine) {
+    if (preferredCuisines.includes(cuisine)) {
+      reasons.push({ factor: 'preferredCuisines', points: PREFERRED_CUISINE_BONUS, detail: cuisine });
+    } else {
+      reasons.push({ factor: 'preferredCuisines', points: OTHER_CUISINE_PENALTY, detail: cuisine });
+    }
+  }
+
+  const tags = _tags(recipe);
+  if (preferences?.satietyLevel === 'high' && !tags.includes('high_satiety')) {
+    reasons.push({ factor: 'satietyLevel', points: SATIETY_PENALTY, detail: 'not high_satiety' });
+  }
+
+  const goal = weeklyIntent?.goal;
+  if (goal === 'lazy') {
+    reasons.push(..._effortPoints(recipe, EFFORT_PROFILES.lazy, 'weeklyIntent'));
+  } else if (goal === 'gourmet') {
+    reasons.push(..._effortPoints(recipe, EFFORT_PROFILES.gourmet, 'weeklyIntent'));
+  } else if (goal === 'high_satiety_low_ferritin') {
+    for (const tag of ['high_satiety', 'iron_rich']) {
+      reasons.push({
+        factor: 'weeklyIntent',
+        points: tags.includes(tag) ? INTENT_TAG_BONUS : -INTENT_TAG_BONUS,
+        detail: tags.includes(tag) ? tag : `not ${tag}`,
+      });
+    }
+  }
+
+  reasons.push(..._micronutrientPoints(recipe, intentMicronutrientTargets(weeklyIntent)));
+
+  return { points: reasons.reduce((sum, r) => sum + r.points, 0), reasons };
+}
+
+// Solo per le ricette con micronutrienti noti (salvati, Edamam o stimati)
+function _micronutrientPoints(recipe, targets) {
+  if (!Object.keys(targets).length) return [];
+
+  const { values } = micronutrientsOf(recipe);
+  if (!values) return [];
+
+  return Object.entries(targets)
+    .filter(([key]) => values[key] !== undefined)
+    .map(([key, target]) => {
+      const share = Math.round(target * MEAL_SHARE_OF_TARGET * 10) / 10;
+      const met = values[key] >= share;
+      return {
+        factor: 'micronutrientTargets',
+        points: met ? MICRONUTRIENT_BONUS : -MICRONUTRIENT_BONUS,
+        detail: `${key} ${values[key]}/${share} ${MICRONUTRIENTS[key].unit}`,
+      };
+    });
+}
+
+export default {
+  DIFFICULTIES,
+  EFFORT_PROFILES,
+  cuisineOf,
+  totalMinutesOf,
+  inferDifficulty,
+  difficultyOf,
+  preferenceScore,
+};
@@ -2,15 +2,31 @@
 import prisma from '../db/prismaClient.js';
 import axios from 'axios';
 import NodeCache from 'node-cache';
+import { z } from 'zod';
+import {
+  ingredientsFromText,
+  fromEdamamIngredients,
+  recipeIngredientsCreateInput,
+  ensureIngredients,
+} from './ingredientService.js';
+import { buildDietRules, checkRecipe } from './dietRules.js';
+import { preferenceScore, inferDifficulty } from './recipeScoring.js';
+import { micronutrientsFromEdamam } from './micronutrientService.js';
 
 // Initialize cache with 24-hour TTL
 const recipeCache = new NodeCache({ stdTTL: 86400, maxKeys: 1000 });
 
+// Full Edamam hits by URI, kept for POST /api/recipes/import
+const hitCache = new NodeCache({ stdTTL: 86400, maxKeys: 2000 });
+
+// Oltre questa distanza macro una ricetta non viene assegnata automaticamente
+export const MAX_DISTANCE = 80;
+
 /**
  * Calcola la distanza "macro" (Manhattan) tra target e ricetta.
  * Più è bassa, più la ricetta è vicina al target.
  */
-function macroDistance(target, recipe) {
+export function macroDistance(target, recipe) {
   const dp = Math.abs((recipe.proteinPerServing ?? 0) - target.protein);
   const dc = Math.abs((recipe.carbsPerServing ?? 0) - target.carbs);
   const df = Math.abs((recipe.fatPerServing ?? 0) - target.fat);
@@ -18,49 +34,108 @@ function macroDistance(target, recipe) {
 }
 
 /**
- * Normalizza una lista separata da virgole in array di stringhe lowercased.
+ * Porzioni provate per ogni ricetta: da `min` a `max` servings, a passi di `step`.
+ */
+export const PortionBoundsSchema = z
+  .object({
+    min: z.number().min(0.25).max(1).optional().default(0.5),
+    max: z.number().min(1).max(4).optional().default(2),
+    step: z.number().min(0.05).max(1).optional().default(0.25),
+  })
+  .refine((b) => b.min <= b.max, { message: 'min must not exceed max' });
+
+export const PORTION_BOUNDS = PortionBoundsSchema.parse({});
+
+/**
+ * Macro di una ricetta moltiplicate per `portion` (calorie dai macro se mancano).
  */
-function normalizeList(str) {
-  if (!str) return [];
-  return str
-    .split(',')
-    .map((s) => s.trim().toLowerCase())
-    .filter(Boolean);
+export function portionMacros(recipe, portion = 1) {
+  const protein = (recipe.proteinPerServing ?? 0) * portion;
+  const carbs = (recipe.carbsPerServing ?? 0) * portion;
+  const fat = (recipe.fatPerServing ?? 0) * portion;
+  const calories =
+    recipe.caloriesPerServing !== null && recipe.caloriesPerServing !== undefined
+      ? recipe.caloriesPerServing * portion
+      : protein * 4 + carbs * 4 + fat * 9;
+
+  const round1 = (n) => Math.round(n * 10) / 10;
+  return { protein: round1(protein), carbs: round1(carbs), fat: round1(fat), calories: Math.round(calories) };
 }
 
 /**
- * Verifica se una ricetta viola le preferenze (ingredienti esclusi, ecc.)
+ * Porzioni provate tra i limiti, da `min` a `max` a passi di `step`.
  */
-function violatesPreferences(recipe, preferences) {
-  if (!preferences) return false;
+export function portionSteps(bounds = PORTION_BOUNDS) {
+  const steps = Math.floor((bounds.max - bounds.min) / bounds.step + 1e-9);
+  return Array.from({ length: steps + 1 }, (_, i) => Math.round((bounds.min + i * bounds.step) * 100) / 100);
+}
 
-  // 1) Ingredienti esclusi
-  const excluded = normalizeList(preferences.excludedIngredients);
-  if (excluded.length) {
-    const recipeIngredients = normalizeList(recipe.ingredients);
-    const hasExcluded = recipeIngredients.some((ing) =>
-      excluded.some((ex) => ing.includes(ex))
-    );
-    if (hasExcluded) return true;
+/**
+ * Porzione (servings) che avvicina di più la ricetta al target, provando
+ * tutti i passi tra i limiti. A parità di distanza vince la porzione più
+ * vicina a 1. Restituisce { portion, distance }.
+ */
+export function bestPortion(target, recipe, bounds = PORTION_BOUNDS) {
+  let best = { portion: 1, distance: macroDistance(target, recipe) };
+
+  for (const portion of portionSteps(bounds)) {
+    const distance = macroDistance(target, {
+      proteinPerServing: (recipe.proteinPerServing ?? 0) * portion,
+      carbsPerServing: (recipe.carbsPerServing ?? 0) * portion,
+      fatPerServing: (recipe.fatPerServing ?? 0) * portion,
+    });
+
+    const closer = distance < best.distance - 1e-9;
+    const tie = Math.abs(distance - best.distance) <= 1e-9 && Math.abs(portion - 1) < Math.abs(best.portion - 1);
+    if (closer || tie) {
+      best = { portion, distance };
+    }
   }
 
-  // qui potremmo aggiungere altri vincoli (es. effort, cuisine) in futuro
-  return false;
+  return { portion: best.portion, distance: Math.round(best.distance * 10) / 10 };
 }
 
 /**
- * Trova la miglior ricetta per un pasto, considerando:
+ * Spiega perché una ricetta non rispetta le preferenze (diete, ingredienti
+ * esclusi, regole custom): lista vuota se la ricetta è ammessa.
+ */
+export function explainRecipeViolations(recipe, preferences) {
+  return checkRecipe(recipe, buildDietRules(preferences));
+}
+
+/**
+ * Ordina le ricette candidate per un pasto, dalla più vicina al target
+ * alla più lontana, considerando:
  * - tipo di pasto (mealType)
  * - target macro
- * - preferenze utente
- * - weeklyIntent (per ora non usato, ma già previsto)
+ * - preferenze utente (diete ed esclusioni filtrano, impegno, cucine e
+ *   sazietà pesano sullo score)
+ * - intento della settimana (weeklyIntent.goal)
+ * - ricette da escludere (es. già usate nella settimana)
+ *
+ * Ogni ricetta è valutata alla porzione che meglio si adatta al target
+ * (vedi bestPortion, limiti in `portions`). Lo score è la distanza macro
+ * più i punti di preferenceScore.
+ *
+ * Restituisce [{ recipe, portion, distance, score, reasons }], senza soglia di distanza.
  */
-export async function findRecipeForMeal({ mealType, macros, preferences, weeklyIntent }) {
-  // 1) Carica tutte le ricette
-  let recipes = await prisma.recipe.findMany();
+export async function rankRecipesForMeal({
+  mealType,
+  macros,
+  preferences,
+  weeklyIntent,
+  excludeRecipeIds = [],
+  limit,
+  portions = PORTION_BOUNDS,
+}) {
+  // 1) Carica tutte le ricette attive (con gli ingredienti strutturati)
+  let recipes = await prisma.recipe.findMany({
+    where: { deletedAt: null },
+    include: { recipeIngredients: true },
+  });
 
   if (!recipes.length) {
-    return null;
+    return [];
   }
 
   // 2) Filtra per tipo di pasto se la ricetta ha mealType impostato
@@ -68,49 +143,58 @@ export async function findRecipeForMeal({ mealType, macros, preferences, weeklyI
     recipes = recipes.filter((r) => !r.mealType || r.mealType === mealType);
   }
 
-  // 3) Filtra per preferenze (ingredienti esclusi, ecc.)
-  recipes = recipes.filter((recipe) => !violatesPreferences(recipe, preferences));
+  // 3) Filtra per regole di dieta (diete, ingredienti esclusi) e ricette escluse
+  const rules = buildDietRules(preferences);
+  recipes = recipes.filter(
+    (recipe) => !excludeRecipeIds.includes(recipe.id) && checkRecipe(recipe, rules).length === 0
+  );
 
-  if (!recipes.length) {
-    // Nessuna ricetta valida per questo pasto con queste preferenze
-    return null;
-  }
+  const ranked = recipes.map((recipe) => {
+    const { portion, distance } = bestPortion(macros, recipe, portions);
 
-  let best = null;
-  let bestScore = Infinity;
+    // 4) Impegno in cucina, cucine preferite, sazietà e intento della settimana
+    const { points, reasons } = preferenceScore(recipe, { preferences, weeklyIntent });
 
-  for (const recipe of recipes) {
-    const distance = macroDistance(macros, recipe);
+    return { recipe, portion, distance, score: distance + points, reasons };
+  });
 
-    // 4) Applichiamo un piccolo "bonus" se l'utente vuole alta sazietà
-    //    e la ricetta ha il tag high_satiety.
-    let bonus = 0;
-    if (preferences?.satietyLevel === 'high') {
-      const tags = normalizeList(recipe.tags);
-      if (!tags.includes('high_satiety')) {
-        bonus += 10; // penalità se NON è high_satiety
-      }
-    }
+  ranked.sort((a, b) => a.score - b.score);
 
-    const score = distance + bonus;
+  return limit ? ranked.slice(0, limit) : ranked;
+}
 
-    if (score < bestScore) {
-      bestScore = score;
-      best = recipe;
-    }
+/**
+ * Trova la miglior ricetta per un pasto, considerando:
+ * - tipo di pasto (mealType)
+ * - target macro
+ * - preferenze utente
+ * - intento della settimana: weeklyIntent.goal pesa sullo score come le
+ *   preferenze ("lazy" favorisce le ricette veloci, "gourmet" quelle
+ *   elaborate; vedi preferenceScore)
+ *
+ * Restituisce la prima ricetta di rankRecipesForMeal, o null se nessuna
+ * è entro MAX_DISTANCE dal target.
+ */
+export async function findRecipeForMeal({ mealType, macros, preferences, weeklyIntent }) {
+  const [best] = await rankRecipesForMeal({ mealType, macros, preferences, weeklyIntent, limit: 1 });
+
+  // Nessuna ricetta valida per questo pasto con queste preferenze
+  if (!best) {
+    return null;
   }
 
-  // 5) Se la distanza è troppo alta, meglio non assegnare alcuna ricetta
-  const MAX_DISTANCE = 80;
-  if (bestScore > MAX_DISTANCE) {
+  // 5) Se la distanza macro è troppo alta, meglio non assegnare alcuna ricetta
+  if (best.distance > MAX_DISTANCE) {
     return null;
   }
 
-  return best;
+  return best.recipe;
 }
 
 // ===== SECTION E: EXTERNAL API INTEGRATION =====
 
+const EDAMAM_BASE_URL = 'https://api.edamam.com/api/recipes/v2';
+
 /**
  * Search external recipes from Edamam API
  */
@@ -137,6 +221,9 @@ export async function searchExternalRecipes(query, options = {}) {
   try {
     const response = await _callEdamamWithRetry(query, appId, appKey, limit);
 
+    // Keep the full hits around so they can be imported by externalId later
+    response.data.hits.forEach(_cacheHit);
+
     // Normalize Edamam response to Prisma Recipe format
     const normalizedRecipes = response.data.hits.map((hit) => {
       const recipe = hit.recipe;
@@ -155,6 +242,7 @@ export async function searchExternalRecipes(query, options = {}) {
         externalId: recipe.uri,
         servings: servings,
         sourceUrl: recipe.url,
+        micronutrients: micronutrientsFromEdamam(recipe.totalNutrients, servings),
       };
     });
 
@@ -170,21 +258,28 @@ export async function searchExternalRecipes(query, options = {}) {
 }
 
 /**
- * Call Edamam API with retry logic
+ * Call Edamam search API with retry logic
  */
 async function _callEdamamWithRetry(query, appId, appKey, limit, maxRetries = 2) {
+  return await _edamamGetWithRetry(EDAMAM_BASE_URL, {
+    type: 'public',
+    q: query,
+    app_id: appId,
+    app_key: appKey,
+    to: limit,
+  }, maxRetries);
+}
+
+/**
+ * GET an Edamam endpoint, retrying on network errors and 503
+ */
+async function _edamamGetWithRetry(url, params, maxRetries = 2) {
   let lastError;
 
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
-      const response = await axios.get('https://api.edamam.com/api/recipes/v2', {
-        params: {
-          type: 'public',
-          q: query,
-          app_id: appId,
-          app_key: appKey,
-          to: limit,
-        },
+      const response = await axios.get(url, {
+        params,
         timeout: 5000,
       });
 
@@ -207,7 +302,220 @@ async function _callEdamamWithRetry(query, appId, appKey, limit, maxRetries = 2)
   throw lastError;
 }
 
+// ===== SECTION F: IMPORT INTO LOCAL CATALOG =====
+
+// Edamam labels worth keeping as local tags
+const KEPT_EDAMAM_LABELS = new Set([
+  'balanced', 'high_protein', 'high_fiber', 'low_fat', 'low_carb', 'low_sodium',
+  'vegan', 'vegetarian', 'pescatarian', 'paleo', 'mediterranean', 'keto_friendly',
+  'gluten_free', 'wheat_free', 'dairy_free', 'egg_free', 'peanut_free', 'tree_nut_free',
+  'soy_free', 'fish_free', 'shellfish_free', 'pork_free', 'red_meat_free',
+]);
+
+function _toTag(label) {
+  return label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+/**
+ * Deduce il tipo di pasto locale dai campi mealType / dishType di Edamam.
+ * "lunch/dinner" resta null: la ricetta è valida per entrambi gli slot.
+ */
+export function inferMealType(edamamRecipe) {
+  const mealTypes = (edamamRecipe.mealType || []).map((t) => t.toLowerCase());
+  const dishTypes = (edamamRecipe.dishType || []).map((t) => t.toLowerCase());
+
+  if (mealTypes.some((t) => t.includes('breakfast') || t.includes('brunch'))) return 'breakfast';
+  if (mealTypes.some((t) => t.includes('snack') || t.includes('teatime'))) return 'snack';
+  if (mealTypes.some((t) => t === 'lunch')) return 'lunch';
+  if (mealTypes.some((t) => t === 'dinner')) return 'dinner';
+
+  if (dishTypes.some((t) => t.includes('cereals') || t.includes('pancake'))) return 'breakfast';
+  if (dishTypes.some((t) => t.includes('desserts') || t.includes('biscuits') || t.includes('drinks'))) return 'snack';
+
+  return null;
+}
+
+/**
+ * Tag locali: etichette Edamam rilevanti + tag derivati dai nutrienti
+ * (high_satiety, iron_rich) usati dal selettore di ricette.
+ */
+export function inferTags(edamamRecipe) {
+  const servings = edamamRecipe.yield || 1;
+  const perServing = (code) => (edamamRecipe.totalNutrients?.[code]?.quantity ?? 0) / servings;
+
+  const tags = new Set(
+    [...(edamamRecipe.dietLabels || []), ...(edamamRecipe.healthLabels || [])]
+      .map(_toTag)
+      .filter((tag) => KEPT_EDAMAM_LABELS.has(tag))
+  );
+
+  if (perServing('PROCNT') >= 30 || perServing('FIBTG') >= 8) tags.add('high_satiety');
+  if (perServing('FE') >= 5) tags.add('iron_rich');
+
+  return [...tags].join(',');
+}
+
+/**
+ * Converte un hit Edamam nei campi del modello Recipe (hit completo in rawData).
+ */
+export function mapEdamamHitToRecipe(hit) {
+  const recipe = hit.recipe;
+  const servings = recipe.yield || 1;
+  const perServing = (code) => (recipe.totalNutrients?.[code]?.quantity ?? 0) / servings;
+  const totalMinutes = recipe.totalTime > 0 ? Math.round(recipe.totalTime) : null;
+  const micronutrients = micronutrientsFromEdamam(recipe.totalNutrients, servings);
+
+  return {
+    externalId: recipe.uri,
+    source: 'edamam',
+    title: recipe.label,
+    imageUrl: recipe.image ?? null,
+    sourceUrl: recipe.url ?? null,
+    servings: Math.round(servings),
+    caloriesPerServing: Math.round((recipe.calories ?? 0) / servings),
+    proteinPerServing: Math.round(perServing('PROCNT') * 10) / 10,
+    carbsPerServing: Math.round(perServing('CHOCDF') * 10) / 10,
+    fatPerServing: Math.round(perServing('FAT') * 10) / 10,
+    nutritionSource: 'edamam',
+    instructions: recipe.url ?? null, // Edamam provides URL, not full instructions
+    ingredients: (recipe.ingredientLines || []).join('\n'),
+    mealType: inferMealType(recipe),
+    tags: inferTags(recipe) || null,
+    cuisine: recipe.cuisineType?.[0]?.toLowerCase() ?? null,
+    cookMinutes: totalMinutes,
+    difficulty: inferDifficulty({ totalMinutes, ingredientCount: (recipe.ingredientLines || []).length }),
+    micronutrients,
+    micronutrientSource: micronutrients ? 'edamam' : null,
+    rawData: hit,
+  };
+}
+
+/**
+ * Ingredienti strutturati di un hit Edamam: quelli già scomposti da Edamam
+ * (nome del cibo, peso, foodId) o, se mancano, le righe di testo.
+ */
+export function mapEdamamIngredients(hit) {
+  const recipe = hit.recipe;
+  if (recipe.ingredients?.length) {
+    return fromEdamamIngredients(recipe.ingredients);
+  }
+  return ingredientsFromText(recipe.ingredientLines || []);
+}
+
+/**
+ * Recupera un hit Edamam completo: dalla cache delle ricerche recenti
+ * o, se scaduto, direttamente dall'API per ID.
+ */
+async function _getEdamamHit(externalId) {
+  const cached = hitCache.get(externalId);
+  if (cached) return cached;
+
+  const appId = process.env.EDAMAM_APP_ID;
+  const appKey = process.env.EDAMAM_APP_KEY;
+
+  if (!appId || !appKey) {
+    throw new Error('Edamam API credentials not configured');
+  }
+
+  // L'URI è del tipo "http://www.edamam.com/ontologies/edamam.owl#recipe_<id>"
+  const id = externalId.includes('#recipe_') ? externalId.split('#recipe_')[1] : externalId;
+
+  const response = await _edamamGetWithRetry(EDAMAM_BASE_URL + '/' + encodeURIComponent(id), {
+    type: 'public',
+    app_id: appId,
+    app_key: appKey,
+  });
+
+  const hit = { recipe: response.data.recipe };
+  _cacheHit(hit);
+  return hit;
+}
+
+function _cacheHit(hit) {
+  try {
+    hitCache.set(hit.recipe.uri, hit);
+  } catch (error) {
+    // Cache piena: l'import ricadrà sulla chiamata per ID
+    console.warn('Edamam hit cache full, skipping:', error.message);
+  }
+}
+
+/**
+ * Salva nel catalogo locale le ricette Edamam indicate per externalId.
+ * Le ricette già presenti (stesso source + externalId) non vengono duplicate.
+ *
+ * Restituisce { imported, existing, failed }.
+ */
+export async function importExternalRecipes(externalIds) {
+  const result = { imported: [], existing: [], failed: [] };
+
+  for (const externalId of [...new Set(externalIds)]) {
+    try {
+      const hit = await _getEdamamHit(externalId);
+      const data = mapEdamamHitToRecipe(hit);
+
+      const existing = await prisma.recipe.findUnique({
+        where: { source_externalId: { source: 'edamam', externalId: data.externalId } },
+      });
+
+      if (existing) {
+        // Importarla di nuovo ripristina una ricetta eliminata
+        result.existing.push(
+          existing.deletedAt
+            ? await prisma.recipe.update({ where: { id: existing.id }, data: { deletedAt: null } })
+            : existing
+        );
+        continue;
+      }
+
+      const items = mapEdamamIngredients(hit);
+      await ensureIngredients(prisma, items);
+      result.imported.push(
+        await prisma.recipe.create({
+          data: {
+            ...data,
+            recipeIngredients: recipeIngredientsCreateInput(items),
+          },
+        })
+      );
+    } catch (error) {
+      console.error('Failed to import Edamam recipe ' + externalId + ':', error.message);
+      result.failed.push({ externalId, error: error.message });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Modalità "seed": cerca su Edamam e importa tutti i risultati,
+ * per riempire il catalogo locale in vista della pianificazione offline.
+ */
+export async function seedRecipesFromQueries(queries, options = {}) {
+  const { limit = 20 } = options;
+  const result = { imported: [], existing: [], failed: [], queries: [] };
+
+  for (const query of queries) {
+    const hits = await searchExternalRecipes(query, { limit });
+    const partial = await importExternalRecipes(hits.map((h) => h.externalId));
+
+    result.imported.push(...partial.imported);
+    result.existing.push(...partial.existing);
+    result.failed.push(...partial.failed);
+    result.queries.push({ query, found: hits.length, imported: partial.imported.length });
+  }
+
+  return result;
+}
+
 export default {
+  portionSteps,
+  bestPortion,
+  portionMacros,
   findRecipeForMeal,
+  rankRecipesForMeal,
+  explainRecipeViolations,
   searchExternalRecipes,
-};
+  importExternalRecipes,
+  seedRecipesFromQueries,
+};
@@ -0,0 +1,577 @@
+// src/services/recipeUrlImportService.js
+import dns from 'node:dns';
+import { BlockList, isIP } from 'node:net';
+import axios from 'axios';
+import prisma from '../db/prismaClient.js';
+import { ingredientsFromText, recipeIngredientsCreateInput, ensureIngredients } from './ingredientService.js';
+import { computeRecipeNutrition } from './nutritionService.js';
+import { MIN_COVERAGE } from './foodComposition.js';
+import { caloriesFromMacros } from './planVerification.js';
+import { inferDifficulty } from './recipeScoring.js';
+import { UpstreamError, ValidationError, isUniqueViolation } from '../utils/errors.js';
+
+// ===== SECTION A: CONFIGURATION =====
+
+// Valore di Recipe.source per le ricette importate da una pagina web
+export const URL_RECIPE_SOURCE = 'url';
+
+const FETCH_TIMEOUT_MS = 10000;
+
+// Pagine più grandi vengono rifiutate
+const MAX_PAGE_BYTES = 5 * 1024 * 1024;
+
+// Redirect seguiti, ognuno verificato come l'URL di partenza
+const MAX_REDIRECTS = 5;
+
+const FETCH_FAILED = 'Could not fetch the recipe page';
+
+// Reti mai contattate dall'import: loopback, private, link-local (metadata
+// dei cloud), CGNAT, multicast e riservate. BlockList confronta gli indirizzi
+// IPv4-mapped (::ffff:a.b.c.d) con le regole IPv4; NAT64 va bloccato a parte
+const PRIVATE_NETWORKS = new BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) {
+  PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) {
+  PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv6');
+}
+
+// suitableForDiet di schema.org -> tag locali
+const DIET_TAGS = {
+  GlutenFreeDiet: 'gluten_free',
+  LowFatDiet: 'low_fat',
+  LowSaltDiet: 'low_sodium',
+  VeganDiet: 'vegan',
+  VegetarianDiet: 'vegetarian',
+};
+
+const KJ_PER_KCAL = 4.184;
+
+const HTML_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  frac12: '½', frac14: '¼', frac34: '¾', deg: '°',
+  ndash: '–', mdash: '—', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+};
+
+// ===== SECTION B: JSON-LD EXTRACTION =====
+
+/**
+ * Contenuto JSON di ogni <script type="application/ld+json"> della pagina.
+ * I blocchi non validi vengono ignorati.
+ */
+export function extractJsonLd(html) {
+  const blocks = [];
+  const pattern = /<script\b[^>]*\btype\s*=\s*["']?application\/ld\+json["']?[^>]*>([\s\S]*?)<\/script\s*>/gi;
+
+  for (const [, content] of html.matchAll(pattern)) {
+    const json = content
+      .trim()
+      .replace(/^<!--|-->$/g, '')
+      .replace(/^\/\/\s*<!\[CDATA\[|\/\/\s*\]\]>$/g, '')
+      .trim();
+
+    try {
+      blocks.push(JSON.parse(json));
+    } catch {
+      // Alcuni siti pubblicano JSON-LD malformato: si passa al blocco successivo
+    }
+  }
+
+  return blocks;
+}
+
+function _isRecipe(node) {
+  const types = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+  return types.some((type) => typeof type === 'string' && type.replace(/^https?:\/\/schema\.org\//, '') === 'Recipe');
+}
+
+/**
+ * Primo nodo schema.org Recipe nei blocchi JSON-LD, cercato anche dentro
+ * array, @graph e proprietà annidate (mainEntity, ...). Null se manca.
+ */
+export function findRecipeNode(blocks) {
+  const queue = [...blocks];
+
+  while (queue.length) {
+    const node = queue.shift();
+    if (!node || typeof node !== 'object') continue;
+
+    if (Array.isArray(node)) {
+      queue.push(...node);
+      continue;
+    }
+    if (_isRecipe(node)) return node;
+
+    queue.push(...Object.values(node).filter((value) => value && typeof value === 'object'));
+  }
+
+  return null;
+}
+
+// ===== SECTION C: FIELD PARSING =====
+
+/**
+ * Decodifica le entità HTML più comuni, numeriche e con nome.
+ */
+export function decodeHtml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]\w*);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return point > 0 && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+    }
+    return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Testo semplice da un valore JSON-LD: tag rimossi, entità decodificate,
+ * spazi compattati. Null se vuoto o non testuale.
+ */
+function _text(value) {
+  if (typeof value === 'number') return String(value);
+  if (typeof value !== 'string') return null;
+
+  const text = decodeHtml(value.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+  return text || null;
+}
+
+function _list(value) {
+  if (value === null || value === undefined) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function _absoluteUrl(value, base) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  try {
+    const url = new URL(value.trim(), base || undefined);
+    return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Minuti di una durata ISO 8601 ("PT1H30M", "P0DT0H20M"). Null se non valida.
+ */
+export function parseDuration(value) {
+  const match = typeof value === 'string'
+    && value.trim().match(/^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i);
+  if (!match || !match.slice(1).some(Boolean)) return null;
+
+  const [days, hours, minutes, seconds] = match.slice(1).map((part) => Number(part || 0));
+  return Math.round(days * 1440 + hours * 60 + minutes + seconds / 60);
+}
+
+/**
+ * Porzioni da recipeYield: numero, "4 servings", "Serves 4-6" (vale il
+ * primo numero) o un array di questi. Null se non c'è un numero.
+ */
+export function parseYield(value) {
+  for (const item of _list(value)) {
+    const number = typeof item === 'number' ? item : Number(_text(item)?.match(/\d+(?:[.,]\d+)?/)?.[0].replace(',', '.'));
+    if (number > 0) return Math.max(1, Math.round(number));
+  }
+  return null;
+}
+
+function _steps(value, lines) {
+  for (const item of _list(value)) {
+    if (typeof item === 'string') {
+      // Un'unica stringa: un passo per paragrafo o riga
+      const paragraphs = item.split(/<\/p>|<br\s*\/?>|\n+/i).map(_text).filter(Boolean);
+      lines.push(...paragraphs.map((text) => ({ text })));
+    } else if (item && typeof item === 'object') {
+      if (item.itemListElement) {
+        const name = _text(item.name);
+        if (name) lines.push({ section: name });
+        _steps(item.itemListElement, lines);
+      } else {
+        const text = _text(item.text) || _text(item.name);
+        if (text) lines.push({ text });
+      }
+    }
+  }
+  return lines;
+}
+
+/**
+ * Testo delle istruzioni da recipeInstructions (stringa, array di stringhe,
+ * HowToStep, HowToSection con i suoi passi): un passo numerato per riga,
+ * con il nome della sezione come intestazione. Null se vuote.
+ */
+export function parseInstructions(value) {
+  let number = 0;
+  const lines = _steps(value, []).map((line) => (line.section ? `${line.section}:` : `${++number}. ${line.text}`));
+  return number ? lines.join('\n') : null;
+}
+
+function _amount(value) {
+  const text = _text(value);
+  const match = text?.match(/(\d+(?:[.,]\d+)?)/);
+  return match ? { number: Number(match[1].replace(',', '.')), text: text.toLowerCase() } : null;
+}
+
+/**
+ * Macro per porzione da NutritionInformation ("350 kcal", "20 g", "1464 kJ").
+ * Senza proteine, carboidrati e grassi restituisce null; senza calorie
+ * vengono calcolate dai macro.
+ */
+export function parseNutrition(nutrition) {
+  if (!nutrition || typeof nutrition !== 'object') return null;
+
+  const grams = (key) => {
+    const amount = _amount(nutrition[key]);
+    return amount ? Math.round(amount.number * 10) / 10 : null;
+  };
+  const protein = grams('proteinContent');
+  const carbs = grams('carbohydrateContent');
+  const fat = grams('fatContent');
+  if (protein === null || carbs === null || fat === null) return null;
+
+  const energy = _amount(nutrition.calories);
+  const calories = energy
+    ? Math.round(/kj|kilojoule/.test(energy.text) ? energy.number / KJ_PER_KCAL : energy.number)
+    : caloriesFromMacros({ protein, carbs, fat });
+
+  return { calories, protein, carbs, fat, fiber: grams('fiberContent') };
+}
+
+/**
+ * URL della prima immagine (stringa, array o ImageObject), risolto
+ * rispetto alla pagina. Null se manca.
+ */
+export function parseImage(value, pageUrl) {
+  for (const item of _list(value)) {
+    const url = _absoluteUrl(typeof item === 'string' ? item : item?.url || item?.contentUrl, pageUrl);
+    if (url) return url;
+  }
+  return null;
+}
+
+function _mealType(categories) {
+  const words = categories.map((category) => category.toLowerCase());
+
+  if (words.some((w) => w.includes('breakfast') || w.includes('brunch') || w.includes('colazione'))) return 'breakfast';
+  if (words.some((w) => /snack|dessert|appetizer|drink|merenda|dolc/.test(w))) return 'snack';
+  if (words.some((w) => w === 'lunch' || w === 'pranzo')) return 'lunch';
+  if (words.some((w) => w === 'dinner' || w === 'cena')) return 'dinner';
+
+  return null;
+}
+
+// ===== SECTION D: MAPPING =====
+
+/**
+ * Converte un nodo schema.org Recipe nei campi del modello Recipe.
+ * `pageUrl` è l'indirizzo da cui la pagina è stata davvero scaricata:
+ * diventa sourceUrl ed externalId (chiave di deduplicazione). Gli URL
+ * dichiarati dalla pagina stessa non sono affidabili e vengono ignorati;
+ * `baseUrl` serve solo a risolvere i link relativi.
+ *
+ * Restituisce { data, items, nutrition }: `items` sono gli ingredienti
+ * strutturati, `nutrition` le macro dichiarate dalla pagina (o null).
+ */
+export function mapJsonLdRecipe(node, { pageUrl = null, baseUrl = pageUrl } = {}) {
+  const title = _text(node.name) || _text(node.headline);
+
+  if (!title) {
+    throw ValidationError.forField('html', 'The schema.org Recipe has no name');
+  }
+
+  const lines = _list(node.recipeIngredient ?? node.ingredients).map(_text).filter(Boolean);
+  const prepMinutes = parseDuration(node.prepTime);
+  const totalMinutes = parseDuration(node.totalTime);
+  // Come per Edamam, il tempo totale senza dettaglio finisce in cookMinutes
+  const cookMinutes = parseDuration(node.cookTime)
+    ?? (totalMinutes !== null ? Math.max(0, totalMinutes - (prepMinutes ?? 0)) : null);
+  const nutrition = parseNutrition(node.nutrition);
+
+  const tags = new Set(
+    _list(node.suitableForDiet)
+      .map((diet) => DIET_TAGS[String(diet).replace(/^https?:\/\/schema\.org\//, '')])
+      .filter(Boolean)
+  );
+
+  const categories = _list(node.recipeCategory).map(_text).filter(Boolean);
+  const cuisine = _list(node.recipeCuisine).map(_text).find(Boolean);
+
+  return {
+    data: {
+      source: URL_RECIPE_SOURCE,
+      externalId: pageUrl,
+      title,
+      imageUrl: parseImage(node.image, _absoluteUrl(baseUrl)),
+      sourceUrl: pageUrl,
+      servings: parseYield(node.recipeYield),
+      instructions: parseInstructions(node.recipeInstructions),
+      ingredients: lines.join('\n') || null,
+      mealType: _mealType(categories),
+      tags: [...tags].join(',') || null,
+      cuisine: cuisine?.toLowerCase() ?? null,
+      prepMinutes,
+      cookMinutes,
+      difficulty: inferDifficulty({
+        totalMinutes: totalMinutes ?? (prepMinutes !== null || cookMinutes !== null ? (prepMinutes ?? 0) + (cookMinutes ?? 0) : null),
+        ingredientCount: lines.length,
+      }),
+      rawData: node,
+    },
+    items: ingredientsFromText(lines),
+    nutrition,
+  };
+}
+
+/**
+ * Completa i nutrienti di una ricetta mappata. Le macro della pagina
+ * vengono usate così come sono; se mancano si stimano dagli ingredienti e
+ * dalle tabelle di composizione (solo con copertura almeno MIN_COVERAGE,
+ * o con `force`), segnandole come "estimated". Aggiunge anche i tag
+ * high_satiety e iron_rich.
+ *
+ * Restituisce { fields, report } con i campi nutrizionali e il resoconto.
+ */
+export async function resolveNutrition({ data, items, nutrition }, { force = false } = {}) {
+  const servings = data.servings || 1;
+  const fields = {};
+  let computed = null;
+  let report;
+
+  if (nutrition) {
+    Object.assign(fields, {
+      caloriesPerServing: nutrition.calories,
+      proteinPerServing: nutrition.protein,
+      carbsPerServing: nutrition.carbs,
+      fatPerServing: nutrition.fat,
+      nutritionSource: 'schema.org',
+    });
+    report = { source: 'schema.org' };
+  } else {
+    computed = await computeRecipeNutrition({ recipeIngredients: items, servings });
+    report = { source: null, coverage: computed.coverage, lines: computed.lines, unmatched: computed.unmatched };
+
+    if (!computed.lines.length) {
+      report.reason = 'The page has no nutrition and no ingredient matched the food database';
+    } else if (computed.coverage < MIN_COVERAGE && !force) {
+      report.reason = `The page has no nutrition and only ${Math.round(computed.coverage * 100)}% of the ingredients matched (minimum ${MIN_COVERAGE * 100}%)`;
+    } else {
+      Object.assign(fields, {
+        caloriesPerServing: computed.perServing.calories,
+        proteinPerServing: computed.perServing.protein,
+        carbsPerServing: computed.perServing.carbs,
+        fatPerServing: computed.perServing.fat,
+        micronutrients: computed.micronutrients,
+        micronutrientSource: 'computed',
+        nutritionSource: 'estimated',
+      });
+      report.source = 'estimated';
+    }
+  }
+
+  // Copertura bassa o macro dalla pagina: i micronutrienti restano una stima
+  if (!fields.micronutrients) {
+    computed ??= await computeRecipeNutrition({ recipeIngredients: items, servings });
+    const estimated = computed.micronutrients;
+    fields.micronutrients = estimated ?? undefined;
+    fields.micronutrientSource = estimated ? 'estimated' : null;
+  }
+
+  // Tag derivati dai nutrienti, come per le ricette Edamam
+  const tags = new Set((data.tags || '').split(',').filter(Boolean));
+  const fiber = nutrition?.fiber ?? fields.micronutrients?.fiber ?? 0;
+  if (fields.proteinPerServing >= 30 || fiber >= 8) tags.add('high_satiety');
+  if (fields.micronutrients?.iron >= 5) tags.add('iron_rich');
+  fields.tags = [...tags].join(',') || null;
+
+  return { fields, report };
+}
+
+// ===== SECTION E: FETCH =====
+
+/**
+ * Vero se l'indirizzo IP appartiene a una rete privata o riservata
+ * (vedi PRIVATE_NETWORKS). Un valore che non è un IP conta come privato.
+ */
+export function isPrivateAddress(address) {
+  const family = isIP(address);
+  if (!family) return true;
+  return PRIVATE_NETWORKS.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function _checkUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw ValidationError.forField('url', 'Invalid URL');
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw ValidationError.forField('url', 'Only http and https URLs are supported');
+  }
+  // URL toglie le porte predefinite: ne resta una solo se non è standard
+  if (url.port) {
+    throw ValidationError.forField('url', 'Only the standard http and https ports are supported');
+  }
+  if (url.username || url.password) {
+    throw ValidationError.forField('url', 'URLs with credentials are not supported');
+  }
+  return url;
+}
+
+/**
+ * Verifica che un URL porti a un server web pubblico: http o https, porta
+ * standard, e un host i cui indirizzi non sono in reti private o riservate.
+ *
+ * Restituisce l'URL analizzato; lancia ValidationError altrimenti.
+ */
+export async function assertPublicUrl(value) {
+  const url = _checkUrl(value);
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+
+  let addresses;
+  try {
+    addresses = isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+  } catch (error) {
+    throw new UpstreamError(FETCH_FAILED, { cause: error });
+  }
+
+  if (!addresses.length || addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw ValidationError.forField('url', 'The URL must point to a public web server');
+  }
+  return url;
+}
+
+// Ripete il controllo sugli indirizzi usati davvero per la connessione,
+// così un DNS che cambia risposta dopo assertPublicUrl non porta in una rete privata
+function _publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (!addresses.length || addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(Object.assign(new Error(`${hostname} resolves to a private address`), { code: 'EPRIVATEADDRESS' }));
+    }
+    return options.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Scarica l'HTML di una pagina ricetta. L'URL e ogni redirect passano da
+ * assertPublicUrl. Errori di rete, timeout e risposte non 2xx diventano
+ * lo stesso UpstreamError generico: stato e dettagli restano nel log.
+ *
+ * Restituisce { html, url } con l'URL finale, dopo i redirect.
+ */
+export async function fetchRecipePage(url) {
+  let current = await assertPublicUrl(url);
+
+  for (let redirects = 0; ; redirects++) {
+    let response;
+    try {
+      response = await axios.get(current.href, {
+        timeout: FETCH_TIMEOUT_MS,
+        maxContentLength: MAX_PAGE_BYTES,
+        maxRedirects: 0,
+        lookup: _publicLookup,
+        responseType: 'text',
+        validateStatus: (status) => status >= 200 && status < 400,
+        headers: { Accept: 'text/html,application/xhtml+xml', 'User-Agent': 'DietCoach recipe import' },
+      });
+    } catch (error) {
+      throw new UpstreamError(FETCH_FAILED, { cause: error });
+    }
+
+    if (response.status >= 300) {
+      const location = response.headers.location;
+      if (!location || redirects >= MAX_REDIRECTS) {
+        throw new UpstreamError(FETCH_FAILED, { cause: new Error(`HTTP ${response.status} from ${current.href} after ${redirects} redirects`) });
+      }
+      current = await assertPublicUrl(new URL(location, current).href);
+      continue;
+    }
+
+    if (typeof response.data !== 'string') {
+      throw new UpstreamError('The recipe page did not return HTML');
+    }
+    return { html: response.data, url: current.href };
+  }
+}
+
+// ===== SECTION F: IMPORT =====
+
+function _findImported(externalId) {
+  return prisma.recipe.findUnique({
+    where: { source_externalId: { source: URL_RECIPE_SOURCE, externalId } },
+  });
+}
+
+async function _existingResult(existing, { dryRun }) {
+  // Importarla di nuovo ripristina una ricetta eliminata
+  const recipe = existing.deletedAt && !dryRun
+    ? await prisma.recipe.update({ where: { id: existing.id }, data: { deletedAt: null } })
+    : existing;
+  return { recipe, created: false, nutrition: { source: existing.nutritionSource } };
+}
+
+/**
+ * Importa nel catalogo la ricetta schema.org di una pagina: scaricata da
+ * `url` oppure passata come `html`. Solo le pagine scaricate hanno
+ * sourceUrl ed externalId: una pagina caricata non dimostra da dove viene,
+ * quindi non viene deduplicata e il suo `url` serve solo per i link
+ * relativi. Le ricette già importate dalla stessa pagina (source +
+ * externalId) non vengono duplicate e, se eliminate, tornano attive.
+ * Con `dryRun` non scrive nulla.
+ *
+ * Restituisce { recipe, created, nutrition }.
+ */
+export async function importRecipeFromUrl({ url = null, html = null, dryRun = false, force = false }) {
+  const page = html !== null ? { html, url: null } : await fetchRecipePage(url);
+  const node = findRecipeNode(extractJsonLd(page.html));
+
+  if (!node) {
+    throw ValidationError.forField(html !== null ? 'html' : 'url', 'No schema.org Recipe found in the page');
+  }
+
+  const mapped = mapJsonLdRecipe(node, { pageUrl: page.url, baseUrl: page.url ?? url });
+  const { data, items } = mapped;
+
+  const existing = data.externalId ? await _findImported(data.externalId) : null;
+  if (existing) {
+    return await _existingResult(existing, { dryRun });
+  }
+
+  const { fields, report } = await resolveNutrition(mapped, { force });
+  const recipeData = { ...data, ...fields };
+
+  if (dryRun) {
+    return { recipe: { ...recipeData, recipeIngredients: items }, created: false, nutrition: report };
+  }
+
+  try {
+    await ensureIngredients(prisma, items);
+    const recipe = await prisma.recipe.create({
+      data: { ...recipeData, recipeIngredients: recipeIngredientsCreateInput(items) },
+      include: { recipeIngredients: { orderBy: { position: 'asc' } } },
+    });
+    return { recipe, created: true, nutrition: report };
+  } catch (error) {
+    // Un import concorrente della stessa pagina l'ha appena creata
+    const concurrent = isUniqueViolation(error) && data.externalId ? await _findImported(data.externalId) : null;
+    if (!concurrent) throw error;
+    return await _existingResult(concurrent, { dryRun });
+  }
+}
+
+export default {
+  extractJsonLd,
+  findRecipeNode,
+  mapJsonLdRecipe,
+  resolveNutrition,
+  assertPublicUrl,
+  fetchRecipePage,
+  importRecipeFromUrl,
+};
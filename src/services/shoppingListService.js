@@ -0,0 +1,205 @@
+// src/services/shoppingListService.js
+import prisma from '../db/prismaClient.js';
+import { NotFoundError } from '../utils/errors.js';
+import { parseIngredientLine } from '../utils/ingredientParser.js';
+import { recipeIngredientsOf, dimensionOf } from './ingredientService.js';
+
+// ===== SECTION A: AISLE CATEGORIES =====
+
+/**
+ * Reparti del supermercato, nell'ordine in cui vengono restituiti.
+ * Il primo reparto con una keyword contenuta nel nome vince.
+ */
+const AISLES = [
+  {
+    category: 'meat_fish',
+    keywords: ['chicken', 'beef', 'pork', 'turkey', 'lamb', 'veal', 'bacon', 'ham', 'prosciutto',
+      'sausage', 'salmon', 'tuna', 'cod', 'shrimp', 'prawn', 'fish', 'steak', 'mince',
+      'pollo', 'manzo', 'maiale', 'tacchino', 'salmone', 'tonno', 'merluzzo', 'gamber', 'pesce'],
+  },
+  {
+    category: 'dairy_eggs',
+    keywords: ['milk', 'yogurt', 'yoghurt', 'cheese', 'butter', 'cream', 'egg', 'parmesan',
+      'mozzarella', 'ricotta', 'feta', 'skyr', 'kefir',
+      'latte', 'formaggio', 'burro', 'panna', 'uova', 'uovo', 'parmigiano'],
+  },
+  {
+    category: 'produce',
+    keywords: ['apple', 'banana', 'berry', 'berries', 'lemon', 'lime', 'orange', 'tomato', 'onion',
+      'garlic', 'potato', 'carrot', 'spinach', 'lettuce', 'salad', 'broccoli', 'zucchini',
+      'courgette', 'pepper', 'cucumber', 'avocado', 'mushroom', 'celery', 'kale', 'cabbage',
+      'eggplant', 'aubergine', 'pear', 'grape', 'basil', 'parsley', 'cilantro', 'coriander',
+      'mint', 'ginger', 'fruit', 'vegetable',
+      'mela', 'pomodor', 'cipolla', 'aglio', 'patat', 'carot', 'spinaci', 'insalata', 'zucchin',
+      'peperon', 'basilico', 'prezzemolo', 'frutta', 'verdur'],
+  },
+  {
+    category: 'bakery_grains',
+    keywords: ['bread', 'rice', 'pasta', 'spaghetti', 'oat', 'flour', 'quinoa', 'couscous',
+      'tortilla', 'wrap', 'noodle', 'cereal', 'granola', 'cracker', 'bulgur',
+      'pane', 'riso', 'farina', 'avena', 'fette biscottate'],
+  },
+  {
+    category: 'legumes_nuts',
+    keywords: ['bean', 'lentil', 'chickpea', 'pea', 'tofu', 'tempeh', 'almond', 'walnut', 'cashew',
+      'peanut', 'hazelnut', 'pistachio', 'seed', 'nut',
+      'fagiol', 'lenticchi', 'ceci', 'piselli', 'mandorl', 'noci', 'nocciol'],
+  },
+  {
+    category: 'condiments_spices',
+    keywords: ['oil', 'vinegar', 'salt', 'sauce', 'honey', 'mustard', 'mayonnaise', 'ketchup',
+      'spice', 'cumin', 'paprika', 'oregano', 'thyme', 'rosemary', 'cinnamon', 'stock', 'broth',
+      'sugar', 'syrup', 'olio', 'aceto', 'sale', 'miele', 'brodo', 'zucchero'],
+  },
+];
+
+const OTHER_CATEGORY = 'other';
+
+/**
+ * Restituisce il reparto di un ingrediente normalizzato.
+ */
+export function categorizeItem(item) {
+  const words = item.split(/\s+/);
+
+  // Le keyword corte devono coincidere con una parola intera ("egg" non deve
+  // catturare "eggplant"), quelle lunghe valgono anche come radice o suffisso
+  const matchesWord = (keyword) => words.some((w) =>
+    w === keyword || (keyword.length >= 5 && (w.startsWith(keyword) || w.endsWith(keyword)))
+  );
+
+  for (const aisle of AISLES) {
+    const match = aisle.keywords.some((keyword) =>
+      keyword.includes(' ') ? item.includes(keyword) : matchesWord(keyword)
+    );
+    if (match) return aisle.category;
+  }
+
+  return OTHER_CATEGORY;
+}
+
+// ===== SECTION B: AGGREGATION =====
+
+/**
+ * Fattore di scala di un pasto: gli ingredienti della ricetta sono per
+ * `recipe.servings` porzioni, il pasto ne consuma `meal.portion`.
+ */
+function mealScale(meal) {
+  const servings = meal.recipe?.servings || 1;
+  return (meal.portion ?? 1) / servings;
+}
+
+/**
+ * Aggrega gli ingredienti di una lista di pasti (con `recipe` incluso)
+ * sommando le quantità per nome e unità canonica. Usa le RecipeIngredient
+ * strutturate se incluse, altrimenti il testo legacy della ricetta.
+ *
+ * Restituisce { categories: [{ category, items }], unparsed: [...] }.
+ */
+export function aggregateIngredients(meals) {
+  const itemsByKey = new Map();
+  const unparsed = [];
+
+  for (const meal of meals) {
+    const recipe = meal.recipe;
+    const lines = recipeIngredientsOf(recipe);
+    if (!lines.length) continue;
+
+    const scale = mealScale(meal);
+
+    for (const line of lines) {
+      // Senza quantità e non interpretabile: né "q.b." né un ingrediente noto
+      if (line.quantity === null && !parseIngredientLine(line.raw)) {
+        unparsed.push({
+          text: line.raw,
+          recipeId: recipe.id,
+          recipeTitle: recipe.title,
+          mealId: meal.id,
+          date: meal.date,
+        });
+        continue;
+      }
+
+      const key = line.name + '|' + (line.unit ?? '') + '|' + dimensionOf(line.unit);
+      let entry = itemsByKey.get(key);
+      if (!entry) {
+        entry = {
+          item: line.name,
+          quantity: null,
+          unit: line.unit,
+          category: categorizeItem(line.name),
+          recipes: [],
+          occurrences: 0,
+        };
+        itemsByKey.set(key, entry);
+      }
+
+      if (line.quantity !== null) {
+        entry.quantity = (entry.quantity ?? 0) + line.quantity * scale;
+      }
+      entry.occurrences += 1;
+      if (!entry.recipes.includes(recipe.title)) {
+        entry.recipes.push(recipe.title);
+      }
+    }
+  }
+
+  const categoryOrder = [...AISLES.map((a) => a.category), OTHER_CATEGORY];
+  const categories = categoryOrder
+    .map((category) => ({
+      category,
+      items: [...itemsByKey.values()]
+        .filter((entry) => entry.category === category)
+        .map(({ category: _category, ...entry }) => ({
+          ...entry,
+          quantity: entry.quantity === null ? null : _roundQuantity(entry.quantity, entry.unit),
+        }))
+        .sort((a, b) => a.item.localeCompare(b.item)),
+    }))
+    .filter((group) => group.items.length > 0);
+
+  return { categories, unparsed };
+}
+
+function _roundQuantity(quantity, unit) {
+  // Grammi e millilitri all'unità, pezzi al quarto
+  if (unit === 'g' || unit === 'ml') return Math.round(quantity);
+  return Math.ceil(quantity * 4) / 4;
+}
+
+// ===== SECTION C: MEAL PLAN SHOPPING LIST =====
+
+/**
+ * Costruisce la lista della spesa aggregata per un MealPlan.
+ */
+export async function buildShoppingList(mealPlanId, userId) {
+  const plan = await prisma.mealPlan.findFirst({
+    where: { id: parseInt(mealPlanId), userId },
+    include: {
+      meals: {
+        include: { recipe: { include: { recipeIngredients: true } } },
+        orderBy: [{ date: 'asc' }, { slot: 'asc' }, { type: 'asc' }],
+      },
+    },
+  });
+
+  if (!plan) {
+    throw new NotFoundError('Meal plan not found');
+  }
+
+  const { categories, unparsed } = aggregateIngredients(plan.meals);
+
+  return {
+    mealPlanId: plan.id,
+    weekStart: plan.weekStart,
+    weekEnd: plan.weekEnd,
+    mealCount: plan.meals.length,
+    categories,
+    unparsed,
+  };
+}
+
+export default {
+  buildShoppingList,
+  aggregateIngredients,
+  categorizeItem,
+};
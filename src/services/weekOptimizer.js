@@ -0,0 +1,246 @@
+// src/services/weekOptimizer.js
+import { z } from 'zod';
+import { matchingCategories } from './dietRules.js';
+import { cuisineOf } from './recipeScoring.js';
+
+// ===== SECTION A: CONFIGURATION =====
+
+// Fonti proteiche riconosciute, in ordine di priorità (la prima trovata è la principale)
+export const PROTEIN_SOURCES = ['beef', 'pork', 'poultry', 'fish', 'shellfish', 'legume', 'soy', 'egg', 'dairy'];
+
+/**
+ * Vincoli di varietà per la settimana:
+ * - maxUsesPerRecipe: quante volte la stessa ricetta può comparire
+ * - allowConsecutiveRepeats: se false, la stessa ricetta non compare
+ *   in giorni consecutivi (né due volte nello stesso giorno)
+ * - maxProteinSourcePerDay: pasti al giorno con la stessa fonte proteica
+ * - maxCuisinePerDay: pasti al giorno della stessa cucina
+ * - rotateAcrossDays: se true, lo stesso pasto (mealType) non ripete la
+ *   fonte proteica o la cucina del giorno prima
+ */
+export const VarietySchema = z.object({
+  maxUsesPerRecipe: z.number().int().min(1).max(28).optional().default(2),
+  allowConsecutiveRepeats: z.boolean().optional().default(false),
+  maxProteinSourcePerDay: z.number().int().min(1).max(6).optional().default(1),
+  maxCuisinePerDay: z.number().int().min(1).max(6).optional().default(2),
+  rotateAcrossDays: z.boolean().optional().default(true),
+});
+
+export const DEFAULT_VARIETY = VarietySchema.parse({});
+
+// Costo di ogni vincolo violato, in punti di distanza macro: la varietà
+// vince su differenze di qualche grammo, ma non lascia pasti vuoti
+const VIOLATION_PENALTY = 60;
+
+const MAX_PASSES = 20;
+
+// ===== SECTION B: CANDIDATES =====
+
+export { cuisineOf };
+
+/**
+ * Fonte proteica principale di una ricetta, ricavata dagli ingredienti.
+ */
+export function proteinSourceOf(recipe) {
+  return matchingCategories(recipe, PROTEIN_SOURCES)[0] ?? null;
+}
+
+/**
+ * Arricchisce i risultati di rankRecipesForMeal ({ recipe, portion, distance, score })
+ * con fonte proteica e cucina.
+ */
+export function toCandidates(ranked) {
+  return ranked.map(({ recipe, portion = 1, distance, score }) => ({
+    recipe,
+    portion,
+    distance,
+    score,
+    proteinSource: proteinSourceOf(recipe),
+    cuisine: cuisineOf(recipe),
+  }));
+}
+
+// ===== SECTION C: COST =====
+
+function _increment(map, key) {
+  map.set(key, (map.get(key) || 0) + 1);
+}
+
+/**
+ * Vincoli violati da un'assegnazione [{ day, mealType, candidate }]:
+ * [{ constraint, day?, mealType?, recipeId?, value, excess }].
+ */
+export function findViolations(assignments, variety = DEFAULT_VARIETY) {
+  const violations = [];
+  const daysByRecipe = new Map();
+  const proteinByDay = new Map();
+  const cuisineByDay = new Map();
+  const slotValues = new Map();
+
+  for (const { day, mealType, candidate } of assignments) {
+    if (!candidate) continue;
+    const id = candidate.recipe.id;
+
+    if (!daysByRecipe.has(id)) daysByRecipe.set(id, []);
+    daysByRecipe.get(id).push(day);
+
+    if (candidate.proteinSource) _increment(proteinByDay, `${day}|${candidate.proteinSource}`);
+    if (candidate.cuisine) _increment(cuisineByDay, `${day}|${candidate.cuisine}`);
+
+    for (const [constraint, value] of [['proteinSourceRotation', candidate.proteinSource], ['cuisineRotation', candidate.cuisine]]) {
+      if (value) _increment(slotValues, `${constraint}|${mealType}|${day}|${value}`);
+    }
+  }
+
+  for (const [recipeId, days] of daysByRecipe) {
+    if (days.length > variety.maxUsesPerRecipe) {
+      violations.push({
+        constraint: 'maxUsesPerRecipe',
+        recipeId,
+        value: days.length,
+        excess: days.length - variety.maxUsesPerRecipe,
+      });
+    }
+
+    if (!variety.allowConsecutiveRepeats) {
+      const sorted = [...days].sort((a, b) => a - b);
+      for (let i = 1; i < sorted.length; i++) {
+        if (sorted[i] - sorted[i - 1] <= 1) {
+          violations.push({ constraint: 'consecutiveRepeat', recipeId, day: sorted[i], value: sorted[i - 1], excess: 1 });
+        }
+      }
+    }
+  }
+
+  for (const [constraint, counts, limit] of [
+    ['maxProteinSourcePerDay', proteinByDay, variety.maxProteinSourcePerDay],
+    ['maxCuisinePerDay', cuisineByDay, variety.maxCuisinePerDay],
+  ]) {
+    for (const [key, count] of counts) {
+      if (count <= limit) continue;
+      const [day, value] = key.split('|');
+      violations.push({ constraint, day: Number(day), value, excess: count - limit });
+    }
+  }
+
+  // Rotazione: lo stesso pasto non ripete fonte proteica o cucina del giorno prima
+  if (variety.rotateAcrossDays) {
+    for (const key of slotValues.keys()) {
+      const [constraint, mealType, day, value] = key.split('|');
+      if (slotValues.has(`${constraint}|${mealType}|${Number(day) - 1}|${value}`)) {
+        violations.push({ constraint, day: Number(day), mealType, value, excess: 1 });
+      }
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Costo totale: somma degli score macro più una penalità per ogni
+ * unità di vincolo violata. Uno slot senza ricetta costa quanto una violazione.
+ */
+export function weekCost(assignments, variety = DEFAULT_VARIETY) {
+  const distance = assignments.reduce((sum, a) => sum + (a.candidate ? a.candidate.score : VIOLATION_PENALTY), 0);
+  const excess = findViolations(assignments, variety).reduce((sum, v) => sum + v.excess, 0);
+  return distance + excess * VIOLATION_PENALTY;
+}
+
+// ===== SECTION D: OPTIMIZATION =====
+
+/**
+ * Assegna una ricetta a ogni slot della settimana minimizzando l'errore
+ * macro totale sotto i vincoli di varietà.
+ *
+ * - slots: [{ day, mealType }] nell'ordine del piano
+ * - candidatesByType: { [mealType]: candidati (vedi toCandidates) }
+ *
+ * Parte da una soluzione greedy (giorno per giorno, il candidato col minor
+ * costo incrementale) e la migliora con ricerca locale: sostituzione di un
+ * singolo slot e scambio di due slot dello stesso tipo, finché il costo scende.
+ * I vincoli sono "soft": se non si possono rispettare tutti restano nel report.
+ */
+export function optimizeWeek(slots, candidatesByType, variety = DEFAULT_VARIETY) {
+  const assignments = [];
+
+  // 1) Greedy
+  for (const slot of slots) {
+    const candidates = candidatesByType[slot.mealType] || [];
+    let best = null;
+    let bestCost = Infinity;
+
+    for (const candidate of candidates) {
+      const cost = weekCost([...assignments, { ...slot, candidate }], variety);
+      if (cost < bestCost) {
+        best = candidate;
+        bestCost = cost;
+      }
+    }
+
+    assignments.push({ ...slot, candidate: best });
+  }
+
+  // 2) Ricerca locale
+  let cost = weekCost(assignments, variety);
+
+  for (let pass = 0; pass < MAX_PASSES; pass++) {
+    let improved = false;
+
+    for (let i = 0; i < assignments.length; i++) {
+      for (const candidate of candidatesByType[assignments[i].mealType] || []) {
+        if (candidate === assignments[i].candidate) continue;
+
+        const previous = assignments[i].candidate;
+        assignments[i].candidate = candidate;
+        const newCost = weekCost(assignments, variety);
+
+        if (newCost < cost) {
+          cost = newCost;
+          improved = true;
+        } else {
+          assignments[i].candidate = previous;
+        }
+      }
+
+      for (let j = i + 1; j < assignments.length; j++) {
+        if (assignments[j].mealType !== assignments[i].mealType) continue;
+        if (assignments[j].candidate === assignments[i].candidate) continue;
+
+        [assignments[i].candidate, assignments[j].candidate] = [assignments[j].candidate, assignments[i].candidate];
+        const newCost = weekCost(assignments, variety);
+
+        if (newCost < cost) {
+          cost = newCost;
+          improved = true;
+        } else {
+          [assignments[i].candidate, assignments[j].candidate] = [assignments[j].candidate, assignments[i].candidate];
+        }
+      }
+    }
+
+    if (!improved) break;
+  }
+
+  return {
+    assignments,
+    report: {
+      constraints: variety,
+      totalDistance: Math.round(assignments.reduce((sum, a) => sum + (a.candidate?.distance ?? 0), 0) * 10) / 10,
+      distinctRecipes: new Set(assignments.filter((a) => a.candidate).map((a) => a.candidate.recipe.id)).size,
+      emptySlots: assignments.filter((a) => !a.candidate).length,
+      violations: findViolations(assignments, variety),
+    },
+  };
+}
+
+export default {
+  PROTEIN_SOURCES,
+  VarietySchema,
+  DEFAULT_VARIETY,
+  cuisineOf,
+  proteinSourceOf,
+  toCandidates,
+  findViolations,
+  weekCost,
+  optimizeWeek,
+};
@@ -0,0 +1,80 @@
+// src/utils/csv.js
+
+/**
+ * Separatore di un file CSV dedotto dall'intestazione:
+ * il più frequente tra ";", tab e ",".
+ */
+export function detectDelimiter(headerLine) {
+  const counts = [';', '\t', ','].map((d) => ({ d, n: headerLine.split(d).length }));
+  return counts.sort((a, b) => b.n - a.n)[0].d;
+}
+
+/**
+ * Divide una riga CSV nei suoi campi, gestendo i campi tra virgolette
+ * e le virgolette raddoppiate ("a ""b"" c"). I campi su più righe non sono supportati.
+ */
+export function parseCsvLine(line, delimiter = ',') {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  fields.push(field.replace(/\r$/, ''));
+  return fields;
+}
+
+/**
+ * Oggetto { colonna: valore } da una riga, con le colonne dell'intestazione.
+ */
+export function toRecord(header, fields) {
+  return Object.fromEntries(header.map((column, i) => [column.trim(), (fields[i] ?? '').trim()]));
+}
+
+// Inizi di cella che Excel/LibreOffice interpretano come formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Riga CSV dai valori dati: null/undefined diventano campi vuoti, i campi con
+ * separatore, virgolette o a capo vanno tra virgolette (inverso di parseCsvLine).
+ * I testi che inizierebbero una formula (=, +, -, @) sono preceduti da un apice;
+ * i numeri restano invariati.
+ */
+export function formatCsvLine(values, delimiter = ',') {
+  return values
+    .map((value) => {
+      let field = value === null || value === undefined ? '' : String(value);
+      if (typeof value === 'string' && FORMULA_PREFIX.test(field)) {
+        field = "'" + field;
+      }
+      return /[",\r\n]/.test(field) || field.includes(delimiter) ? '"' + field.replace(/"/g, '""') + '"' : field;
+    })
+    .join(delimiter);
+}
+
+export default {
+  detectDelimiter,
+  parseCsvLine,
+  toRecord,
+  formatCsvLine,
+};
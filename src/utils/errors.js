@@ -0,0 +1,122 @@
+// src/utils/errors.js
+
+/**
+ * Errori applicativi con il loro status HTTP. I servizi lanciano questi
+ * errori e le route li traducono in risposta con `sendError`, senza
+ * interpretare il testo del messaggio.
+ *
+ * I campi extra (es. `details`, `mealPlanId`, `violations`) vengono copiati
+ * sull'errore e inclusi nella risposta: { error: message, ...campi }.
+ */
+export class AppError extends Error {
+  constructor(message, statusCode = 500, fields = {}, options = undefined) {
+    super(message, options);
+    this.name = new.target.name;
+    this.statusCode = statusCode;
+    this.fields = fields;
+    Object.assign(this, fields);
+  }
+
+  toResponse() {
+    return { error: this.message, ...this.fields };
+  }
+}
+
+/**
+ * Dati della richiesta non validi (400). `details` segue la forma degli
+ * issue di zod: [{ path, message, ... }].
+ */
+export class ValidationError extends AppError {
+  constructor(message = 'Invalid request data', fields = {}) {
+    super(message, 400, fields);
+  }
+
+  static fromZod(error, message = 'Invalid request data') {
+    return new ValidationError(message, { details: error.errors });
+  }
+
+  /**
+   * Errore su un singolo campo, con la stessa forma di un issue zod.
+   */
+  static forField(path, message) {
+    return new ValidationError('Invalid request data', {
+      details: [{ code: 'custom', path: [path], message }],
+    });
+  }
+}
+
+export class UnauthorizedError extends AppError {
+  constructor(message = 'Authentication required') {
+    super(message, 401);
+  }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(message = 'Forbidden') {
+    super(message, 403);
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message = 'Not found') {
+    super(message, 404);
+  }
+}
+
+/**
+ * La richiesta è valida ma lo stato attuale la impedisce (409):
+ * piano bloccato, ricetta in uso, username già preso.
+ */
+export class ConflictError extends AppError {
+  constructor(message, fields = {}) {
+    super(message, 409, fields);
+  }
+}
+
+/**
+ * Un servizio esterno (provider LLM, Edamam) ha fallito o ha risposto con
+ * dati inutilizzabili: 502, oppure 503 con `retryAfter` (secondi) se ha
+ * imposto un limite. `retryable` dice se un nuovo tentativo può riuscire;
+ * l'errore originale resta in `cause`.
+ */
+export class UpstreamError extends AppError {
+  constructor(message, { retryAfter, retryable = false, cause, ...fields } = {}) {
+    super(message, retryAfter ? 503 : 502, { ...fields, ...(retryAfter && { retryAfter }) }, cause ? { cause } : undefined);
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * Converte un errore qualsiasi nell'AppError da restituire al client,
+ * o null se è un errore imprevisto (500).
+ * - ZodError lanciati fuori dal middleware `validate` -> 400
+ * - body JSON malformato (express.json) -> 400
+ */
+export function toAppError(error) {
+  if (error instanceof AppError) return error;
+  if (error?.name === 'ZodError') return ValidationError.fromZod(error);
+  if (error?.type === 'entity.parse.failed') return new ValidationError('Malformed JSON body');
+  if (error?.type === 'entity.too.large') return new AppError('Request body too large', 413);
+
+  return null;
+}
+
+/**
+ * Vero se Prisma ha rifiutato una scrittura per un vincolo di unicità
+ * (P2002), ad esempio quando due richieste concorrenti creano la stessa riga.
+ */
+export function isUniqueViolation(error) {
+  return error?.code === 'P2002';
+}
+
+export default {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  UpstreamError,
+  toAppError,
+  isUniqueViolation,
+};
@@ -0,0 +1,334 @@
+// src/utils/ingredientParser.js
+
+/**
+ * Unità riconosciute, normalizzate verso un'unità canonica.
+ * `dimension` indica come sommare le quantità:
+ * - mass   -> grammi
+ * - volume -> millilitri
+ * - count  -> unità discrete (spicchi, fette, lattine...)
+ */
+const UNITS = [
+  { unit: 'g', dimension: 'mass', factor: 1, aliases: ['g', 'gr', 'gram', 'grams', 'gramm', 'grammi', 'grammo'] },
+  { unit: 'g', dimension: 'mass', factor: 1000, aliases: ['kg', 'kgs', 'kilo', 'kilos', 'kilogram', 'kilograms', 'chilo', 'chili'] },
+  { unit: 'g', dimension: 'mass', factor: 28.35, aliases: ['oz', 'ounce', 'ounces'] },
+  { unit: 'g', dimension: 'mass', factor: 453.6, aliases: ['lb', 'lbs', 'pound', 'pounds'] },
+  { unit: 'ml', dimension: 'volume', factor: 1, aliases: ['ml', 'milliliter', 'milliliters', 'millilitre', 'millilitres', 'millilitri'] },
+  { unit: 'ml', dimension: 'volume', factor: 10, aliases: ['cl'] },
+  { unit: 'ml', dimension: 'volume', factor: 100, aliases: ['dl'] },
+  { unit: 'ml', dimension: 'volume', factor: 1000, aliases: ['l', 'liter', 'liters', 'litre', 'litres', 'litro', 'litri'] },
+  { unit: 'ml', dimension: 'volume', factor: 5, aliases: ['tsp', 'teaspoon', 'teaspoons', 'cucchiaino', 'cucchiaini'] },
+  { unit: 'ml', dimension: 'volume', factor: 15, aliases: ['tbsp', 'tablespoon', 'tablespoons', 'cucchiaio', 'cucchiai'] },
+  { unit: 'ml', dimension: 'volume', factor: 240, aliases: ['cup', 'cups', 'tazza', 'tazze'] },
+  { unit: 'ml', dimension: 'volume', factor: 29.57, aliases: ['fl oz', 'fluid ounce', 'fluid ounces'] },
+  { unit: 'clove', dimension: 'count', factor: 1, aliases: ['clove', 'cloves', 'spicchio', 'spicchi'] },
+  { unit: 'slice', dimension: 'count', factor: 1, aliases: ['slice', 'slices', 'fetta', 'fette'] },
+  { unit: 'piece', dimension: 'count', factor: 1, aliases: ['piece', 'pieces', 'pcs', 'pz'] },
+  { unit: 'can', dimension: 'count', factor: 1, aliases: ['can', 'cans', 'tin', 'tins', 'lattina', 'lattine'] },
+  { unit: 'pinch', dimension: 'count', factor: 1, aliases: ['pinch', 'pinches', 'pizzico'] },
+  { unit: 'handful', dimension: 'count', factor: 1, aliases: ['handful', 'handfuls', 'manciata'] },
+  { unit: 'bunch', dimension: 'count', factor: 1, aliases: ['bunch', 'bunches', 'mazzetto'] },
+  { unit: 'sprig', dimension: 'count', factor: 1, aliases: ['sprig', 'sprigs', 'rametto'] },
+  { unit: 'stalk', dimension: 'count', factor: 1, aliases: ['stalk', 'stalks', 'gambo'] },
+  { unit: 'fillet', dimension: 'count', factor: 1, aliases: ['fillet', 'fillets', 'filetto', 'filetti'] },
+];
+
+// Alias più lunghi prima, così "fl oz" vince su "oz"
+const UNIT_ALIASES = UNITS.flatMap((u) => u.aliases.map((alias) => ({ alias, ...u })))
+  .sort((a, b) => b.alias.length - a.alias.length);
+
+const UNICODE_FRACTIONS = {
+  '½': 0.5, '⅓': 1 / 3, '⅔': 2 / 3, '¼': 0.25, '¾': 0.75,
+  '⅕': 0.2, '⅛': 0.125, '⅜': 0.375, '⅝': 0.625, '⅞': 0.875,
+};
+
+// Parole che, da sole, descrivono la preparazione di un ingrediente
+// (es. "1 tbsp oil, extra virgin" -> "extra virgin" non è un nuovo ingrediente)
+const DESCRIPTOR_WORDS = new Set([
+  'minced', 'chopped', 'diced', 'sliced', 'grated', 'peeled', 'crushed', 'melted',
+  'softened', 'beaten', 'drained', 'rinsed', 'extra', 'virgin', 'fresh', 'freshly',
+  'finely', 'roughly', 'thinly', 'coarsely', 'to', 'taste', 'optional', 'divided',
+  'room', 'temperature', 'cut', 'into', 'pieces', 'cubes', 'halved', 'quartered',
+  'trimmed', 'boneless', 'skinless', 'cooked', 'raw', 'for', 'serving', 'garnish',
+  'and', 'or', 'plus', 'more', 'about', 'ground', 'packed', 'sifted', 'toasted',
+  'shredded', 'cubed', 'julienned', 'seeded', 'pitted', 'washed', 'at', 'as', 'needed',
+  'tritato', 'tritata', 'a', 'cubetti', 'fette', 'q.b.', 'qb', 'piacere',
+]);
+
+const SIZE_WORDS = new Set(['large', 'small', 'medium', 'big', 'grande', 'piccolo', 'piccola', 'medio', 'media']);
+
+const UNQUANTIFIED_PATTERN = /\b(to taste|as needed|q\.?\s?b\.?|a piacere)\b/i;
+
+// Contenitori il cui peso è indicato tra parentesi ("1 (14 oz) can tomatoes")
+const CONTAINER_PATTERN = /^(?:cans?|tins?|jars?|packages?|packs?|bags?|box(?:es)?|cartons?|bottles?|lattin[ae]|barattol[oi]|confezion[ei])\b\s*(?:of\s+|di\s+)?/i;
+
+// Quantità in fondo alla riga ("Greek yogurt 150g", "eggs 2")
+const TRAILING_QUANTITY_PATTERN = /^(.*\p{L}.*?)\s+(\d+(?:[.,]\d+)?|\d+\/\d+)\s*(\p{L}+)?\.?$/u;
+
+// Parti di un ingrediente indicate prima della quantità ("juice of 1 lemon")
+const PART_OF_PATTERN = /^([\p{L}\s]+?)\s+(?:of|di)\s+(.+)$/iu;
+
+// Plurali irregolari e parole che finiscono in "s" già al singolare
+const IRREGULAR_SINGULARS = {
+  leaves: 'leaf',
+  loaves: 'loaf',
+  halves: 'half',
+  knives: 'knife',
+  cookies: 'cookie',
+  brownies: 'brownie',
+  quiches: 'quiche',
+  molasses: 'molasses',
+  grits: 'grits',
+  gras: 'gras',
+  swiss: 'swiss',
+  ananas: 'ananas',
+  mais: 'mais',
+};
+
+const QUANTITY_PATTERN = new RegExp(
+  '^(?:about\\s+|circa\\s+|~\\s*)?' +
+  '(\\d+\\s+\\d+\\/\\d+|\\d+\\/\\d+|\\d+(?:[.,]\\d+)?\\s*[' + Object.keys(UNICODE_FRACTIONS).join('') + ']?|[' +
+  Object.keys(UNICODE_FRACTIONS).join('') + '])' +
+  '(?:\\s*(?:-|–|to)\\s*(\\d+(?:[.,]\\d+)?))?'
+);
+
+/**
+ * Converte un token numerico ("1 1/2", "1/2", "1,5", "1½", "½") in numero.
+ */
+function parseNumber(token) {
+  const str = token.trim();
+
+  const mixed = str.match(/^(\d+)\s+(\d+)\/(\d+)$/);
+  if (mixed) return Number(mixed[1]) + Number(mixed[2]) / Number(mixed[3]);
+
+  const fraction = str.match(/^(\d+)\/(\d+)$/);
+  if (fraction) return Number(fraction[1]) / Number(fraction[2]);
+
+  const last = str.slice(-1);
+  if (UNICODE_FRACTIONS[last] !== undefined) {
+    const whole = str.slice(0, -1).trim();
+    return (whole ? Number(whole.replace(',', '.')) : 0) + UNICODE_FRACTIONS[last];
+  }
+
+  return Number(str.replace(',', '.'));
+}
+
+/**
+ * Porta una parola al singolare con regole semplici (inglese).
+ */
+function singularize(word) {
+  if (IRREGULAR_SINGULARS[word]) return IRREGULAR_SINGULARS[word];
+  if (word.length <= 3) return word;
+  if (word.endsWith('ies')) return word.slice(0, -3) + 'y';
+  if (word.endsWith('oes')) return word.slice(0, -2);
+  if (/(ch|sh|ss|x)es$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s') && !word.endsWith('ss') && !word.endsWith('us')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Normalizza il nome di un ingrediente per poterlo aggregare:
+ * lowercase, senza note tra parentesi, senza aggettivi di taglia,
+ * ultima parola al singolare.
+ */
+export function normalizeItemName(name) {
+  const words = name
+    .toLowerCase()
+    .replace(/\(.*?\)/g, ' ')
+    .replace(/^(of|di|d')\s+/, '')
+    .replace(/[^\p{L}\p{N}\s'-]/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .filter((w) => !SIZE_WORDS.has(w));
+
+  if (!words.length) return '';
+
+  words[words.length - 1] = singularize(words[words.length - 1]);
+  return words.join(' ');
+}
+
+/**
+ * Vero se il frammento è solo una descrizione della preparazione
+ * (es. "minced", "extra virgin") e va quindi riattaccato alla riga precedente.
+ */
+function isDescriptorFragment(fragment) {
+  const words = fragment.toLowerCase().split(/\s+/).filter(Boolean);
+  return words.length > 0 && words.every((w) => DESCRIPTOR_WORDS.has(w));
+}
+
+/**
+ * Divide una stringa di ingredienti separata da virgole in righe.
+ * Non spezza i decimali con la virgola ("1,5 kg") e riattacca alla riga
+ * precedente i frammenti che sono solo descrizioni ("1 tbsp oil, extra virgin").
+ */
+export function splitIngredientList(str) {
+  if (!str) return [];
+
+  const fragments = str
+    .split(/,(?!\d)|;|\n/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+  const lines = [];
+  for (const fragment of fragments) {
+    if (lines.length && isDescriptorFragment(fragment)) {
+      lines[lines.length - 1] += ', ' + fragment;
+    } else {
+      lines.push(fragment);
+    }
+  }
+  return lines;
+}
+
+/**
+ * Interpreta una riga di ingrediente ("200g chicken breast", "1 1/2 cups milk",
+ * "3 cloves garlic, minced", "1 (14 oz) can tomatoes", "juice of 1 lemon",
+ * "Greek yogurt 150g", "salt to taste").
+ *
+ * Restituisce { raw, quantity, unit, dimension, item, note } con la quantità
+ * già convertita nell'unità canonica (g, ml o unità discreta), oppure null
+ * se la riga non è interpretabile.
+ */
+export function parseIngredientLine(line) {
+  if (!line || typeof line !== 'string') return null;
+
+  const raw = line.trim();
+  if (!raw) return null;
+
+  // Le note dopo la prima virgola non fanno parte del nome
+  const commaIdx = raw.search(/,(?!\d)/);
+  const main = (commaIdx >= 0 ? raw.slice(0, commaIdx) : raw).trim();
+  const note = commaIdx >= 0 ? raw.slice(commaIdx + 1).trim() || null : null;
+
+  const amount = _readAmount(main);
+  if (!amount) {
+    return _parseWithoutLeadingQuantity(raw, main, note);
+  }
+
+  let { quantity, unit, dimension, rest } = amount;
+  if (!Number.isFinite(quantity) || quantity <= 0) return null;
+
+  // Confezioni col peso tra parentesi: "1 (14 oz) can tomatoes", "2 cans (400g) chickpeas"
+  const packageSize = dimension === 'count' ? rest.match(/^\(([^)]*)\)\s*/) : null;
+  const size = packageSize && _readAmount(packageSize[1]);
+  if (size && size.dimension !== 'count' && !size.rest && size.quantity > 0) {
+    quantity *= size.quantity;
+    unit = size.unit;
+    dimension = size.dimension;
+    rest = rest.slice(packageSize[0].length).replace(CONTAINER_PATTERN, '');
+  }
+
+  const item = normalizeItemName(rest);
+  if (!item) return null;
+
+  return {
+    raw,
+    quantity: Math.round(quantity * 100) / 100,
+    unit,
+    dimension,
+    item,
+    note,
+  };
+}
+
+/**
+ * Quantità all'inizio di un testo con l'eventuale unità:
+ * { quantity, unit, dimension, rest } con la quantità già convertita
+ * nell'unità canonica, oppure null se il testo non inizia con un numero.
+ */
+function _readAmount(text) {
+  const qtyMatch = text.match(QUANTITY_PATTERN);
+  if (!qtyMatch) return null;
+
+  let quantity = parseNumber(qtyMatch[1]);
+  if (qtyMatch[2]) {
+    // Range "2-3": per la spesa conviene il valore massimo
+    quantity = Math.max(quantity, parseNumber(qtyMatch[2]));
+  }
+
+  let rest = text.slice(qtyMatch[0].length).trim();
+  let unit = null;
+  let dimension = 'count';
+
+  const lowerRest = rest.toLowerCase();
+  for (const candidate of UNIT_ALIASES) {
+    if (!lowerRest.startsWith(candidate.alias)) continue;
+
+    // L'alias deve essere una parola intera ("g" in "garlic" non è un'unità)
+    const next = lowerRest.charAt(candidate.alias.length);
+    if (next && /[\p{L}]/u.test(next)) continue;
+
+    unit = candidate.unit;
+    dimension = candidate.dimension;
+    quantity *= candidate.factor;
+    rest = rest.slice(candidate.alias.length).replace(/^\.\s*/, '').trim();
+    break;
+  }
+
+  return { quantity, unit, dimension, rest };
+}
+
+/**
+ * Righe senza quantità iniziale: la parte di un ingrediente ("juice of 1 lemon",
+ * con la parte come nota), la quantità in fondo ("Greek yogurt 150g") o
+ * gli ingredienti "q.b." / "to taste", senza quantità ma con un nome valido.
+ */
+function _parseWithoutLeadingQuantity(raw, main, note) {
+  const part = main.match(PART_OF_PATTERN);
+  if (part && _readAmount(part[2])) {
+    const parsed = parseIngredientLine(part[2]);
+    if (parsed) {
+      return { ...parsed, raw, note: [part[1].trim().toLowerCase(), note].filter(Boolean).join(', ') };
+    }
+  }
+
+  const trailing = main.match(TRAILING_QUANTITY_PATTERN);
+  const trailingUnit = trailing?.[3]?.toLowerCase();
+  if (trailing && (!trailingUnit || UNIT_ALIASES.some((candidate) => candidate.alias === trailingUnit))) {
+    const parsed = parseIngredientLine(`${trailing[2]}${trailingUnit ? ' ' + trailingUnit : ''} ${trailing[1]}`);
+    if (parsed) return { ...parsed, raw, note };
+  }
+
+  if (UNQUANTIFIED_PATTERN.test(raw)) {
+    const item = normalizeItemName(main.replace(UNQUANTIFIED_PATTERN, ''));
+    if (!item) return null;
+    return { raw, quantity: null, unit: null, dimension: 'count', item, note };
+  }
+
+  return null;
+}
+
+/**
+ * Moltiplica la quantità iniziale di una riga di ingrediente per `factor`,
+ * lasciando invariato il resto ("200g chicken" x1.3 -> "260g chicken").
+ * Le righe senza quantità vengono restituite così come sono.
+ */
+export function scaleIngredientLine(line, factor) {
+  const leading = line.match(/^\s*/)[0];
+  const body = line.slice(leading.length);
+  const qtyMatch = body.match(QUANTITY_PATTERN);
+
+  if (!qtyMatch || factor === 1) return line;
+
+  const format = (value) => {
+    const scaled = value * factor;
+    // Grandi quantità all'unità, piccole al quarto (es. 1.25 cucchiai)
+    const rounded = scaled >= 10 ? Math.round(scaled) : Math.round(scaled * 4) / 4;
+    return String(rounded || Math.round(scaled * 100) / 100);
+  };
+
+  let scaledQty = format(parseNumber(qtyMatch[1]));
+  if (qtyMatch[2]) {
+    scaledQty += '-' + format(parseNumber(qtyMatch[2]));
+  }
+
+  // Conserva lo spazio originale tra quantità e unità ("200g" vs "200 g")
+  const spacing = qtyMatch[0].match(/\s*$/)[0];
+  return leading + scaledQty + spacing + body.slice(qtyMatch[0].length);
+}
+
+export default {
+  splitIngredientList,
+  parseIngredientLine,
+  normalizeItemName,
+  scaleIngredientLine,
+};
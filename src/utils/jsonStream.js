@@ -0,0 +1,81 @@
+// src/utils/jsonStream.js
+
+/**
+ * Estrae gli elementi di un array JSON mentre il testo arriva a pezzi
+ * (risposte in streaming dei modelli). Segue solo l'array del campo `key`
+ * dell'oggetto principale, es. "days" in { "days": [ {...}, {...} ] }.
+ *
+ * `push(chunk)` restituisce il testo JSON degli oggetti completati dal pezzo,
+ * da passare a JSON.parse. Il testo fuori dall'oggetto (```json) è ignorato
+ * finché non contiene virgolette o parentesi.
+ */
+export function createArrayItemStream(key) {
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let string = '';
+  let lastString = null;
+  let valueKey = null;
+  let itemDepth = null; // Profondità degli elementi dell'array seguito
+  let item = null;
+
+  function push(chunk) {
+    const items = [];
+
+    for (const char of chunk) {
+      if (item !== null) item += char;
+
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+          lastString = string;
+        } else {
+          string += char;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+        string = '';
+        continue;
+      }
+
+      if (char === '{' || char === '[') {
+        if (char === '[' && itemDepth === null && depth === 1 && valueKey === key) {
+          itemDepth = depth + 1;
+        } else if (char === '{' && depth === itemDepth && item === null) {
+          item = char;
+        }
+        depth++;
+      } else if (char === '}' || char === ']') {
+        depth--;
+        if (char === '}' && depth === itemDepth && item !== null) {
+          items.push(item);
+          item = null;
+        } else if (char === ']' && depth === itemDepth - 1) {
+          itemDepth = -1; // Array chiuso: gli array successivi con lo stesso nome non contano
+        }
+      }
+
+      if (char === ':') {
+        valueKey = lastString;
+      } else if (!/\s/.test(char)) {
+        valueKey = null;
+        lastString = null;
+      }
+    }
+
+    return items;
+  }
+
+  return { push };
+}
+
+export default {
+  createArrayItemStream,
+};
@@ -0,0 +1,102 @@
+// src/utils/security.js
+import crypto from 'node:crypto';
+import { promisify } from 'node:util';
+import { UnauthorizedError } from './errors.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+// ===== SECTION A: CONFIGURATION =====
+const DEFAULT_TOKEN_TTL_SECONDS = 7 * 24 * 60 * 60; // 7 days
+const SCRYPT_KEY_LENGTH = 64;
+
+function _getSecret() {
+  const secret = process.env.AUTH_SECRET;
+  if (!secret) {
+    throw new Error('AUTH_SECRET environment variable is required');
+  }
+  return secret;
+}
+
+function _getTokenTtl() {
+  const ttl = parseInt(process.env.AUTH_TOKEN_TTL_SECONDS);
+  return Number.isFinite(ttl) && ttl > 0 ? ttl : DEFAULT_TOKEN_TTL_SECONDS;
+}
+
+// ===== SECTION B: PASSWORDS =====
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, SCRYPT_KEY_LENGTH);
+  return 'scrypt$' + salt + '$' + hash.toString('hex');
+}
+
+export async function verifyPassword(password, storedHash) {
+  const [scheme, salt, hashHex] = (storedHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hashHex) return false;
+
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// ===== SECTION C: SIGNED TOKENS =====
+
+/**
+ * Token firmato HMAC-SHA256 nel formato JWT (header.payload.signature),
+ * così da poter essere letto da qualunque client JWT.
+ */
+export function signToken(payload, options = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const ttl = options.expiresIn ?? _getTokenTtl();
+
+  const header = _base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = _base64url(JSON.stringify({ ...payload, iat: now, exp: now + ttl }));
+  const signature = _sign(header + '.' + body);
+
+  return header + '.' + body + '.' + signature;
+}
+
+/**
+ * Verifica firma e scadenza; restituisce il payload o lancia un errore.
+ */
+export function verifyToken(token) {
+  const parts = (token || '').split('.');
+  if (parts.length !== 3) {
+    throw new UnauthorizedError('Invalid token');
+  }
+
+  const [header, body, signature] = parts;
+  const expected = Buffer.from(_sign(header + '.' + body));
+  const actual = Buffer.from(signature);
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new UnauthorizedError('Invalid token');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch {
+    throw new UnauthorizedError('Invalid token');
+  }
+
+  if (!payload.exp || payload.exp < Math.floor(Date.now() / 1000)) {
+    throw new UnauthorizedError('Token expired');
+  }
+
+  return payload;
+}
+
+function _sign(data) {
+  return crypto.createHmac('sha256', _getSecret()).update(data).digest('base64url');
+}
+
+function _base64url(str) {
+  return Buffer.from(str, 'utf8').toString('base64url');
+}
+
+export default {
+  hashPassword,
+  verifyPassword,
+  signToken,
+  verifyToken,
+};
@@ -0,0 +1,183 @@
+// src/validation/schemas.js
+//
+// Schemi zod delle richieste alle route definite in app.js, usati con il
+// middleware `validate`. Gli schemi di dominio restano nei servizi
+// (DietPreferencesSchema, MacroCalculationSchema, UpdateMealPlanSchema...)
+// e qui vengono solo combinati.
+import { z } from 'zod';
+import { MACRO_FIELDS } from '../services/progressService.js';
+import { GOALS } from '../services/macroCalculator.js';
+import { MicronutrientTargetsSchema } from '../services/micronutrientService.js';
+import { LOG_STATUSES } from '../services/foodLogService.js';
+import { VarietySchema } from '../services/weekOptimizer.js';
+import { PortionBoundsSchema } from '../services/recipeService.js';
+import { DietPreferencesSchema } from '../services/dietRules.js';
+import { MealTimesSchema } from '../services/exportService.js';
+
+const MEAL_TYPES = ['breakfast', 'lunch', 'snack', 'dinner'];
+
+// ===== SECTION A: SHARED =====
+
+export const DateString = z.string().refine((value) => !isNaN(Date.parse(value)), 'Invalid date');
+
+const Id = z.coerce.number().int().positive();
+
+export const IdParamsSchema = z.object({ id: Id });
+
+export const MealParamsSchema = z.object({ id: Id, mealId: Id });
+
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD
+export const DateRangeQuerySchema = z.object({
+  from: DateString.optional(),
+  to: DateString.optional(),
+});
+
+// "true" / "false" nella query string
+export const BooleanQuery = z.enum(['true', 'false']).transform((value) => value === 'true');
+
+// ===== SECTION B: PROFILE, PREFERENCES, INTENT =====
+
+/**
+ * Body di POST /macro-profile: i target macro mancanti vengono ereditati
+ * dalla versione precedente (obbligatori per il primo profilo).
+ */
+export const MacroProfileSchema = z
+  .object({
+    name: z.string().trim().min(1).optional(),
+    ...Object.fromEntries(MACRO_FIELDS.map((field) => [field, z.number().int().min(0).max(500).optional()])),
+    goal: z.enum(Object.keys(GOALS)).nullable().optional(),
+    weeklyRateKg: z.number().min(-1.5).max(1).nullable().optional(),
+  })
+  .strict();
+
+/**
+ * Body di POST /preferences: regole alimentari più gli orari dei pasti
+ * usati dagli export del calendario.
+ */
+export const PreferencesSchema = DietPreferencesSchema.extend({
+  mealTimes: MealTimesSchema.optional(),
+});
+
+export const CalculateQuerySchema = z.object({
+  preview: BooleanQuery.optional(),
+});
+
+export const WeeklyIntentSchema = z
+  .object({
+    weekStart: DateString,
+    goal: z.string().trim().min(1).max(100),
+    notes: z.string().nullable().optional(),
+    micronutrientTargets: MicronutrientTargetsSchema.optional(),
+  })
+  .strict();
+
+// ===== SECTION C: MEAL PLANS =====
+
+export const CreateMealPlanSchema = z
+  .object({
+    weekStart: DateString,
+    weekEnd: DateString,
+    goal: z.string().trim().min(1),
+    weeklyIntentId: z.number().int().positive().nullable().optional(),
+    locked: z.boolean().optional().default(false),
+  })
+  .strict()
+  .refine((plan) => new Date(plan.weekEnd) >= new Date(plan.weekStart), {
+    message: 'weekEnd must not be before weekStart',
+    path: ['weekEnd'],
+  });
+
+export const CreateMealSchema = z
+  .object({
+    date: DateString,
+    type: z.enum(MEAL_TYPES),
+    protein: z.number().int().min(0),
+    carbs: z.number().int().min(0),
+    fat: z.number().int().min(0),
+    calories: z.number().int().min(0).nullable().optional(),
+    recipeId: z.number().int().positive().nullable().optional(),
+    portion: z.number().positive().max(10).optional(),
+  })
+  .strict()
+  .refine((meal) => meal.portion === undefined || meal.recipeId, {
+    message: 'portion requires a recipeId',
+    path: ['portion'],
+  });
+
+export const SwapMealSchema = z
+  .object({
+    mode: z.enum(['local', 'ai']).optional().default('local'),
+    recipeId: z.coerce.number().int().positive().optional(),
+    limit: z.coerce.number().int().min(1).max(50).optional(),
+  })
+  .strict();
+
+export const GenerateWeekSchema = z
+  .object({
+    weekStart: DateString,
+    // { maxUsesPerRecipe, allowConsecutiveRepeats, maxProteinSourcePerDay, maxCuisinePerDay }
+    variety: VarietySchema.optional().default({}),
+    // Limiti delle porzioni: { min, max, step }
+    portions: PortionBoundsSchema.optional().default({}),
+  })
+  .strict();
+
+// Query degli export .ics: orari dei pasti al posto di quelli delle preferenze
+export const ExportQuerySchema = MealTimesSchema;
+
+// ===== SECTION D: FOOD LOG, WEIGHT, CHECK-IN =====
+
+/**
+ * Body di POST /food-log. Le regole che dipendono dallo stato (macro per
+ * substituted/adhoc, mealId solo per i pasti pianificati) restano in logFood.
+ */
+export const FoodLogSchema = z
+  .object({
+    mealId: z.number().int().positive().optional(),
+    status: z.enum(LOG_STATUSES),
+    portion: z.number().positive().max(10).optional(),
+    date: DateString.optional(),
+    type: z.enum(MEAL_TYPES).optional(),
+    description: z.string().trim().min(1).optional(),
+    notes: z.string().nullable().optional(),
+    protein: z.number().min(0).optional(),
+    carbs: z.number().min(0).optional(),
+    fat: z.number().min(0).optional(),
+    calories: z.number().int().min(0).optional(),
+  })
+  .strict();
+
+export const WeightSchema = z
+  .object({
+    date: DateString.optional(),
+    weightKg: z.number().min(20).max(400),
+    notes: z.string().nullable().optional(),
+  })
+  .strict();
+
+export const CheckInSchema = z
+  .object({
+    weeklyRateKg: z.number().min(-1.5).max(1).optional(),
+    apply: z.boolean().optional().default(false),
+  })
+  .strict();
+
+export default {
+  DateString,
+  IdParamsSchema,
+  MealParamsSchema,
+  DateRangeQuerySchema,
+  BooleanQuery,
+  MacroProfileSchema,
+  PreferencesSchema,
+  CalculateQuerySchema,
+  WeeklyIntentSchema,
+  CreateMealPlanSchema,
+  CreateMealSchema,
+  SwapMealSchema,
+  GenerateWeekSchema,
+  ExportQuerySchema,
+  FoodLogSchema,
+  WeightSchema,
+  CheckInSchema,
+};
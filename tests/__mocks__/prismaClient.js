@@ -0,0 +1,22 @@
+// tests/__mocks__/prismaClient.js
+// Unit tests run without a database: package.json maps src/db/prismaClient.js
+// here, so importing a service does not load the Prisma query engine.
+// Any query fails with a clear message; stub the model under test with
+// Object.defineProperty(prisma, 'recipe', { value: { ... } }).
+
+function noDatabase() {
+  throw new Error('Unit tests have no database: stub the Prisma call under test');
+}
+
+const model = new Proxy(noDatabase, { get: () => noDatabase });
+
+const prisma = new Proxy({}, {
+  get(target, key) {
+    if (key in target) return target[key];
+    // Né una promise né un iterabile
+    if (typeof key === 'symbol' || key === 'then') return undefined;
+    return model;
+  },
+});
+
+export default prisma;
@@ -0,0 +1,60 @@
+// tests/unit/authService.test.js
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import prisma from '../../src/db/prismaClient.js';
+import { registerUser, isAdmin } from '../../src/services/authService.js';
+import { ConflictError } from '../../src/utils/errors.js';
+
+const stub = (model, value) => Object.defineProperty(prisma, model, { configurable: true, value });
+
+describe('Auth Service', () => {
+  beforeAll(() => {
+    process.env.AUTH_SECRET = 'test-secret';
+  });
+
+  test('should register a new username', async () => {
+    stub('user', { findUnique: async () => null });
+    stub('$transaction', async (fn) => fn({
+      user: {
+        count: async () => 1,
+        create: async ({ data }) => ({ id: 2, createdAt: new Date(0), ...data }),
+      },
+    }));
+
+    const { user, token } = await registerUser({ username: 'anna', password: 'correct horse battery' });
+
+    expect(user).toEqual({ id: 2, username: 'anna', createdAt: new Date(0) });
+    expect(typeof token).toBe('string');
+  });
+
+  test('should answer 409 when a concurrent registration takes the username first', async () => {
+    // Entrambe le richieste superano il controllo; la seconda viola il vincolo unique
+    stub('user', { findUnique: async () => null });
+    stub('$transaction', async () => {
+      throw Object.assign(new Error('Unique constraint failed on the fields: (`username`)'), { code: 'P2002' });
+    });
+
+    await expect(registerUser({ username: 'anna', password: 'correct horse battery' })).rejects.toMatchObject({
+      statusCode: 409,
+      message: 'Username already taken',
+    });
+
+    stub('user', { findUnique: async () => ({ id: 2, username: 'anna' }) });
+    await expect(registerUser({ username: 'anna', password: 'correct horse battery' })).rejects.toThrow(ConflictError);
+  });
+
+  test('should treat ADMIN_USERNAMES, or else the first account, as admins', async () => {
+    stub('user', { findFirst: async () => ({ id: 1 }) });
+
+    delete process.env.ADMIN_USERNAMES;
+    await expect(isAdmin({ id: 1, username: 'giulia' })).resolves.toBe(true);
+    await expect(isAdmin({ id: 2, username: 'anna' })).resolves.toBe(false);
+
+    process.env.ADMIN_USERNAMES = 'marco, anna';
+    try {
+      await expect(isAdmin({ id: 1, username: 'giulia' })).resolves.toBe(false);
+      await expect(isAdmin({ id: 2, username: 'anna' })).resolves.toBe(true);
+    } finally {
+      delete process.env.ADMIN_USERNAMES;
+    }
+  });
+});
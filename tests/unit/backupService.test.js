@@ -0,0 +1,146 @@
+// tests/unit/backupService.test.js
+import { describe, test, expect } from '@jest/globals';
+import {
+  BACKUP_FORMAT,
+  BACKUP_SCHEMA_VERSION,
+  parseBundle,
+  planImport,
+  summarizePlan,
+} from '../../src/services/backupService.js';
+import { ValidationError } from '../../src/utils/errors.js';
+
+const macros = {
+  breakfastProtein: 30, breakfastCarbs: 50, breakfastFat: 15,
+  lunchProtein: 40, lunchCarbs: 60, lunchFat: 20,
+  snackProtein: 15, snackCarbs: 30, snackFat: 10,
+  dinnerProtein: 35, dinnerCarbs: 45, dinnerFat: 18,
+};
+
+const bundle = (overrides = {}) => ({
+  format: BACKUP_FORMAT,
+  schemaVersion: BACKUP_SCHEMA_VERSION,
+  exportedAt: '2025-11-20T10:00:00.000Z',
+  users: [{ id: 1, username: 'giulia' }, { id: 2, username: 'marco' }],
+  macroProfiles: [
+    { id: 10, userId: 1, ...macros, version: 1, createdAt: '2025-11-01T08:00:00.000Z' },
+    { id: 11, userId: 1, ...macros, version: 2, previousVersionId: 10, createdAt: '2025-11-10T08:00:00.000Z' },
+  ],
+  userPreferences: [
+    { id: 5, userId: 1, diets: 'vegetarian', createdAt: '2025-11-01T08:00:00.000Z' },
+    { id: 6, userId: 2, createdAt: '2025-11-02T08:00:00.000Z' },
+  ],
+  weeklyIntents: [{ id: 20, userId: 1, weekStart: '2025-11-17', goal: 'normal', createdAt: '2025-11-15T08:00:00.000Z' }],
+  recipes: [
+    { id: 100, source: 'edamam', externalId: 'abc', title: 'Lentil soup', createdAt: '2025-10-01T08:00:00.000Z' },
+    { id: 101, source: 'manual', title: '  Overnight  Oats', createdAt: '2025-10-02T08:00:00.000Z' },
+    { id: 102, source: 'manual', title: 'Chickpea salad', createdAt: '2025-10-03T08:00:00.000Z',
+      recipeIngredients: [{ position: 0, raw: '200g chickpeas', quantity: 200, unit: 'g', name: 'chickpea' }] },
+  ],
+  mealPlans: [{
+    id: 30,
+    userId: 1,
+    weekStart: '2025-11-17',
+    weekEnd: '2025-11-23',
+    goal: 'normal',
+    weeklyIntentId: 20,
+    macroProfileId: 11,
+    createdAt: '2025-11-16T08:00:00.000Z',
+    meals: [
+      { id: 300, recipeId: 100, date: '2025-11-17', type: 'lunch', protein: 40, carbs: 60, fat: 20, createdAt: '2025-11-16T08:00:00.000Z' },
+      { id: 301, recipeId: 999, date: '2025-11-17', type: 'dinner', protein: 35, carbs: 45, fat: 18, createdAt: '2025-11-16T08:00:00.000Z' },
+    ],
+  }],
+  ...overrides,
+});
+
+const emptyDatabase = {
+  users: [{ id: 7, username: 'giulia' }],
+  recipes: [],
+  macroProfiles: [],
+  userPreferences: [],
+  weeklyIntents: [],
+  mealPlans: [],
+};
+
+describe('Backup Service', () => {
+  test('should validate format and schema version before the records', () => {
+    expect(() => parseBundle({ format: 'other', schemaVersion: 1 })).toThrow(ValidationError);
+
+    try {
+      parseBundle(bundle({ schemaVersion: BACKUP_SCHEMA_VERSION + 1 }));
+      throw new Error('expected a ValidationError');
+    } catch (error) {
+      expect(error.message).toBe(`Unsupported backup schemaVersion ${BACKUP_SCHEMA_VERSION + 1}`);
+      expect(error.supportedVersions).toEqual([BACKUP_SCHEMA_VERSION]);
+    }
+
+    const parsed = parseBundle(bundle());
+    expect(parsed.macroProfiles[0].createdAt).toBeInstanceOf(Date);
+    expect(parsed.macroProfiles[0].previousVersionId).toBeNull();
+    expect(parsed.recipes[0].recipeIngredients).toEqual([]);
+  });
+
+  test('should map users by username and assign unknown ones to the importing user', () => {
+    const plan = planImport(parseBundle(bundle()), emptyDatabase, { mode: 'merge', userId: 3 });
+
+    expect(plan.users).toEqual([
+      { id: 1, username: 'giulia', userId: 7, matched: true },
+      { id: 2, username: 'marco', userId: 3, matched: false },
+    ]);
+    expect(plan.macroProfiles.map((p) => p.userId)).toEqual([7, 7]);
+    expect(plan.userPreferences.map((p) => [p.userId, p.action])).toEqual([[7, 'create'], [3, 'create']]);
+    expect(plan.warnings).toContain('User "marco" does not exist here: their data is assigned to the importing user');
+    expect(plan.warnings).toContain('Meal 301 references missing recipe 999: recipe dropped');
+  });
+
+  test('should report recipe conflicts on source+externalId and title when merging', () => {
+    const existing = {
+      ...emptyDatabase,
+      recipes: [
+        { id: 1, source: 'edamam', externalId: 'abc', title: 'Lentil soup (Edamam)', deletedAt: null },
+        { id: 2, source: 'manual', externalId: null, title: 'Overnight oats', deletedAt: null },
+      ],
+    };
+    const plan = planImport(parseBundle(bundle()), existing, { mode: 'merge', userId: 7 });
+
+    expect(plan.recipes.map((r) => [r.record.id, r.action, r.existingId])).toEqual([
+      [100, 'reuse', 1],
+      [101, 'reuse', 2],
+      [102, 'create', undefined],
+    ]);
+    expect(plan.conflicts).toEqual([
+      { type: 'recipe', id: 100, title: 'Lentil soup', match: 'source', existingId: 1, resolution: 'reuse' },
+      { type: 'recipe', id: 101, title: '  Overnight  Oats', match: 'title', existingId: 2, resolution: 'reuse' },
+    ]);
+  });
+
+  test('should skip records imported before and keep existing preferences when merging', () => {
+    const existing = {
+      ...emptyDatabase,
+      users: [{ id: 7, username: 'giulia' }, { id: 8, username: 'marco' }],
+      macroProfiles: [{ id: 50, userId: 7, createdAt: new Date('2025-11-01T08:00:00.000Z') }],
+      userPreferences: [{ id: 60, userId: 8 }],
+      mealPlans: [{ id: 70, userId: 8, createdAt: new Date('2025-11-16T08:00:00.000Z') }],
+    };
+    const plan = planImport(parseBundle(bundle()), existing, { mode: 'merge', userId: 7 });
+    const summary = summarizePlan(plan);
+
+    expect(summary.macroProfiles).toEqual({ skip: 1, create: 1 });
+    // Stesso createdAt ma di un altro utente: non è lo stesso piano
+    expect(summary.mealPlans).toEqual({ create: 1 });
+    expect(summary.meals).toBe(2);
+    expect(summary.userPreferences).toEqual({ create: 1, skip: 1 });
+    expect(plan.conflicts).toContainEqual({ type: 'userPreferences', id: 6, match: 'userId', existingId: 60, resolution: 'keep_existing' });
+  });
+
+  test('should create everything in replace mode', () => {
+    const plan = planImport(parseBundle(bundle()), { ...emptyDatabase, users: [] }, { mode: 'replace', userId: 7 });
+    const summary = summarizePlan(plan, { recipes: 4 });
+
+    expect(plan.conflicts).toEqual([]);
+    expect(summary.recipes).toEqual({ create: 3 });
+    // Entrambi gli utenti del bundle finiscono su chi importa: vale la prima preferenza
+    expect(summary.userPreferences).toEqual({ create: 1, skip: 1 });
+    expect(summary.deleted).toEqual({ recipes: 4 });
+  });
+});
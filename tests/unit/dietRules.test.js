@@ -0,0 +1,73 @@
+// tests/unit/dietRules.test.js
+import { describe, test, expect } from '@jest/globals';
+import {
+  buildDietRules,
+  checkIngredients,
+  checkRecipe,
+  describeRulesForPrompt,
+  DietPreferencesSchema,
+} from '../../src/services/dietRules.js';
+
+const messages = (violations) => violations.map((v) => v.message);
+
+describe('Diet Rules', () => {
+  test('should match whole words and honour category exceptions', () => {
+    const rules = buildDietRules({ excludedIngredients: 'nuts, lactose' });
+    const violations = checkIngredients(
+      ['1 tsp nutmeg', '200ml coconut milk', '30g walnuts', '150ml lactose-free milk', '100g ricotta'],
+      rules
+    );
+
+    expect(violations.map((v) => v.ingredient)).toEqual(['30g walnuts', '100g ricotta']);
+    expect(violations[0]).toMatchObject({ rule: 'exclusion:nut', matched: 'walnut', category: 'tree nuts' });
+  });
+
+  test('should resolve categories and synonyms from exclusions', () => {
+    const rules = buildDietRules({ excludedIngredients: 'pork, shrimp' });
+
+    expect(messages(checkIngredients(['100g bacon', '200g prawns', '150g chicken breast'], rules))).toEqual([
+      'Excluded ingredient "pork": "100g bacon" contains bacon (pork)',
+      'Excluded ingredient "shrimp": "200g prawns" contains prawn',
+    ]);
+  });
+
+  test('should explain named diets rule by rule', () => {
+    const rules = buildDietRules({ diets: 'vegetarian,gluten_free' });
+    const violations = checkRecipe(
+      { ingredients: '100g salmon, 80g penne, 2 slices bread (gluten-free), 2 eggs' },
+      rules
+    );
+
+    expect(violations.map((v) => v.rule)).toEqual(['diet:vegetarian:fish', 'diet:gluten_free:gluten']);
+    expect(violations[1].message).toBe('Gluten-free diet (no gluten): "80g penne" contains penne (gluten)');
+    expect(checkIngredients(['2 eggs', '100g tofu'], buildDietRules({ diets: 'vegan' }))).toHaveLength(1);
+  });
+
+  test('should apply custom categories and aliases', () => {
+    const rules = buildDietRules({
+      excludedIngredients: 'nightshade, maiale',
+      customRules: {
+        categories: { nightshade: ['tomato', 'eggplant'], pork: ['nduja sausage'] },
+        aliases: { pomodoro: 'tomato' },
+      },
+    });
+
+    expect(checkIngredients(['1 pomodoro', '1 aubergine', '100g zucchini', '2 tbsp guanciale'], rules).map((v) => v.matched))
+      .toEqual(['pomodoro', 'aubergine', 'guanciale']);
+  });
+
+  test('should describe diets and exclusions for the AI prompt', () => {
+    const description = describeRulesForPrompt(buildDietRules({ diets: 'pescatarian', excludedIngredients: 'shrimp, cilantro' }));
+
+    expect(description.diets).toBe('Pescatarian (no meat, gelatin)');
+    expect(description.exclusions).toBe('shrimp (including prawn); cilantro (including coriander)');
+    expect(describeRulesForPrompt([])).toEqual({ diets: 'none', exclusions: 'none' });
+  });
+
+  test('should validate diets and custom rules in preferences', () => {
+    expect(DietPreferencesSchema.parse({ diets: ['Gluten-Free', 'vegan'], cookingEffort: 'easy' }))
+      .toEqual({ diets: 'gluten_free,vegan', cookingEffort: 'easy' });
+    expect(DietPreferencesSchema.safeParse({ diets: 'keto' }).success).toBe(false);
+    expect(DietPreferencesSchema.safeParse({ customRules: { categories: { nightshade: [] } } }).success).toBe(false);
+  });
+});
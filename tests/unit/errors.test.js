@@ -0,0 +1,118 @@
+// tests/unit/errors.test.js
+import { describe, test, expect } from '@jest/globals';
+import { z } from 'zod';
+import {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  UpstreamError,
+  toAppError,
+} from '../../src/utils/errors.js';
+import { validate } from '../../src/middleware/validate.js';
+import { sendError } from '../../src/middleware/errorHandler.js';
+import { IdParamsSchema, CreateMealSchema, CheckInSchema } from '../../src/validation/schemas.js';
+
+// Risposta Express minima: registra status e body
+const fakeResponse = () => {
+  const res = { statusCode: 200, body: undefined };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+const runValidate = (schemas, req) => {
+  const res = fakeResponse();
+  let called = false;
+  validate(schemas)(req, res, () => {
+    called = true;
+  });
+  return { res, called };
+};
+
+describe('Application errors', () => {
+  test('should map errors to status codes and response bodies', () => {
+    expect(new NotFoundError('Meal plan not found').statusCode).toBe(404);
+
+    const conflict = new ConflictError('A locked meal plan already covers this week', { mealPlanId: 3 });
+    expect(conflict.statusCode).toBe(409);
+    expect(conflict.mealPlanId).toBe(3);
+    expect(conflict.toResponse()).toEqual({ error: 'A locked meal plan already covers this week', mealPlanId: 3 });
+
+    const limited = new UpstreamError('AI service temporarily unavailable due to rate limits', { retryAfter: 60, retryable: true });
+    expect(limited.statusCode).toBe(503);
+    expect(limited.retryable).toBe(true);
+    expect(limited.toResponse()).toEqual({ error: 'AI service temporarily unavailable due to rate limits', retryAfter: 60 });
+    expect(new UpstreamError('AI returned an invalid meal').statusCode).toBe(502);
+  });
+
+  test('should convert zod and body parser errors, and leave unexpected ones to 500', () => {
+    const zodError = z.object({ id: z.number() }).safeParse({}).error;
+    const fromZod = toAppError(zodError);
+    expect(fromZod).toBeInstanceOf(ValidationError);
+    expect(fromZod.details[0].path).toEqual(['id']);
+
+    expect(toAppError(Object.assign(new SyntaxError('Unexpected token'), { type: 'entity.parse.failed' })).toResponse())
+      .toEqual({ error: 'Malformed JSON body' });
+    expect(toAppError(new Error('boom'))).toBeNull();
+  });
+
+  test('should not leak unexpected error messages', () => {
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+      const res = sendError(fakeResponse(), new Error('connection refused'), 'Failed to fetch meal plan');
+      expect(res.statusCode).toBe(500);
+      expect(res.body).toEqual({ error: 'Failed to fetch meal plan' });
+    } finally {
+      console.error = originalError;
+    }
+  });
+});
+
+describe('validate middleware', () => {
+  test('should replace request parts with the parsed values', () => {
+    const req = { params: { id: '12' }, body: {} };
+    const { called } = runValidate({ params: IdParamsSchema, body: CheckInSchema }, req);
+
+    expect(called).toBe(true);
+    expect(req.params.id).toBe(12);
+    expect(req.body.apply).toBe(false);
+  });
+
+  test('should answer 400 with details without calling the route', () => {
+    const req = {
+      params: { id: 'abc' },
+      body: { date: '2025-01-06', type: 'brunch', protein: 30, carbs: 40, fat: 10 },
+    };
+
+    const params = runValidate({ params: IdParamsSchema }, req);
+    expect(params.called).toBe(false);
+    expect(params.res.statusCode).toBe(400);
+    expect(params.res.body.error).toBe('Invalid path parameters');
+    expect(params.res.body.details[0].path).toEqual(['id']);
+
+    const body = runValidate({ body: CreateMealSchema }, req);
+    expect(body.called).toBe(false);
+    expect(body.res.body.error).toBe('Invalid request data');
+    expect(body.res.body.details[0].path).toEqual(['type']);
+  });
+
+  test('should refuse a meal portion without a recipe', () => {
+    const meal = { date: '2025-01-06', type: 'lunch', protein: 30, carbs: 40, fat: 10, portion: 1.5 };
+
+    const missing = runValidate({ body: CreateMealSchema }, { body: meal });
+    expect(missing.called).toBe(false);
+    expect(missing.res.statusCode).toBe(400);
+    expect(missing.res.body.details[0]).toMatchObject({ path: ['portion'], message: 'portion requires a recipeId' });
+
+    expect(runValidate({ body: CreateMealSchema }, { body: { ...meal, recipeId: null } }).called).toBe(false);
+    expect(runValidate({ body: CreateMealSchema }, { body: { ...meal, recipeId: 4 } }).called).toBe(true);
+    expect(runValidate({ body: CreateMealSchema }, { body: { ...meal, portion: undefined } }).called).toBe(true);
+  });
+});
@@ -0,0 +1,144 @@
+// tests/unit/exportService.test.js
+import { describe, test, expect } from '@jest/globals';
+import {
+  DEFAULT_MEAL_TIMES,
+  resolveMealTimes,
+  mealStartMinutes,
+  buildIcs,
+  buildCsv,
+  buildHtml,
+  calendarRange,
+  selectCalendarPlans,
+} from '../../src/services/exportService.js';
+import { formatCsvLine, parseCsvLine } from '../../src/utils/csv.js';
+
+const day = (n) => new Date(2025, 0, 6 + n); // lunedì 6 gennaio 2025
+
+const meal = (overrides) => ({
+  id: 1,
+  date: day(0),
+  type: 'lunch',
+  slot: null,
+  protein: 40,
+  carbs: 60,
+  fat: 20,
+  calories: null,
+  portion: 1,
+  recipeId: null,
+  recipe: null,
+  actualProtein: null,
+  actualCarbs: null,
+  actualFat: null,
+  actualCalories: null,
+  ...overrides,
+});
+
+const plan = (overrides) => ({
+  id: 3,
+  weekStart: day(0),
+  weekEnd: day(6),
+  goal: 'cut',
+  locked: false,
+  createdAt: new Date(2025, 0, 1),
+  meals: [],
+  ...overrides,
+});
+
+const hhmm = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+describe('Export Service', () => {
+  test('should place meals at the configured times, snacks between main meals', () => {
+    const types = ['breakfast', 'snack', 'lunch', 'snack', 'dinner', 'snack'];
+    const dayMeals = types.map((type) => ({ type }));
+
+    expect(mealStartMinutes(dayMeals).map(hhmm)).toEqual(['08:00', '10:30', '13:00', '16:30', '20:00', '22:00']);
+
+    const mealTimes = resolveMealTimes({ lunch: '12:00' }, { snack: '15:00', duration: 45 });
+    expect(mealTimes).toEqual({ ...DEFAULT_MEAL_TIMES, lunch: '12:00', snack: '15:00', duration: 45 });
+    expect(mealStartMinutes(dayMeals.slice(0, 4), mealTimes).map(hhmm)).toEqual(['08:00', '10:00', '12:00', '15:00']);
+  });
+
+  test('should build one iCalendar event per meal with escaped and folded text', () => {
+    const recipe = { title: 'Pasta, tomato; basil', sourceUrl: null };
+    const ics = buildIcs(
+      [plan({
+        meals: [
+          meal({ id: 7, recipeId: 2, recipe, portion: 1.5, actualProtein: 41, actualCarbs: 62, actualFat: 19, actualCalories: 583 }),
+          meal({ id: 8, type: 'breakfast', recipe: { title: 'Porridge '.repeat(12).trim() }, recipeId: 3 }),
+        ],
+      })],
+      { now: new Date(Date.UTC(2025, 0, 5, 9, 0, 0)) }
+    );
+    const lines = ics.split('\r\n');
+    const unfolded = ics.replace(/\r\n /g, '');
+
+    expect(lines[0]).toBe('BEGIN:VCALENDAR');
+    expect(lines.filter((line) => line === 'BEGIN:VEVENT')).toHaveLength(2);
+    expect(lines.every((line) => Buffer.byteLength(line) <= 75)).toBe(true);
+
+    // La colazione viene prima del pranzo, agli orari predefiniti
+    expect(lines.indexOf('UID:meal-8@dietcoach')).toBeLessThan(lines.indexOf('UID:meal-7@dietcoach'));
+    expect(ics).toContain('DTSTART:20250106T130000\r\nDTEND:20250106T133000');
+    expect(unfolded).toContain('SUMMARY:Lunch: Pasta\\, tomato\\; basil');
+    expect(unfolded).toContain('DESCRIPTION:Protein 41 g · Carbs 62 g · Fat 19 g · 583 kcal\\nPortion: 1.5 serving(s)');
+    expect(ics).toContain('DTSTAMP:20250105T090000Z');
+  });
+
+  test('should export one CSV row per meal in day order', () => {
+    const csv = buildCsv(plan({
+      meals: [
+        meal({ id: 2, date: day(1), type: 'dinner' }),
+        meal({ id: 1, recipeId: 4, recipe: { title: 'Oats "overnight", berries' }, actualProtein: 28.44, actualCarbs: 51, actualFat: 14, actualCalories: 444 }),
+      ],
+    }));
+    const rows = csv.trim().split('\r\n').map((line) => parseCsvLine(line));
+
+    expect(rows[0][0]).toBe('mealId');
+    expect(rows[1]).toEqual(['1', '2025-01-06', 'lunch', '', '4', 'Oats "overnight", berries', '1', '28.4', '51', '14', '444', '40', '60', '20', '']);
+    expect(rows[2].slice(0, 3)).toEqual(['2', '2025-01-07', 'dinner']);
+    expect(rows[2][10]).toBe('580'); // senza ricetta: calorie dei target
+  });
+
+  test('should neutralise CSV cells that spreadsheets would run as formulas', () => {
+    const csv = buildCsv(plan({
+      meals: [
+        meal({ id: 1, recipeId: 4, recipe: { title: '=HYPERLINK("http://evil.example","Oats")' } }),
+        meal({ id: 2, date: day(1), recipeId: 5, recipe: { title: '@SUM(A1:A2)' } }),
+        meal({ id: 3, date: day(2), recipeId: 6, recipe: { title: '-2+3' } }),
+      ],
+    }));
+    const rows = csv.trim().split('\r\n').map((line) => parseCsvLine(line));
+
+    expect(rows.slice(1).map((row) => row[5])).toEqual(["'=HYPERLINK(\"http://evil.example\",\"Oats\")", "'@SUM(A1:A2)", "'-2+3"]);
+    expect(formatCsvLine(['+39 333', -5, 'Oats'])).toBe("'+39 333,-5,Oats");
+  });
+
+  test('should render a printable grid with escaped titles and daily totals', () => {
+    const html = buildHtml(plan({
+      meals: [
+        meal({ id: 1, type: 'breakfast', protein: 30, carbs: 50, fat: 15, calories: 455 }),
+        meal({ id: 2, recipeId: 5, recipe: { title: 'Fish & <chips>' } }),
+      ],
+    }));
+
+    expect(html).toContain('Fish &amp; &lt;chips&gt;');
+    expect(html).toContain('<tfoot><tr><th class="meal">Total</th><td>P 70 · C 110 · F 35 g<br>1035 kcal</td>');
+    expect(html.match(/<th>[^<]+<\/th>/g)).toHaveLength(7);
+  });
+
+  test('should serve the current and next week, one plan per day', () => {
+    const range = calendarRange(new Date(2025, 0, 8, 18, 30)); // mercoledì
+    expect(range.from).toEqual(day(0));
+    expect(range.to).toEqual(day(13));
+
+    const older = plan({ id: 1, meals: [meal({ id: 10 }), meal({ id: 11, date: day(5) })] });
+    const locked = plan({ id: 2, locked: true, weekStart: day(4), weekEnd: day(10), createdAt: new Date(2024, 11, 1), meals: [meal({ id: 20, date: day(5) })] });
+    const nextWeek = plan({ id: 3, weekStart: day(14), weekEnd: day(20), meals: [meal({ id: 30, date: day(14) })] });
+
+    const selected = selectCalendarPlans([older, locked, nextWeek], range);
+
+    // Il piano bloccato vince sui giorni che copre; quello oltre l'intervallo sparisce
+    expect(selected.map((p) => p.id)).toEqual([2, 1]);
+    expect(selected.flatMap((p) => p.meals.map((m) => m.id))).toEqual([20, 10]);
+  });
+});
@@ -0,0 +1,132 @@
+// tests/unit/foodComposition.test.js
+import { describe, test, expect } from '@jest/globals';
+import {
+  parseNutrientValue,
+  foodsFromCiqual,
+  foodsFromUsda,
+  matchFood,
+  ingredientGrams,
+  calculateNutrition,
+  macroDeviation,
+} from '../../src/services/foodComposition.js';
+import { detectDelimiter, parseCsvLine, toRecord } from '../../src/utils/csv.js';
+import { buildRecipeIngredients } from '../../src/services/ingredientService.js';
+import { importFoods } from '../../src/services/nutritionService.js';
+import prisma from '../../src/db/prismaClient.js';
+
+const food = (name, values, micronutrients = null) => ({ source: 'usda', name, ...values, micronutrients });
+
+const FOODS = [
+  food('Chicken, broilers or fryers, breast, meat only, raw', { calories: 120, protein: 22.5, carbs: 0, fat: 2.6 }, { iron: 0.4 }),
+  food('Chicken breast, roll, oven-roasted', { calories: 134, protein: 14.6, carbs: 1.8, fat: 7.7 }),
+  food('Oil, olive, salad or cooking', { calories: 884, protein: 0, carbs: 0, fat: 100 }),
+  food('Rice, white, long-grain, regular, raw, enriched', { calories: 365, protein: 7.1, carbs: 80, fat: 0.7 }, { iron: 4.3 }),
+  food('Spinach, raw', { calories: 23, protein: 2.9, carbs: 3.6, fat: 0.4 }, { iron: 2.7, fiber: 2.2 }),
+];
+
+describe('Food Composition', () => {
+  test('should read CIQUAL rows with French decimals and traces', () => {
+    const header = 'alim_code;alim_nom_eng;alim_grp_nom_eng;Energy, Regulation EU No 1169/2011 (kcal/100g);Protein (g/100g);Carbohydrate (g/100g);Fat (g/100g);Iron (mg/100g);Vitamin D (µg/100g)';
+    const delimiter = detectDelimiter(header);
+    const columns = parseCsvLine(header, delimiter);
+    const records = [
+      '20018;"Spinach, raw";vegetables;28,5;2,58;1,4;0,53;2,14;traces',
+      '99999;"No data";other;-;-;-;-;-;-',
+    ].map((line) => toRecord(columns, parseCsvLine(line, delimiter)));
+
+    expect(delimiter).toBe(';');
+    expect(foodsFromCiqual(records)).toEqual([{
+      source: 'ciqual',
+      externalId: '20018',
+      name: 'Spinach, raw',
+      foodGroup: 'vegetables',
+      calories: 28.5,
+      protein: 2.58,
+      carbs: 1.4,
+      fat: 0.53,
+      micronutrients: { iron: 2.14, vitaminD: 0 },
+    }]);
+    expect(parseNutrientValue('< 0,5')).toBe(0);
+  });
+
+  test('should join USDA foods with their nutrients', () => {
+    const foods = [
+      { fdc_id: '1', data_type: 'sr_legacy_food', description: 'Lentils, raw' },
+      { fdc_id: '2', data_type: 'branded_food', description: 'LENTIL CHIPS' },
+    ];
+    const nutrients = [
+      { fdc_id: '1', nutrient_id: '1008', amount: '352' },
+      { fdc_id: '1', nutrient_id: '1003', amount: '24.6' },
+      { fdc_id: '1', nutrient_id: '1177', amount: '479' },
+      { fdc_id: '1', nutrient_id: '1051', amount: '8.3' },
+      { fdc_id: '2', nutrient_id: '1008', amount: '500' },
+    ];
+
+    const [lentils, ...rest] = foodsFromUsda(foods, nutrients);
+    expect(rest).toEqual([]);
+    expect(lentils).toMatchObject({ externalId: '1', name: 'Lentils, raw', calories: 352, protein: 24.6, carbs: null });
+    expect(lentils.micronutrients).toEqual({ folate: 479 });
+  });
+
+  test('should import foods in batches, creating new ones in bulk', async () => {
+    const writes = [];
+    Object.defineProperty(prisma, 'food', {
+      configurable: true,
+      value: {
+        findMany: async ({ where }) => where.OR.flatMap(({ source, externalId }) =>
+          externalId.in.filter((id) => id === '1').map((id) => ({ source, externalId: id }))),
+        createMany: (args) => ({ createMany: args }),
+        update: (args) => ({ update: args }),
+      },
+    });
+    Object.defineProperty(prisma, '$transaction', { configurable: true, value: async (operations) => writes.push(operations) });
+
+    const foods = Array.from({ length: 501 }, (_, i) => ({ ...food(`Food ${i}`, { calories: 100 }), externalId: String(i) }));
+    expect(await importFoods(foods)).toEqual({ created: 500, updated: 1 });
+
+    // 500 alimenti per transazione: il blocco 1 crea 499 alimenti e aggiorna "1"
+    expect(writes).toHaveLength(2);
+    expect(writes[0][0].createMany.data).toHaveLength(499);
+    expect(writes[0][1].update.where).toEqual({ source_externalId: { source: 'usda', externalId: '1' } });
+    expect(writes[1]).toHaveLength(1);
+
+    expect(await importFoods(foods, { dryRun: true })).toEqual({ created: 500, updated: 1 });
+    expect(writes).toHaveLength(2);
+  });
+
+  test('should match ingredients to the closest raw food', () => {
+    expect(matchFood('chicken breast', FOODS).name).toBe('Chicken, broilers or fryers, breast, meat only, raw');
+    expect(matchFood('olive oil', FOODS).name).toBe('Oil, olive, salad or cooking');
+    expect(matchFood('baby spinach', FOODS).name).toBe('Spinach, raw');
+    expect(matchFood('quinoa', FOODS)).toBeNull();
+  });
+
+  test('should convert pieces and volumes to grams, telling green beans from beans', () => {
+    const [eggs, beans, greenBeans, pepper, fillet] = buildRecipeIngredients(['2 eggs', '250ml cannellini beans', '250ml green beans', '1 tsp black pepper', '1 fillet tofu']);
+
+    expect(ingredientGrams(eggs)).toBe(100);
+    expect(ingredientGrams(beans)).toBe(175);
+    expect(ingredientGrams(greenBeans)).toBe(112.5);
+    // Volume di un alimento sconosciuto: pesa come l'acqua
+    expect(ingredientGrams(pepper)).toBe(5);
+    expect(ingredientGrams(fillet)).toBeNull();
+  });
+
+  test('should compute per-serving nutrition and coverage from ingredient lines', () => {
+    const items = buildRecipeIngredients(['300g chicken breast', '160g rice', '1 tbsp olive oil', '100g spinach', '1 tsp paprika', 'salt to taste']);
+    const nutrition = calculateNutrition(items, (item) => matchFood(item.name, FOODS), { servings: 2 });
+
+    // (300*22.5 + 160*7.1 + 100*2.9) / 100 / 2
+    expect(nutrition.perServing.protein).toBe(40.9);
+    // olio: 15 ml * 0.92 g/ml
+    expect(nutrition.lines.find((l) => l.raw === '1 tbsp olive oil').grams).toBe(13.8);
+    expect(nutrition.micronutrients.iron).toBe(5.4);
+    expect(nutrition.coverage).toBe(0.8);
+    expect(nutrition.unmatched).toEqual([{ raw: '1 tsp paprika', reason: 'unknown food' }]);
+  });
+
+  test('should measure how far stated macros are from computed ones', () => {
+    expect(macroDeviation({ protein: 40, carbs: 60, fat: 10 }, { protein: 40, carbs: 50, fat: 10 })).toBeCloseTo(0.2);
+    expect(macroDeviation({ protein: 30, carbs: 2, fat: 10 }, { protein: 30, carbs: 0, fat: 10 })).toBeCloseTo(0.4);
+  });
+});
@@ -0,0 +1,44 @@
+// tests/unit/foodLogService.test.js
+import { describe, test, expect } from '@jest/globals';
+import { computeAdherence, dayKey } from '../../src/services/foodLogService.js';
+
+const day1 = new Date(2025, 10, 17);
+const day2 = new Date(2025, 10, 18);
+
+const meals = [
+  { id: 1, date: day1, type: 'breakfast', protein: 30, carbs: 50, fat: 15, calories: 455 },
+  { id: 2, date: day1, type: 'dinner', protein: 40, carbs: 60, fat: 20, calories: 580 },
+  { id: 3, date: day2, type: 'breakfast', protein: 30, carbs: 50, fat: 15, calories: 455 },
+];
+
+describe('Food Log Service', () => {
+  test('should compare logged macros to targets per day and meal type', () => {
+    const entries = [
+      { mealId: 1, date: day1, type: 'breakfast', status: 'eaten', protein: 30, carbs: 50, fat: 15, calories: 455 },
+      { mealId: 2, date: day1, type: 'dinner', status: 'skipped', protein: 0, carbs: 0, fat: 0, calories: 0 },
+      { mealId: null, date: day1, type: 'snack', status: 'adhoc', protein: 10, carbs: 20, fat: 5, calories: 165 },
+    ];
+
+    const report = computeAdherence(meals, entries);
+    const first = report.days.find((d) => d.date === dayKey(day1));
+
+    expect(first.planned.protein).toBe(70);
+    expect(first.logged.protein).toBe(40);
+    expect(first.delta.protein).toBe(-30);
+    expect(first.byMealType.breakfast.percentOfTarget.protein).toBe(100);
+    expect(first.byMealType.dinner.logged.calories).toBe(0);
+    expect(first.byMealType.snack.percentOfTarget.protein).toBeNull();
+
+    expect(report.meals).toEqual({ eaten: 1, skipped: 1, substituted: 0, unlogged: 1, total: 3 });
+    expect(report.adhocEntries).toBe(1);
+  });
+
+  test('should report unlogged days with zero intake', () => {
+    const report = computeAdherence(meals, []);
+    const second = report.days.find((d) => d.date === dayKey(day2));
+
+    expect(second.logged.protein).toBe(0);
+    expect(second.percentOfTarget.protein).toBe(0);
+    expect(report.totals.planned.calories).toBe(1490);
+  });
+});
@@ -0,0 +1,81 @@
+// tests/unit/ingredientParser.test.js
+import { describe, test, expect } from '@jest/globals';
+import {
+  parseIngredientLine,
+  splitIngredientList,
+  scaleIngredientLine,
+  normalizeItemName,
+} from '../../src/utils/ingredientParser.js';
+
+describe('Ingredient Parser', () => {
+  test('should parse grams attached to the quantity', () => {
+    const parsed = parseIngredientLine('200g chicken breast');
+    expect(parsed.quantity).toBe(200);
+    expect(parsed.unit).toBe('g');
+    expect(parsed.item).toBe('chicken breast');
+  });
+
+  test('should convert kilograms and spoons to canonical units', () => {
+    expect(parseIngredientLine('1,5 kg potatoes')).toMatchObject({ quantity: 1500, unit: 'g', item: 'potato' });
+    expect(parseIngredientLine('2 tbsp olive oil')).toMatchObject({ quantity: 30, unit: 'ml', item: 'olive oil' });
+  });
+
+  test('should parse fractions and count units', () => {
+    expect(parseIngredientLine('1 1/2 cups milk')).toMatchObject({ quantity: 360, unit: 'ml', item: 'milk' });
+    expect(parseIngredientLine('½ cup rice')).toMatchObject({ quantity: 120, unit: 'ml' });
+    expect(parseIngredientLine('3 cloves garlic, minced')).toMatchObject({
+      quantity: 3,
+      unit: 'clove',
+      item: 'garlic',
+      note: 'minced',
+    });
+  });
+
+  test('should parse unitless counts without mistaking words for units', () => {
+    expect(parseIngredientLine('2 large eggs')).toMatchObject({ quantity: 2, unit: null, item: 'egg' });
+    expect(parseIngredientLine('1 lemon')).toMatchObject({ quantity: 1, unit: null, item: 'lemon' });
+  });
+
+  test('should use the package size in brackets instead of the container count', () => {
+    expect(parseIngredientLine('1 (14 oz) can tomatoes')).toMatchObject({ quantity: 396.9, unit: 'g', dimension: 'mass', item: 'tomato' });
+    expect(parseIngredientLine('2 cans (400g) chickpeas, drained')).toMatchObject({ quantity: 800, unit: 'g', item: 'chickpea', note: 'drained' });
+    expect(parseIngredientLine('200g (1 cup) rice')).toMatchObject({ quantity: 200, unit: 'g', item: 'rice' });
+  });
+
+  test('should read quantities after the name or after the part used', () => {
+    expect(parseIngredientLine('Greek yogurt 150g')).toMatchObject({ quantity: 150, unit: 'g', item: 'greek yogurt', raw: 'Greek yogurt 150g' });
+    expect(parseIngredientLine('eggs 2')).toMatchObject({ quantity: 2, unit: null, item: 'egg' });
+    expect(parseIngredientLine('juice of 1 lemon')).toMatchObject({ quantity: 1, unit: null, item: 'lemon', note: 'juice' });
+    expect(parseIngredientLine('zest of 2 oranges, finely grated')).toMatchObject({ quantity: 2, item: 'orange', note: 'zest, finely grated' });
+    expect(parseIngredientLine('tomatoes 2 pots')).toBeNull();
+  });
+
+  test('should keep "to taste" items without a quantity', () => {
+    expect(parseIngredientLine('salt to taste')).toMatchObject({ quantity: null, item: 'salt' });
+  });
+
+  test('should return null for lines without a quantity', () => {
+    expect(parseIngredientLine('a drizzle of something nice')).toBeNull();
+    expect(parseIngredientLine('')).toBeNull();
+  });
+
+  test('should keep descriptor fragments attached when splitting', () => {
+    const lines = splitIngredientList('1 tbsp oil, extra virgin, 200g chicken breast, 1,5 kg potatoes');
+    expect(lines).toEqual(['1 tbsp oil, extra virgin', '200g chicken breast', '1,5 kg potatoes']);
+  });
+
+  test('should normalize plurals and size adjectives', () => {
+    expect(normalizeItemName('Large Tomatoes')).toBe('tomato');
+    expect(normalizeItemName('cherries')).toBe('cherry');
+    expect(normalizeItemName('molasses')).toBe('molasses');
+    expect(normalizeItemName('bay leaves')).toBe('bay leaf');
+    expect(normalizeItemName('cookies')).toBe('cookie');
+    expect(normalizeItemName('glasses')).toBe('glass');
+  });
+
+  test('should scale the leading quantity of a line', () => {
+    expect(scaleIngredientLine('200g chicken breast', 1.3)).toBe('260g chicken breast');
+    expect(scaleIngredientLine('1 1/2 cups milk', 0.5)).toBe('0.75 cups milk');
+    expect(scaleIngredientLine('salt to taste', 2)).toBe('salt to taste');
+  });
+});
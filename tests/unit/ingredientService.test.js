@@ -0,0 +1,71 @@
+// tests/unit/ingredientService.test.js
+import { describe, test, expect } from '@jest/globals';
+import {
+  buildRecipeIngredients,
+  ingredientsFromText,
+  fromEdamamIngredients,
+  recipeIngredientsCreateInput,
+  ensureIngredients,
+  parseExclusions,
+  findExcludedIngredients,
+} from '../../src/services/ingredientService.js';
+
+describe('Ingredient Service', () => {
+  test('should build structured lines without splitting on inner commas', () => {
+    const lines = buildRecipeIngredients(['1 tbsp olive oil, extra virgin', '200g chicken breast', 'a drizzle of honey']);
+
+    expect(lines[0]).toMatchObject({ position: 0, quantity: 15, unit: 'ml', name: 'olive oil', note: 'extra virgin' });
+    expect(lines[1]).toMatchObject({ position: 1, quantity: 200, unit: 'g', name: 'chicken breast' });
+    expect(lines[2]).toMatchObject({ quantity: null, unit: null, raw: 'a drizzle of honey' });
+  });
+
+  test('should parse legacy comma-separated strings', () => {
+    const lines = ingredientsFromText('1 tbsp oil, extra virgin, 2 eggs');
+
+    expect(lines.map((l) => l.name)).toEqual(['oil', 'egg']);
+  });
+
+  test('should map Edamam structured ingredients with food names and weights', () => {
+    const lines = fromEdamamIngredients([
+      { text: '1 cup rolled oats', quantity: 1, measure: 'cup', food: 'rolled oats', weight: 81, foodId: 'food_oats' },
+      { text: 'a handful of blueberries', food: 'blueberries', weight: 70, foodCategory: 'fruit' },
+    ]);
+
+    expect(lines[0]).toMatchObject({ quantity: 240, unit: 'ml', name: 'rolled oat', externalFoodId: 'food_oats' });
+    expect(lines[1]).toMatchObject({ quantity: 70, unit: 'g', name: 'blueberry', foodCategory: 'fruit' });
+  });
+
+  test('should link each line to a canonical ingredient by name', () => {
+    const input = recipeIngredientsCreateInput(buildRecipeIngredients(['2 eggs']));
+
+    expect(input.create[0]).toMatchObject({
+      name: 'egg',
+      ingredient: { connectOrCreate: { where: { name: 'egg' }, create: { name: 'egg' } } },
+    });
+  });
+
+  test('should create missing ingredients once, leaving duplicates to the database', async () => {
+    const calls = [];
+    const client = { ingredient: { createMany: async (args) => calls.push(args) } };
+
+    await ensureIngredients(client, buildRecipeIngredients(['2 eggs', '1 egg yolk', '1 egg']));
+    await ensureIngredients(client, []);
+
+    expect(calls).toEqual([{
+      data: [
+        { name: 'egg', externalFoodId: null, foodCategory: null },
+        { name: 'egg yolk', externalFoodId: null, foodCategory: null },
+      ],
+      skipDuplicates: true,
+    }]);
+  });
+
+  test('should match exclusions on whole words of ingredient names', () => {
+    const exclusions = parseExclusions('Eggs, pork');
+    const lines = ['1 eggplant', '150g pork loin', '100g rice'];
+
+    expect(exclusions).toEqual(['egg', 'pork']);
+    expect(findExcludedIngredients(lines, exclusions)).toEqual([{ ingredient: '150g pork loin', exclusion: 'pork' }]);
+    expect(findExcludedIngredients(['2 eggs'], exclusions)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,61 @@
+// tests/unit/jobService.test.js
+import { describe, test, expect } from '@jest/globals';
+import { workerOptionsFromEnv, retryDelayMs, serializeJob } from '../../src/services/jobService.js';
+import { isRetryableGenerationError } from '../../src/services/aiPlanService.js';
+
+const job = (overrides) => ({
+  id: 7,
+  userId: 1,
+  type: 'mealplan.generate',
+  status: 'queued',
+  payload: { mealsPerDay: 4 },
+  result: null,
+  progress: 0,
+  progressMessage: null,
+  attempts: 0,
+  maxAttempts: 3,
+  errors: [],
+  runAt: new Date(2025, 10, 17, 10, 0, 10),
+  lockedBy: 'pi:42',
+  lockedAt: null,
+  startedAt: null,
+  finishedAt: null,
+  createdAt: new Date(2025, 10, 17, 10, 0, 0),
+  ...overrides,
+});
+
+describe('Job Service', () => {
+  test('should read worker options from the environment', () => {
+    expect(workerOptionsFromEnv({})).toEqual({ concurrency: 1, pollIntervalMs: 2000, lockTimeoutMs: 60000 });
+    expect(workerOptionsFromEnv({ JOB_CONCURRENCY: '0', JOB_POLL_INTERVAL_MS: '500' })).toMatchObject({ concurrency: 0, pollIntervalMs: 500 });
+    expect(workerOptionsFromEnv({ JOB_CONCURRENCY: 'two', JOB_LOCK_TIMEOUT_MS: '-1' })).toMatchObject({ concurrency: 1, lockTimeoutMs: 60000 });
+  });
+
+  test('should double the retry delay up to five minutes', () => {
+    expect([1, 2, 3].map(retryDelayMs)).toEqual([5000, 10000, 20000]);
+    expect(retryDelayMs(20)).toBe(300000);
+  });
+
+  test('should expose the last error and the next attempt without lock details', () => {
+    const failedOnce = { attempt: 1, message: 'Diet rule violated in recipe "Tuna salad"', retrying: true };
+
+    const waiting = serializeJob(job({ attempts: 1, errors: [failedOnce] }));
+    expect(waiting).not.toHaveProperty('lockedBy');
+    expect(waiting.error).toBeNull();
+    expect(waiting.nextAttemptAt).toEqual(new Date(2025, 10, 17, 10, 0, 10));
+
+    const failed = serializeJob(job({ status: 'failed', attempts: 3, errors: [failedOnce, { attempt: 3, message: 'Rate limited' }] }));
+    expect(failed.error).toBe('Rate limited');
+    expect(failed.nextAttemptAt).toBeNull();
+  });
+
+  test('should retry diet rule violations and provider failures only', () => {
+    const violation = Object.assign(new Error('Diet rule violated'), { violations: [{ rule: 'exclusion' }] });
+
+    expect(isRetryableGenerationError(violation)).toBe(true);
+    expect(isRetryableGenerationError(Object.assign(new Error('Rate limit'), { status: 429 }))).toBe(true);
+    expect(isRetryableGenerationError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }))).toBe(true);
+    expect(isRetryableGenerationError(new Error('No MacroProfile found'))).toBe(false);
+    expect(isRetryableGenerationError(Object.assign(new Error('Bad request'), { status: 400 }))).toBe(false);
+  });
+});
@@ -0,0 +1,74 @@
+// tests/unit/llmProvider.test.js
+import { describe, test, expect } from '@jest/globals';
+import { loadLLMConfig, createLLMProvider } from '../../src/services/llm/index.js';
+import { parseJSONContent } from '../../src/services/llm/openaiProvider.js';
+
+describe('LLM Provider Layer', () => {
+  test('should default to OpenAI with its own model settings', () => {
+    const config = loadLLMConfig({ OPENAI_API_KEY: 'sk-test', OPENAI_MODEL: 'gpt-4o-mini', OPENAI_TIMEOUT_MS: '45000' });
+
+    expect(config).toMatchObject({
+      provider: 'openai',
+      model: 'gpt-4o-mini',
+      temperature: 0.7,
+      timeoutMs: 45000,
+      jsonMode: true,
+    });
+  });
+
+  test('should configure an OpenAI-compatible local server', () => {
+    const config = loadLLMConfig({
+      LLM_PROVIDER: 'openai-compatible',
+      LLM_BASE_URL: 'http://localhost:11434/v1',
+      LLM_MODEL: 'llama3.1:8b',
+      LLM_TEMPERATURE: '0.2',
+      LLM_JSON_MODE: 'false',
+    });
+
+    expect(config).toMatchObject({
+      provider: 'openai-compatible',
+      baseURL: 'http://localhost:11434/v1',
+      model: 'llama3.1:8b',
+      temperature: 0.2,
+      timeoutMs: 300000,
+      jsonMode: false,
+    });
+    expect(() => loadLLMConfig({ LLM_PROVIDER: 'openai-compatible' })).toThrow('LLM_BASE_URL');
+  });
+
+  test('should reject unknown providers', () => {
+    expect(() => loadLLMConfig({ LLM_PROVIDER: 'magic' })).toThrow('Unknown LLM_PROVIDER');
+  });
+
+  test('fixture provider should return a deterministic 7-day plan', async () => {
+    const provider = createLLMProvider({ provider: 'fixture' });
+    const hints = { mealTypes: ['breakfast', 'lunch', 'dinner'] };
+
+    const first = await provider.completeJSON({ task: 'mealPlan', hints });
+    const second = await provider.completeJSON({ task: 'mealPlan', hints });
+
+    expect(first).toEqual(second);
+    expect(first.days).toHaveLength(7);
+    expect(first.days[0].meals.map((m) => m.mealType)).toEqual(['breakfast', 'lunch', 'dinner']);
+    expect(first.days[0].meals[0].recipe).toEqual(
+      expect.objectContaining({ title: expect.any(String), ingredients: expect.any(Array), fats: expect.any(Number) })
+    );
+  });
+
+  test('fixture provider should avoid used titles and match requested macros', async () => {
+    const provider = createLLMProvider({ provider: 'fixture' });
+    const meal = await provider.completeJSON({
+      task: 'meal',
+      hints: { mealType: 'dinner', macros: { protein: 40, carbs: 50, fat: 20 }, avoidTitles: ['Baked Salmon with Potatoes'] },
+    });
+
+    expect(meal.recipe.title).toBe('Beef and Broccoli Rice Bowl');
+    expect(meal.recipe).toMatchObject({ protein: 40, carbs: 50, fats: 20, calories: 540 });
+  });
+
+  test('should extract JSON wrapped in markdown by local models', () => {
+    expect(parseJSONContent('{"days": []}')).toEqual({ days: [] });
+    expect(parseJSONContent('Here you go:\n```json\n{"days": []}\n```')).toEqual({ days: [] });
+    expect(parseJSONContent('Sure! {"days": []} Enjoy.')).toEqual({ days: [] });
+  });
+});
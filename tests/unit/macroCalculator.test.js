@@ -0,0 +1,65 @@
+// tests/unit/macroCalculator.test.js
+import { describe, test, expect } from '@jest/globals';
+import {
+  MacroCalculationSchema,
+  basalMetabolicRate,
+  calculateMacroTargets,
+} from '../../src/services/macroCalculator.js';
+
+const male = { sex: 'male', age: 30, heightCm: 180, weightKg: 80, activityLevel: 'moderate', goal: 'maintain' };
+
+describe('Macro Calculator', () => {
+  test('should compute BMR with Mifflin-St Jeor', () => {
+    expect(basalMetabolicRate(male)).toBe(1780);
+    expect(basalMetabolicRate({ sex: 'female', age: 40, heightCm: 165, weightKg: 60 })).toBe(1270);
+  });
+
+  test('should derive daily macros from TDEE, goal and protein per kg', () => {
+    const result = calculateMacroTargets(male);
+
+    expect(result.tdee).toBe(2759);
+    expect(result.targetCalories).toBe(2759);
+    expect(result.daily).toMatchObject({ protein: 144, fat: 77, carbs: 373 });
+    expect(result.warnings).toEqual([]);
+  });
+
+  test('should split the day with the default 25/35/10/30 split', () => {
+    const { profile, daily } = calculateMacroTargets(male);
+
+    // 36 + 50.4 + 14.4 + 43.2: il grammo perso arrotondando ogni pasto viene recuperato
+    expect(profile).toMatchObject({
+      breakfastProtein: 36,
+      lunchProtein: 50,
+      snackProtein: 15,
+      dinnerProtein: 43,
+    });
+    for (const macro of ['Protein', 'Carbs', 'Fat']) {
+      const meals = ['breakfast', 'lunch', 'snack', 'dinner'].reduce((sum, type) => sum + profile[type + macro], 0);
+      expect(meals).toBe(daily[macro.toLowerCase()]);
+    }
+  });
+
+  test('should apply a deficit for cut and honor a custom split', () => {
+    const split = { breakfast: 30, lunch: 30, snack: 0, dinner: 40 };
+    const result = calculateMacroTargets({ ...male, goal: 'cut', split });
+
+    expect(result.targetCalories).toBe(2207);
+    expect(result.daily.protein).toBe(176);
+    expect(result.profile.snackCarbs).toBe(0);
+  });
+
+  test('should not go below the minimum calorie target', () => {
+    const result = calculateMacroTargets({
+      sex: 'female', age: 60, heightCm: 150, weightKg: 45, activityLevel: 'sedentary', goal: 'cut',
+    });
+
+    expect(result.targetCalories).toBe(1200);
+    expect(result.warnings).toHaveLength(1);
+  });
+
+  test('should reject splits that do not add up to 100', () => {
+    const split = { breakfast: 30, lunch: 30, snack: 10, dinner: 40 };
+    expect(() => MacroCalculationSchema.parse({ ...male, split })).toThrow('add up to 100');
+    expect(MacroCalculationSchema.parse(male).preview).toBe(false);
+  });
+});
@@ -0,0 +1,71 @@
+// tests/unit/mealDistribution.test.js
+import { describe, test, expect } from '@jest/globals';
+import { distributeDailyMacros, assignMealsToSlots } from '../../src/services/mealDistribution.js';
+
+const profile = {
+  breakfastProtein: 30, breakfastCarbs: 50, breakfastFat: 15,
+  lunchProtein: 40, lunchCarbs: 60, lunchFat: 20,
+  snackProtein: 20, snackCarbs: 30, snackFat: 10,
+  dinnerProtein: 40, dinnerCarbs: 60, dinnerFat: 20,
+};
+
+const sum = (slots, macro) => slots.reduce((total, s) => total + s[macro], 0);
+
+describe('Meal Distribution', () => {
+  test('should keep the profile as-is with 4 meals', () => {
+    const slots = distributeDailyMacros(profile, 4);
+
+    expect(slots.map((s) => s.mealType)).toEqual(['breakfast', 'lunch', 'snack', 'dinner']);
+    expect(slots[2]).toEqual({ slot: 3, mealType: 'snack', protein: 20, carbs: 30, fat: 10, calories: 290 });
+  });
+
+  test('should move the snack budget to the main meals with 3 meals', () => {
+    const slots = distributeDailyMacros(profile, 3);
+
+    expect(slots.map((s) => s.mealType)).toEqual(['breakfast', 'lunch', 'dinner']);
+    expect(sum(slots, 'protein')).toBe(130);
+    expect(sum(slots, 'carbs')).toBe(200);
+    expect(sum(slots, 'fat')).toBe(65);
+    expect(slots[1].protein).toBeGreaterThan(slots[0].protein);
+  });
+
+  test('should split the snack budget across several snacks', () => {
+    const slots = distributeDailyMacros(profile, 6);
+    const snacks = slots.filter((s) => s.mealType === 'snack');
+
+    expect(snacks).toHaveLength(3);
+    expect(sum(snacks, 'protein')).toBe(20);
+    expect(sum(snacks, 'carbs')).toBe(30);
+    expect(slots.find((s) => s.mealType === 'lunch').protein).toBe(40);
+    expect(slots.map((s) => s.slot)).toEqual([1, 2, 3, 4, 5, 6]);
+  });
+
+  test('should carve snacks out of the main meals when the profile has none', () => {
+    const noSnack = { ...profile, snackProtein: 0, snackCarbs: 0, snackFat: 0 };
+    const slots = distributeDailyMacros(noSnack, 5);
+    const snacks = slots.filter((s) => s.mealType === 'snack');
+
+    expect(snacks[0].protein).toBeGreaterThan(0);
+    expect(sum(slots, 'protein')).toBe(110);
+
+    // Con 4 pasti lo spuntino richiesto non resta vuoto: 10% del giorno
+    const four = distributeDailyMacros(noSnack, 4);
+    expect(four[2]).toMatchObject({ mealType: 'snack', protein: 11 });
+    expect(sum(four, 'protein')).toBe(110);
+  });
+
+  test('should match generated meals to slots by type', () => {
+    const slots = distributeDailyMacros(profile, 5);
+    const meals = [
+      { mealType: 'breakfast' },
+      { mealType: 'lunch' },
+      { mealType: 'snack' },
+      { mealType: 'snack' },
+      { mealType: 'brunch' },
+    ];
+
+    const assigned = assignMealsToSlots(meals, slots);
+
+    expect(assigned.map((s) => s?.slot ?? null)).toEqual([1, 3, 2, 4, null]);
+  });
+});
@@ -0,0 +1,42 @@
+// tests/unit/mealPlanService.test.js
+import { describe, test, expect } from '@jest/globals';
+import {
+  PlanListQuerySchema,
+  UpdateMealPlanSchema,
+  UpdateMealSchema,
+  assertPlanUnlocked,
+} from '../../src/services/mealPlanService.js';
+
+describe('Meal Plan Service', () => {
+  test('should read list filters and pagination from the query string', () => {
+    expect(PlanListQuerySchema.parse({})).toEqual({ limit: 20 });
+    expect(PlanListQuerySchema.parse({ cursor: '42', limit: '5', from: '2025-11-01', locked: 'false' })).toEqual({
+      cursor: 42,
+      limit: 5,
+      from: '2025-11-01',
+      locked: false,
+    });
+    expect(() => PlanListQuerySchema.parse({ limit: '500' })).toThrow();
+    expect(() => PlanListQuerySchema.parse({ to: 'next week' })).toThrow('Invalid date');
+  });
+
+  test('should accept only known fields in plan and meal updates', () => {
+    expect(UpdateMealPlanSchema.parse({ locked: true })).toEqual({ locked: true });
+    expect(() => UpdateMealPlanSchema.parse({})).toThrow('Nothing to update');
+    expect(() => UpdateMealPlanSchema.parse({ userId: 2 })).toThrow();
+
+    expect(UpdateMealSchema.parse({ date: '2025-11-19', slot: 2, recipeId: null })).toEqual({
+      date: '2025-11-19',
+      slot: 2,
+      recipeId: null,
+    });
+    expect(() => UpdateMealSchema.parse({ type: 'brunch' })).toThrow();
+    expect(() => UpdateMealSchema.parse({ portion: 0 })).toThrow();
+    expect(() => UpdateMealSchema.parse({ protein: 30.5 })).toThrow();
+  });
+
+  test('should refuse changes to locked plans', () => {
+    expect(() => assertPlanUnlocked({ id: 1, locked: true })).toThrow('Meal plan is locked');
+    expect(() => assertPlanUnlocked({ id: 1, locked: false })).not.toThrow();
+  });
+});
@@ -0,0 +1,89 @@
+// tests/unit/mealPlanStream.test.js
+import { describe, test, expect } from '@jest/globals';
+import { createArrayItemStream } from '../../src/utils/jsonStream.js';
+import { createLLMProvider, setLLMProvider } from '../../src/services/llm/index.js';
+import { streamMealPlan, validateStreamedDay } from '../../src/services/aiPlanService.js';
+import prisma from '../../src/db/prismaClient.js';
+
+const meal = (title) => ({
+  name: title,
+  mealType: 'lunch',
+  recipe: { title, ingredients: ['100g rice'], instructions: 'Cook.', calories: 360, protein: 7, carbs: 80, fats: 1 },
+});
+
+describe('Meal Plan Streaming', () => {
+  test('should emit each day of the plan as soon as it is complete', () => {
+    const stream = createArrayItemStream('days');
+    const text = '```json\n{"note": "days: [", "days": [{"dayNumber": 1, "meals": [{"name": "a } \\" b"}]},\n{"dayNumber": 2, "meals": []}], "extra": {"days": [{}]}}\n```';
+
+    const cut = text.indexOf('{"dayNumber": 2');
+    const first = stream.push(text.slice(0, cut));
+    const rest = stream.push(text.slice(cut));
+
+    expect(first.map((item) => JSON.parse(item).dayNumber)).toEqual([1]);
+    expect(JSON.parse(first[0]).meals[0].name).toBe('a } " b');
+    expect(rest.map((item) => JSON.parse(item).dayNumber)).toEqual([2]);
+  });
+
+  test('fixture provider should stream the same plan it returns', async () => {
+    const provider = createLLMProvider({ provider: 'fixture' });
+    const request = { task: 'mealPlan', hints: { mealTypes: ['breakfast', 'lunch', 'dinner'] } };
+    const stream = createArrayItemStream('days');
+    const days = [];
+
+    for await (const chunk of provider.streamJSON(request)) {
+      days.push(...stream.push(chunk).map((item) => JSON.parse(item)));
+    }
+
+    expect(days).toEqual((await provider.completeJSON(request)).days);
+  });
+
+  test('should drop meals failing MealSchema and skip days without a valid meal', () => {
+    const invalid = { name: 'No recipe', mealType: 'lunch' };
+
+    const partial = validateStreamedDay(JSON.stringify({ dayNumber: 3, meals: [meal('Rice bowl'), invalid] }));
+    expect(partial.day.meals.map((m) => m.name)).toEqual(['Rice bowl']);
+    expect(partial.warnings).toEqual([
+      expect.objectContaining({ dayNumber: 3, message: 'Meal 2 of day 3 is invalid and was dropped' }),
+    ]);
+
+    expect(validateStreamedDay({ dayNumber: 4, meals: [invalid] }).day).toBeNull();
+    expect(validateStreamedDay({ dayNumber: 9, meals: [meal('Rice bowl')] }).warnings[0].message).toMatch('dayNumber');
+    expect(validateStreamedDay('{"dayNumber": 1, "meals": [').day).toBeNull();
+  });
+
+  test('should not save the plan when the client leaves during the final checks', async () => {
+    const abort = new AbortController();
+    const stub = (model, methods) => Object.defineProperty(prisma, model, { configurable: true, value: methods });
+    const profile = Object.fromEntries(['breakfast', 'lunch', 'snack', 'dinner'].flatMap((slot) => [
+      [`${slot}Protein`, 30], [`${slot}Carbs`, 50], [`${slot}Fat`, 15],
+    ]));
+
+    stub('macroProfile', { findFirst: async () => profile });
+    stub('userPreferences', { findUnique: async () => null });
+    stub('weeklyIntent', { findFirst: async () => null });
+    stub('mealPlan', { findFirst: async () => null });
+    // Il client chiude la connessione mentre le macro vengono verificate
+    stub('food', { count: async () => { abort.abort(); return 0; } });
+    let saved = false;
+    Object.defineProperty(prisma, '$transaction', { configurable: true, value: async () => { saved = true; } });
+
+    setLLMProvider(createLLMProvider({ provider: 'fixture' }));
+    const events = [];
+    try {
+      await expect(streamMealPlan({
+        userId: 1,
+        mealsPerDay: 4,
+        repairStrategy: 'none',
+        signal: abort.signal,
+        onEvent: (event) => events.push(event),
+      })).rejects.toThrow('Meal plan generation cancelled');
+    } finally {
+      setLLMProvider(null);
+    }
+
+    expect(events).toContain('day');
+    expect(events).not.toContain('done');
+    expect(saved).toBe(false);
+  });
+});
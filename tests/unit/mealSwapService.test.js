@@ -0,0 +1,155 @@
+// tests/unit/mealSwapService.test.js
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import prisma from '../../src/db/prismaClient.js';
+import { setLLMProvider } from '../../src/services/llm/index.js';
+import { getSwapCandidates, swapMealRecipe, swapMealWithAI } from '../../src/services/mealSwapService.js';
+import { ConflictError, NotFoundError, ValidationError } from '../../src/utils/errors.js';
+
+const USER_ID = 7;
+
+const recipe = (id, title, mealType, [protein, carbs, fat]) => ({
+  id,
+  title,
+  mealType,
+  ingredients: `100g ${title.toLowerCase()}`,
+  proteinPerServing: protein,
+  carbsPerServing: carbs,
+  fatPerServing: fat,
+  caloriesPerServing: protein * 4 + carbs * 4 + fat * 9,
+  deletedAt: null,
+});
+
+const RECIPES = [
+  recipe(1, 'Chicken rice bowl', 'lunch', [40, 60, 15]),
+  recipe(2, 'Tuna pasta', 'lunch', [35, 70, 12]),
+  recipe(3, 'Lentil salad', null, [20, 30, 8]),
+  recipe(4, 'Oat porridge', 'breakfast', [20, 60, 10]),
+  recipe(5, 'Turkey wrap', 'lunch', [38, 55, 14]),
+];
+
+const meal = (id, type, recipeId) => ({
+  id,
+  type,
+  date: new Date(2026, 0, id),
+  protein: 40,
+  carbs: 60,
+  fat: 15,
+  recipeId,
+  recipe: RECIPES.find((r) => r.id === recipeId),
+});
+
+let plan;
+let updates;
+
+const stub = (model, value) => Object.defineProperty(prisma, model, { configurable: true, value });
+
+beforeEach(() => {
+  plan = { id: 1, userId: USER_ID, locked: false, weeklyIntent: null, meals: [meal(1, 'lunch', 1), meal(2, 'lunch', 2), meal(3, 'breakfast', 4)] };
+  updates = [];
+
+  // Il piano esiste solo per il suo utente
+  stub('mealPlan', { findFirst: async ({ where }) => (where.id === plan.id && where.userId === USER_ID ? plan : null) });
+  stub('userPreferences', { findUnique: async () => null });
+  stub('recipe', {
+    findMany: async () => RECIPES,
+    findFirst: async ({ where }) => RECIPES.find((r) => r.id === where.id) ?? null,
+  });
+  stub('meal', {
+    update: async ({ where, data }) => {
+      updates.push({ id: where.id, ...data });
+      return { id: where.id, ...data };
+    },
+  });
+});
+
+describe('Meal Swap Service', () => {
+  test('should list local candidates for the meal type, skipping recipes used this week', async () => {
+    const result = await getSwapCandidates(1, 1, USER_ID);
+
+    expect(result).toMatchObject({ mealId: 1, type: 'lunch', target: { protein: 40, carbs: 60, fat: 15 } });
+    expect(result.currentRecipe.id).toBe(1);
+    // Tuna pasta è già nella settimana, il porridge è una colazione
+    expect(result.candidates.map((c) => c.recipe.id).sort()).toEqual([3, 5]);
+    expect(result.candidates.find((c) => c.recipe.id === 3)).toMatchObject({ portion: 2, distance: 1 });
+
+    await expect(getSwapCandidates(1, 99, USER_ID)).rejects.toThrow(NotFoundError);
+    await expect(getSwapCandidates(1, 1, USER_ID + 1)).rejects.toThrow(NotFoundError);
+  });
+
+  test('should apply a local recipe at the portion closest to the meal targets', async () => {
+    await swapMealRecipe(1, 1, USER_ID, 3);
+
+    expect(updates).toEqual([
+      { id: 1, recipeId: 3, portion: 2, actualProtein: 40, actualCarbs: 60, actualFat: 16, actualCalories: 544 },
+    ]);
+  });
+
+  test('should refuse recipes for another meal type or already used this week', async () => {
+    await expect(swapMealRecipe(1, 1, USER_ID, 4)).rejects.toThrow(ValidationError);
+    await expect(swapMealRecipe(1, 1, USER_ID, 2)).rejects.toMatchObject({
+      statusCode: 400,
+      details: [expect.objectContaining({ path: ['recipeId'], message: 'Recipe "Tuna pasta" is already used this week' })],
+    });
+    await expect(swapMealRecipe(1, 1, USER_ID, 42)).rejects.toThrow(NotFoundError);
+
+    plan.locked = true;
+    await expect(swapMealRecipe(1, 1, USER_ID, 3)).rejects.toThrow(ConflictError);
+    expect(updates).toEqual([]);
+  });
+
+  test('should ask the AI for a new recipe avoiding the titles of the week and check its macros', async () => {
+    const requests = [];
+    setLLMProvider({
+      name: 'test',
+      completeJSON: async (request) => {
+        requests.push(request);
+        return {
+          name: 'Tofu stir fry',
+          mealType: 'lunch',
+          recipe: { title: 'Tofu stir fry', ingredients: ['200g tofu', '80g rice'], instructions: 'Stir fry.', calories: 512.5, protein: 40, carbs: 60, fats: 15 },
+        };
+      },
+    });
+    stub('ingredient', { findMany: async () => [] });
+    stub('food', { count: async () => 0, findMany: async () => [] });
+    const lookups = [];
+    const ingredients = [];
+    const created = [];
+    stub('$transaction', async (fn) => fn({
+      recipe: {
+        findFirst: async ({ where }) => {
+          lookups.push(where);
+          return null;
+        },
+        create: async ({ data }) => {
+          created.push(data);
+          return { id: 9, ...data };
+        },
+      },
+      ingredient: { createMany: async ({ data }) => ingredients.push(...data.map((i) => i.name)) },
+    }));
+
+    try {
+      await swapMealWithAI(1, 1, USER_ID);
+    } finally {
+      setLLMProvider(null);
+    }
+
+    // Le calorie frazionarie del modello sono ricalcolate da 4/4/9 (caloriesPerServing è intero)
+    expect(created[0]).toMatchObject({ caloriesPerServing: 535, proteinPerServing: 40 });
+    expect(ingredients).toEqual(['tofu', 'rice']);
+    expect(requests[0].hints).toMatchObject({ mealType: 'lunch', avoidTitles: ['Chicken rice bowl', 'Tuna pasta', 'Oat porridge'] });
+    // Una ricetta esistente si riusa solo se anche i macro per porzione coincidono
+    expect(lookups[0]).toMatchObject({
+      title: { equals: 'Tofu stir fry', mode: 'insensitive' },
+      caloriesPerServing: 535,
+      proteinPerServing: 40,
+      carbsPerServing: 60,
+      fatPerServing: 15,
+      deletedAt: null,
+    });
+    expect(updates).toEqual([
+      { id: 1, recipeId: 9, portion: 1, actualProtein: 40, actualCarbs: 60, actualFat: 15, actualCalories: 535 },
+    ]);
+  });
+});
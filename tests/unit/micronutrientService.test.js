@@ -0,0 +1,103 @@
+// tests/unit/micronutrientService.test.js
+import { describe, test, expect } from '@jest/globals';
+import prisma from '../../src/db/prismaClient.js';
+import {
+  micronutrientsFromEdamam,
+  micronutrientsOf,
+  intentMicronutrientTargets,
+  computeMicronutrientReport,
+  MicronutrientTargetsSchema,
+} from '../../src/services/micronutrientService.js';
+import { estimateMicronutrients } from '../../src/services/nutritionService.js';
+import { preferenceScore } from '../../src/services/recipeScoring.js';
+
+const lentilSoup = {
+  title: 'Lentil and Spinach Soup',
+  servings: 2,
+  ingredients: '400g cooked lentils\n200g spinach\n200g green beans\n1 tsp cumin',
+};
+
+// Database alimenti: nessuna Ingredient collegata, candidati cercati per nome
+function stubFoods(foods) {
+  Object.defineProperty(prisma, 'ingredient', { configurable: true, value: { findMany: async () => [] } });
+  Object.defineProperty(prisma, 'food', {
+    configurable: true,
+    value: {
+      findMany: async ({ where }) => foods.filter((food) => food.name.toLowerCase().includes(where.name.contains.toLowerCase())),
+    },
+  });
+}
+
+describe('Micronutrient Service', () => {
+  test('should read per-serving micronutrients from Edamam totalNutrients', () => {
+    const totalNutrients = {
+      FIBTG: { label: 'Fiber', quantity: 24, unit: 'g' },
+      FE: { label: 'Iron', quantity: 12.5, unit: 'mg' },
+      NA: { label: 'Sodium', quantity: 1800, unit: 'mg' },
+      PROCNT: { label: 'Protein', quantity: 80, unit: 'g' },
+    };
+
+    expect(micronutrientsFromEdamam(totalNutrients, 4)).toEqual({ fiber: 6, iron: 3.1, sodium: 450 });
+    expect(micronutrientsFromEdamam({ PROCNT: { quantity: 10 } })).toBeNull();
+  });
+
+  test('should estimate micronutrients from ingredients with the food database', async () => {
+    stubFoods([
+      { source: 'usda', name: 'Lentils, mature seeds, cooked, boiled', micronutrients: { iron: 3.3, fiber: 7.9 } },
+      { source: 'usda', name: 'Spinach, raw', micronutrients: { iron: 2.7, fiber: 2.2 } },
+      { source: 'usda', name: 'Beans, kidney, red, mature seeds, cooked, boiled', micronutrients: { iron: 2.9, fiber: 6.4 } },
+      { source: 'usda', name: 'Beans, snap, green, raw', micronutrients: { iron: 1, fiber: 2.7 } },
+    ]);
+
+    const values = await estimateMicronutrients(lentilSoup);
+
+    // (400g lenticchie * 3.3 + 200g spinaci * 2.7 + 200g fagiolini * 1) / 100 / 2 porzioni; il cumino non c'è
+    expect(values.iron).toBe(10.3);
+    expect(values.fiber).toBe(20.7);
+
+    stubFoods([]);
+    expect(await estimateMicronutrients(lentilSoup)).toBeNull();
+  });
+
+  test('should prefer stored values, then Edamam raw data', () => {
+    expect(micronutrientsOf({ ...lentilSoup, micronutrients: { iron: 1 }, micronutrientSource: 'manual' }))
+      .toEqual({ values: { iron: 1 }, source: 'manual' });
+    expect(micronutrientsOf({ rawData: { recipe: { yield: 2, totalNutrients: { FE: { quantity: 6 } } } } }))
+      .toEqual({ values: { iron: 3 }, source: 'edamam' });
+    expect(micronutrientsOf(lentilSoup)).toEqual({ values: null, source: null });
+  });
+
+  test('should merge intent defaults with custom minimums', () => {
+    expect(intentMicronutrientTargets({ goal: 'high_satiety_low_ferritin', micronutrientTargets: { iron: 20, calcium: 1000 } }))
+      .toEqual({ iron: 20, fiber: 30, calcium: 1000 });
+    expect(intentMicronutrientTargets({ goal: 'lazy' })).toEqual({});
+    expect(MicronutrientTargetsSchema.safeParse({ iron: 18 }).success).toBe(true);
+    expect(MicronutrientTargetsSchema.safeParse({ omega3: 2 }).success).toBe(false);
+  });
+
+  test('should report daily totals against reference intakes and targets', () => {
+    const meals = [
+      { date: new Date(2025, 0, 6), portion: 1.5, recipe: { micronutrients: { iron: 6, fiber: 10, sodium: 1000 } } },
+      { date: new Date(2025, 0, 6), portion: 1, recipe: { micronutrients: { iron: 4, fiber: 8, sodium: 900 } } },
+      { date: new Date(2025, 0, 7), portion: 1, recipe: null },
+    ];
+    const report = computeMicronutrientReport(meals, { iron: 12 });
+    const [monday, tuesday] = report.days;
+
+    expect(monday.micronutrients.iron).toMatchObject({ amount: 13, reference: 18, percentOfReference: 72, target: 12, meetsTarget: true });
+    expect(monday.micronutrients.sodium).toMatchObject({ amount: 2400, kind: 'max', withinReference: false });
+    expect(tuesday.micronutrients.iron.meetsTarget).toBe(false);
+    expect(report.daysMeetingTargets).toBe(1);
+    expect(report.dailyAverage.iron.amount).toBe(6.5);
+    expect(report.meals).toEqual({ total: 3, withoutData: 1, bySource: { manual: 2 } });
+  });
+
+  test('should reward recipes that cover the intent minimums in scoring', () => {
+    const weeklyIntent = { goal: 'normal', micronutrientTargets: { iron: 18 } };
+    const rich = preferenceScore({ micronutrients: { iron: 5 } }, { weeklyIntent });
+    const poor = preferenceScore({ micronutrients: { iron: 1 } }, { weeklyIntent });
+
+    expect(rich.reasons).toContainEqual({ factor: 'micronutrientTargets', points: -4, detail: 'iron 5/4.5 mg' });
+    expect(poor.points).toBe(4);
+  });
+});
@@ -0,0 +1,77 @@
+// tests/unit/planOwnership.test.js
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import prisma from '../../src/db/prismaClient.js';
+import {
+  listMealPlans,
+  updateMealPlan,
+  deleteMealPlan,
+  updateMeal,
+  deleteMeal,
+} from '../../src/services/mealPlanService.js';
+
+const stub = (model, value) => Object.defineProperty(prisma, model, { configurable: true, value });
+
+// Due utenti con un piano ciascuno; le query rispettano il filtro userId come il database
+function stubTwoUsers() {
+  const plans = [1, 2].map((userId) => ({
+    id: userId * 10,
+    userId,
+    locked: false,
+    weekStart: new Date(2025, 10, 17),
+    weekEnd: new Date(2025, 10, 23),
+    meals: [{ id: userId * 100, date: new Date(2025, 10, 17), type: 'lunch', slot: 0, protein: 40, carbs: 60, fat: 15, recipeId: null, portion: 1 }],
+  }));
+  const matches = (plan, where) => (where.id === undefined || plan.id === where.id) && plan.userId === where.userId;
+  const writes = [];
+  const write = (name) => async (args) => {
+    writes.push(name);
+    return args.data ?? {};
+  };
+
+  stub('mealPlan', {
+    findFirst: async ({ where }) => plans.find((plan) => matches(plan, where)) ?? null,
+    findMany: async ({ where }) => plans.filter((plan) => matches(plan, where)),
+    update: write('mealPlan.update'),
+    delete: write('mealPlan.delete'),
+  });
+  stub('meal', { update: write('meal.update'), delete: write('meal.delete') });
+  stub('$transaction', async (fn) => fn(prisma));
+
+  return writes;
+}
+
+describe('Plan Ownership', () => {
+  let getMealPlan;
+
+  beforeAll(async () => {
+    // Il client OpenAI viene creato all'import del servizio
+    process.env.OPENAI_API_KEY ??= 'test-key';
+    ({ getMealPlan } = await import('../../src/services/aiPlanService.js'));
+  });
+
+  test('should list only the plans of the requesting user', async () => {
+    stubTwoUsers();
+
+    const { mealPlans } = await listMealPlans(2);
+
+    expect(mealPlans.map((plan) => plan.id)).toEqual([20]);
+  });
+
+  test("should not let a user read or change another user's plans", async () => {
+    const writes = stubTwoUsers();
+
+    await expect(getMealPlan(10, 2)).rejects.toThrow('Meal plan not found');
+    await expect(updateMealPlan(10, 2, { locked: true })).rejects.toThrow('Meal plan not found');
+    await expect(deleteMealPlan(10, 2)).rejects.toThrow('Meal plan not found');
+    await expect(updateMeal(10, 100, 2, { slot: 1 })).rejects.toThrow('Meal plan not found');
+    await expect(deleteMeal(10, 100, 2)).rejects.toThrow('Meal plan not found');
+    // Nemmeno indicando un proprio piano con il pasto di un altro utente
+    await expect(deleteMeal(20, 100, 2)).rejects.toThrow('Meal not found');
+    expect(writes).toEqual([]);
+
+    // Il proprietario invece può
+    await expect(getMealPlan(10, 1)).resolves.toMatchObject({ id: 10 });
+    await deleteMeal(10, 100, 1);
+    expect(writes).toEqual(['meal.delete']);
+  });
+});
@@ -0,0 +1,74 @@
+// tests/unit/planVerification.test.js
+import { describe, test, expect } from '@jest/globals';
+import {
+  dailyTargetsFromProfile,
+  correctPlanCalories,
+  verifyDay,
+  portionScaleFactor,
+  scaleDay,
+} from '../../src/services/planVerification.js';
+
+const profile = {
+  breakfastProtein: 30, breakfastCarbs: 50, breakfastFat: 15,
+  lunchProtein: 40, lunchCarbs: 60, lunchFat: 20,
+  snackProtein: 20, snackCarbs: 30, snackFat: 10,
+  dinnerProtein: 40, dinnerCarbs: 60, dinnerFat: 20,
+};
+
+const meal = (mealType, protein, carbs, fats, calories, ingredients = ['100g rice']) => ({
+  name: mealType,
+  mealType,
+  recipe: { title: mealType + ' recipe', ingredients, instructions: 'Cook.', protein, carbs, fats, calories },
+});
+
+describe('Plan Verification', () => {
+  test('should sum daily targets from the macro profile', () => {
+    expect(dailyTargetsFromProfile(profile)).toEqual({ protein: 130, carbs: 200, fat: 65, calories: 1905 });
+  });
+
+  test('should recompute calories and report arithmetic errors', () => {
+    const plan = { days: [{ dayNumber: 1, meals: [meal('breakfast', 30, 50, 15, 800), meal('snack', 20, 30, 10, 292)] }] };
+
+    const corrections = correctPlanCalories(plan);
+
+    expect(corrections).toEqual([
+      expect.objectContaining({ dayNumber: 1, mealType: 'breakfast', stated: 800, computed: 455 }),
+    ]);
+    expect(plan.days[0].meals[0].recipe.calories).toBe(455);
+    expect(plan.days[0].meals[1].recipe.calories).toBe(290);
+  });
+
+  test('should flag macros outside the tolerance', () => {
+    const targets = dailyTargetsFromProfile(profile);
+    const day = { dayNumber: 3, meals: [meal('lunch', 100, 200, 65, 1585)] };
+
+    const check = verifyDay(day, targets, 0.15);
+
+    expect(check.withinTolerance).toBe(false);
+    expect(check.outOfTolerance).toEqual(['protein', 'calories']);
+    expect(check.deviation.protein).toBeCloseTo(-23.1, 1);
+    expect(check.deviation.carbs).toBe(0);
+  });
+
+  test('should scale portions, ingredients and macros back into tolerance', () => {
+    const targets = dailyTargetsFromProfile(profile);
+    const day = {
+      dayNumber: 2,
+      meals: [meal('lunch', 52, 80, 26, 762, ['150g chicken breast']), meal('dinner', 52, 80, 26, 762)],
+    };
+
+    const factor = portionScaleFactor(verifyDay(day, targets).totals, targets);
+    const scaled = scaleDay(day, factor);
+
+    expect(factor).toBe(1.25);
+    expect(scaled.meals[0].recipe.ingredients).toEqual(['188g chicken breast']);
+    expect(scaled.meals[0].recipe.protein).toBe(65);
+    expect(verifyDay(scaled, targets).withinTolerance).toBe(true);
+    expect(day.meals[0].recipe.protein).toBe(52);
+  });
+
+  test('should clamp the scale factor', () => {
+    const targets = { protein: 100, carbs: 100, fat: 100, calories: 1700 };
+    expect(portionScaleFactor({ protein: 20, carbs: 20, fat: 20 }, targets)).toBe(1.5);
+  });
+});
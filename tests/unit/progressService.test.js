@@ -0,0 +1,78 @@
+// tests/unit/progressService.test.js
+import { describe, test, expect } from '@jest/globals';
+import {
+  withMovingAverage,
+  computeCheckIn,
+  adjustProfileCalories,
+  resolveWeeklyRate,
+} from '../../src/services/progressService.js';
+
+const profile = {
+  goal: 'cut',
+  weeklyRateKg: -0.5,
+  breakfastProtein: 30, breakfastCarbs: 50, breakfastFat: 15,
+  lunchProtein: 40, lunchCarbs: 60, lunchFat: 20,
+  snackProtein: 20, snackCarbs: 30, snackFat: 10,
+  dinnerProtein: 40, dinnerCarbs: 60, dinnerFat: 20,
+};
+
+// Una misura al giorno dal 1 al 14 novembre
+const weighIns = (weightForDay) =>
+  Array.from({ length: 14 }, (_, i) => ({
+    date: new Date(2025, 10, i + 1),
+    weightKg: weightForDay(i + 1),
+  }));
+
+const dailyCalories = (p) =>
+  ['breakfast', 'lunch', 'snack', 'dinner'].reduce(
+    (sum, t) => sum + p[t + 'Protein'] * 4 + p[t + 'Carbs'] * 4 + p[t + 'Fat'] * 9,
+    0
+  );
+
+describe('Progress Service', () => {
+  test('should compute a 7-day moving average', () => {
+    const entries = withMovingAverage(weighIns((day) => 80 + day * 0.1).slice(0, 8));
+
+    expect(entries[0].movingAverage).toBe(80.1);
+    expect(entries[6].movingAverage).toBe(80.4);
+    expect(entries[7].movingAverage).toBe(80.5);
+  });
+
+  test('should lower calories when weight is not dropping on a cut', () => {
+    const checkIn = computeCheckIn(weighIns(() => 80), { profile });
+
+    expect(checkIn.status).toBe('adjust');
+    expect(checkIn.trend.actualRateKgPerWeek).toBe(0);
+    expect(checkIn.trend.goalRateKgPerWeek).toBe(-0.5);
+    expect(checkIn.dailyCalorieAdjustment).toBe(-250);
+    expect(checkIn.proposedProfile.lunchProtein).toBe(40);
+    // Arrotondando ai grammi interi lo scarto resta entro poche decine di kcal
+    expect(Math.abs(dailyCalories(checkIn.proposedProfile) - (dailyCalories(profile) - 250))).toBeLessThan(20);
+  });
+
+  test('should be on track when the trend matches the goal rate', () => {
+    const checkIn = computeCheckIn(weighIns((day) => (day <= 7 ? 80.5 : 80)), { profile });
+
+    expect(checkIn.status).toBe('on_track');
+    expect(checkIn.dailyCalorieAdjustment).toBe(0);
+  });
+
+  test('should require enough weigh-ins in both weeks', () => {
+    const checkIn = computeCheckIn(weighIns(() => 80).slice(6), { profile });
+
+    expect(checkIn.status).toBe('insufficient_data');
+    expect(checkIn.entries).toEqual({ currentWeek: 7, previousWeek: 1 });
+  });
+
+  test('should derive the goal rate from the goal when none is set', () => {
+    expect(resolveWeeklyRate({ profile: { goal: 'bulk' }, currentWeight: 80 })).toBe(0.2);
+    expect(resolveWeeklyRate({ weeklyRateKg: -0.3, profile, currentWeight: 80 })).toBe(-0.3);
+  });
+
+  test('should keep protein fixed when adjusting calories', () => {
+    const adjusted = adjustProfileCalories(profile, 200);
+
+    expect(adjusted.breakfastProtein).toBe(30);
+    expect(adjusted.lunchCarbs).toBeGreaterThan(60);
+  });
+});
@@ -0,0 +1,90 @@
+// tests/unit/recipeCatalog.test.js
+import { describe, test, expect } from '@jest/globals';
+import { Prisma } from '@prisma/client';
+import prisma from '../../src/db/prismaClient.js';
+import {
+  buildTsQuery,
+  proteinDensity,
+  recipeTags,
+  searchRecipes,
+} from '../../src/services/recipeCatalogService.js';
+
+const recipe = (id, values) => ({ id, title: `Recipe ${id}`, createdAt: new Date(2026, 0, id), ...values });
+
+// Query SQL ricevute da $queryRaw; la ricerca restituisce `ids`, il conteggio `total`
+function stubSearch({ ids, total, recipes }) {
+  const queries = [];
+  Object.defineProperty(prisma, '$queryRaw', {
+    configurable: true,
+    value: async (strings, ...values) => {
+      const query = Prisma.sql(strings, ...values);
+      queries.push(query);
+      return query.text.includes('count(*)') ? [{ total: BigInt(total) }] : ids.map((id) => ({ id, rank: null }));
+    },
+  });
+  Object.defineProperty(prisma, 'recipe', {
+    configurable: true,
+    value: { findMany: async ({ where }) => recipes.filter((item) => where.id.in.includes(item.id)) },
+  });
+  return queries;
+}
+
+describe('Recipe Catalog', () => {
+  test('should turn search text into a prefix tsquery', () => {
+    expect(buildTsQuery('Pollo  e riso!')).toBe('pollo:* & e:* & riso:*');
+    expect(buildTsQuery('crème brûlée')).toBe('crème:* & brûlée:*');
+    expect(buildTsQuery("'); DROP TABLE")).toBe('drop:* & table:*');
+    expect(buildTsQuery(' -- ')).toBeNull();
+  });
+
+  test('should compute protein density and read tags', () => {
+    expect(proteinDensity({ proteinPerServing: 40, carbsPerServing: 10, fatPerServing: 5, caloriesPerServing: 400 })).toBe(10);
+    // Calorie dai macro se mancano: 30*4 + 0 + 10*9 = 210
+    expect(proteinDensity({ proteinPerServing: 30, fatPerServing: 10, caloriesPerServing: null })).toBe(14.3);
+    expect(proteinDensity({ proteinPerServing: 0, carbsPerServing: 0, fatPerServing: 0 })).toBeNull();
+    expect(recipeTags({ tags: 'High_Protein, quick,,' })).toEqual(['high_protein', 'quick']);
+  });
+
+  test('should filter, sort and paginate in the database', async () => {
+    const recipes = [
+      recipe(1, { proteinPerServing: 20, carbsPerServing: 25, fatPerServing: 7.5, caloriesPerServing: 250 }),
+      recipe(4, { proteinPerServing: 40, carbsPerServing: 50, fatPerServing: 15, caloriesPerServing: 500 }),
+    ];
+    const queries = stubSearch({ ids: [4, 1], total: 42, recipes });
+
+    const page = await searchRecipes({
+      tags: ['quick'],
+      minProtein: 15,
+      sort: 'macro_closeness',
+      targetProtein: 40,
+      targetCarbs: 50,
+      targetFat: 15,
+      limit: 2,
+      offset: 4,
+    });
+
+    // Ordine e totale vengono dal database; porzione e densità si calcolano sulla pagina
+    expect(page).toMatchObject({ total: 42, limit: 2, offset: 4 });
+    expect(page.results.map((r) => r.recipe.id)).toEqual([4, 1]);
+    expect(page.results[1]).toMatchObject({ rank: null, proteinDensity: 8, portion: 2, distance: 0 });
+
+    const [search, count] = queries;
+    expect(search.text).toMatch(/ORDER BY "distance" ASC, "id" DESC\s+LIMIT \$\d+ OFFSET \$\d+$/);
+    expect(search.values.slice(-2)).toEqual([2, 4]);
+    expect(search.values).toEqual(expect.arrayContaining([['quick'], 15, 0.5, 1.75, 2]));
+    expect(count.text).toMatch(/^SELECT count\(\*\)/);
+    expect(count.text).not.toMatch(/LIMIT/);
+  });
+
+  test('should rank full-text matches and skip the database for empty searches', async () => {
+    const queries = stubSearch({ ids: [], total: 0, recipes: [] });
+
+    expect(await searchRecipes({ q: ' -- ', limit: 20, offset: 0 })).toEqual({ total: 0, limit: 20, offset: 0, results: [] });
+    expect(queries).toHaveLength(0);
+
+    await searchRecipes({ q: 'pollo', limit: 20, offset: 0 });
+    expect(queries[0].text).toMatch(/@@ to_tsquery\('simple', \$\d+\)/);
+    expect(queries[0].text).toMatch(/ORDER BY "rank" DESC, "id" DESC/);
+    expect(queries[0].values).toContain('pollo:*');
+  });
+});
@@ -0,0 +1,25 @@
+// tests/unit/recipeRoutes.test.js
+import { describe, test, expect } from '@jest/globals';
+import router from '../../src/routes/recipes.js';
+import { requireAdmin } from '../../src/middleware/auth.js';
+
+// Middleware della rotta, nell'ordine in cui Express li esegue
+const handlersOf = (method, path) => {
+  const layer = router.stack.find((l) => l.route?.path === path && l.route.methods[method]);
+  return layer.route.stack.map((s) => s.handle);
+};
+
+describe('Recipe Routes', () => {
+  test('should let only admins write to the shared catalog', () => {
+    const writes = [
+      ['post', '/import'],
+      ['post', '/import-url'],
+      ['post', '/:id/recompute-nutrition'],
+      ['patch', '/:id'],
+      ['delete', '/:id'],
+    ];
+    for (const [method, path] of writes) {
+      expect(handlersOf(method, path)[0]).toBe(requireAdmin);
+    }
+  });
+});
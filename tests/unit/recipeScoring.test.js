@@ -0,0 +1,73 @@
+// tests/unit/recipeScoring.test.js
+import { describe, test, expect } from '@jest/globals';
+import {
+  preferenceScore,
+  difficultyOf,
+  totalMinutesOf,
+  inferDifficulty,
+} from '../../src/services/recipeScoring.js';
+
+const quickSalad = {
+  title: 'Quick Salad',
+  cuisine: 'mediterranean',
+  prepMinutes: 10,
+  cookMinutes: 0,
+  difficulty: 'easy',
+  tags: 'high_satiety',
+};
+
+const slowRagu = {
+  title: 'Slow Ragu',
+  cuisine: 'italian',
+  prepMinutes: 30,
+  cookMinutes: 150,
+  difficulty: 'hard',
+  tags: 'iron_rich,high_satiety',
+};
+
+describe('Recipe Scoring', () => {
+  test('should favour quick easy recipes for low effort and lazy weeks', () => {
+    const preferences = { cookingEffort: 'easy' };
+
+    expect(preferenceScore(quickSalad, { preferences }).points).toBe(0);
+    expect(preferenceScore(slowRagu, { preferences }).points).toBe(30);
+
+    const lazy = preferenceScore(slowRagu, { weeklyIntent: { goal: 'lazy' } });
+    expect(lazy.reasons.filter((r) => r.factor === 'weeklyIntent').map((r) => r.points)).toEqual([15, 20]);
+  });
+
+  test('should favour elaborate recipes for gourmet weeks', () => {
+    const weeklyIntent = { goal: 'gourmet' };
+    const preferences = { cookingEffort: 'gourmet' };
+
+    expect(preferenceScore(slowRagu, { preferences, weeklyIntent }).points)
+      .toBeLessThan(preferenceScore(quickSalad, { preferences, weeklyIntent }).points);
+  });
+
+  test('should weigh preferred cuisines and the low ferritin intent', () => {
+    const preferences = { preferredCuisines: 'Italian, japanese' };
+    const weeklyIntent = { goal: 'high_satiety_low_ferritin' };
+
+    const ragu = preferenceScore(slowRagu, { preferences, weeklyIntent });
+    const salad = preferenceScore(quickSalad, { preferences, weeklyIntent });
+
+    expect(ragu.reasons).toEqual(expect.arrayContaining([
+      { factor: 'preferredCuisines', points: -8, detail: 'italian' },
+      { factor: 'weeklyIntent', points: -8, detail: 'iron_rich' },
+    ]));
+    expect(salad.reasons).toEqual(expect.arrayContaining([
+      { factor: 'preferredCuisines', points: 4, detail: 'mediterranean' },
+      { factor: 'weeklyIntent', points: 8, detail: 'not iron_rich' },
+    ]));
+  });
+
+  test('should estimate time and difficulty when they are missing', () => {
+    const edamam = { rawData: { recipe: { totalTime: 25 } }, ingredients: '100g oats\n200ml milk' };
+
+    expect(totalMinutesOf(edamam)).toBe(25);
+    expect(difficultyOf(edamam)).toBe('easy');
+    expect(inferDifficulty({ totalMinutes: 45, ingredientCount: 10 })).toBe('medium');
+    expect(inferDifficulty({ totalMinutes: null, ingredientCount: 3 })).toBeNull();
+    expect(preferenceScore({ title: 'Unknown' }, { preferences: { cookingEffort: 'easy' } }).points).toBe(0);
+  });
+});
@@ -29,4 +29,91 @@ describe('Recipe Service', () => {
     if (oldAppId) process.env.EDAMAM_APP_ID = oldAppId;
     if (oldAppKey) process.env.EDAMAM_APP_KEY = oldAppKey;
   });
-});
+});
+
+describe('Edamam import mapping', () => {
+  const hit = {
+    recipe: {
+      uri: 'http://www.edamam.com/ontologies/edamam.owl#recipe_abc123',
+      label: 'Overnight Oats',
+      image: 'https://example.com/oats.jpg',
+      url: 'https://example.com/oats',
+      yield: 2,
+      calories: 800,
+      mealType: ['breakfast'],
+      dishType: ['cereals'],
+      dietLabels: ['High-Fiber'],
+      healthLabels: ['Vegetarian', 'Sugar-Conscious', 'Peanut-Free'],
+      ingredientLines: ['100g rolled oats', '200ml milk'],
+      totalNutrients: {
+        PROCNT: { quantity: 40, unit: 'g' },
+        CHOCDF: { quantity: 110, unit: 'g' },
+        FAT: { quantity: 16, unit: 'g' },
+        FIBTG: { quantity: 18, unit: 'g' },
+        FE: { quantity: 6, unit: 'mg' },
+      },
+    },
+  };
+
+  test('should map a hit to per-serving Recipe fields with raw data', async () => {
+    const { mapEdamamHitToRecipe } = await import('../../src/services/recipeService.js');
+    const recipe = mapEdamamHitToRecipe(hit);
+
+    expect(recipe).toMatchObject({
+      source: 'edamam',
+      externalId: hit.recipe.uri,
+      title: 'Overnight Oats',
+      servings: 2,
+      caloriesPerServing: 400,
+      proteinPerServing: 20,
+      carbsPerServing: 55,
+      fatPerServing: 8,
+      ingredients: '100g rolled oats\n200ml milk',
+      mealType: 'breakfast',
+    });
+    expect(recipe.rawData).toBe(hit);
+  });
+
+  test('should prefer Edamam structured ingredients over text lines', async () => {
+    const { mapEdamamIngredients } = await import('../../src/services/recipeService.js');
+
+    expect(mapEdamamIngredients(hit).map((l) => l.name)).toEqual(['rolled oat', 'milk']);
+
+    const structured = {
+      recipe: { ...hit.recipe, ingredients: [{ text: '1 cup oats, steel cut', food: 'oats', weight: 80 }] },
+    };
+    expect(mapEdamamIngredients(structured)).toEqual([
+      expect.objectContaining({ raw: '1 cup oats, steel cut', name: 'oat', note: 'steel cut' }),
+    ]);
+  });
+
+  test('should keep relevant labels and derive satiety tags', async () => {
+    const { inferTags } = await import('../../src/services/recipeService.js');
+    const tags = inferTags(hit.recipe).split(',');
+
+    expect(tags).toEqual(expect.arrayContaining(['high_fiber', 'vegetarian', 'peanut_free', 'high_satiety']));
+    expect(tags).not.toContain('sugar_conscious');
+    expect(tags).not.toContain('iron_rich');
+  });
+
+  test('should pick the serving multiplier that best fits the meal target', async () => {
+    const { bestPortion, portionMacros } = await import('../../src/services/recipeService.js');
+    const recipe = { caloriesPerServing: 300, proteinPerServing: 20, carbsPerServing: 30, fatPerServing: 10 };
+
+    expect(bestPortion({ protein: 30, carbs: 45, fat: 15 }, recipe)).toEqual({ portion: 1.5, distance: 0 });
+    expect(bestPortion({ protein: 20, carbs: 30, fat: 10 }, recipe)).toEqual({ portion: 1, distance: 0 });
+    // Limitata ai bounds anche se servirebbe di più
+    expect(bestPortion({ protein: 80, carbs: 120, fat: 40 }, recipe).portion).toBe(2);
+    expect(bestPortion({ protein: 80, carbs: 120, fat: 40 }, recipe, { min: 0.5, max: 3, step: 0.5 }).portion).toBe(3);
+
+    expect(portionMacros(recipe, 1.5)).toEqual({ protein: 30, carbs: 45, fat: 15, calories: 450 });
+  });
+
+  test('should leave lunch/dinner recipes usable for both slots', async () => {
+    const { inferMealType } = await import('../../src/services/recipeService.js');
+
+    expect(inferMealType({ mealType: ['lunch/dinner'] })).toBeNull();
+    expect(inferMealType({ mealType: ['snack'] })).toBe('snack');
+    expect(inferMealType({ dishType: ['desserts'] })).toBe('snack');
+  });
+});
@@ -0,0 +1,127 @@
+// tests/unit/recipeUrlImport.test.js
+import { describe, test, expect } from '@jest/globals';
+import {
+  URL_RECIPE_SOURCE,
+  extractJsonLd,
+  findRecipeNode,
+  parseDuration,
+  parseYield,
+  parseInstructions,
+  parseNutrition,
+  mapJsonLdRecipe,
+  isPrivateAddress,
+  assertPublicUrl,
+} from '../../src/services/recipeUrlImportService.js';
+import { ValidationError } from '../../src/utils/errors.js';
+
+const recipe = {
+  '@type': ['Recipe', 'NewsArticle'],
+  name: 'Pasta e ceci &amp; rosmarino',
+  image: [{ '@type': 'ImageObject', url: '/img/pasta-e-ceci.jpg' }],
+  recipeYield: ['4', '4 servings'],
+  prepTime: 'PT10M',
+  totalTime: 'PT40M',
+  recipeCategory: 'Main course',
+  recipeCuisine: 'Italian',
+  suitableForDiet: 'https://schema.org/VeganDiet',
+  recipeIngredient: ['320g pasta', '1 can chickpeas', '2 tbsp olive oil', 'Salt to taste'],
+  recipeInstructions: [
+    { '@type': 'HowToSection', name: 'Chickpeas', itemListElement: [{ '@type': 'HowToStep', text: 'Warm the <b>chickpeas</b> in the oil.' }] },
+    { '@type': 'HowToStep', text: 'Cook the pasta and stir it in.' },
+  ],
+};
+
+const page = (jsonLd) => `<!doctype html>
+<html><head>
+  <script type="application/ld+json">{ not json }</script>
+  <script type="application/ld+json">${JSON.stringify(jsonLd)}</script>
+</head><body></body></html>`;
+
+describe('Recipe URL Import', () => {
+  test('should find the Recipe node in @graph blocks and skip malformed ones', () => {
+    const html = page({
+      '@context': 'https://schema.org',
+      '@graph': [{ '@type': 'WebPage', name: 'Pasta e ceci' }, recipe],
+    });
+    const blocks = extractJsonLd(html);
+
+    expect(blocks).toHaveLength(1);
+    expect(findRecipeNode(blocks)).toEqual(recipe);
+    expect(findRecipeNode([{ '@type': 'WebSite' }])).toBeNull();
+  });
+
+  test('should parse durations, yields and instructions', () => {
+    expect(parseDuration('PT1H30M')).toBe(90);
+    expect(parseDuration('P0DT0H20M')).toBe(20);
+    expect(parseDuration('PT')).toBeNull();
+    expect(parseDuration('20 minutes')).toBeNull();
+
+    expect(parseYield('Serves 4-6')).toBe(4);
+    expect(parseYield(['about', 2])).toBe(2);
+    expect(parseYield('a loaf')).toBeNull();
+
+    expect(parseInstructions(recipe.recipeInstructions)).toBe(
+      'Chickpeas:\n1. Warm the chickpeas in the oil.\n2. Cook the pasta and stir it in.'
+    );
+    expect(parseInstructions('<p>Mix.</p><p>Bake &amp; serve.</p>')).toBe('1. Mix.\n2. Bake & serve.');
+    expect(parseInstructions([])).toBeNull();
+  });
+
+  test('should read per-serving macros and convert kilojoules', () => {
+    expect(parseNutrition({ calories: '1464 kJ', proteinContent: '20,5 g', carbohydrateContent: '40 g', fatContent: '12g' }))
+      .toEqual({ calories: 350, protein: 20.5, carbs: 40, fat: 12, fiber: null });
+
+    // Senza calorie si calcolano dai macro
+    expect(parseNutrition({ proteinContent: '10 g', carbohydrateContent: '20 g', fatContent: '5 g' }).calories).toBe(165);
+    // Macro incompleti: la nutrizione va stimata
+    expect(parseNutrition({ calories: '350 calories', proteinContent: '20 g' })).toBeNull();
+  });
+
+  test('should map the Recipe node onto the Recipe model', () => {
+    const { data, items, nutrition } = mapJsonLdRecipe(recipe, { pageUrl: 'https://example.com/recipes/pasta-e-ceci' });
+
+    expect(data).toMatchObject({
+      source: URL_RECIPE_SOURCE,
+      externalId: 'https://example.com/recipes/pasta-e-ceci',
+      sourceUrl: 'https://example.com/recipes/pasta-e-ceci',
+      title: 'Pasta e ceci & rosmarino',
+      imageUrl: 'https://example.com/img/pasta-e-ceci.jpg',
+      servings: 4,
+      ingredients: '320g pasta\n1 can chickpeas\n2 tbsp olive oil\nSalt to taste',
+      mealType: null,
+      tags: 'vegan',
+      cuisine: 'italian',
+      prepMinutes: 10,
+      cookMinutes: 30,
+      difficulty: 'medium',
+      rawData: recipe,
+    });
+    expect(items.map((item) => item.quantity)).toEqual([320, 1, 30, null]);
+    expect(nutrition).toBeNull();
+  });
+
+  test('should reject a Recipe node without a name', () => {
+    expect(() => mapJsonLdRecipe({ '@type': 'Recipe', recipeIngredient: ['1 egg'] })).toThrow(ValidationError);
+  });
+
+  test('should only identify a recipe by the page actually fetched', () => {
+    // Una pagina caricata può dichiarare qualsiasi URL: non diventa la chiave di deduplicazione
+    const claimed = { ...recipe, url: 'https://example.com/recipes/pasta-e-ceci', mainEntityOfPage: 'https://example.com/recipes/pasta-e-ceci' };
+    const { data } = mapJsonLdRecipe(claimed, { baseUrl: 'https://example.com/recipes/pasta-e-ceci' });
+
+    expect(data.externalId).toBeNull();
+    expect(data.sourceUrl).toBeNull();
+    expect(data.imageUrl).toBe('https://example.com/img/pasta-e-ceci.jpg');
+  });
+
+  test('should refuse URLs pointing to private networks or non-standard ports', async () => {
+    expect(['127.0.0.1', '10.1.2.3', '169.254.169.254', '192.168.1.10', '::1', 'fd00::1', '::ffff:127.0.0.1'].map(isPrivateAddress))
+      .toEqual([true, true, true, true, true, true, true]);
+    expect(['93.184.215.14', '2606:2800:21f:cb07:6820:80da:af6b:8b2c'].map(isPrivateAddress)).toEqual([false, false]);
+
+    for (const url of ['http://169.254.169.254/latest/meta-data/', 'http://[::1]/', 'http://localhost/recipe', 'https://93.184.215.14:8443/', 'ftp://93.184.215.14/', 'http://user:pw@93.184.215.14/']) {
+      await expect(assertPublicUrl(url)).rejects.toThrow(ValidationError);
+    }
+    await expect(assertPublicUrl('https://93.184.215.14/recipes/1')).resolves.toBeInstanceOf(URL);
+  });
+});
@@ -0,0 +1,40 @@
+// tests/unit/security.test.js
+import { describe, test, expect, beforeAll } from '@jest/globals';
+
+describe('Security Utils', () => {
+  let security;
+
+  beforeAll(async () => {
+    process.env.AUTH_SECRET = 'test-secret';
+    security = await import('../../src/utils/security.js');
+  });
+
+  test('should hash and verify passwords', async () => {
+    const hash = await security.hashPassword('correct horse battery');
+
+    expect(hash.startsWith('scrypt$')).toBe(true);
+    expect(await security.verifyPassword('correct horse battery', hash)).toBe(true);
+    expect(await security.verifyPassword('wrong password', hash)).toBe(false);
+  });
+
+  test('should sign and verify tokens', () => {
+    const token = security.signToken({ sub: 42 });
+    const payload = security.verifyToken(token);
+
+    expect(payload.sub).toBe(42);
+    expect(payload.exp).toBeGreaterThan(payload.iat);
+  });
+
+  test('should reject tampered tokens', () => {
+    const token = security.signToken({ sub: 42 });
+    const [header, , signature] = token.split('.');
+    const forgedBody = Buffer.from(JSON.stringify({ sub: 1, exp: 9999999999 })).toString('base64url');
+
+    expect(() => security.verifyToken(header + '.' + forgedBody + '.' + signature)).toThrow('Invalid token');
+  });
+
+  test('should reject expired tokens', () => {
+    const token = security.signToken({ sub: 42 }, { expiresIn: -10 });
+    expect(() => security.verifyToken(token)).toThrow('Token expired');
+  });
+});
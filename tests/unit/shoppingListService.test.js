@@ -0,0 +1,72 @@
+// tests/unit/shoppingListService.test.js
+import { describe, test, expect } from '@jest/globals';
+import { aggregateIngredients, categorizeItem } from '../../src/services/shoppingListService.js';
+
+describe('Shopping List Service', () => {
+  test('should sum quantities across meals scaled by servings', () => {
+    const meals = [
+      { id: 1, recipe: { id: 10, title: 'Chicken Bowl', servings: 1, ingredients: '200g chicken breast, 100g rice' } },
+      { id: 2, recipe: { id: 10, title: 'Chicken Bowl', servings: 1, ingredients: '200g chicken breast, 100g rice' } },
+      { id: 3, recipe: { id: 11, title: 'Family Curry', servings: 4, ingredients: '800g chicken breasts, 2 onions' } },
+    ];
+
+    const { categories, unparsed } = aggregateIngredients(meals);
+    const meat = categories.find((c) => c.category === 'meat_fish');
+    const chicken = meat.items.find((i) => i.item === 'chicken breast');
+
+    expect(chicken.quantity).toBe(600);
+    expect(chicken.unit).toBe('g');
+    expect(chicken.recipes).toEqual(['Chicken Bowl', 'Family Curry']);
+    expect(unparsed).toHaveLength(0);
+  });
+
+  test('should scale quantities by the meal portion', () => {
+    const recipe = { id: 10, title: 'Chicken Bowl', servings: 2, ingredients: '300g chicken breast, 1 avocado' };
+    const meals = [{ id: 1, portion: 1.5, recipe }, { id: 2, recipe }];
+
+    const items = aggregateIngredients(meals).categories.flatMap((c) => c.items);
+
+    expect(items.find((i) => i.item === 'chicken breast').quantity).toBe(375);
+    expect(items.find((i) => i.item === 'avocado').quantity).toBe(1.25);
+  });
+
+  test('should collect lines it cannot interpret', () => {
+    const meals = [
+      { id: 1, date: new Date('2025-11-17'), recipe: { id: 1, title: 'Salad', ingredients: 'lettuce, 1 tomato' } },
+    ];
+
+    const { categories, unparsed } = aggregateIngredients(meals);
+
+    expect(unparsed).toEqual([
+      expect.objectContaining({ text: 'lettuce', recipeId: 1, mealId: 1 }),
+    ]);
+    expect(categories[0].category).toBe('produce');
+  });
+
+  test('should categorize items by aisle', () => {
+    expect(categorizeItem('egg')).toBe('dairy_eggs');
+    expect(categorizeItem('eggplant')).toBe('produce');
+    expect(categorizeItem('olive oil')).toBe('condiments_spices');
+    expect(categorizeItem('unknown thing')).toBe('other');
+  });
+
+  test('should use structured recipe ingredients when present', () => {
+    const recipe = {
+      id: 5,
+      title: 'Oil Pasta',
+      servings: 1,
+      ingredients: 'legacy text is ignored',
+      recipeIngredients: [
+        { position: 1, raw: '1 tbsp olive oil, extra virgin', quantity: 15, unit: 'ml', name: 'olive oil' },
+        { position: 0, raw: '100g spaghetti', quantity: 100, unit: 'g', name: 'spaghetti' },
+      ],
+    };
+
+    const { categories, unparsed } = aggregateIngredients([{ id: 1, recipe }, { id: 2, recipe }]);
+    const items = categories.flatMap((c) => c.items);
+
+    expect(items.find((i) => i.item === 'olive oil')).toMatchObject({ quantity: 30, unit: 'ml' });
+    expect(items.find((i) => i.item === 'spaghetti')).toMatchObject({ quantity: 200, unit: 'g' });
+    expect(unparsed).toHaveLength(0);
+  });
+});
@@ -0,0 +1,102 @@
+// tests/unit/weekOptimizer.test.js
+import { describe, test, expect } from '@jest/globals';
+import {
+  optimizeWeek,
+  findViolations,
+  proteinSourceOf,
+  cuisineOf,
+  VarietySchema,
+  DEFAULT_VARIETY,
+} from '../../src/services/weekOptimizer.js';
+
+const candidate = (id, score, extra = {}) => ({
+  recipe: { id, title: `Recipe ${id}` },
+  distance: score,
+  score,
+  proteinSource: null,
+  cuisine: null,
+  ...extra,
+});
+
+const weekSlots = (mealTypes) =>
+  Array.from({ length: 7 }, (_, i) => mealTypes.map((mealType) => ({ day: i + 1, mealType }))).flat();
+
+describe('Week Optimizer', () => {
+  test('should not repeat the best breakfast seven days in a row', () => {
+    const candidates = { breakfast: [candidate(1, 2), candidate(2, 5), candidate(3, 8), candidate(4, 9)] };
+    const { assignments, report } = optimizeWeek(weekSlots(['breakfast']), candidates);
+    const ids = assignments.map((a) => a.candidate.recipe.id);
+
+    expect(report.violations).toEqual([]);
+    for (const id of [1, 2, 3, 4]) {
+      expect(ids.filter((x) => x === id).length).toBeLessThanOrEqual(2);
+    }
+    for (let i = 1; i < ids.length; i++) {
+      expect(ids[i]).not.toBe(ids[i - 1]);
+    }
+    // Le ricette migliori usano tutte le loro ripetizioni consentite
+    expect(report.totalDistance).toBe(2 * 2 + 5 * 2 + 8 * 2 + 9);
+  });
+
+  test('should rotate protein sources within a day', () => {
+    const candidates = {
+      lunch: [candidate(1, 1, { proteinSource: 'poultry' }), candidate(2, 10, { proteinSource: 'fish' })],
+      dinner: [candidate(3, 1, { proteinSource: 'poultry' }), candidate(4, 10, { proteinSource: 'legume' })],
+    };
+    const slots = [{ day: 1, mealType: 'lunch' }, { day: 1, mealType: 'dinner' }];
+    const { assignments } = optimizeWeek(slots, candidates);
+    const sources = assignments.map((a) => a.candidate.proteinSource);
+
+    expect(new Set(sources).size).toBe(2);
+  });
+
+  test('should rotate protein sources and cuisines of a meal across days', () => {
+    const candidates = {
+      lunch: [
+        candidate(1, 1, { proteinSource: 'poultry', cuisine: 'italian' }),
+        candidate(2, 2, { proteinSource: 'poultry', cuisine: 'italian' }),
+        candidate(3, 10, { proteinSource: 'fish', cuisine: 'mexican' }),
+        candidate(4, 12, { proteinSource: 'legume', cuisine: 'indian' }),
+      ],
+    };
+    const { assignments, report } = optimizeWeek(weekSlots(['lunch']), candidates);
+
+    expect(report.violations).toEqual([]);
+    for (let i = 1; i < assignments.length; i++) {
+      expect(assignments[i].candidate.proteinSource).not.toBe(assignments[i - 1].candidate.proteinSource);
+      expect(assignments[i].candidate.cuisine).not.toBe(assignments[i - 1].candidate.cuisine);
+    }
+
+    // Pollo ogni giorno a pranzo: ammesso solo disattivando la rotazione
+    const chicken = weekSlots(['lunch']).map((slot, i) => ({ ...slot, candidate: candidates.lunch[i % 2] }));
+    const relaxed = { ...DEFAULT_VARIETY, maxUsesPerRecipe: 4 };
+    expect(findViolations(chicken, { ...relaxed, rotateAcrossDays: false })).toEqual([]);
+    expect(findViolations(chicken, relaxed)).toContainEqual({
+      constraint: 'proteinSourceRotation', day: 2, mealType: 'lunch', value: 'poultry', excess: 1,
+    });
+  });
+
+  test('should keep the best recipes and report violations when constraints cannot be met', () => {
+    const candidates = { breakfast: [candidate(1, 2)] };
+    const { assignments, report } = optimizeWeek(weekSlots(['breakfast']), candidates);
+
+    expect(assignments.every((a) => a.candidate.recipe.id === 1)).toBe(true);
+    expect(report.violations.map((v) => v.constraint)).toContain('maxUsesPerRecipe');
+    expect(report.emptySlots).toBe(0);
+  });
+
+  test('should honour relaxed limits', () => {
+    const variety = VarietySchema.parse({ maxUsesPerRecipe: 7, allowConsecutiveRepeats: true });
+    const assignments = weekSlots(['breakfast']).map((slot) => ({ ...slot, candidate: candidate(1, 2) }));
+
+    expect(findViolations(assignments, variety)).toEqual([]);
+    expect(findViolations(assignments, DEFAULT_VARIETY).length).toBeGreaterThan(0);
+  });
+
+  test('should derive protein source and cuisine from recipes', () => {
+    expect(proteinSourceOf({ ingredients: '150g chicken breast\n1 egg' })).toBe('poultry');
+    expect(proteinSourceOf({ ingredients: '200g canned chickpeas\n100g spinach' })).toBe('legume');
+    expect(proteinSourceOf({ ingredients: '100g rice' })).toBeNull();
+    expect(cuisineOf({ rawData: { recipe: { cuisineType: ['Italian'] } } })).toBe('italian');
+  });
+});